@@ -3,7 +3,10 @@
  *
  * Creates:
  * - API Gateway (receives SwaggerHub webhooks)
- * - Lambda function (validates API specs, generates reports)
+ * - Intake Lambda (authenticates webhooks, enqueues validation jobs)
+ * - SQS job queue + dead-letter queue
+ * - Worker Lambda (validates API specs, generates reports)
+ * - Portfolio Lambda + EventBridge schedule (organization-wide rollup report)
  * - S3 bucket (stores PDF reports)
  * - IAM roles and policies
  *
@@ -14,6 +17,10 @@ const cdk = require('aws-cdk-lib');
 const lambda = require('aws-cdk-lib/aws-lambda');
 const apigateway = require('aws-cdk-lib/aws-apigateway');
 const s3 = require('aws-cdk-lib/aws-s3');
+const sqs = require('aws-cdk-lib/aws-sqs');
+const events = require('aws-cdk-lib/aws-events');
+const targets = require('aws-cdk-lib/aws-events-targets');
+const { SqsEventSource } = require('aws-cdk-lib/aws-lambda-event-sources');
 const iam = require('aws-cdk-lib/aws-iam');
 const logs = require('aws-cdk-lib/aws-logs');
 const path = require('path');
@@ -32,8 +39,11 @@ class SwaggerHubValidationStack extends cdk.Stack {
       blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
       lifecycleRules: [
         {
-          // Move reports to Glacier after 90 days for cost-effective long-term archive
+          // Move reports to Glacier after 90 days for cost-effective long-term archive.
+          // Scan history stays readable for diffs; the worker prunes it by
+          // HISTORY_MAX_SCANS / HISTORY_RETENTION_DAYS instead.
           id: 'ArchiveOldReports',
+          prefix: 'reports/',
           transitions: [
             {
               storageClass: s3.StorageClass.GLACIER,
@@ -48,40 +58,128 @@ class SwaggerHubValidationStack extends cdk.Stack {
     });
 
     // ==========================================
-    // Lambda Function - Validation Processor
+    // SQS - Validation job queue + dead-letter queue
     // ==========================================
+    const deadLetterQueue = new sqs.Queue(this, 'JobDeadLetterQueue', {
+      queueName: 'swaggerhub-validation-jobs-dlq',
+      encryption: sqs.QueueEncryption.SQS_MANAGED,
+      retentionPeriod: cdk.Duration.days(14),
+    });
+
+    const jobQueue = new sqs.Queue(this, 'JobQueue', {
+      queueName: 'swaggerhub-validation-jobs',
+      encryption: sqs.QueueEncryption.SQS_MANAGED,
+      // AWS recommends 6x the worker timeout so in-flight jobs aren't redelivered
+      visibilityTimeout: cdk.Duration.minutes(30),
+      deadLetterQueue: {
+        queue: deadLetterQueue,
+        maxReceiveCount: 3,
+      },
+    });
+
+    // ==========================================
+    // Lambda Functions - Intake + Validation Worker
+    // ==========================================
+    const code = lambda.Code.fromAsset(path.join(__dirname, '../../'), {
+      exclude: [
+        'infra',
+        'node_modules/.cache',
+        '.git',
+        '*.md',
+        'test',
+        '.env*',
+        'cdk.out',
+      ],
+    });
+
+    const environment = {
+      SWAGGERHUB_BASE_URL: 'https://api.swaggerhub.com',
+      // SWAGGERHUB_API_KEY is set via SSM Parameter Store or Secrets Manager
+      SWAGGERHUB_API_KEY: '',
+      REPORT_S3_BUCKET: reportBucket.bucketName,
+      JOB_QUEUE_URL: jobQueue.queueUrl,
+      JOB_DLQ_URL: deadLetterQueue.queueUrl,
+      DEBOUNCE_SECONDS: '30',
+      HISTORY_MAX_SCANS: '200',
+      HISTORY_RETENTION_DAYS: '365',
+      HISTORY_TREND_SCANS: '12',
+      SLA_ERROR_DAYS: '14',
+      SLA_WARNING_DAYS: '30',
+      SLA_INFO_DAYS: '90',
+      SLA_HINT_DAYS: '0',
+      // Owners covered by the scheduled portfolio scan (defaults to the allowed owners)
+      PORTFOLIO_OWNERS: this.node.tryGetContext('portfolioOwners') || this.node.tryGetContext('allowedOwners') || '',
+      NOTIFICATION_CHANNELS: '', // e.g. 'teams,slack'; empty = every channel with a URL
+      TEAMS_WEBHOOK_URL: '', // Teams incoming webhook URL
+      SLACK_WEBHOOK_URL: '', // Slack incoming webhook URL
+      // WEBHOOK_SECRET and VALIDATE_API_KEYS are set via SSM Parameter Store or Secrets Manager
+      WEBHOOK_SECRET: '',
+      VALIDATE_API_KEYS: '',
+      ALLOWED_OWNERS: this.node.tryGetContext('allowedOwners') || '',
+      DEFAULT_NOTIFY_EMAIL: '', // Optional — not used with Teams
+      INCLUDE_BEST_PRACTICES: 'true',
+      COMPANY_NAME: 'API Governance Team',
+      REPORT_TITLE: 'API Validation Report',
+      NODE_OPTIONS: '--enable-source-maps',
+    };
+
+    // Answers webhooks within milliseconds so SwaggerHub doesn't retry
+    const intakeLambda = new lambda.Function(this, 'IntakeLambda', {
+      functionName: 'swaggerhub-validation-intake',
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: 'src/handler.handler',
+      code,
+      timeout: cdk.Duration.seconds(10),
+      memorySize: 256,
+      environment,
+      logRetention: logs.RetentionDays.THREE_MONTHS,
+      description: 'Authenticates SwaggerHub webhooks and enqueues validation jobs',
+    });
+
     const validationLambda = new lambda.Function(this, 'ValidationLambda', {
       functionName: 'swaggerhub-validation-processor',
       runtime: lambda.Runtime.NODEJS_18_X,
-      handler: 'src/handler.handler',
-      code: lambda.Code.fromAsset(path.join(__dirname, '../../'), {
-        exclude: [
-          'infra',
-          'node_modules/.cache',
-          '.git',
-          '*.md',
-          'test',
-          '.env*',
-          'cdk.out',
-        ],
-      }),
-      timeout: cdk.Duration.minutes(2),
+      handler: 'src/worker.handler',
+      code,
+      timeout: cdk.Duration.minutes(5),
       memorySize: 512,
-      environment: {
-        SWAGGERHUB_BASE_URL: 'https://api.swaggerhub.com',
-        // SWAGGERHUB_API_KEY is set via SSM Parameter Store or Secrets Manager
-        SWAGGERHUB_API_KEY: '',
-        REPORT_S3_BUCKET: reportBucket.bucketName,
-        TEAMS_WEBHOOK_URL: '', // Teams incoming webhook URL
-        DEFAULT_NOTIFY_EMAIL: '', // Optional — not used with Teams
-        INCLUDE_BEST_PRACTICES: 'true',
-        COMPANY_NAME: 'API Governance Team',
-        REPORT_TITLE: 'API Validation Report',
-        NODE_OPTIONS: '--enable-source-maps',
-      },
+      environment,
+      logRetention: logs.RetentionDays.THREE_MONTHS,
+      description: 'Processes queued validation jobs: validates API specs, generates PDF reports',
+    });
+
+    // Validates every API of PORTFOLIO_OWNERS and uploads the rollup report
+    const portfolioLambda = new lambda.Function(this, 'PortfolioLambda', {
+      functionName: 'swaggerhub-validation-portfolio',
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: 'src/portfolio.handler',
+      code,
+      timeout: cdk.Duration.minutes(15),
+      memorySize: 1024,
+      environment,
       logRetention: logs.RetentionDays.THREE_MONTHS,
-      description: 'Processes SwaggerHub webhooks, validates API specs, generates PDF reports',
+      description: 'Scans all APIs of the configured owners and generates the portfolio report',
     });
+    reportBucket.grantReadWrite(portfolioLambda, 'portfolio/*');
+    reportBucket.grantRead(portfolioLambda, 'waivers/*');
+
+    // Weekly by default; override with -c portfolioSchedule='cron(...)'
+    new events.Rule(this, 'PortfolioSchedule', {
+      ruleName: 'swaggerhub-validation-portfolio-schedule',
+      description: 'Runs the API portfolio scan',
+      schedule: events.Schedule.expression(this.node.tryGetContext('portfolioSchedule') || 'cron(0 6 ? * MON *)'),
+      targets: [new targets.LambdaFunction(portfolioLambda)],
+    });
+
+    jobQueue.grantSendMessages(intakeLambda);
+    // Intake records the latest job per API version for debouncing
+    reportBucket.grantReadWrite(intakeLambda, 'jobs/*');
+
+    // One job per invocation; failed jobs are retried, then dead-lettered
+    validationLambda.addEventSource(new SqsEventSource(jobQueue, {
+      batchSize: 1,
+      reportBatchItemFailures: true,
+    }));
 
     // Grant Lambda permissions to write to S3
     reportBucket.grantReadWrite(validationLambda);
@@ -105,6 +203,11 @@ class SwaggerHubValidationStack extends cdk.Stack {
     // ==========================================
     // API Gateway - Webhook Endpoint
     // ==========================================
+    // Requests are authenticated in the Lambda (see src/services/request-authenticator.js)
+    const corsOrigins = (this.node.tryGetContext('corsAllowOrigins') || '')
+      .split(',')
+      .map((origin) => origin.trim())
+      .filter(Boolean);
     const api = new apigateway.RestApi(this, 'WebhookApi', {
       restApiName: 'SwaggerHub Validation Webhook',
       description: 'Receives SwaggerHub webhook events and triggers API validation',
@@ -114,27 +217,33 @@ class SwaggerHubValidationStack extends cdk.Stack {
         throttlingBurstLimit: 5,
         loggingLevel: apigateway.MethodLoggingLevel.INFO,
       },
-      defaultCorsPreflightOptions: {
-        allowOrigins: apigateway.Cors.ALL_ORIGINS,
-        allowMethods: ['POST', 'OPTIONS'],
-      },
+      // Webhooks are server-to-server; CORS is only enabled for explicitly listed origins
+      ...(corsOrigins.length > 0
+        ? {
+          defaultCorsPreflightOptions: {
+            allowOrigins: corsOrigins,
+            allowMethods: ['POST', 'OPTIONS'],
+            allowHeaders: ['Content-Type', 'Authorization', 'X-Api-Key'],
+          },
+        }
+        : {}),
     });
 
     // POST /webhook - SwaggerHub webhook endpoint
     const webhookResource = api.root.addResource('webhook');
-    const lambdaIntegration = new apigateway.LambdaIntegration(validationLambda, {
+    const lambdaIntegration = new apigateway.LambdaIntegration(intakeLambda, {
       requestTemplates: {
         'application/json': '{ "statusCode": "200" }',
       },
     });
     webhookResource.addMethod('POST', lambdaIntegration, {
-      methodResponses: [{ statusCode: '200' }, { statusCode: '500' }],
+      methodResponses: [{ statusCode: '202' }, { statusCode: '401' }, { statusCode: '403' }, { statusCode: '500' }],
     });
 
     // POST /validate - Manual validation endpoint (optional)
     const validateResource = api.root.addResource('validate');
     validateResource.addMethod('POST', lambdaIntegration, {
-      methodResponses: [{ statusCode: '200' }, { statusCode: '500' }],
+      methodResponses: [{ statusCode: '202' }, { statusCode: '401' }, { statusCode: '403' }, { statusCode: '500' }],
     });
 
     // ==========================================
@@ -157,7 +266,22 @@ class SwaggerHubValidationStack extends cdk.Stack {
 
     new cdk.CfnOutput(this, 'LambdaFunctionName', {
       value: validationLambda.functionName,
-      description: 'Lambda function name',
+      description: 'Worker Lambda function name',
+    });
+
+    new cdk.CfnOutput(this, 'PortfolioFunctionName', {
+      value: portfolioLambda.functionName,
+      description: 'Portfolio scan Lambda - invoke with {"owners": [...]} to run on demand',
+    });
+
+    new cdk.CfnOutput(this, 'JobQueueUrl', {
+      value: jobQueue.queueUrl,
+      description: 'Validation job queue (JOB_QUEUE_URL)',
+    });
+
+    new cdk.CfnOutput(this, 'DeadLetterQueueUrl', {
+      value: deadLetterQueue.queueUrl,
+      description: 'Failed validation jobs (JOB_DLQ_URL) - replay with npm run replay-dlq',
     });
   }
 }
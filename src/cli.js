@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+
+/**
+ * SwaggerHub Validation Report - Command Line Interface
+ *
+ * Validates a local OpenAPI spec file without AWS, using the same
+ * ValidationEngine, DiffEngine, QualityGate and ReportGenerator as the
+ * Lambda so local results match what the pipeline reports.
+ *
+ * Usage:
+ *   swaggerhub-report validate ./openapi.yaml [options]
+ *
+ * Exit codes: 0 = quality gate passed, 1 = quality gate failed, 2 = usage or runtime error
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const yaml = require('js-yaml');
+const { ValidationEngine } = require('./services/validation-engine');
+const { InventoryAnalyzer } = require('./services/inventory-analyzer');
+const { DiffEngine } = require('./services/diff-engine');
+const { ContractDiffEngine } = require('./services/contract-diff-engine');
+const { QualityGate } = require('./services/quality-gate');
+const { ReportGenerator } = require('./services/report-generator');
+const { HtmlReportGenerator } = require('./services/html-report-generator');
+const { JsonReportGenerator } = require('./services/json-report-generator');
+const { SarifExporter } = require('./services/sarif-exporter');
+const { ChangelogGenerator } = require('./services/changelog-generator');
+const { SemverComplianceCheck, SEMVER_RULES } = require('./services/semver-compliance');
+const { WaiverSet } = require('./services/waiver-set');
+const { DebtBaseline } = require('./services/debt-baseline');
+const { SlaPolicy } = require('./services/sla-policy');
+const { useStderr } = require('./services/logger');
+const config = require('./config');
+
+const FORMATS = ['pdf', 'html', 'json', 'sarif', 'changelog'];
+
+const USAGE = `Usage: swaggerhub-report validate <spec-file> [options]
+
+Validate a local OpenAPI 2.0/3.x spec (YAML or JSON) and write reports.
+
+Options:
+  -o, --out <dir>              Output directory (default: ./validation-output)
+  -f, --format <list>          Comma-separated output formats: ${FORMATS.join(', ')} (default: pdf,json)
+  -p, --previous <file>        Previous validation-report.json to diff against
+  -b, --base-spec <file>       Earlier spec (YAML/JSON) to diff the API contract against
+                               (needed for the changelog format and the semver check)
+      --owner <name>           API owner shown in reports (default: local)
+      --name <name>            API name (default: spec info.title)
+      --api-version <version>  API version (default: spec info.version)
+      --standardization <file> SwaggerHub standardization response (JSON) to merge in
+      --ruleset <file>         Custom YAML/JSON ruleset (default: CUSTOM_RULESET_PATH)
+      --spectral <file>        Spectral ruleset .yaml/.zip (default: SPECTRAL_RULESET_PATH)
+      --scoring-profile <file> Scoring profile (default: SCORING_PROFILE_PATH)
+      --policy <file>          Quality gate policies (default: QUALITY_GATE_POLICY_PATH)
+      --waivers <file>         Waiver file of accepted exceptions (added to the spec's x-waivers)
+      --debt-baseline <file>   Debt baseline: only findings not in it count as new debt
+      --update-debt-baseline   Write this run's findings to --debt-baseline as the new baseline
+      --no-best-practices      Skip the built-in best-practice rules
+  -h, --help                   Show this help
+`;
+
+/**
+ * Parse command line arguments
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'validation-output' },
+      format: { type: 'string', short: 'f', default: 'pdf,json' },
+      previous: { type: 'string', short: 'p' },
+      'base-spec': { type: 'string', short: 'b' },
+      owner: { type: 'string', default: 'local' },
+      name: { type: 'string' },
+      'api-version': { type: 'string' },
+      standardization: { type: 'string' },
+      ruleset: { type: 'string', default: config.validation.customRulesetPath },
+      spectral: { type: 'string', default: config.validation.spectralRulesetPath },
+      'scoring-profile': { type: 'string', default: config.validation.scoringProfilePath },
+      policy: { type: 'string', default: config.qualityGate.policyPath },
+      waivers: { type: 'string' },
+      'debt-baseline': { type: 'string' },
+      'update-debt-baseline': { type: 'boolean', default: false },
+      'no-best-practices': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const formats = values.format.split(',').map((f) => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter((f) => !FORMATS.includes(f));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown format(s): ${unknown.join(', ')}. Supported: ${FORMATS.join(', ')}`);
+  }
+  if (formats.includes('changelog') && !values['base-spec']) {
+    throw new Error('The changelog format needs --base-spec');
+  }
+  if (values['update-debt-baseline'] && !values['debt-baseline']) {
+    throw new Error('--update-debt-baseline needs --debt-baseline <file>');
+  }
+
+  return { command: positionals[0], specFile: positionals[1], options: { ...values, formats } };
+}
+
+/**
+ * Read a YAML or JSON file
+ */
+function readDocument(filePath) {
+  const content = fs.readFileSync(path.resolve(filePath), 'utf-8');
+  return yaml.load(content);
+}
+
+/**
+ * Run the `validate` command
+ * @returns {number} Process exit code
+ */
+async function validate(specFile, options) {
+  const spec = readDocument(specFile);
+  if (!spec || typeof spec !== 'object' || !(spec.openapi || spec.swagger)) {
+    throw new Error(`${specFile} is not an OpenAPI 2.0/3.x document`);
+  }
+
+  const owner = options.owner;
+  const apiName = options.name || spec.info?.title || path.basename(specFile, path.extname(specFile));
+  const version = options['api-version'] || String(spec.info?.version || 'latest');
+
+  // 1. Validate (local rules, plus SwaggerHub findings if an export was supplied)
+  const standardizationData = options.standardization ? readDocument(options.standardization) : { errors: [] };
+  const validationEngine = new ValidationEngine({
+    localRules: !options['no-best-practices'],
+    rulesetPath: options.ruleset,
+    spectralRulesetPath: options.spectral,
+    scoringProfilePath: options['scoring-profile'],
+  });
+  const validationResults = await validationEngine.validate(standardizationData, spec);
+
+  // 2. Diff the API contract against an earlier spec, and write up the changes
+  const baseSpec = options['base-spec'] ? readDocument(options['base-spec']) : null;
+  const contractDiff = baseSpec ? new ContractDiffEngine().compare(baseSpec, spec) : null;
+  const changelog = baseSpec ? new ChangelogGenerator().build(baseSpec, spec, contractDiff) : null;
+
+  // 2a. Check the version bump against the base spec's version
+  validationEngine.addFindings(validationResults, new SemverComplianceCheck().check({
+    version: options['api-version'] || (spec.info?.version != null ? String(spec.info.version) : null),
+    previousVersion: baseSpec?.info?.version != null ? String(baseSpec.info.version) : null,
+    contractDiff,
+  }));
+
+  // 2b. Apply accepted exceptions (waived findings leave the score and the gate)
+  const waivers = WaiverSet.merge([
+    WaiverSet.fromSpec(spec),
+    ...(options.waivers ? [WaiverSet.fromFile(path.resolve(options.waivers))] : []),
+  ]);
+  validationEngine.applyWaivers(validationResults, waivers);
+
+  // 2c. Split new from baseline debt; --update-debt-baseline (re)takes the baseline from this run
+  let debt = null;
+  if (options['debt-baseline']) {
+    const baselinePath = path.resolve(options['debt-baseline']);
+    let debtBaseline;
+    if (options['update-debt-baseline']) {
+      debtBaseline = DebtBaseline.snapshot(validationResults, { owner, apiName, version });
+      fs.writeFileSync(baselinePath, JSON.stringify(debtBaseline, null, 2));
+    } else {
+      debtBaseline = readDocument(baselinePath);
+    }
+    debt = DebtBaseline.compare(validationResults, debtBaseline, validationEngine);
+  }
+
+  // 2d. Diff against a previous JSON report (or a scan-history record),
+  // carrying each finding's age over from it
+  const generatedAt = new Date().toISOString();
+  const previousScan = options.previous ? JsonReportGenerator.toScan(readDocument(options.previous)) : null;
+  const diff = new DiffEngine().compare(validationResults, previousScan, { scannedAt: generatedAt });
+
+  // 2e. Findings open longer than their remediation SLA
+  const sla = new SlaPolicy(config.sla).evaluate(validationResults.issues, generatedAt);
+
+  // 3. Quality gate
+  const qualityGate = options.policy ? QualityGate.fromFile(options.policy) : new QualityGate();
+  const gateResult = qualityGate.evaluate(validationResults, { owner, apiName, version, diff, contractDiff, debt });
+  validationResults.summary.passedValidation = gateResult.passed;
+
+  // 4. Write outputs
+  const outDir = path.resolve(options.out);
+  fs.mkdirSync(outDir, { recursive: true });
+  const written = [];
+
+  const reportData = {
+    apiName,
+    apiVersion: version,
+    owner,
+    inventory: new InventoryAnalyzer().analyze(spec),
+    validationResults,
+    diff,
+    contractDiff,
+    changelog,
+    debt,
+    sla,
+    gateResult,
+    generatedAt,
+  };
+
+  if (options.formats.includes('pdf')) {
+    const pdfBuffer = await new ReportGenerator().generate(reportData);
+    const pdfPath = path.join(outDir, 'validation-report.pdf');
+    fs.writeFileSync(pdfPath, pdfBuffer);
+    written.push(pdfPath);
+  }
+
+  if (options.formats.includes('html')) {
+    const htmlPath = path.join(outDir, 'validation-report.html');
+    fs.writeFileSync(htmlPath, new HtmlReportGenerator().generate(reportData));
+    written.push(htmlPath);
+  }
+
+  if (options.formats.includes('json')) {
+    // Same versioned report the Lambda uploads; it can be passed back as --previous
+    const jsonPath = path.join(outDir, 'validation-report.json');
+    fs.writeFileSync(jsonPath, new JsonReportGenerator().generate(reportData));
+    written.push(jsonPath);
+  }
+
+  if (options.formats.includes('sarif')) {
+    // Code-scanning tools resolve the artifact URI relative to the repo root (cwd)
+    const specUri = path.relative(process.cwd(), path.resolve(specFile)).split(path.sep).join('/');
+    const rules = [...validationEngine.ruleEngine.rules, ...SEMVER_RULES];
+    const sarif = new SarifExporter({ rules }).export({ validationResults, diff, specUri });
+    const sarifPath = path.join(outDir, 'validation-results.sarif');
+    fs.writeFileSync(sarifPath, JSON.stringify(sarif, null, 2));
+    written.push(sarifPath);
+  }
+
+  if (options.formats.includes('changelog')) {
+    const changelogPath = path.join(outDir, 'CHANGELOG.md');
+    fs.writeFileSync(changelogPath, new ChangelogGenerator().toMarkdown(changelog, { generatedAt }));
+    written.push(changelogPath);
+  }
+
+  printSummary({ apiName, version, validationResults, diff, contractDiff, debt, sla, gateResult, written });
+  return gateResult.passed ? 0 : 1;
+}
+
+/**
+ * Print a short human-readable summary
+ */
+function printSummary({ apiName, version, validationResults, diff, contractDiff, debt, sla, gateResult, written }) {
+  const s = validationResults.summary;
+  console.log(`\n${apiName} ${version}`);
+  console.log(`  Score:    ${s.score}/100 (Grade ${s.grade})`);
+  console.log(`  Issues:   ${s.totalIssues} (${s.errors} errors, ${s.warnings} warnings, ${s.info} info)`);
+  const { waived, expired, invalid } = validationResults.waivers;
+  if (waived.length > 0 || expired.length > 0 || invalid.length > 0) {
+    console.log(`  Waivers:  ${waived.length} waived, ${expired.length} expired, ${invalid.length} ignored`);
+    invalid.forEach((entry) => console.log(`            ! ${entry.source}${entry.index !== undefined ? ` #${entry.index + 1}` : ''}: ${entry.reason}`));
+  }
+  if (!diff.isFirstScan) {
+    const sign = diff.scoreChange > 0 ? '+' : '';
+    console.log(`  Diff:     ${sign}${diff.scoreChange} score, ${diff.newIssues.length} new, ${diff.resolvedIssues.length} resolved, ${diff.movedIssues.length} moved, ${diff.waivedIssues.length} waived`);
+  }
+  if (debt) {
+    console.log(`  Debt:     ${debt.newIssues.length} new, ${debt.baselineIssues.length} baseline, ${debt.resolvedIssues.length} resolved`);
+  }
+  if (sla.breached > 0) {
+    console.log(`  SLA:      ${sla.breached} finding(s) past their remediation SLA`);
+  }
+  if (contractDiff) {
+    console.log(`  Contract: ${contractDiff.summary.breaking} breaking, ${contractDiff.summary.nonBreaking} non-breaking change(s)`);
+  }
+  console.log(`  Gate:     ${gateResult.passed ? 'PASSED' : 'FAILED'} (policy: ${gateResult.policy})`);
+  gateResult.failedConditions.forEach((c) => console.log(`            ✗ ${c.message}`));
+  if (gateResult.notEvaluated.length > 0) {
+    console.log(`            - not evaluated: ${gateResult.notEvaluated.join(', ')}`);
+  }
+  written.forEach((file) => console.log(`  Wrote:    ${file}`));
+}
+
+async function main(argv) {
+  // Keep stdout to the summary below, so it can be piped
+  useStderr();
+
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { command, specFile, options } = parsed;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (command !== 'validate' || !specFile) {
+    console.error(`Unknown command or missing spec file.\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    return await validate(specFile, options);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 2;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main };
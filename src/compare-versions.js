@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Compare the latest scans of two API versions
+ *
+ * Reads both versions' scan history from the report bucket and prints what
+ * the newer version introduced and resolved:
+ *
+ *   REPORT_S3_BUCKET=... npm run compare-versions -- <owner> <apiName> <fromVersion> <toVersion> [--json]
+ */
+
+const { ScanHistoryService } = require('./services/scan-history-service');
+const { ScanComparisonService } = require('./services/scan-comparison-service');
+const { SwaggerHubClient } = require('./services/swaggerhub-client');
+const config = require('./config');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const [owner, apiName, fromVersion, toVersion] = args.filter((arg) => arg !== '--json');
+  if (!toVersion) {
+    console.error('Usage: compare-versions <owner> <apiName> <fromVersion> <toVersion> [--json]');
+    return 2;
+  }
+
+  const comparison = new ScanComparisonService({
+    scanHistory: new ScanHistoryService(config.aws),
+    swaggerHubClient: new SwaggerHubClient(config.swaggerHub),
+  });
+  const diff = await comparison.compareVersions(owner, apiName, fromVersion, toVersion);
+
+  if (json) {
+    console.log(JSON.stringify(diff, null, 2));
+    return 0;
+  }
+
+  const sign = diff.scoreChange > 0 ? '+' : '';
+  console.log(`${owner}/${apiName} ${fromVersion} → ${toVersion}`);
+  console.log(`  Score:      ${diff.previousScore} → ${diff.currentScore} (${sign}${diff.scoreChange})`);
+  console.log(`  New:        ${diff.newIssues.length} issue(s)`);
+  console.log(`  Resolved:   ${diff.resolvedIssues.length} issue(s)`);
+  console.log(`  Persisting: ${diff.persistingIssues.length} issue(s)`);
+  console.log(`  Moved:      ${diff.movedIssues.length} issue(s)`);
+  console.log(`  Waived:     ${diff.waivedIssues.length} issue(s)`);
+  diff.newIssues.forEach((issue) => console.log(`    + [${issue.severity}] ${issue.code} ${issue.path}`));
+  diff.resolvedIssues.forEach((issue) => console.log(`    - [${issue.severity}] ${issue.code} ${issue.path}`));
+  diff.movedIssues.forEach(({ from, to }) => console.log(`    ~ [${to.severity}] ${to.code} ${from.path} → ${to.path}`));
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
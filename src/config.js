@@ -3,6 +3,10 @@
  * Values are loaded from environment variables (set in Lambda/CDK)
  */
 
+function splitList(value) {
+  return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
 module.exports = {
   swaggerHub: {
     baseUrl: process.env.SWAGGERHUB_BASE_URL || 'https://api.swaggerhub.com',
@@ -14,17 +18,94 @@ module.exports = {
     s3Bucket: process.env.REPORT_S3_BUCKET || 'swaggerhub-validation-reports',
   },
 
+  queue: {
+    // SQS job queue and dead-letter queue (set by CDK); without a URL jobs
+    // go to an in-memory queue for local runs (see services/queue-service.js)
+    url: process.env.JOB_QUEUE_URL || '',
+    deadLetterUrl: process.env.JOB_DLQ_URL || '',
+    // Attempts before a job is dead-lettered (in-memory queue only; SQS uses the redrive policy)
+    maxReceiveCount: parseInt(process.env.JOB_MAX_RECEIVE_COUNT || '3', 10),
+    // Collapse webhook bursts for the same API version into one run (0 disables; SQS max 900)
+    debounceSeconds: parseInt(process.env.DEBOUNCE_SECONDS || '30', 10),
+    // Skip jobs whose spec is unchanged since the last successful run
+    skipUnchangedSpecs: process.env.SKIP_UNCHANGED_SPECS !== 'false',
+  },
+
+  history: {
+    // Scan to diff against: 'latest', a scan ID or an ISO timestamp (a job's
+    // "baseline" field overrides it; see services/scan-history-service.js)
+    baseline: process.env.DIFF_BASELINE || 'latest',
+    // auto | same-version | previous-version | version (with DIFF_COMPARE_VERSION);
+    // a job's "compareMode"/"compareVersion" fields override these
+    compareMode: process.env.DIFF_COMPARE_MODE || 'auto',
+    compareVersion: process.env.DIFF_COMPARE_VERSION || '',
+    // Retention per API; the newest scan is always kept (0 disables a limit)
+    maxScans: parseInt(process.env.HISTORY_MAX_SCANS || '200', 10),
+    maxAgeDays: parseInt(process.env.HISTORY_RETENTION_DAYS || '365', 10),
+    // Scans shown on the report's Quality Trend page (0 hides the page)
+    trendScans: parseInt(process.env.HISTORY_TREND_SCANS || '12', 10),
+  },
+
+  portfolio: {
+    // Comma-separated owners the scheduled portfolio scan covers (see portfolio.js)
+    owners: splitList(process.env.PORTFOLIO_OWNERS),
+    // APIs validated in parallel
+    concurrency: parseInt(process.env.PORTFOLIO_CONCURRENCY || '4', 10),
+    // Length of the worst-offender and most-common-violation lists
+    topCount: parseInt(process.env.PORTFOLIO_TOP_COUNT || '10', 10),
+  },
+
   notifications: {
+    // Comma-separated channels to notify (teams, slack); empty = every
+    // channel with a webhook URL (see services/notification-service.js)
+    channels: splitList(process.env.NOTIFICATION_CHANNELS),
     teamsWebhookUrl: process.env.TEAMS_WEBHOOK_URL || '',
+    slackWebhookUrl: process.env.SLACK_WEBHOOK_URL || '',
   },
 
   defaultNotifyEmail: process.env.DEFAULT_NOTIFY_EMAIL || '',
 
+  security: {
+    // Shared secret for HMAC webhook signatures (see services/request-authenticator.js)
+    webhookSecret: process.env.WEBHOOK_SECRET || '',
+    // Max age/skew of a signed webhook, also the replay window
+    signatureToleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10),
+    // Comma-separated keys accepted by the manual /validate route
+    validateApiKeys: splitList(process.env.VALIDATE_API_KEYS),
+    // Comma-separated SwaggerHub owners allowed to trigger scans (empty = any owner)
+    allowedOwners: splitList(process.env.ALLOWED_OWNERS),
+    // Local development only: accept requests when no secret/keys are configured
+    allowUnauthenticated: process.env.ALLOW_UNAUTHENTICATED_REQUESTS === 'true',
+  },
+
   validation: {
     // Spectral ruleset to use: 'oas' for standard OpenAPI rules
     ruleset: process.env.VALIDATION_RULESET || 'oas',
-    // Include best-practice rules in addition to spec compliance
+    // Run the built-in local best-practice rules against the fetched spec
     includeBestPractices: process.env.INCLUDE_BEST_PRACTICES !== 'false',
+    // Optional repo-local YAML/JSON ruleset (see services/rules/ruleset-loader.js)
+    customRulesetPath: process.env.CUSTOM_RULESET_PATH || '',
+    // Spectral ruleset evaluated locally: a .spectral.yaml/.zip on disk, or
+    // '{owner}/{name}' to download it from SwaggerHub's Spectral Rulesets API
+    spectralRulesetPath: process.env.SPECTRAL_RULESET_PATH || '',
+    spectralRuleset: process.env.SPECTRAL_RULESET || '',
+    // Optional YAML/JSON scoring profile (see services/scoring-model.js)
+    scoringProfilePath: process.env.SCORING_PROFILE_PATH || '',
+  },
+
+  qualityGate: {
+    // Optional YAML/JSON gate policies (see services/quality-gate.js);
+    // without one, a scan passes when it has zero errors
+    policyPath: process.env.QUALITY_GATE_POLICY_PATH || '',
+  },
+
+  sla: {
+    // Days a finding may stay open before it breaches its remediation SLA,
+    // per severity (0 = no SLA; see services/sla-policy.js)
+    errorDays: parseInt(process.env.SLA_ERROR_DAYS || '14', 10),
+    warningDays: parseInt(process.env.SLA_WARNING_DAYS || '30', 10),
+    infoDays: parseInt(process.env.SLA_INFO_DAYS || '90', 10),
+    hintDays: parseInt(process.env.SLA_HINT_DAYS || '0', 10),
   },
 
   report: {
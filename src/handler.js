@@ -1,26 +1,23 @@
 /**
- * SwaggerHub Validation Report - AWS Lambda Handler
+ * SwaggerHub Validation Report - AWS Lambda Handler (webhook intake)
  *
- * Receives SwaggerHub webhook events, validates the API spec,
- * generates a PDF report, stores it in S3, and notifies via Microsoft Teams.
+ * Receives SwaggerHub webhook events, authenticates them and enqueues a
+ * validation job, answering 202 with the job ID right away. The queue worker
+ * (worker.js) runs the pipeline: validation, PDF/HTML/JSON reports, S3 and
+ * Microsoft Teams.
  */
 
-const { SwaggerHubClient } = require('./services/swaggerhub-client');
-const { ValidationEngine } = require('./services/validation-engine');
-const { ReportGenerator } = require('./services/report-generator');
-const { S3Service } = require('./services/s3-service');
-const { NotificationService } = require('./services/notification-service');
-const { ScanHistoryService } = require('./services/scan-history-service');
-const { DiffEngine } = require('./services/diff-engine');
+const crypto = require('crypto');
+const { RequestAuthenticator, rawBody } = require('./services/request-authenticator');
+const { createJobQueue } = require('./services/queue-service');
+const { IdempotencyService } = require('./services/idempotency-service');
 const { createLogger } = require('./services/logger');
-const { MetricsService } = require('./services/metrics-service');
 const config = require('./config');
 
 /**
  * Main Lambda handler - entry point for API Gateway webhook
  */
 exports.handler = async (event, context) => {
-  const pipelineStart = Date.now();
   const log = createLogger({
     requestId: context?.awsRequestId || 'local',
   });
@@ -28,148 +25,65 @@ exports.handler = async (event, context) => {
   log.info('webhook.received', { eventKeys: Object.keys(event) });
 
   try {
-    // 1. Parse the SwaggerHub webhook payload
+    // 1. Authenticate the caller, then parse the SwaggerHub webhook payload
+    const authenticator = new RequestAuthenticator(config.security);
+    const auth = authenticator.authenticate(event);
+    if (!auth.authorized) {
+      log.warn('request.rejected', { statusCode: auth.statusCode, reason: auth.reason });
+      return rejectRequest(auth);
+    }
+
     const webhookPayload = parseWebhookEvent(event);
     log.info('webhook.parsed', {
       owner: webhookPayload.owner,
       apiName: webhookPayload.apiName,
       version: webhookPayload.version,
       action: webhookPayload.action,
+      authMethod: auth.method,
     });
 
-    // Enrich logger with API context for all subsequent logs
-    const apiLog = log.child({
-      owner: webhookPayload.owner,
-      apiName: webhookPayload.apiName,
-      version: webhookPayload.version,
-    });
-
-    // 2. Fetch the full API spec from SwaggerHub
-    const swaggerHubClient = new SwaggerHubClient(config.swaggerHub);
-    const apiSpec = await swaggerHubClient.fetchApiSpec(
-      webhookPayload.owner,
-      webhookPayload.apiName,
-      webhookPayload.version
-    );
-    apiLog.info('spec.fetched');
-
-    // 3. Fetch standardization errors from SwaggerHub & score them
-    const standardizationData = await swaggerHubClient.fetchStandardizationErrors(
-      webhookPayload.owner,
-      webhookPayload.apiName,
-      webhookPayload.version
-    );
-    apiLog.info('standardization.fetched', {
-      errorCount: (standardizationData.errors || []).length,
-    });
-
-    const validationEngine = new ValidationEngine();
-    const validationResults = await validationEngine.validate(standardizationData);
-    apiLog.info('validation.complete', {
-      score: validationResults.summary.score,
-      totalIssues: validationResults.summary.totalIssues,
-      errors: validationResults.summary.errors,
-      warnings: validationResults.summary.warnings,
-      passed: validationResults.summary.passedValidation,
-    });
-
-    // 3b. Compare against previous scan (incremental diff)
-    const s3Service = new S3Service(config.aws);
-    const scanHistoryService = new ScanHistoryService(config.aws);
-    const diffEngine = new DiffEngine();
-
-    let diff = null;
-    try {
-      const previousScan = await scanHistoryService.getPreviousScan(
-        webhookPayload.owner,
-        webhookPayload.apiName
-      );
-      diff = diffEngine.compare(validationResults, previousScan);
-      apiLog.info('diff.computed', {
-        resolvedCount: diff.resolvedIssues.length,
-        newCount: diff.newIssues.length,
-        persistingCount: diff.persistingIssues.length,
-        scoreChange: diff.scoreChange,
-        isFirstScan: diff.isFirstScan,
-      });
-    } catch (error) {
-      apiLog.warn('diff.failed', { errorMessage: error.message });
+    const ownerAuth = authenticator.authorizeOwner(webhookPayload.owner);
+    if (!ownerAuth.authorized) {
+      log.warn('request.rejected', { statusCode: ownerAuth.statusCode, reason: ownerAuth.reason });
+      return rejectRequest(ownerAuth);
     }
 
-    // 3c. Save current scan for future comparisons
-    try {
-      await scanHistoryService.saveCurrentScan(
-        webhookPayload.owner,
-        webhookPayload.apiName,
-        webhookPayload.version,
-        validationResults
-      );
-      apiLog.info('scan-history.saved');
-    } catch (error) {
-      apiLog.warn('scan-history.save-failed', { errorMessage: error.message });
+    // 2. Enqueue the validation job for the worker, delayed by the debounce
+    // window so a burst of saves only runs once (forced jobs and debt
+    // baseline refreshes run right away). If the job can't be recorded as the
+    // latest one the worker would drop it, so that fails the request.
+    const job = {
+      jobId: crypto.randomUUID(),
+      receivedAt: new Date().toISOString(),
+      ...webhookPayload,
+    };
+    const debounceSeconds = job.force || job.refreshDebtBaseline ? 0 : config.queue.debounceSeconds;
+    if (debounceSeconds > 0) {
+      await new IdempotencyService(config.aws).recordLatestJob(job);
     }
-
-    // 4. Generate PDF report (with diff if available)
-    const reportStart = Date.now();
-    const reportGenerator = new ReportGenerator();
-    const pdfBuffer = await reportGenerator.generate({
-      apiName: webhookPayload.apiName,
-      apiVersion: webhookPayload.version,
-      owner: webhookPayload.owner,
-      validationResults,
-      diff,
-      generatedAt: new Date().toISOString(),
-    });
-    const reportGenTimeMs = Date.now() - reportStart;
-    apiLog.info('report.generated', { sizeBytes: pdfBuffer.length, durationMs: reportGenTimeMs });
-
-    // 5. Upload report to S3
-    const reportKey = `reports/${webhookPayload.owner}/${webhookPayload.apiName}/${webhookPayload.version}/validation-report-${Date.now()}.pdf`;
-    const reportUrl = await s3Service.uploadReport(reportKey, pdfBuffer);
-    apiLog.info('report.uploaded', { reportKey });
-
-    // 6. Send Teams notification with report link
-    const notificationService = new NotificationService(config.notifications);
-    await notificationService.sendReport({
-      apiName: webhookPayload.apiName,
-      apiVersion: webhookPayload.version,
-      owner: webhookPayload.owner,
-      reportUrl,
-      validationSummary: validationResults.summary,
-      diff,
+    const queue = createJobQueue(config.queue, config.aws);
+    const messageId = await queue.send(job, { delaySeconds: debounceSeconds });
+    log.info('job.enqueued', {
+      jobId: job.jobId,
+      messageId,
+      owner: job.owner,
+      apiName: job.apiName,
+      version: job.version,
+      debounceSeconds,
     });
-    apiLog.info('notification.sent');
 
-    // 7. Publish CloudWatch metrics
-    const totalDurationMs = Date.now() - pipelineStart;
-    const metricsService = new MetricsService(config.aws);
-    try {
-      await metricsService.recordValidation({
-        owner: webhookPayload.owner,
-        apiName: webhookPayload.apiName,
-        version: webhookPayload.version,
-        summary: validationResults.summary,
-        diff,
-        reportGenTimeMs,
-        totalDurationMs,
-      });
-      apiLog.info('metrics.published');
-    } catch (error) {
-      apiLog.warn('metrics.publish-failed', { errorMessage: error.message });
-    }
-
-    apiLog.info('pipeline.complete', { totalDurationMs });
+    // Only now is the signature used up: a retry of a failed request must pass
+    authenticator.recordSignature(auth);
 
     return {
-      statusCode: 200,
+      statusCode: 202,
       body: JSON.stringify({
-        message: 'Validation report generated and delivered',
-        reportUrl,
-        summary: validationResults.summary,
+        message: 'Validation job accepted',
+        jobId: job.jobId,
       }),
     };
   } catch (error) {
-    log.error('pipeline.failed', error);
+    log.error('intake.failed', error);
     return {
       statusCode: 500,
       body: JSON.stringify({
@@ -180,6 +94,19 @@ exports.handler = async (event, context) => {
   }
 };
 
+/**
+ * Build a 401/403 response for a rejected request
+ */
+function rejectRequest({ statusCode, reason }) {
+  return {
+    statusCode,
+    body: JSON.stringify({
+      message: statusCode === 401 ? 'Unauthorized' : 'Forbidden',
+      error: reason,
+    }),
+  };
+}
+
 /**
  * Parse the incoming SwaggerHub webhook event
  * SwaggerHub webhooks send JSON payloads with API metadata
@@ -188,7 +115,8 @@ function parseWebhookEvent(event) {
   let body;
 
   if (typeof event.body === 'string') {
-    body = JSON.parse(event.body);
+    // Decoded the same way the signature was checked
+    body = JSON.parse(rawBody(event));
   } else {
     body = event.body || event;
   }
@@ -201,6 +129,15 @@ function parseWebhookEvent(event) {
     version: body.version || body.apiVersion || 'latest',
     notifyEmail: body.notifyEmail || body.email || null,
     action: body.action || body.event || 'API_UPDATED',
+    // Bypass debouncing and the unchanged-spec check (e.g. after a rules change)
+    force: body.force === true,
+    // Scan to diff against instead of the latest one (scan ID or ISO timestamp)
+    baseline: body.baseline || null,
+    // Comparison mode and version to diff against (see services/scan-comparison-service.js)
+    compareMode: body.compareMode || null,
+    compareVersion: body.compareVersion || null,
+    // Snapshot this scan's findings as the API's accepted debt (see services/debt-baseline.js)
+    refreshDebtBaseline: body.refreshDebtBaseline === true,
   };
 
   if (!payload.owner || !payload.apiName) {
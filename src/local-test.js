@@ -13,8 +13,18 @@
 const fs = require('fs');
 const path = require('path');
 const { ValidationEngine } = require('./services/validation-engine');
+const { InventoryAnalyzer } = require('./services/inventory-analyzer');
 const { ReportGenerator } = require('./services/report-generator');
+const { HtmlReportGenerator } = require('./services/html-report-generator');
+const { JsonReportGenerator } = require('./services/json-report-generator');
 const { DiffEngine } = require('./services/diff-engine');
+const { ContractDiffEngine } = require('./services/contract-diff-engine');
+const { ChangelogGenerator } = require('./services/changelog-generator');
+const { SemverComplianceCheck } = require('./services/semver-compliance');
+const { WaiverSet } = require('./services/waiver-set');
+const { QualityGate } = require('./services/quality-gate');
+const { SlaPolicy } = require('./services/sla-policy');
+const config = require('./config');
 
 /**
  * Mock SwaggerHub Standardization API response
@@ -166,14 +176,76 @@ const mockStandardizationResponse = {
   ],
 };
 
+/**
+ * Mock OpenAPI spec - evaluated by the local rule engine
+ * Simulates what GET /apis/{owner}/{api}/{version} returns.
+ */
+const mockApiSpec = {
+  openapi: '3.0.3',
+  info: { title: 'Sample Pet Store API', version: '1.0.0' },
+  servers: [
+    { url: 'https://api.example.com/v1' },
+    { url: 'http://legacy.example.com/v1' },
+  ],
+  tags: [{ name: 'pets' }, { name: 'categories' }],
+  paths: {
+    '/pets': {
+      get: {
+        tags: ['pets'],
+        summary: 'List pets',
+        responses: {
+          200: { description: 'A list of pets', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } } } } },
+        },
+      },
+      post: {
+        operationId: 'createPet',
+        tags: ['pets'],
+        responses: {
+          201: { description: 'Created' },
+          400: { description: 'Invalid pet' },
+        },
+      },
+    },
+    '/pets/{petId}': {
+      get: {
+        operationId: 'getPet',
+        tags: ['pets'],
+        parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'A pet', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+          404: { $ref: '#/components/responses/NotFound' },
+        },
+      },
+    },
+    '/petCategories': {
+      get: {
+        operationId: 'listPetCategories',
+        responses: {},
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Pet: {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' }, tag: { type: 'string' } },
+      },
+      LegacyPet: { type: 'object' },
+    },
+    responses: {
+      NotFound: { description: 'Not found' },
+    },
+  },
+};
+
 async function main() {
   console.log('=== SwaggerHub Validation Report - Local Test ===\n');
-  console.log('   Using mock SwaggerHub Standardization API data\n');
+  console.log('   Using mock SwaggerHub Standardization API data + local rules\n');
 
-  // Step 1: Process mock standardization results through validation engine
+  // Step 1: Process mock standardization results + local rules through validation engine
   console.log('1. Processing standardization results...');
   const engine = new ValidationEngine();
-  const results = await engine.validate(mockStandardizationResponse);
+  const results = await engine.validate(mockStandardizationResponse, mockApiSpec);
 
   console.log(`\n   Score: ${results.summary.score}/100`);
   console.log(`   Passed: ${results.summary.passedValidation}`);
@@ -185,7 +257,7 @@ async function main() {
 
   console.log('\n   Issues:');
   results.issues.forEach((issue, i) => {
-    console.log(`   ${i + 1}. [${issue.severity}] ${issue.message}`);
+    console.log(`   ${i + 1}. [${issue.severity}] (${issue.source}) ${issue.message}`);
     if (issue.path) console.log(`      Path: ${issue.path}`);
   });
 
@@ -212,8 +284,12 @@ async function main() {
       },
     },
     issues: [
-      // Some issues that will still be present (persisting)
-      ...results.issues.slice(0, 10).map((i) => ({ ...i })),
+      // Some issues that will still be present (persisting), first seen 45 days ago
+      ...results.issues.slice(0, 10).map((i) => ({
+        ...i,
+        firstSeenAt: new Date(Date.now() - 45 * 24 * 60 * 60 * 1000).toISOString(),
+        scanCount: 6,
+      })),
       // Some issues that got resolved (won't be in current)
       {
         code: 'oas3-schema',
@@ -255,19 +331,29 @@ async function main() {
         path: 'paths./users.post',
         category: 'Documentation',
       },
+      // Same finding before the path was renamed to /petCategories (moved)
+      {
+        code: 'bp-operation-tags',
+        message: 'GET /pet-categories has no tags.',
+        severity: 'Warning',
+        severityLevel: 1,
+        path: 'paths./pet-categories.get',
+        category: 'Structure',
+      },
     ],
   };
 
   // Run diff
   console.log('   Computing diff...');
   const diffEngine = new DiffEngine();
-  const diff = diffEngine.compare(results, previousScan);
+  const diff = diffEngine.compare(results, previousScan, { scannedAt: new Date().toISOString() });
 
   console.log(`\n   Diff Results:`);
   console.log(`   - Previous score: ${diff.previousScore} → Current score: ${diff.currentScore} (${diff.scoreChange > 0 ? '+' : ''}${diff.scoreChange})`);
   console.log(`   - Resolved issues: ${diff.resolvedIssues.length}`);
   console.log(`   - New issues: ${diff.newIssues.length}`);
   console.log(`   - Persisting issues: ${diff.persistingIssues.length}`);
+  console.log(`   - Moved issues: ${diff.movedIssues.length}`);
 
   if (diff.resolvedIssues.length > 0) {
     console.log('\n   Resolved:');
@@ -277,20 +363,111 @@ async function main() {
     console.log('\n   New:');
     diff.newIssues.forEach((i) => console.log(`     ● [${i.severity}] ${i.message}`));
   }
+  if (diff.movedIssues.length > 0) {
+    console.log('\n   Moved:');
+    diff.movedIssues.forEach(({ from, to }) => console.log(`     ↪ [${to.severity}] ${from.path} → ${to.path}`));
+  }
 
-  // Step 3: Generate PDF report with diff
-  console.log('\n3. Generating PDF report (with diff section)...');
-  const reportGen = new ReportGenerator();
-  const pdfBuffer = await reportGen.generate({
+  // Step 2a: Diff the contract against the previous version of the spec
+  console.log('\n2a. Diffing the contract against version 0.9.0 of the spec...');
+  const previousSpec = JSON.parse(JSON.stringify(mockApiSpec));
+  previousSpec.info.version = '0.9.0';
+  previousSpec.paths['/pets'].get.parameters = [
+    { name: 'status', in: 'query', schema: { type: 'string', enum: ['available', 'pending', 'sold'] } },
+  ];
+  previousSpec.paths['/pets/{petId}'].delete = { operationId: 'deletePet', responses: { 204: { description: 'Deleted' } } };
+  previousSpec.components.schemas.Pet.properties.status = { type: 'string' };
+  delete previousSpec.paths['/petCategories'];
+  const contractDiff = new ContractDiffEngine().compare(previousSpec, mockApiSpec);
+  console.log(`   - Breaking: ${contractDiff.summary.breaking}, non-breaking: ${contractDiff.summary.nonBreaking}`);
+  contractDiff.changes.forEach((c) => console.log(`     ${c.breaking ? '✗' : '·'} ${c.operation || c.path}: ${c.message}`));
+  const changelogGen = new ChangelogGenerator();
+  const changelog = changelogGen.build(previousSpec, mockApiSpec, contractDiff);
+
+  // Step 2b: Check the version bump (0.9.0 → 1.0.0) against the breaking changes
+  console.log('\n2b. Checking semantic versioning against 0.9.0...');
+  const semverFindings = new SemverComplianceCheck().check({
+    version: mockApiSpec.info.version,
+    previousVersion: previousSpec.info.version,
+    contractDiff,
+  });
+  engine.addFindings(results, semverFindings);
+  console.log(semverFindings.length === 0
+    ? '   - Compliant: breaking changes ship in a new major version'
+    : semverFindings.map((f) => `     ✗ ${f.ruleName}: ${f.message}`).join('\n'));
+
+  // Step 2c: Apply waivers for accepted exceptions (one active, one expired)
+  console.log('\n2c. Applying waivers...');
+  const waivers = new WaiverSet([
+    {
+      rule: 'bp-path-casing',
+      path: 'paths./petCategories',
+      justification: 'Public path used by partner integrations; renaming it is a breaking change',
+      approver: 'api-governance@example.com',
+      expires: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    },
+    {
+      rule: 'bp-error-responses',
+      justification: 'Error responses were to be added in the 0.9 release',
+      approver: 'api-governance@example.com',
+      expires: '2026-01-31',
+    },
+  ], 'local-test');
+  engine.applyWaivers(results, waivers);
+  console.log(`   - Waived: ${results.waivers.waived.length}, expired waivers: ${results.waivers.expired.length}, score: ${results.summary.score}`);
+
+  // Step 2d: Simulate the recent scan history for the Quality Trend page
+  const day = 24 * 60 * 60 * 1000;
+  const trend = [
+    { version: '0.9.0', score: 22, errors: 3, warnings: 14, info: 9 },
+    { version: '0.9.0', score: 26, errors: 3, warnings: 13, info: 8 },
+    { version: '0.9.0', score: 30, errors: 2, warnings: 12, info: 8 },
+    { version: '1.0.0', score: 41, errors: 2, warnings: 9, info: 7 },
+    { version: '1.0.0', score: 38, errors: 2, warnings: 10, info: 7 },
+  ].map((scan, i, scans) => ({ ...scan, scannedAt: new Date(Date.now() - (scans.length - i) * 2 * day).toISOString() }));
+  trend.push({ version: '1.0.0', scannedAt: new Date().toISOString(), ...results.summary });
+
+  // Step 2e: Check the findings' age against the remediation SLAs
+  console.log('\n2e. Checking remediation SLAs...');
+  const sla = new SlaPolicy(config.sla).evaluate(results.issues);
+  console.log(`   - ${sla.breached} finding(s) past their SLA: ${JSON.stringify(sla.bySeverity)}`);
+
+  // Step 3: Evaluate the quality gate
+  console.log('\n3. Evaluating quality gate (examples/quality-gate-policies.yaml)...');
+  const qualityGate = QualityGate.fromFile(path.join(__dirname, '..', 'examples', 'quality-gate-policies.yaml'));
+  const gateResult = qualityGate.evaluate(results, {
+    owner: 'test-organization',
+    apiName: 'Sample Pet Store API',
+    version: '1.0.0',
+    diff,
+    contractDiff,
+  });
+  results.summary.passedValidation = gateResult.passed;
+  console.log(`   Policy: ${gateResult.policy} → ${gateResult.passed ? 'PASSED' : 'FAILED'}`);
+  gateResult.failedConditions.forEach((c) => console.log(`     ✗ ${c.condition}: ${c.message}`));
+
+  // Step 4: Generate PDF, HTML and JSON reports with diff
+  console.log('\n4. Generating PDF, HTML and JSON reports (with diff section)...');
+  const reportData = {
     apiName: 'Sample Pet Store API',
     apiVersion: '1.0.0',
     owner: 'test-organization',
+    inventory: new InventoryAnalyzer().analyze(mockApiSpec),
     validationResults: results,
     diff,
+    contractDiff,
+    changelog,
+    trend,
+    sla,
+    gateResult,
     generatedAt: new Date().toISOString(),
-  });
+  };
+  const reportGen = new ReportGenerator();
+  const pdfBuffer = await reportGen.generate(reportData);
+  const htmlBuffer = new HtmlReportGenerator().generate(reportData);
+  const jsonBuffer = new JsonReportGenerator().generate(reportData);
 
-  // Step 4: Write to file
+  // Step 5: Write to file
   const outputDir = path.join(__dirname, '..', 'test-output');
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
@@ -301,6 +478,18 @@ async function main() {
   console.log(`\n   PDF written to: ${outputPath}`);
   console.log(`   File size: ${(pdfBuffer.length / 1024).toFixed(1)} KB`);
 
+  const htmlPath = path.join(outputDir, 'validation-report.html');
+  fs.writeFileSync(htmlPath, htmlBuffer);
+  console.log(`   HTML written to: ${htmlPath}`);
+
+  const jsonPath = path.join(outputDir, 'validation-report.json');
+  fs.writeFileSync(jsonPath, jsonBuffer);
+  console.log(`   JSON written to: ${jsonPath}`);
+
+  const changelogPath = path.join(outputDir, 'CHANGELOG.md');
+  fs.writeFileSync(changelogPath, changelogGen.toMarkdown(changelog, { generatedAt: reportData.generatedAt }));
+  console.log(`   Changelog written to: ${changelogPath}`);
+
   console.log('\n=== Test Complete ===');
 }
 
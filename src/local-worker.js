@@ -0,0 +1,48 @@
+/**
+ * Local Worker - Runs intake and worker against the in-memory queue
+ *
+ * Sends a webhook payload through the intake handler, then drains the
+ * in-memory job queue with the worker handler, the same path the Lambdas
+ * take in AWS. Needs SWAGGERHUB_API_KEY for a real API; JOB_QUEUE_URL must
+ * be unset so the in-memory queue is used.
+ *
+ * Usage: node src/local-worker.js <owner> <apiName> [version]
+ */
+
+const { handler } = require('./handler');
+const worker = require('./worker');
+const { createJobQueue } = require('./services/queue-service');
+const config = require('./config');
+
+async function main() {
+  const [owner, apiName, version = 'latest'] = process.argv.slice(2);
+  if (!owner || !apiName) {
+    console.error('Usage: node src/local-worker.js <owner> <apiName> [version]');
+    return 2;
+  }
+  if (config.queue.url) {
+    console.error('JOB_QUEUE_URL is set; unset it to run against the in-memory queue.');
+    return 2;
+  }
+
+  console.log('\n=== Local Worker ===\n');
+
+  // 1. Intake: a direct invocation skips HTTP authentication
+  const response = await handler({ owner, apiName, version, action: 'API_UPDATED' }, { awsRequestId: 'local-intake' });
+  console.log(`1. Intake responded ${response.statusCode}: ${response.body}`);
+  if (response.statusCode !== 202) return 1;
+
+  // 2. Worker: drain the queue, with retries and dead-lettering like SQS
+  const queue = createJobQueue(config.queue, config.aws);
+  const stats = await queue.drain(worker.handler);
+  console.log(`\n2. Worker finished: ${stats.processed} processed, ${stats.failed} failed attempt(s), ` +
+    `${stats.deadLettered} dead-lettered`);
+  queue.deadLetters.forEach((message) => console.log(`   ✗ ${message.body}`));
+
+  console.log('\n=== Done ===');
+  return stats.deadLettered > 0 ? 1 : 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,496 @@
+/**
+ * Validation Pipeline - Processes one validation job end to end
+ *
+ * Fetches the spec and standardization results from SwaggerHub, validates,
+ * diffs the API contract and findings against the baseline scan, checks the
+ * version bump against the predecessor version (semver), applies waivers
+ * for accepted exceptions, splits new from baseline debt, flags findings
+ * past their remediation SLA, evaluates the quality gate, generates and
+ * uploads the PDF/HTML/JSON reports and the Markdown changelog, notifies
+ * Teams and/or Slack and publishes metrics.
+ *
+ * Runs in the queue worker (worker.js); the webhook handler only enqueues jobs.
+ */
+
+const { SwaggerHubClient } = require('./services/swaggerhub-client');
+const { ValidationEngine } = require('./services/validation-engine');
+const { InventoryAnalyzer } = require('./services/inventory-analyzer');
+const { loadSpectralRulesetFromZip } = require('./services/rules/spectral-ruleset');
+const { ReportGenerator } = require('./services/report-generator');
+const { HtmlReportGenerator } = require('./services/html-report-generator');
+const { JsonReportGenerator } = require('./services/json-report-generator');
+const { S3Service } = require('./services/s3-service');
+const { NotificationService } = require('./services/notification-service');
+const { ScanHistoryService } = require('./services/scan-history-service');
+const { ScanComparisonService } = require('./services/scan-comparison-service');
+const { DiffEngine } = require('./services/diff-engine');
+const { ContractDiffEngine } = require('./services/contract-diff-engine');
+const { ChangelogGenerator } = require('./services/changelog-generator');
+const { SemverComplianceCheck } = require('./services/semver-compliance');
+const { QualityGate } = require('./services/quality-gate');
+const { MetricsService } = require('./services/metrics-service');
+const { IdempotencyService } = require('./services/idempotency-service');
+const { WaiverSet } = require('./services/waiver-set');
+const { DebtBaseline } = require('./services/debt-baseline');
+const { SlaPolicy } = require('./services/sla-policy');
+const config = require('./config');
+
+/**
+ * Run the validation pipeline for a job
+ * @param {object} job - Job from the intake handler ({ jobId, owner, apiName, version, action, ... })
+ * @param {object} log - Logger for the job
+ * @returns {Promise<object>} { reportUrl, htmlReportUrl, jsonReportUrl, changelogUrl, summary, gate },
+ *   or { skipped: true, reason, previousJobId } when the spec is unchanged since the last run
+ */
+async function runValidationPipeline(job, log) {
+  const pipelineStart = Date.now();
+
+  // Enrich logger with API context for all subsequent logs
+  const apiLog = log.child({
+    owner: job.owner,
+    apiName: job.apiName,
+    version: job.version,
+  });
+
+  // 1. Fetch the full API spec from SwaggerHub
+  const swaggerHubClient = new SwaggerHubClient(config.swaggerHub);
+  const apiSpec = await swaggerHubClient.fetchApiSpec(
+    job.owner,
+    job.apiName,
+    job.version
+  );
+  apiLog.info('spec.fetched');
+
+  // 1a. Skip specs that were already validated unchanged (unless forced or refreshing the debt baseline)
+  const idempotencyService = new IdempotencyService(config.aws);
+  const specHash = IdempotencyService.hashSpec(apiSpec);
+  const idempotencyKey = IdempotencyService.idempotencyKey(job, specHash);
+  if (config.queue.skipUnchangedSpecs && !job.force && !job.refreshDebtBaseline) {
+    const processed = await idempotencyService.findProcessed(job, idempotencyKey);
+    if (processed) {
+      return { skipped: true, reason: 'spec unchanged', previousJobId: processed.jobId };
+    }
+  }
+
+  // 1b. Count paths, operations, schemas etc. for the reports and metrics
+  let inventory = null;
+  try {
+    inventory = new InventoryAnalyzer().analyze(apiSpec);
+    apiLog.info('inventory.analyzed', {
+      openApiVersion: inventory.openApiVersion,
+      paths: inventory.paths,
+      operations: inventory.operations,
+      schemas: inventory.schemas,
+    });
+  } catch (error) {
+    apiLog.warn('inventory.failed', { errorMessage: error.message });
+  }
+
+  // 2. Fetch standardization errors from SwaggerHub & score them
+  // Plans without Standardization still get findings from the local rule engine
+  let standardizationData = { errors: [] };
+  try {
+    standardizationData = await swaggerHubClient.fetchStandardizationErrors(
+      job.owner,
+      job.apiName,
+      job.version
+    );
+    apiLog.info('standardization.fetched', {
+      errorCount: (standardizationData.errors || []).length,
+    });
+  } catch (error) {
+    // Only a missing Standardization falls back; a bad key or outage fails the job
+    if (!SwaggerHubClient.isStandardizationUnavailable(error)) throw error;
+    apiLog.warn('standardization.unavailable', { errorMessage: error.message });
+  }
+
+  // 2a. Validate, optionally with the organization's Spectral ruleset too
+  const validationEngine = await createValidationEngine(swaggerHubClient, apiLog);
+  const validationResults = await validationEngine.validate(standardizationData, apiSpec);
+  apiLog.info('validation.complete', {
+    score: validationResults.summary.score,
+    grade: validationResults.summary.grade,
+    totalIssues: validationResults.summary.totalIssues,
+    errors: validationResults.summary.errors,
+    warnings: validationResults.summary.warnings,
+    passed: validationResults.summary.passedValidation,
+  });
+
+  // 2b. Select the baseline scan. History is kept per version; the
+  // comparison mode decides whether that is this version's previous scan or
+  // the latest scan of an earlier version (see scan-comparison-service.js).
+  // Jobs for 'latest' are recorded under the version the spec declares.
+  const historyVersion = job.version === 'latest' && apiSpec.info?.version
+    ? String(apiSpec.info.version)
+    : job.version;
+  const s3Service = new S3Service(config.aws);
+  const scanHistoryService = new ScanHistoryService(config.aws);
+  const comparisonService = new ScanComparisonService({
+    scanHistory: scanHistoryService,
+    swaggerHubClient,
+  });
+
+  let comparison = null;
+  let ageSource; // undefined: ages carry over from the baseline
+  try {
+    const api = { owner: job.owner, apiName: job.apiName, version: historyVersion };
+    const baseline = job.baseline || config.history.baseline;
+    const mode = job.compareMode || config.history.compareMode;
+    comparison = await comparisonService.selectBaseline(api, {
+      mode,
+      baseline,
+      compareVersion: job.compareVersion || config.history.compareVersion,
+    });
+    if (!comparison.scan && baseline !== 'latest') {
+      apiLog.warn('diff.baseline-not-found', { baseline, baselineVersion: comparison.baselineVersion });
+    }
+    // Findings age from the latest scan, whichever scan the diff is against
+    ageSource = mode === 'auto' && (!baseline || baseline === 'latest')
+      ? comparison.scan
+      : await comparisonService.selectAgeSource(api);
+  } catch (error) {
+    apiLog.warn('diff.failed', { errorMessage: error.message });
+  }
+
+  // 2c. Diff the API contract against the spec of the baseline scan. Scans
+  // recorded before specs were kept fall back to SwaggerHub's current spec
+  // for other versions; the same version's old spec is gone. The changelog
+  // is written from the same diff.
+  let contractDiff = null;
+  let changelog = null;
+  try {
+    let baseSpec = comparison?.scan
+      ? await scanHistoryService.getSpec(job.owner, job.apiName, comparison.baselineVersion, comparison.scan.specHash)
+      : null;
+    if (!baseSpec && comparison?.scan && comparison.baselineVersion !== historyVersion) {
+      baseSpec = await swaggerHubClient.fetchApiSpec(job.owner, job.apiName, comparison.baselineVersion);
+    }
+    if (baseSpec) {
+      contractDiff = new ContractDiffEngine().compare(baseSpec, apiSpec);
+      apiLog.info('contract-diff.computed', {
+        baselineVersion: comparison.baselineVersion,
+        breaking: contractDiff.summary.breaking,
+        nonBreaking: contractDiff.summary.nonBreaking,
+      });
+      changelog = new ChangelogGenerator().build(baseSpec, apiSpec, contractDiff);
+    } else {
+      apiLog.info('contract-diff.skipped', { reason: 'no baseline spec' });
+    }
+  } catch (error) {
+    apiLog.warn('contract-diff.failed', { errorMessage: error.message });
+  }
+
+  // 2d. Check the version bump against the predecessor version's contract.
+  // Violations become "Versioning" findings, so they count towards the
+  // score, the diff and the gate like any other finding.
+  let previousVersion = null;
+  let predecessorDiff = null;
+  try {
+    previousVersion = await comparisonService.findPredecessor(job.owner, job.apiName, historyVersion);
+    if (previousVersion && contractDiff && comparison.baselineVersion === previousVersion) {
+      predecessorDiff = contractDiff;
+    } else if (previousVersion) {
+      const previousSpec = await swaggerHubClient.fetchApiSpec(job.owner, job.apiName, previousVersion);
+      predecessorDiff = new ContractDiffEngine().compare(previousSpec, apiSpec);
+    }
+  } catch (error) {
+    apiLog.warn('semver.predecessor-unavailable', { previousVersion, errorMessage: error.message });
+  }
+  const semverFindings = new SemverComplianceCheck().check({
+    version: historyVersion,
+    previousVersion,
+    contractDiff: predecessorDiff,
+  });
+  validationEngine.addFindings(validationResults, semverFindings);
+  apiLog.info('semver.checked', {
+    previousVersion,
+    breaking: predecessorDiff ? predecessorDiff.summary.breaking : null,
+    violations: semverFindings.map((finding) => finding.ruleName),
+  });
+
+  // 2e. Apply accepted exceptions: waived findings leave the score and the
+  // gate (the diff lists them separately); findings of expired waivers count again
+  const waivers = await loadWaivers(s3Service, job.owner, job.apiName, apiSpec, apiLog);
+  validationEngine.applyWaivers(validationResults, waivers);
+  if (waivers.size > 0 || waivers.invalid.length > 0) {
+    apiLog.info('waivers.applied', {
+      waived: validationResults.waivers.waived.length,
+      expired: validationResults.waivers.expired.map((waiver) => waiver.rule),
+      invalid: waivers.invalid.length,
+      score: validationResults.summary.score,
+    });
+  }
+
+  // 2f. Split the findings into new and baseline debt. The debt baseline is
+  // only taken or replaced on request ("refreshDebtBaseline").
+  let debt = null;
+  try {
+    let debtBaseline;
+    if (job.refreshDebtBaseline) {
+      debtBaseline = await scanHistoryService.saveDebtBaseline(DebtBaseline.snapshot(validationResults, {
+        owner: job.owner,
+        apiName: job.apiName,
+        version: historyVersion,
+        scanId: job.jobId,
+      }));
+      apiLog.info('debt-baseline.refreshed', { issueCount: debtBaseline.issues.length });
+    } else {
+      debtBaseline = await scanHistoryService.getDebtBaseline(job.owner, job.apiName);
+    }
+    if (debtBaseline) {
+      debt = DebtBaseline.compare(validationResults, debtBaseline, validationEngine);
+      apiLog.info('debt-baseline.compared', {
+        baselineCreatedAt: debt.baseline.createdAt,
+        newCount: debt.newIssues.length,
+        baselineCount: debt.baselineIssues.length,
+        resolvedCount: debt.resolvedIssues.length,
+      });
+    }
+  } catch (error) {
+    apiLog.warn('debt-baseline.failed', { errorMessage: error.message });
+  }
+
+  // 2g. Diff the findings against the baseline scan; this also carries each
+  // finding's age (firstSeenAt, scanCount) over from the latest scan
+  const scannedAt = new Date().toISOString();
+  let diff = null;
+  try {
+    if (comparison) {
+      diff = new DiffEngine().compare(validationResults, comparison.scan, {
+        comparisonMode: comparison.mode,
+        scannedAt,
+        ageSource,
+      });
+      apiLog.info('diff.computed', {
+        comparisonMode: diff.comparisonMode,
+        baselineVersion: comparison.baselineVersion,
+        baselineScanId: diff.baselineScanId,
+        resolvedCount: diff.resolvedIssues.length,
+        newCount: diff.newIssues.length,
+        persistingCount: diff.persistingIssues.length,
+        movedCount: diff.movedIssues.length,
+        waivedCount: diff.waivedIssues.length,
+        scoreChange: diff.scoreChange,
+        isFirstScan: diff.isFirstScan,
+      });
+    }
+  } catch (error) {
+    apiLog.warn('diff.failed', { errorMessage: error.message });
+  }
+
+  // 2h. Flag findings open longer than the remediation SLA for their severity
+  const sla = new SlaPolicy(config.sla).evaluate(validationResults.issues, scannedAt);
+  if (sla.breached > 0) {
+    apiLog.info('sla.breached', { breached: sla.breached, bySeverity: sla.bySeverity });
+  }
+
+  // 2i. Evaluate the quality gate policy for this API ('latest' jobs match
+  // policy version ranges with the version the spec declares)
+  const qualityGate = config.qualityGate.policyPath
+    ? QualityGate.fromFile(config.qualityGate.policyPath)
+    : new QualityGate();
+  const gateResult = qualityGate.evaluate(validationResults, {
+    owner: job.owner,
+    apiName: job.apiName,
+    version: historyVersion,
+    diff,
+    contractDiff,
+    debt,
+  });
+  validationResults.summary.passedValidation = gateResult.passed;
+  apiLog.info('quality-gate.evaluated', {
+    policy: gateResult.policy,
+    debtBaseline: gateResult.debtBaseline,
+    passed: gateResult.passed,
+    failedConditions: gateResult.failedConditions.map((c) => c.condition),
+  });
+
+  // 2j. Record the scan and its spec in the history (keyed by job ID) and apply retention
+  try {
+    await scanHistoryService.saveScan(
+      job.owner,
+      job.apiName,
+      historyVersion,
+      validationResults,
+      { scanId: job.jobId, spec: apiSpec, specHash }
+    );
+    apiLog.info('scan-history.saved', { scanId: job.jobId });
+    await scanHistoryService.prune(job.owner, job.apiName, historyVersion, {
+      maxScans: config.history.maxScans,
+      maxAgeDays: config.history.maxAgeDays,
+    });
+  } catch (error) {
+    apiLog.warn('scan-history.save-failed', { errorMessage: error.message });
+  }
+
+  // 2k. Load the recent scans across versions for the report's Quality Trend page
+  let trend = [];
+  if (config.history.trendScans > 0) {
+    try {
+      trend = await scanHistoryService.listTimeline(job.owner, job.apiName, { limit: config.history.trendScans });
+    } catch (error) {
+      apiLog.warn('trend.load-failed', { errorMessage: error.message });
+    }
+  }
+
+  // 3. Generate PDF, HTML and JSON reports (with diff if available)
+  const reportStart = Date.now();
+  const reportData = {
+    reportId: job.jobId,
+    apiName: job.apiName,
+    apiVersion: job.version,
+    owner: job.owner,
+    inventory,
+    validationResults,
+    diff,
+    contractDiff,
+    changelog,
+    trend,
+    debt,
+    sla,
+    gateResult,
+    generatedAt: new Date().toISOString(),
+  };
+  const reportGenerator = new ReportGenerator();
+  const pdfBuffer = await reportGenerator.generate(reportData);
+  const htmlReportBuffer = new HtmlReportGenerator().generate(reportData);
+  const jsonReportBuffer = new JsonReportGenerator().generate(reportData);
+  const reportGenTimeMs = Date.now() - reportStart;
+  apiLog.info('report.generated', {
+    sizeBytes: pdfBuffer.length,
+    htmlSizeBytes: htmlReportBuffer.length,
+    jsonSizeBytes: jsonReportBuffer.length,
+    durationMs: reportGenTimeMs,
+  });
+
+  // 4. Upload all reports to S3 side by side
+  const reportPrefix = `reports/${job.owner}/${job.apiName}/${job.version}/validation-report-${Date.now()}`;
+  const reportKey = `${reportPrefix}.pdf`;
+  const reportUrl = await s3Service.uploadReport(reportKey, pdfBuffer);
+  apiLog.info('report.uploaded', { reportKey });
+
+  // Served as text/html so the presigned link opens in the browser / Teams tab
+  const htmlReportKey = `${reportPrefix}.html`;
+  const htmlReportUrl = await s3Service.uploadReport(htmlReportKey, htmlReportBuffer, 'text/html; charset=utf-8');
+  apiLog.info('html-report.uploaded', { reportKey: htmlReportKey });
+
+  const jsonReportKey = `${reportPrefix}.json`;
+  const jsonReportUrl = await s3Service.uploadReport(jsonReportKey, jsonReportBuffer, 'application/json');
+  apiLog.info('json-report.uploaded', { reportKey: jsonReportKey });
+
+  let changelogUrl = null;
+  if (changelog) {
+    const changelogKey = `${reportPrefix}.changelog.md`;
+    const markdown = new ChangelogGenerator().toMarkdown(changelog, { generatedAt: reportData.generatedAt });
+    changelogUrl = await s3Service.uploadReport(changelogKey, Buffer.from(markdown), 'text/markdown; charset=utf-8');
+    apiLog.info('changelog.uploaded', { reportKey: changelogKey });
+  }
+
+  // 5. Notify the configured chat channels (Teams, Slack) with the report links
+  const notificationService = new NotificationService(config.notifications);
+  const notification = await notificationService.sendReport({
+    apiName: job.apiName,
+    apiVersion: job.version,
+    owner: job.owner,
+    reportUrl,
+    htmlReportUrl,
+    changelogUrl,
+    validationSummary: validationResults.summary,
+    diff,
+    contractDiff,
+    gateResult,
+  });
+  apiLog.info('notification.sent', {
+    channels: notification.sent,
+    failedChannels: notification.failed.map((f) => f.channel),
+  });
+
+  // 6. Publish CloudWatch metrics
+  const totalDurationMs = Date.now() - pipelineStart;
+  const metricsService = new MetricsService(config.aws);
+  try {
+    await metricsService.recordValidation({
+      owner: job.owner,
+      apiName: job.apiName,
+      version: job.version,
+      summary: validationResults.summary,
+      diff,
+      contractDiff,
+      inventory,
+      sla,
+      reportGenTimeMs,
+      totalDurationMs,
+    });
+    apiLog.info('metrics.published');
+  } catch (error) {
+    apiLog.warn('metrics.publish-failed', { errorMessage: error.message });
+  }
+
+  await idempotencyService.markProcessed(job, idempotencyKey, specHash);
+  apiLog.info('pipeline.complete', { totalDurationMs });
+
+  return {
+    reportUrl,
+    htmlReportUrl,
+    jsonReportUrl,
+    changelogUrl,
+    summary: validationResults.summary,
+    gate: gateResult,
+  };
+}
+
+/**
+ * Build the ValidationEngine from config, downloading the organization's
+ * Spectral ruleset from SwaggerHub when SPECTRAL_RULESET is set
+ * @param {object} swaggerHubClient - SwaggerHubClient
+ * @param {object} log - Logger
+ * @returns {Promise<ValidationEngine>}
+ */
+async function createValidationEngine(swaggerHubClient, log) {
+  let spectralRules = [];
+  if (config.validation.spectralRuleset) {
+    try {
+      const [rulesetOwner, rulesetName] = config.validation.spectralRuleset.split('/');
+      const rulesetZip = await swaggerHubClient.fetchSpectralRuleset(rulesetOwner, rulesetName);
+      spectralRules = loadSpectralRulesetFromZip(rulesetZip, config.validation.spectralRuleset);
+      log.info('spectral-ruleset.fetched', { ruleCount: spectralRules.length });
+    } catch (error) {
+      log.warn('spectral-ruleset.unavailable', { errorMessage: error.message });
+    }
+  }
+
+  return new ValidationEngine({
+    localRules: config.validation.includeBestPractices,
+    rulesetPath: config.validation.customRulesetPath,
+    spectralRulesetPath: config.validation.spectralRulesetPath,
+    additionalRules: spectralRules,
+    scoringProfilePath: config.validation.scoringProfilePath,
+  });
+}
+
+/**
+ * Load the waivers of an API: the per-API waiver file in the reports bucket
+ * (waivers/{owner}/{apiName}.yaml) plus the spec's `x-waivers`. An
+ * unreadable file is logged and skipped, so it never blocks a scan.
+ * @param {object} s3Service - S3Service
+ * @param {string} owner - API owner
+ * @param {string} apiName - API name
+ * @param {object} spec - The fetched spec
+ * @param {object} log - Logger
+ * @returns {Promise<WaiverSet>}
+ */
+async function loadWaivers(s3Service, owner, apiName, spec, log) {
+  const sets = [WaiverSet.fromSpec(spec)];
+  const key = `waivers/${owner}/${apiName}.yaml`;
+  try {
+    const raw = await s3Service.getText(key);
+    if (raw !== null) {
+      sets.push(WaiverSet.parse(raw, key));
+    }
+  } catch (error) {
+    log.warn('waivers.load-failed', { key, errorMessage: error.message });
+  }
+  return WaiverSet.merge(sets);
+}
+
+module.exports = { runValidationPipeline, createValidationEngine, loadWaivers };
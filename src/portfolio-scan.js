@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Run a portfolio scan on demand and write the rollup reports locally
+ *
+ * Validates every API of the given owners (default: PORTFOLIO_OWNERS) and
+ * writes portfolio-report.pdf and portfolio-report.json:
+ *
+ *   SWAGGERHUB_API_KEY=... npm run portfolio -- <owner> [owner...] [--out <dir>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { runPortfolioScan } = require('./portfolio');
+const { createLogger } = require('./services/logger');
+const config = require('./config');
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'portfolio-output' },
+    },
+  });
+  const owners = positionals.length > 0 ? positionals : config.portfolio.owners;
+  if (owners.length === 0) {
+    console.error('Usage: portfolio-scan <owner> [owner...] [--out <dir>]  (or set PORTFOLIO_OWNERS)');
+    return 2;
+  }
+  const outDir = path.resolve(values.out);
+
+  const { report, pdfBuffer, jsonBuffer } = await runPortfolioScan(owners, createLogger({ requestId: 'cli' }));
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const pdfPath = path.join(outDir, 'portfolio-report.pdf');
+  const jsonPath = path.join(outDir, 'portfolio-report.json');
+  fs.writeFileSync(pdfPath, pdfBuffer);
+  fs.writeFileSync(jsonPath, jsonBuffer);
+
+  const t = report.totals;
+  console.log(`\nPortfolio: ${owners.join(', ')}`);
+  console.log(`  APIs:     ${t.apis} (${t.scanned} scanned, ${t.scanErrors} not scanned)`);
+  console.log(`  Average:  ${t.averageScore ?? '–'}/100`);
+  console.log(`  Gate:     ${t.passed} passed, ${t.failed} failed`);
+  report.worstOffenders.slice(0, 5).forEach((api) => console.log(`            ${api.score} ${api.owner}/${api.apiName}@${api.version}`));
+  console.log(`  Wrote:    ${pdfPath}`);
+  console.log(`  Wrote:    ${jsonPath}`);
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,85 @@
+/**
+ * SwaggerHub Validation Report - Portfolio Scan Lambda
+ *
+ * Validates every API of the configured owners and uploads a rollup
+ * PDF/JSON report (see services/portfolio-scanner.js). Runs on the
+ * EventBridge schedule from the CDK stack, or on demand:
+ *
+ *   aws lambda invoke --function-name swaggerhub-validation-portfolio \
+ *     --payload '{"owners":["my-org"]}' out.json
+ *   npm run portfolio -- my-org [other-org] [--out ./portfolio-output]
+ *
+ * Owners come from the event's "owners" list, falling back to PORTFOLIO_OWNERS.
+ */
+
+const { SwaggerHubClient } = require('./services/swaggerhub-client');
+const { PortfolioScanner } = require('./services/portfolio-scanner');
+const { PortfolioReportGenerator } = require('./services/portfolio-report-generator');
+const { QualityGate } = require('./services/quality-gate');
+const { S3Service } = require('./services/s3-service');
+const { createLogger } = require('./services/logger');
+const { createValidationEngine, loadWaivers } = require('./pipeline');
+const config = require('./config');
+
+/**
+ * Scan the owners' APIs and build the portfolio report
+ * @param {Array<string>} owners - SwaggerHub owners
+ * @param {object} log - Logger
+ * @param {object} [options]
+ * @param {string} [options.reportId] - Report ID (random if omitted)
+ * @returns {Promise<object>} { report, pdfBuffer, jsonBuffer }
+ */
+async function runPortfolioScan(owners, log, { reportId } = {}) {
+  const swaggerHubClient = new SwaggerHubClient(config.swaggerHub);
+  const s3Service = new S3Service(config.aws);
+  const scanner = new PortfolioScanner({
+    swaggerHubClient,
+    validationEngine: await createValidationEngine(swaggerHubClient, log),
+    qualityGate: config.qualityGate.policyPath
+      ? QualityGate.fromFile(config.qualityGate.policyPath)
+      : new QualityGate(),
+    concurrency: config.portfolio.concurrency,
+    topCount: config.portfolio.topCount,
+    loadWaivers: (api, spec) => loadWaivers(s3Service, api.owner, api.apiName, spec, log),
+  });
+
+  const results = await scanner.scan(owners);
+  const report = scanner.rollup(results, { owners, reportId });
+  log.info('portfolio.scanned', report.totals);
+
+  const pdfBuffer = await new PortfolioReportGenerator().generate(report);
+  const jsonBuffer = Buffer.from(JSON.stringify(report, null, 2), 'utf-8');
+  return { report, pdfBuffer, jsonBuffer };
+}
+
+/**
+ * Scheduled / on-demand Lambda handler
+ * @returns {Promise<object>} { reportId, reportUrl, jsonReportUrl, totals }
+ */
+exports.handler = async (event, context) => {
+  const log = createLogger({ requestId: context?.awsRequestId || 'local' });
+  const owners = Array.isArray(event?.owners) && event.owners.length > 0 ? event.owners : config.portfolio.owners;
+  if (owners.length === 0) {
+    throw new Error('No owners to scan: set PORTFOLIO_OWNERS or invoke with {"owners": [...]}');
+  }
+  log.info('portfolio.started', { owners, trigger: event?.source === 'aws.events' ? 'schedule' : 'on-demand' });
+
+  const { report, pdfBuffer, jsonBuffer } = await runPortfolioScan(owners, log, {
+    reportId: context?.awsRequestId,
+  });
+
+  const s3Service = new S3Service(config.aws);
+  const reportPrefix = `portfolio/portfolio-report-${Date.now()}`;
+  const reportUrl = await s3Service.uploadReport(`${reportPrefix}.pdf`, pdfBuffer);
+  const jsonReportUrl = await s3Service.uploadReport(`${reportPrefix}.json`, jsonBuffer, 'application/json');
+  log.info('portfolio.uploaded', { reportKey: `${reportPrefix}.pdf` });
+
+  return {
+    reportId: report.report.id,
+    reportUrl,
+    jsonReportUrl,
+    totals: report.totals,
+  };
+};
+
+exports.runPortfolioScan = runPortfolioScan;
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Replay dead-lettered validation jobs
+ *
+ * Moves jobs from the dead-letter queue (JOB_DLQ_URL) back onto the job
+ * queue (JOB_QUEUE_URL) so the worker retries them. Fix the cause first
+ * (e.g. an expired SwaggerHub API key), then run:
+ *
+ *   JOB_QUEUE_URL=... JOB_DLQ_URL=... npm run replay-dlq -- [max-jobs]
+ */
+
+const { SqsQueue } = require('./services/queue-service');
+const config = require('./config');
+
+async function main() {
+  if (!config.queue.url || !config.queue.deadLetterUrl) {
+    console.error('Set JOB_QUEUE_URL and JOB_DLQ_URL (see the CDK stack outputs).');
+    return 2;
+  }
+
+  const maxMessages = parseInt(process.argv[2] || '100', 10);
+  const queue = new SqsQueue(config.queue, config.aws);
+  const replayed = await queue.replayDeadLetters({ maxMessages });
+  console.log(`Replayed ${replayed} job(s) from the dead-letter queue.`);
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
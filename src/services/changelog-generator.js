@@ -0,0 +1,131 @@
+/**
+ * Changelog Generator - Release notes between two versions of a spec
+ *
+ * Groups the ContractDiffEngine changes into the sections release notes are
+ * written in and renders them as Markdown:
+ *
+ * - Breaking changes  every change existing consumers have to act on
+ * - Added             new endpoints
+ * - Changed           everything else, grouped by endpoint
+ * - Deprecated        operations, parameters and properties newly marked deprecated
+ * - Removed           removed endpoints
+ *
+ * Endpoints of a path that was added or removed as a whole are listed one by
+ * one, with their summary from the spec.
+ */
+
+const { ContractDiffEngine } = require('./contract-diff-engine');
+const { getOperations } = require('./spec-utils');
+
+const ENDPOINT_TYPES = ['path-added', 'path-removed', 'operation-added', 'operation-removed'];
+
+class ChangelogGenerator {
+  /**
+   * Build the changelog
+   * @param {object} baseSpec - The earlier spec
+   * @param {object} currentSpec - The new spec
+   * @param {object} [contractDiff] - ContractDiffEngine result for the two specs (computed if omitted)
+   * @returns {object} { title, baseVersion, currentVersion, breaking, added, changed, deprecated, removed }
+   */
+  build(baseSpec, currentSpec, contractDiff = new ContractDiffEngine().compare(baseSpec, currentSpec)) {
+    const { changes } = contractDiff;
+
+    const changed = new Map();
+    changes
+      .filter((change) => !ENDPOINT_TYPES.includes(change.type) && !change.type.endsWith('-deprecated'))
+      .forEach((change) => {
+        const endpoint = change.operation || change.path;
+        if (!changed.has(endpoint)) changed.set(endpoint, []);
+        changed.get(endpoint).push(change);
+      });
+
+    return {
+      title: currentSpec?.info?.title || baseSpec?.info?.title || null,
+      baseVersion: contractDiff.baseVersion,
+      currentVersion: contractDiff.currentVersion,
+      breaking: changes.filter((change) => change.breaking),
+      added: this._endpoints(currentSpec, changes, 'added'),
+      changed: [...changed].map(([endpoint, endpointChanges]) => ({ endpoint, changes: endpointChanges })),
+      deprecated: changes.filter((change) => change.type.endsWith('-deprecated')),
+      removed: this._endpoints(baseSpec, changes, 'removed'),
+    };
+  }
+
+  /**
+   * Render a changelog as Markdown
+   * @param {object} changelog - Result of build()
+   * @param {object} [options]
+   * @param {string} [options.generatedAt] - ISO timestamp shown under the heading
+   * @returns {string} Markdown document
+   */
+  toMarkdown(changelog, { generatedAt } = {}) {
+    const lines = [
+      `# ${changelog.title || 'API'} ${changelog.currentVersion || ''}`.trimEnd(),
+      '',
+      `Changes since version ${changelog.baseVersion || 'unknown'}${generatedAt ? ` (generated ${generatedAt.slice(0, 10)})` : ''}.`,
+    ];
+
+    if (ChangelogGenerator.isEmpty(changelog)) {
+      lines.push('', 'The API contract is unchanged.');
+      return `${lines.join('\n')}\n`;
+    }
+
+    const section = (title, items) => {
+      if (items.length > 0) lines.push('', `## ${title}`, '', ...items);
+    };
+    const endpoint = ({ operation, summary }) => `- \`${operation}\`${summary ? ` — ${escape(summary)}` : ''}`;
+    const change = ({ operation, path, message }) => `- \`${operation || path}\`: ${escape(message)}`;
+
+    section('⚠️ Breaking changes', changelog.breaking.map(change));
+    section('Added', changelog.added.map(endpoint));
+    section('Changed', changelog.changed.flatMap(({ endpoint: name, changes }) => [
+      `- \`${name}\``,
+      ...changes.map(({ message, breaking }) => `  - ${escape(message)}${breaking ? ' **(breaking)**' : ''}`),
+    ]));
+    section('Deprecated', changelog.deprecated.map(change));
+    section('Removed', changelog.removed.map(endpoint));
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Whether a changelog has no entries at all
+   */
+  static isEmpty(changelog) {
+    return ['added', 'changed', 'deprecated', 'removed']
+      .every((section) => changelog[section].length === 0);
+  }
+
+  /**
+   * Endpoints added or removed, with whole paths expanded to their operations
+   * (looked up in the spec that has them)
+   */
+  _endpoints(spec, changes, kind) {
+    const operations = getOperations(spec);
+    const summaryOf = (operation) => operation.summary || operation.operationId || null;
+
+    return changes
+      .filter((change) => change.type === `path-${kind}` || change.type === `operation-${kind}`)
+      .flatMap((change) => {
+        if (change.operation) {
+          const match = operations.find(({ path, method }) => `${method.toUpperCase()} ${path}` === change.operation);
+          return [{ operation: change.operation, summary: match ? summaryOf(match.operation) : null }];
+        }
+        const pathOperations = operations.filter(({ path }) => path === change.path);
+        if (pathOperations.length === 0) return [{ operation: change.path, summary: null }];
+        return pathOperations.map(({ path, method, operation }) => ({
+          operation: `${method.toUpperCase()} ${path}`,
+          summary: summaryOf(operation),
+        }));
+      });
+  }
+}
+
+/**
+ * Escape characters Markdown would treat as formatting (e.g. wildcard media types)
+ */
+function escape(text) {
+  return String(text).replace(/[\\`*_[\]<>|]/g, '\\$&');
+}
+
+module.exports = { ChangelogGenerator };
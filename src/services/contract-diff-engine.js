@@ -0,0 +1,445 @@
+/**
+ * Contract Diff Engine - Compares the API contract of two spec versions
+ *
+ * DiffEngine compares lint findings; this compares the specs themselves and
+ * classifies every change as breaking or non-breaking for existing consumers:
+ *
+ * - Paths and operations: removed → breaking, added → non-breaking
+ * - Parameters: removed, added as required or made required → breaking
+ * - Request and response bodies: media types, properties, required fields,
+ *   types and enums. Requests may only get more permissive and responses
+ *   only more specific, e.g. a narrowed request enum or a removed response
+ *   property is breaking, a widened request enum is not.
+ * - Response codes: removed → breaking
+ * - Security requirements: removing an accepted scheme or securing an open
+ *   operation (including dropping the anonymous `{}` alternative) → breaking
+ * - Deprecations of operations, parameters and properties → non-breaking
+ *
+ * Paths are matched with their template parameters ignored, and path
+ * parameters by their position in the template, so renaming /pets/{id} to
+ * /pets/{petId} is not a change. Works with Swagger 2.0 and OpenAPI 3.x.
+ */
+
+const { HTTP_METHODS, isOas3, resolveRef } = require('./spec-utils');
+
+// Schemas are compared this deep; deeper (usually recursive) structures are skipped
+const MAX_SCHEMA_DEPTH = 12;
+
+// A `{}` security requirement: the operation may be called without credentials
+const ANONYMOUS = '{}';
+
+class ContractDiffEngine {
+  /**
+   * Compare two versions of a spec
+   * @param {object} baseSpec - The spec consumers currently rely on
+   * @param {object} currentSpec - The new spec
+   * @returns {object} { baseVersion, currentVersion, summary: { total, breaking, nonBreaking }, changes }
+   */
+  compare(baseSpec, currentSpec) {
+    this.base = baseSpec;
+    this.current = currentSpec;
+    this.changes = [];
+
+    const basePaths = this._pathMap(baseSpec);
+    const currentPaths = this._pathMap(currentSpec);
+
+    for (const [key, { path, pathItem }] of basePaths) {
+      if (!currentPaths.has(key)) {
+        this._add('path-removed', true, { path }, `Path ${path} was removed`);
+        continue;
+      }
+      const current = currentPaths.get(key);
+      this._comparePathItem(path, pathItem, current.path, current.pathItem);
+    }
+    for (const [key, { path }] of currentPaths) {
+      if (!basePaths.has(key)) {
+        this._add('path-added', false, { path }, `Path ${path} was added`);
+      }
+    }
+
+    const breaking = this.changes.filter((change) => change.breaking).length;
+    return {
+      baseVersion: baseSpec?.info?.version ?? null,
+      currentVersion: currentSpec?.info?.version ?? null,
+      summary: {
+        total: this.changes.length,
+        breaking,
+        nonBreaking: this.changes.length - breaking,
+      },
+      changes: this.changes,
+    };
+  }
+
+  _pathMap(spec) {
+    return new Map(Object.entries(spec?.paths || {})
+      .filter(([, pathItem]) => pathItem && typeof pathItem === 'object')
+      .map(([path, pathItem]) => [path.replace(/\{[^}]*\}/g, '{}'), { path, pathItem }]));
+  }
+
+  _comparePathItem(path, basePathItem, currentPath, currentPathItem) {
+    for (const method of HTTP_METHODS) {
+      const baseOp = basePathItem[method];
+      const currentOp = currentPathItem[method];
+      const where = { path, method };
+
+      if (baseOp && !currentOp) {
+        this._add('operation-removed', true, where, `Operation ${method.toUpperCase()} ${path} was removed`);
+      } else if (!baseOp && currentOp) {
+        this._add('operation-added', false, where, `Operation ${method.toUpperCase()} ${path} was added`);
+      } else if (baseOp && currentOp) {
+        if (!baseOp.deprecated && currentOp.deprecated) {
+          this._add('operation-deprecated', false, where, `Operation ${method.toUpperCase()} ${path} is now deprecated`);
+        }
+        this._compareParameters(where, this._parameters(this.base, path, basePathItem, baseOp),
+          this._parameters(this.current, currentPath, currentPathItem, currentOp));
+        this._compareRequestBody(where, this._requestBody(this.base, basePathItem, baseOp),
+          this._requestBody(this.current, currentPathItem, currentOp));
+        this._compareResponses(where, baseOp.responses || {}, currentOp.responses || {});
+        this._compareSecurity(where, baseOp, currentOp);
+      }
+    }
+  }
+
+  // --- Parameters ---------------------------------------------------------
+
+  /**
+   * Effective non-body parameters of an operation, keyed by "in:name"
+   * (operation-level parameters override path-level ones). Path parameters
+   * are keyed by their position in the template instead ("path:#0"), since
+   * /pets/{id} and /pets/{petId} are the same path.
+   */
+  _parameters(spec, path, pathItem, operation) {
+    const templateNames = [...path.matchAll(/\{([^}]*)\}/g)].map((match) => match[1]);
+    const keyOf = (param) => {
+      const position = param.in === 'path' ? templateNames.indexOf(param.name) : -1;
+      return position >= 0 ? `path:#${position}` : `${param.in}:${param.name}`;
+    };
+
+    const params = new Map();
+    [...(pathItem.parameters || []), ...(operation.parameters || [])]
+      .map((param) => this._resolve(spec, param))
+      .filter((param) => param && param.in && param.in !== 'body')
+      .forEach((param) => params.set(keyOf(param), param));
+    return params;
+  }
+
+  _compareParameters(where, baseParams, currentParams) {
+    for (const [key, baseParam] of baseParams) {
+      const label = `${baseParam.in} parameter "${baseParam.name}"`;
+      const currentParam = currentParams.get(key);
+      if (!currentParam) {
+        this._add('parameter-removed', true, where, `The ${label} was removed`, label);
+        continue;
+      }
+      if (!baseParam.required && currentParam.required) {
+        this._add('parameter-required', true, where, `The ${label} is now required`, label);
+      } else if (baseParam.required && !currentParam.required) {
+        this._add('parameter-optional', false, where, `The ${label} is now optional`, label);
+      }
+      if (!baseParam.deprecated && currentParam.deprecated) {
+        this._add('parameter-deprecated', false, where, `The ${label} is now deprecated`, label);
+      }
+      // Swagger 2.0 non-body parameters carry type/enum/items themselves
+      this._compareSchema(where, label, baseParam.schema || baseParam, currentParam.schema || currentParam, 'request');
+    }
+
+    for (const [key, currentParam] of currentParams) {
+      if (baseParams.has(key)) continue;
+      const label = `${currentParam.in} parameter "${currentParam.name}"`;
+      if (currentParam.required) {
+        this._add('parameter-added', true, where, `A required ${label} was added`, label);
+      } else {
+        this._add('parameter-added', false, where, `An optional ${label} was added`, label);
+      }
+    }
+  }
+
+  // --- Request body -------------------------------------------------------
+
+  /**
+   * Normalize the request body to { required, content: { mediaType: schema } }
+   */
+  _requestBody(spec, pathItem, operation) {
+    if (isOas3(spec)) {
+      const body = this._resolve(spec, operation.requestBody);
+      if (!body) return null;
+      return { required: !!body.required, content: this._content(body.content) };
+    }
+
+    const bodyParam = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+      .map((param) => this._resolve(spec, param))
+      .find((param) => param && param.in === 'body');
+    if (!bodyParam) return null;
+    const mediaTypes = operation.consumes || spec.consumes || ['application/json'];
+    return {
+      required: !!bodyParam.required,
+      content: Object.fromEntries(mediaTypes.map((mediaType) => [mediaType, bodyParam.schema || {}])),
+    };
+  }
+
+  _compareRequestBody(where, baseBody, currentBody) {
+    const label = 'request body';
+    if (!baseBody && !currentBody) return;
+    if (baseBody && !currentBody) {
+      this._add('request-body-removed', true, where, 'The request body was removed', label);
+      return;
+    }
+    if (!baseBody) {
+      this._add('request-body-added', !!currentBody.required, where,
+        `${currentBody.required ? 'A required' : 'An optional'} request body was added`, label);
+      return;
+    }
+
+    if (!baseBody.required && currentBody.required) {
+      this._add('request-body-required', true, where, 'The request body is now required', label);
+    }
+    this._compareContent(where, label, baseBody.content, currentBody.content, 'request');
+  }
+
+  // --- Responses ----------------------------------------------------------
+
+  _compareResponses(where, baseResponses, currentResponses) {
+    for (const [code, baseResponse] of Object.entries(baseResponses)) {
+      const label = `response ${code}`;
+      if (!(code in currentResponses)) {
+        this._add('response-removed', true, where, `Response ${code} was removed`, label);
+        continue;
+      }
+      this._compareContent(where, label,
+        this._responseContent(this.base, baseResponse),
+        this._responseContent(this.current, currentResponses[code]),
+        'response');
+    }
+
+    for (const code of Object.keys(currentResponses)) {
+      if (!(code in baseResponses)) {
+        this._add('response-added', false, where, `Response ${code} was added`, `response ${code}`);
+      }
+    }
+  }
+
+  _responseContent(spec, response) {
+    const resolved = this._resolve(spec, response) || {};
+    if (isOas3(spec)) return this._content(resolved.content);
+    return resolved.schema ? { '*/*': resolved.schema } : {};
+  }
+
+  _content(content) {
+    return Object.fromEntries(Object.entries(content || {}).map(([mediaType, media]) => [mediaType, media?.schema || {}]));
+  }
+
+  _compareContent(where, label, baseContent, currentContent, direction) {
+    for (const [mediaType, baseSchema] of Object.entries(baseContent)) {
+      if (!(mediaType in currentContent)) {
+        this._add('media-type-removed', true, where, `The ${label} no longer supports ${mediaType}`, label);
+        continue;
+      }
+      this._compareSchema(where, label, baseSchema, currentContent[mediaType], direction);
+    }
+    for (const mediaType of Object.keys(currentContent)) {
+      if (!(mediaType in baseContent)) {
+        this._add('media-type-added', false, where, `The ${label} now supports ${mediaType}`, label);
+      }
+    }
+  }
+
+  // --- Schemas ------------------------------------------------------------
+
+  /**
+   * Compare two schemas. direction is 'request' (data consumers send) or
+   * 'response' (data consumers receive), which decides what is breaking.
+   */
+  _compareSchema(where, location, baseSchema, currentSchema, direction, depth = 0, seen = new Set()) {
+    if (depth > MAX_SCHEMA_DEPTH) return;
+
+    // Stop at recursive schemas: a pair of $refs is only compared once per path
+    const refPair = `${baseSchema?.$ref || ''}|${currentSchema?.$ref || ''}`;
+    if (refPair !== '|') {
+      if (seen.has(refPair)) return;
+      seen = new Set(seen).add(refPair);
+    }
+
+    const base = this._flatten(this.base, baseSchema);
+    const current = this._flatten(this.current, currentSchema);
+    const isRequest = direction === 'request';
+
+    const baseType = this._typeOf(base);
+    const currentType = this._typeOf(current);
+    if (baseType && currentType && baseType !== currentType) {
+      // integer → number accepts more (fine for requests); number → integer returns less (fine for responses)
+      const harmless = isRequest
+        ? baseType === 'integer' && currentType === 'number'
+        : baseType === 'number' && currentType === 'integer';
+      this._add('type-changed', !harmless, where, `The type of ${location} changed from ${baseType} to ${currentType}`, location);
+      return;
+    }
+
+    this._compareEnum(where, location, base.enum, current.enum, isRequest);
+
+    const baseProps = base.properties || {};
+    const currentProps = current.properties || {};
+    // Swagger 2.0 parameters use a boolean "required", which isn't a property list
+    const baseRequired = new Set(Array.isArray(base.required) ? base.required : []);
+    const currentRequired = new Set(Array.isArray(current.required) ? current.required : []);
+
+    for (const [name, baseProp] of Object.entries(baseProps)) {
+      const propLocation = `${location} › ${name}`;
+      if (!(name in currentProps)) {
+        this._add('property-removed', !isRequest, where, `The property ${propLocation} was removed`, propLocation);
+        continue;
+      }
+      if (!baseRequired.has(name) && currentRequired.has(name)) {
+        this._add('property-required', isRequest, where, `The property ${propLocation} is now required`, propLocation);
+      } else if (baseRequired.has(name) && !currentRequired.has(name)) {
+        this._add('property-optional', !isRequest, where, `The property ${propLocation} is now optional`, propLocation);
+      }
+      if (!this._flatten(this.base, baseProp).deprecated && this._flatten(this.current, currentProps[name]).deprecated) {
+        this._add('property-deprecated', false, where, `The property ${propLocation} is now deprecated`, propLocation);
+      }
+      this._compareSchema(where, propLocation, baseProp, currentProps[name], direction, depth + 1, seen);
+    }
+
+    for (const name of Object.keys(currentProps)) {
+      if (name in baseProps) continue;
+      const propLocation = `${location} › ${name}`;
+      const required = currentRequired.has(name);
+      this._add('property-added', isRequest && required, where,
+        `${required ? 'A required' : 'An optional'} property ${propLocation} was added`, propLocation);
+    }
+
+    if (base.items && current.items) {
+      this._compareSchema(where, `${location}[]`, base.items, current.items, direction, depth + 1, seen);
+    }
+  }
+
+  _compareEnum(where, location, baseEnum, currentEnum, isRequest) {
+    if (!Array.isArray(baseEnum) && !Array.isArray(currentEnum)) return;
+
+    // No enum means any value, so adding one narrows and dropping one widens
+    if (!Array.isArray(baseEnum)) {
+      this._add('enum-narrowed', isRequest, where,
+        `${location} is now restricted to ${currentEnum.map((value) => JSON.stringify(value)).join(', ')}`, location);
+      return;
+    }
+    if (!Array.isArray(currentEnum)) {
+      this._add('enum-widened', !isRequest, where, `${location} is no longer restricted to a list of values`, location);
+      return;
+    }
+
+    const key = (value) => JSON.stringify(value);
+    const baseValues = new Set(baseEnum.map(key));
+    const currentValues = new Set(currentEnum.map(key));
+    const removed = [...baseValues].filter((value) => !currentValues.has(value));
+    const added = [...currentValues].filter((value) => !baseValues.has(value));
+
+    if (removed.length > 0) {
+      this._add('enum-narrowed', isRequest, where,
+        `The allowed values of ${location} were narrowed (removed ${removed.join(', ')})`, location);
+    }
+    if (added.length > 0) {
+      this._add('enum-widened', !isRequest, where,
+        `The allowed values of ${location} were widened (added ${added.join(', ')})`, location);
+    }
+  }
+
+  /**
+   * Resolve $refs and merge allOf members into one schema
+   */
+  _flatten(spec, schema, depth = 0) {
+    const resolved = this._resolve(spec, schema) || {};
+    if (!Array.isArray(resolved.allOf) || depth > MAX_SCHEMA_DEPTH) return resolved;
+
+    const requiredOf = (schema) => (Array.isArray(schema.required) ? schema.required : []);
+    const merged = { ...resolved, properties: { ...(resolved.properties || {}) }, required: requiredOf(resolved) };
+    for (const member of resolved.allOf) {
+      const part = this._flatten(spec, member, depth + 1);
+      Object.assign(merged.properties, part.properties || {});
+      merged.required.push(...requiredOf(part));
+      if (!merged.type && part.type) merged.type = part.type;
+    }
+    delete merged.allOf;
+    return merged;
+  }
+
+  _typeOf(schema) {
+    if (Array.isArray(schema.type)) return [...schema.type].sort().join('|');
+    return schema.type || (schema.properties ? 'object' : null);
+  }
+
+  // --- Security -----------------------------------------------------------
+
+  /**
+   * Security requirements are alternatives: a client satisfying any one of
+   * them is accepted, so removing one locks out its clients.
+   */
+  _compareSecurity(where, baseOp, currentOp) {
+    const baseReqs = this._security(this.base, baseOp);
+    const currentReqs = this._security(this.current, currentOp);
+    const label = 'security';
+
+    // Open: no requirements at all, or `{}` among the alternatives
+    const baseOpen = baseReqs.size === 0 || baseReqs.has(ANONYMOUS);
+    const currentOpen = currentReqs.size === 0 || currentReqs.has(ANONYMOUS);
+    const named = (reqs) => [...reqs].filter((requirement) => requirement !== ANONYMOUS);
+
+    if (baseOpen && !currentOpen) {
+      this._add('security-added', true, where, `Security is now required (${named(currentReqs).join(' or ')})`, label);
+      return;
+    }
+    if (!baseOpen && currentOpen) {
+      this._add('security-removed', false, where, 'Security is no longer required', label);
+      return;
+    }
+
+    // While anonymous access stays, no client depends on a particular scheme
+    for (const requirement of named(baseReqs)) {
+      if (!currentReqs.has(requirement)) {
+        this._add('security-changed', !currentOpen, where, `The security requirement ${requirement} is no longer accepted`, label);
+      }
+    }
+    for (const requirement of named(currentReqs)) {
+      if (!baseReqs.has(requirement)) {
+        this._add('security-changed', false, where, `The security requirement ${requirement} is now also accepted`, label);
+      }
+    }
+  }
+
+  /**
+   * Effective requirements as strings, e.g. "oauth2[read,write]+apiKey";
+   * `{}` (anonymous access) is kept as ANONYMOUS
+   */
+  _security(spec, operation) {
+    const requirements = operation.security || spec?.security || [];
+    return new Set(requirements
+      .filter((requirement) => requirement && typeof requirement === 'object')
+      .map((requirement) => (Object.keys(requirement).length === 0
+        ? ANONYMOUS
+        : Object.entries(requirement)
+          .map(([scheme, scopes]) => (scopes && scopes.length > 0 ? `${scheme}[${[...scopes].sort().join(',')}]` : scheme))
+          .sort()
+          .join('+'))));
+  }
+
+  // --- Helpers ------------------------------------------------------------
+
+  _resolve(spec, node) {
+    let resolved = node;
+    for (let hops = 0; resolved && resolved.$ref && hops < 10; hops++) {
+      resolved = resolveRef(spec, resolved.$ref);
+    }
+    return resolved;
+  }
+
+  _add(type, breaking, { path, method }, message, location = null) {
+    this.changes.push({
+      type,
+      breaking,
+      operation: method ? `${method.toUpperCase()} ${path}` : null,
+      path,
+      location,
+      message,
+    });
+  }
+}
+
+module.exports = { ContractDiffEngine };
@@ -0,0 +1,70 @@
+/**
+ * Debt Baseline - Accepted findings of a legacy API, so only new ones fail
+ *
+ * A debt baseline is a snapshot of an API's findings at one point in time,
+ * taken on request (the "refreshDebtBaseline" job flag or the CLI's
+ * --update-debt-baseline). Later scans are diffed against it with the
+ * DiffEngine: findings present in the snapshot are baseline debt, the rest
+ * are new debt. Quality gate policies with `debtBaseline: true` evaluate
+ * their conditions on the new debt only (see quality-gate.js).
+ *
+ * The snapshot is kept per API, across versions, next to the scan history
+ * (see ScanHistoryService.getDebtBaseline), so a new version doesn't start
+ * with all of its legacy findings counted as new.
+ */
+
+const { DiffEngine } = require('./diff-engine');
+
+class DebtBaseline {
+  /**
+   * Snapshot the current findings as accepted debt
+   * @param {object} validationResults - Results from ValidationEngine (after waivers)
+   * @param {object} params
+   * @param {string} params.owner - API owner
+   * @param {string} params.apiName - API name
+   * @param {string} params.version - API version the snapshot was taken of
+   * @param {string} [params.scanId] - Scan the snapshot was taken from
+   * @param {string} [params.createdAt] - ISO timestamp
+   * @returns {object} Debt baseline record
+   */
+  static snapshot(validationResults, { owner, apiName, version, scanId = null, createdAt = new Date().toISOString() }) {
+    return {
+      owner,
+      apiName,
+      version,
+      scanId,
+      createdAt,
+      summary: validationResults.summary,
+      issues: validationResults.issues,
+    };
+  }
+
+  /**
+   * Split the current findings into new and baseline debt
+   * @param {object} validationResults - Results from ValidationEngine (after waivers)
+   * @param {object} baseline - Debt baseline record
+   * @param {object} validationEngine - ValidationEngine, to summarize and score the new debt
+   * @returns {object} { baseline: { version, scanId, createdAt }, newIssues, baselineIssues, resolvedIssues, newSummary }
+   */
+  static compare(validationResults, baseline, validationEngine) {
+    const diff = new DiffEngine().compare(validationResults, {
+      ...baseline,
+      scannedAt: baseline.createdAt,
+    }, { comparisonMode: 'debt-baseline' });
+
+    return {
+      baseline: {
+        version: baseline.version,
+        scanId: baseline.scanId || null,
+        createdAt: baseline.createdAt,
+      },
+      newIssues: diff.newIssues,
+      // A baseline finding whose spec node was renamed or moved is still baseline debt
+      baselineIssues: [...diff.persistingIssues, ...diff.movedIssues.map((move) => move.to)],
+      resolvedIssues: diff.resolvedIssues,
+      newSummary: validationEngine.summarize(diff.newIssues),
+    };
+  }
+}
+
+module.exports = { DebtBaseline };
@@ -4,30 +4,82 @@
  * Produces a structured diff showing:
  * - New issues introduced since the last scan
  * - Issues resolved since the last scan
+ * - Issues that moved (same finding, renamed or relocated spec node)
+ * - Issues waived since the last scan
  * - Score change (delta)
  * - Summary comparison
+ *
+ * Issues are matched by fingerprint first (see issue-fingerprint.js). The
+ * leftovers are paired up fuzzily: same rule code and either the same spec
+ * fragment hash or a similar path and message. Those pairs are "moved"
+ * rather than one resolved and one new issue. Comparing paths and messages
+ * is bounded (MAX_MOVE_COMPARISONS): past that, a rule's leftovers only pair
+ * up by fragment hash, and the rest count as resolved and new.
+ *
+ * Waived findings (validationResults.waivers.waived, and a scan's
+ * `waivedIssues`) take part in the matching, so adding a waiver doesn't
+ * report its findings as resolved, and an expired waiver doesn't report
+ * them as new. Findings waived since the baseline get their own bucket.
+ *
+ * Given the time of the current scan, compare() also stamps each current
+ * issue, waived or not, with its age: `firstSeenAt` and `scanCount` carry
+ * over from the matched issue of the scan right before this one, so they
+ * follow a finding across the history. That scan is the baseline unless an
+ * `ageSource` is given, e.g. when diffing against an older pinned scan.
+ *
+ * The previous scan can be any scan from the history, including a scan of
+ * another version (see ScanComparisonService), not only the most recent one.
  */
 
+const { normalizePath, normalizeMessage, fingerprintIssues } = require('./issue-fingerprint');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'diff-engine' });
+
+// Minimum similarity (0-1) of path and message for a fuzzy "moved" match
+const MOVE_SIMILARITY = 0.8;
+// Findings without a location only have their message to go by
+const MOVE_MESSAGE_SIMILARITY = 0.9;
+// Fuzzy comparisons per diff (pairs of leftover findings with the same rule),
+// so a large refactor can't keep the worker busy until it times out
+const MAX_MOVE_COMPARISONS = 10000;
+
 class DiffEngine {
   /**
    * Compare current validation results against a previous scan
-   * @param {object} currentResults - Current validation results (from ValidationEngine)
-   * @param {object} previousScan - Previous scan data (from ScanHistoryService), or null
+   * @param {object} currentResults - Current validation results (from ValidationEngine), or a scan record
+   * @param {object} previousScan - Baseline scan data (from ScanHistoryService), or null
+   * @param {object} [options]
+   * @param {string} [options.comparisonMode='same-version'] - How the baseline was chosen (see ScanComparisonService)
+   * @param {string} [options.scannedAt] - Time of the current scan (ISO); when given, the current
+   *   issues get `firstSeenAt` and `scanCount` (updated in place)
+   * @param {object} [options.ageSource] - Scan to carry the age over from (default: previousScan;
+   *   null when there is none)
    * @returns {object} Diff report
    */
-  compare(currentResults, previousScan) {
+  compare(currentResults, previousScan, { comparisonMode = 'same-version', scannedAt = null, ageSource } = {}) {
+    const currWaived = currentResults.waivers?.waived || currentResults.waivedIssues || [];
+    const currIssues = [...(currentResults.issues || []), ...currWaived];
+    const ageScan = ageSource === undefined ? previousScan : ageSource;
+
     // If there's no previous scan, this is the first run
     if (!previousScan) {
+      if (scannedAt) this._trackAge(currIssues, ageScan, this._match(this._scanIssues(ageScan), currIssues).matches, scannedAt);
       return {
         isFirstScan: true,
+        comparisonMode,
+        baselineScanId: null,
         previousVersion: null,
         previousScannedAt: null,
         scoreChange: 0,
         previousScore: null,
         currentScore: currentResults.summary.score,
+        scoringProfileChanged: false,
         newIssues: [],
         resolvedIssues: [],
         persistingIssues: [],
+        movedIssues: [],
+        waivedIssues: [],
         summaryDelta: {
           totalIssues: 0,
           errors: 0,
@@ -37,51 +89,37 @@ class DiffEngine {
       };
     }
 
-    const prevIssues = previousScan.issues || [];
-    const currIssues = currentResults.issues || [];
+    const prevWaived = new Set(previousScan.waivedIssues || []);
+    const isWaived = new Set(currWaived);
     const prevSummary = previousScan.summary || {};
     const currSummary = currentResults.summary || {};
 
-    // Build fingerprints for matching issues
-    // An issue is "the same" if it has the same rule code + path
-    const prevFingerprints = new Map();
-    prevIssues.forEach((issue) => {
-      const fp = this._fingerprint(issue);
-      prevFingerprints.set(fp, issue);
-    });
+    const { matches, exact, moves, unmatchedPrev, unmatchedCurr } = this._match(this._scanIssues(previousScan), currIssues);
+    const movedFrom = new Set(moves.map((move) => move.from));
+    const movedTo = new Set(moves.map((move) => move.to));
 
-    const currFingerprints = new Map();
-    currIssues.forEach((issue) => {
-      const fp = this._fingerprint(issue);
-      currFingerprints.set(fp, issue);
-    });
+    const persistingIssues = exact.filter((issue) => !isWaived.has(issue));
+    const movedIssues = moves.filter((move) => !isWaived.has(move.to));
 
-    // New issues: in current but not in previous
-    const newIssues = [];
-    currIssues.forEach((issue) => {
-      const fp = this._fingerprint(issue);
-      if (!prevFingerprints.has(fp)) {
-        newIssues.push(issue);
-      }
-    });
+    // New issues: in current but not in previous (waived ones aren't new)
+    const newIssues = unmatchedCurr.filter((issue) => !movedTo.has(issue) && !isWaived.has(issue));
 
     // Resolved issues: in previous but not in current
-    const resolvedIssues = [];
-    prevIssues.forEach((issue) => {
-      const fp = this._fingerprint(issue);
-      if (!currFingerprints.has(fp)) {
-        resolvedIssues.push(issue);
-      }
-    });
+    const resolvedIssues = unmatchedPrev.filter((issue) => !movedFrom.has(issue));
 
-    // Persisting issues: in both
-    const persistingIssues = [];
-    currIssues.forEach((issue) => {
-      const fp = this._fingerprint(issue);
-      if (prevFingerprints.has(fp)) {
-        persistingIssues.push(issue);
-      }
-    });
+    // Waived issues: waived now, counted in the previous scan
+    const waivedIssues = currWaived.filter((issue) => matches.has(issue) && !prevWaived.has(matches.get(issue)));
+
+    if (scannedAt) {
+      const ageMatches = ageScan === previousScan ? matches : this._match(this._scanIssues(ageScan), currIssues).matches;
+      this._trackAge(currIssues, ageScan, ageMatches, scannedAt);
+    }
+
+    // Scores computed with different scoring profiles aren't directly comparable
+    const scoringProfileChanged = Boolean(
+      prevSummary.scoringProfile && currSummary.scoringProfile
+        && prevSummary.scoringProfile.hash !== currSummary.scoringProfile.hash
+    );
 
     const previousScore = prevSummary.score != null ? prevSummary.score : null;
     const currentScore = currSummary.score;
@@ -89,14 +127,19 @@ class DiffEngine {
 
     return {
       isFirstScan: false,
+      comparisonMode,
+      baselineScanId: previousScan.scanId || null,
       previousVersion: previousScan.version || 'unknown',
       previousScannedAt: previousScan.scannedAt || null,
       scoreChange,
       previousScore,
       currentScore,
+      scoringProfileChanged,
       newIssues,
       resolvedIssues,
       persistingIssues,
+      movedIssues,
+      waivedIssues,
       summaryDelta: {
         totalIssues: currSummary.totalIssues - (prevSummary.totalIssues || 0),
         errors: currSummary.errors - (prevSummary.errors || 0),
@@ -107,12 +150,156 @@ class DiffEngine {
   }
 
   /**
-   * Create a fingerprint for an issue to identify it across scans.
-   * Uses rule code + path as the identity (message can change slightly).
+   * Match current issues to a scan's issues: by fingerprint first, then
+   * fuzzily among the leftovers (moved issues)
+   * @returns {object} { matches: Map current → previous, exact, moves, unmatchedPrev, unmatchedCurr }
+   */
+  _match(prevIssues, currIssues) {
+    const prevByFingerprint = new Map();
+    fingerprintIssues(prevIssues).forEach((fp, i) => prevByFingerprint.set(fp, prevIssues[i]));
+
+    const matches = new Map();
+    const matchedPrev = new Set();
+    const exact = [];
+    const unmatchedCurr = [];
+    fingerprintIssues(currIssues).forEach((fp, i) => {
+      const previous = prevByFingerprint.get(fp);
+      if (previous) {
+        matches.set(currIssues[i], previous);
+        matchedPrev.add(previous);
+        exact.push(currIssues[i]);
+      } else {
+        unmatchedCurr.push(currIssues[i]);
+      }
+    });
+    const unmatchedPrev = prevIssues.filter((issue) => !matchedPrev.has(issue));
+
+    const moves = this._matchMoved(unmatchedPrev, unmatchedCurr);
+    moves.forEach((move) => matches.set(move.to, move.from));
+    return { matches, exact, moves, unmatchedPrev, unmatchedCurr };
+  }
+
+  /**
+   * A scan's issues, waived ones included
    */
-  _fingerprint(issue) {
-    return `${issue.code || ''}::${issue.path || ''}`;
+  _scanIssues(scan) {
+    return scan ? [...(scan.issues || []), ...(scan.waivedIssues || [])] : [];
+  }
+
+  /**
+   * Carry `firstSeenAt` and `scanCount` over from the matched issue of the
+   * age source scan; unmatched issues are new. Issues recorded before age
+   * tracking count from that scan.
+   */
+  _trackAge(currIssues, ageScan, matches, scannedAt) {
+    currIssues.forEach((issue) => {
+      const previous = matches.get(issue);
+      issue.firstSeenAt = previous ? previous.firstSeenAt || ageScan.scannedAt || scannedAt : scannedAt;
+      issue.scanCount = previous ? (previous.scanCount || 1) + 1 : 1;
+    });
+  }
+
+  /**
+   * Pair unmatched previous and current issues that are the same finding at
+   * a new location. Best-scoring pairs are taken first; each issue is used
+   * at most once. Rules whose leftovers would exceed the comparison budget
+   * only pair up by fragment hash.
+   * @returns {Array<{from: object, to: object}>} from = previous issue, to = current issue
+   */
+  _matchMoved(prevIssues, currIssues) {
+    const byCode = new Map();
+    const bucket = (code) => byCode.get(code) || byCode.set(code, { prev: [], curr: [] }).get(code);
+    prevIssues.forEach((issue) => bucket(issue.code).prev.push(issue));
+    currIssues.forEach((issue) => bucket(issue.code).curr.push(issue));
+
+    const candidates = [];
+    const capped = [];
+    let budget = MAX_MOVE_COMPARISONS;
+    for (const [code, { prev, curr }] of byCode) {
+      const comparisons = prev.length * curr.length;
+      if (comparisons === 0) continue;
+
+      if (comparisons <= budget) {
+        budget -= comparisons;
+        curr.forEach((to) => prev.forEach((from) => {
+          const score = this._moveScore(from, to);
+          if (score > 0) candidates.push({ from, to, score });
+        }));
+      } else {
+        capped.push(code);
+        const prevByHash = new Map();
+        for (const issue of prev) {
+          if (!issue.fragmentHash) continue;
+          if (!prevByHash.has(issue.fragmentHash)) prevByHash.set(issue.fragmentHash, []);
+          prevByHash.get(issue.fragmentHash).push(issue);
+        }
+        curr.forEach((to) => (prevByHash.get(to.fragmentHash) || []).forEach((from) => candidates.push({ from, to, score: 1 })));
+      }
+    }
+    if (capped.length > 0) {
+      log.warn('diff.move-matching-capped', { codes: capped, maxComparisons: MAX_MOVE_COMPARISONS });
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    const used = new Set();
+    const moves = [];
+    for (const { from, to } of candidates) {
+      if (used.has(from) || used.has(to)) continue;
+      used.add(from);
+      used.add(to);
+      moves.push({ from, to });
+    }
+    return moves;
+  }
+
+  /**
+   * How likely two issues with the same code are the same finding (0 = not)
+   */
+  _moveScore(prev, curr) {
+    if (prev.fragmentHash && prev.fragmentHash === curr.fragmentHash) return 1;
+
+    const prevPath = normalizePath(prev.path);
+    const currPath = normalizePath(curr.path);
+    const prevMessage = normalizeMessage(prev.message);
+    const currMessage = normalizeMessage(curr.message);
+    if (!prevPath || !currPath) {
+      if (prevPath || currPath || maxSimilarity(prevMessage, currMessage) < MOVE_MESSAGE_SIMILARITY) return 0;
+      const messageSimilarity = similarity(prevMessage, currMessage);
+      return messageSimilarity >= MOVE_MESSAGE_SIMILARITY ? messageSimilarity : 0;
+    }
+
+    // Skip the edit distance when the lengths alone rule the pair out
+    if ((maxSimilarity(prevPath, currPath) + maxSimilarity(prevMessage, currMessage)) / 2 < MOVE_SIMILARITY) return 0;
+    const score = (similarity(prevPath, currPath) + similarity(prevMessage, currMessage)) / 2;
+    return score >= MOVE_SIMILARITY ? score : 0;
+  }
+}
+
+/**
+ * Upper bound of similarity(a, b): the length difference alone takes that many edits
+ */
+function maxSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - Math.abs(a.length - b.length) / longest;
+}
+
+/**
+ * Levenshtein similarity of two strings: 1 = equal, 0 = nothing in common
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
   }
+  return 1 - row[b.length] / longest;
 }
 
 module.exports = { DiffEngine };
@@ -0,0 +1,56 @@
+/**
+ * Glob Matching - Simple wildcard patterns for API names and spec paths
+ *
+ *   *   any run of characters except the separator
+ *   **  any run of characters, including the separator
+ *   ?   a single character
+ *
+ * The separator defaults to '.' so patterns work on dotted spec paths
+ * (e.g. 'paths./legacy_*.**'); API names have no separator, so '*'
+ * behaves as expected there too.
+ */
+
+const cache = new Map();
+
+/**
+ * Convert a glob pattern to an anchored RegExp
+ * @param {string} pattern - Glob pattern
+ * @param {string} [separator='.'] - Character '*' does not cross
+ */
+function globToRegExp(pattern, separator = '.') {
+  const key = `${separator}\u0000${pattern}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const sep = separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (ch === '*') {
+      source += `[^${sep}]*`;
+    } else if (ch === '?') {
+      source += `[^${sep}]`;
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  cache.set(key, regex);
+  return regex;
+}
+
+/**
+ * Test a value against one glob pattern or a list of them
+ * @param {string} value - Value to test
+ * @param {string|string[]} patterns - Glob pattern(s)
+ * @param {string} [separator='.'] - Character '*' does not cross
+ */
+function matchesGlob(value, patterns, separator = '.') {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.some((pattern) => globToRegExp(String(pattern), separator).test(String(value)));
+}
+
+module.exports = { globToRegExp, matchesGlob };
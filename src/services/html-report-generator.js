@@ -0,0 +1,605 @@
+/**
+ * HTML Report Generator
+ *
+ * Renders the same report data as ReportGenerator into a single self-contained
+ * HTML file (inline CSS and script, no external assets) that opens straight
+ * from S3 in a browser or the Teams tab.
+ * Includes: status, inventory, score, quality gate, sortable/filterable
+ * findings with their age, new vs. baseline debt, remediation SLA breaches,
+ * accepted exceptions, collapsible diff sections, fix plan and release
+ * readiness.
+ */
+
+const config = require('../config');
+const { ReportGenerator } = require('./report-generator');
+const { SlaPolicy } = require('./sla-policy');
+
+const SEVERITY_CLASSES = {
+  Error: 'sev-error',
+  Warning: 'sev-warning',
+  Information: 'sev-info',
+  Hint: 'sev-hint',
+};
+
+const STYLES = `
+    :root {
+      --bg: #f3f7fb;
+      --card: #ffffff;
+      --ink: #102a43;
+      --muted: #486581;
+      --line: #d9e2ec;
+      --accent: #1a56db;
+      --error: #b42318;
+      --warning: #b54708;
+      --info: #175cd3;
+      --hint: #6b7280;
+      --success: #067647;
+      --radius: 12px;
+    }
+    * { box-sizing: border-box; }
+    body {
+      margin: 0;
+      background: linear-gradient(180deg, #eef5fb 0%, var(--bg) 100%);
+      color: var(--ink);
+      font-family: "Segoe UI", Roboto, Arial, sans-serif;
+      line-height: 1.45;
+    }
+    .wrap { max-width: 1080px; margin: 28px auto; padding: 0 20px 36px; }
+    .hero {
+      background: linear-gradient(120deg, #0b253d 0%, #134b6f 60%, var(--accent) 100%);
+      color: #f7fcff;
+      border-radius: var(--radius);
+      padding: 22px 24px;
+      box-shadow: 0 18px 38px rgba(16,42,67,.18);
+    }
+    .hero h1 { margin: 0; font-size: 26px; }
+    .meta-grid {
+      margin-top: 14px;
+      display: grid;
+      grid-template-columns: repeat(2, minmax(0,1fr));
+      gap: 8px 14px;
+      font-size: 14px;
+    }
+    .meta-grid span { color: #dce8f5; }
+    .section {
+      margin-top: 12px;
+      background: var(--card);
+      border: 1px solid var(--line);
+      border-radius: var(--radius);
+      padding: 13px 14px;
+      box-shadow: 0 10px 24px rgba(16,42,67,.08);
+    }
+    h2 {
+      margin: 0 0 8px;
+      font-size: 17px;
+      color: var(--accent);
+      border-bottom: 1px solid var(--line);
+      padding-bottom: 6px;
+    }
+    .grid {
+      display: grid;
+      grid-template-columns: repeat(4, minmax(0,1fr));
+      gap: 8px;
+      margin-top: 8px;
+    }
+    .card { border: 1px solid var(--line); border-radius: 10px; padding: 8px 9px; background: #fbfdff; }
+    .card .label { color: var(--muted); font-size: 11px; text-transform: uppercase; letter-spacing: .03em; }
+    .card .value { font-size: 18px; font-weight: 700; margin-top: 2px; overflow-wrap: anywhere; }
+    .card .value.text { font-size: 14px; font-weight: 600; }
+    .kv { display: grid; grid-template-columns: 220px 1fr; gap: 6px 12px; font-size: 14px; }
+    .kv .k { color: var(--muted); font-weight: 600; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { border-bottom: 1px solid var(--line); text-align: left; vertical-align: top; padding: 8px; }
+    th {
+      font-size: 12px;
+      text-transform: uppercase;
+      letter-spacing: .04em;
+      color: var(--muted);
+      background: #f8fbff;
+    }
+    table.sortable th { cursor: pointer; user-select: none; }
+    table.sortable th[aria-sort="ascending"]::after { content: " \\25B2"; }
+    table.sortable th[aria-sort="descending"]::after { content: " \\25BC"; }
+    td code { overflow-wrap: anywhere; }
+    .sev-error { color: var(--error); font-weight: 700; }
+    .sev-warning { color: var(--warning); font-weight: 700; }
+    .sev-info { color: var(--info); font-weight: 700; }
+    .sev-hint { color: var(--hint); font-weight: 700; }
+    .pass { color: var(--success); font-weight: 700; }
+    .fail { color: var(--error); font-weight: 700; }
+    .filters { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 10px; align-items: center; }
+    .filters select, .filters input {
+      font: inherit;
+      font-size: 13px;
+      padding: 5px 8px;
+      border: 1px solid var(--line);
+      border-radius: 8px;
+      background: #fff;
+    }
+    .filters input { flex: 1; min-width: 180px; }
+    .filters .count { color: var(--muted); font-size: 12px; }
+    details { border: 1px solid var(--line); border-radius: 10px; margin-top: 8px; padding: 6px 10px; }
+    details summary { cursor: pointer; font-weight: 600; }
+    .note { margin-top: 10px; color: var(--muted); font-size: 12px; }
+    ol, ul { margin: 8px 0 0 20px; }
+    li { margin-bottom: 6px; }
+    code { background: #f3f7fb; padding: 1px 4px; border-radius: 4px; }
+    a { color: #0b6ad4; text-decoration: none; }
+    @media (max-width: 800px) {
+      .meta-grid, .kv { grid-template-columns: 1fr; }
+      .grid { grid-template-columns: repeat(2, minmax(0,1fr)); }
+    }
+    @media print {
+      body { background: #fff; }
+      .wrap { max-width: none; margin: 0; padding: 0; }
+      .section, .hero { box-shadow: none; }
+      .filters { display: none; }
+      details { break-inside: avoid; }
+    }`;
+
+// Plain browser script: column sorting for every table.sortable and the
+// findings filters. Rows carry data-* attributes so sorting by severity uses
+// the numeric level rather than the label.
+const SCRIPT = `
+    document.querySelectorAll('table.sortable').forEach(function (table) {
+      table.querySelectorAll('th').forEach(function (th, index) {
+        th.addEventListener('click', function () {
+          var ascending = th.getAttribute('aria-sort') !== 'ascending';
+          table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('aria-sort'); });
+          th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+          var body = table.tBodies[0];
+          var rows = Array.prototype.slice.call(body.rows);
+          rows.sort(function (a, b) {
+            var x = a.cells[index].getAttribute('data-sort') || a.cells[index].textContent;
+            var y = b.cells[index].getAttribute('data-sort') || b.cells[index].textContent;
+            var result = isNaN(x) || isNaN(y) ? x.localeCompare(y) : x - y;
+            return ascending ? result : -result;
+          });
+          rows.forEach(function (row) { body.appendChild(row); });
+        });
+      });
+    });
+
+    var findings = document.getElementById('findings');
+    if (findings) {
+      var controls = document.querySelectorAll('[data-filter]');
+      var search = document.getElementById('findings-search');
+      var count = document.getElementById('findings-count');
+      var applyFilters = function () {
+        var term = search.value.trim().toLowerCase();
+        var rows = findings.tBodies[0].rows;
+        var shown = 0;
+        Array.prototype.forEach.call(rows, function (row) {
+          var visible = Array.prototype.every.call(controls, function (control) {
+            return !control.value || row.getAttribute('data-' + control.getAttribute('data-filter')) === control.value;
+          }) && (!term || row.textContent.toLowerCase().indexOf(term) !== -1);
+          row.hidden = !visible;
+          if (visible) shown++;
+        });
+        count.textContent = 'Showing ' + shown + ' of ' + rows.length;
+      };
+      controls.forEach(function (control) { control.addEventListener('change', applyFilters); });
+      search.addEventListener('input', applyFilters);
+      applyFilters();
+    }`;
+
+class HtmlReportGenerator {
+  constructor() {
+    // Summary text and recommendations are shared with the PDF
+    this.reportGenerator = new ReportGenerator();
+  }
+
+  /**
+   * Generate an HTML validation report
+   * @param {object} data - Report data (same shape as ReportGenerator.generate)
+   * @returns {Buffer} Self-contained UTF-8 HTML document
+   */
+  generate(data) {
+    return Buffer.from(this.render(data), 'utf-8');
+  }
+
+  /**
+   * Render the report to an HTML string
+   * @param {object} data - Report data (same shape as ReportGenerator.generate)
+   * @returns {string}
+   */
+  render(data) {
+    const title = `${config.report.reportTitle} - ${data.apiName}`;
+    const sections = [
+      this.renderStatus(data),
+      this.renderInventory(data),
+      this.renderScore(data),
+      this.renderQualityGate(data),
+      this.renderFindings(data),
+      this.renderDebt(data),
+      this.renderSla(data),
+      this.renderAcceptedExceptions(data),
+      this.renderChanges(data),
+      this.renderContractChanges(data),
+      this.renderFixPlan(data),
+      this.renderReleaseReadiness(data),
+    ].filter(Boolean);
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${this.escape(title)}</title>
+  <style>${STYLES}
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <section class="hero">
+      <h1>${this.escape(config.report.reportTitle)}</h1>
+      <div class="meta-grid">
+        <div><span>API:</span> ${this.escape(data.apiName)}</div>
+        <div><span>Version:</span> ${this.escape(data.apiVersion)}</div>
+        <div><span>Owner:</span> ${this.escape(data.owner)}</div>
+        <div><span>Generated:</span> ${this.escape(this.formatDate(data.generatedAt))}</div>
+      </div>
+    </section>
+${sections.join('\n')}
+    <p class="note">Generated by ${this.escape(config.report.companyName)} API Governance validation pipeline.</p>
+  </div>
+  <script>${SCRIPT}
+  </script>
+</body>
+</html>
+`;
+  }
+
+  renderStatus(data) {
+    const s = data.validationResults.summary;
+    const swaggerHubUrl = `https://app.swaggerhub.com/apis/${[data.owner, data.apiName, data.apiVersion]
+      .map(encodeURIComponent)
+      .join('/')}`;
+
+    return this.section('Validation Status', `
+      <div class="kv">
+        <div class="k">Result</div><div class="${s.passedValidation ? 'pass' : 'fail'}">${s.passedValidation ? 'PASSED' : 'FAILED'}</div>
+        <div class="k">Owner</div><div>${this.escape(data.owner)}</div>
+        <div class="k">API Name</div><div>${this.escape(data.apiName)}</div>
+        <div class="k">Version</div><div>${this.escape(data.apiVersion)}</div>
+        <div class="k">SwaggerHub</div><div><a href="${this.escape(swaggerHubUrl)}">${this.escape(swaggerHubUrl)}</a></div>
+      </div>
+      <p>${this.escape(this.reportGenerator.generateSummaryText(data))}</p>`);
+  }
+
+  renderInventory(data) {
+    const inv = data.inventory;
+    if (!inv) return null;
+
+    const cards = [
+      this.card('OpenAPI', inv.openApiVersion),
+      this.card('Paths', inv.paths),
+      this.card('Operations', inv.operations),
+      this.card('Schemas', inv.schemas),
+      this.card('Tags', inv.tags),
+      this.card('Servers', inv.servers),
+      this.card('Security Schemes', inv.securitySchemes),
+      this.card('API Title', inv.title || '—', true),
+    ];
+    const breakdown = (label, heading, entries) => (entries.length === 0 ? '' : `
+      <details>
+        <summary>${label}</summary>
+        <table class="sortable">
+          <thead><tr><th>${heading}</th><th>Operations</th></tr></thead>
+          <tbody>${entries.map(([key, count]) => `
+            <tr><td>${this.escape(key)}</td><td>${this.escape(count)}</td></tr>`).join('')}
+          </tbody>
+        </table>
+      </details>`);
+
+    return this.section('API Inventory', `
+      <div class="grid">${cards.join('')}</div>
+      ${breakdown('Operations per Tag', 'Tag', Object.entries(inv.operationsByTag || {}))}
+      ${breakdown('HTTP Methods', 'Method', Object.entries(inv.methods || {}).map(([m, n]) => [m.toUpperCase(), n]))}`);
+  }
+
+  renderScore(data) {
+    const s = data.validationResults.summary;
+    const profile = s.scoringProfile;
+    return this.section('Quality Score', `
+      <div class="grid">
+        ${this.card('Score', `${s.score}/100`)}
+        ${this.card('Grade', s.grade || '—')}
+        ${this.card('Errors', s.errors, false, 'sev-error')}
+        ${this.card('Warnings', s.warnings, false, 'sev-warning')}
+        ${this.card('Informational', s.info, false, 'sev-info')}
+        ${this.card('Hints', s.hints, false, 'sev-hint')}
+        ${this.card('Total Issues', s.totalIssues)}
+      </div>
+      ${profile ? `<p class="note">Scoring profile: ${this.escape(profile.name)} v${this.escape(profile.version)}</p>` : ''}`);
+  }
+
+  renderQualityGate(data) {
+    const gate = data.gateResult;
+    if (!gate) return null;
+
+    const rows = gate.conditions.map((c) => `
+          <tr>
+            <td>${this.escape(c.condition)}</td>
+            <td class="${c.evaluated === false ? '' : c.passed ? 'pass' : 'fail'}">${c.evaluated === false ? 'N/A' : c.passed ? 'PASS' : 'FAIL'}</td>
+            <td>${this.escape(this.formatValue(c.expected))}</td>
+            <td>${this.escape(this.formatValue(c.actual))}</td>
+            <td>${this.escape(c.message)}</td>
+          </tr>`);
+
+    return this.section(`Quality Gate — <span class="${gate.passed ? 'pass' : 'fail'}">${gate.passed ? 'PASSED' : 'FAILED'}</span>`, `
+      <p>Policy: <strong>${this.escape(gate.policy)}</strong>${gate.debtBaseline ? ' (debt baseline: only new findings count)' : ''}</p>
+      ${rows.length > 0 ? `<table>
+        <thead><tr><th>Condition</th><th>Result</th><th>Expected</th><th>Actual</th><th>Details</th></tr></thead>
+        <tbody>${rows.join('')}
+        </tbody>
+      </table>` : '<p class="note">The policy has no conditions.</p>'}`);
+  }
+
+  renderFindings(data) {
+    const issues = data.validationResults.issues;
+    if (issues.length === 0) {
+      return this.section('Findings', '<p>No issues found. The API specification meets all validation criteria.</p>');
+    }
+
+    const severities = [...new Set(issues.map((i) => i.severity))]
+      .sort((a, b) => this.severityLevel(issues, a) - this.severityLevel(issues, b));
+    const categories = [...new Set(issues.map((i) => i.category))].sort();
+    const sources = [...new Set(issues.map((i) => i.source).filter(Boolean))].sort();
+
+    return this.section('Findings', `
+      <div class="filters">
+        ${this.select('severity', 'All severities', severities)}
+        ${this.select('category', 'All categories', categories)}
+        ${sources.length > 1 ? this.select('source', 'All sources', sources) : ''}
+        <input id="findings-search" type="search" placeholder="Search rule, message or path" />
+        <span id="findings-count" class="count"></span>
+      </div>
+      ${this.issueTable(issues, 'findings', data.sla)}`);
+  }
+
+  renderDebt(data) {
+    const debt = data.debt;
+    if (!debt) return null;
+
+    return this.section('Debt Baseline', `
+      <p>Baseline taken on ${this.escape(new Date(debt.baseline.createdAt).toLocaleDateString())} (version ${this.escape(debt.baseline.version)}).</p>
+      <div class="grid">
+        ${this.card('New Debt', debt.newIssues.length, false, debt.newIssues.length > 0 ? 'fail' : 'pass')}
+        ${this.card('Baseline Debt', debt.baselineIssues.length)}
+        ${this.card('Resolved', debt.resolvedIssues.length)}
+      </div>
+      ${debt.newIssues.length === 0 ? '<p>No new findings since the debt baseline.</p>' : `
+      <details open>
+        <summary>New Debt (${debt.newIssues.length})</summary>
+        ${this.issueTable(debt.newIssues, null, data.sla)}
+      </details>`}`);
+  }
+
+  renderSla(data) {
+    const sla = data.sla;
+    if (!sla || sla.breached === 0) return null;
+
+    const rows = sla.breaches.map(({ issue, ageDays, slaDays, dueAt, overdueDays }) => `
+          <tr>
+            <td class="${SEVERITY_CLASSES[issue.severity] || ''}" data-sort="${this.escape(issue.severityLevel)}">${this.escape(issue.severity)}</td>
+            <td><code>${this.escape(issue.code)}</code></td>
+            <td>${this.escape(issue.message)}${issue.path ? `<br /><code>${this.escape(issue.path)}</code>` : ''}</td>
+            <td data-sort="${this.escape(issue.firstSeenAt)}">${this.escape(this.formatDate(issue.firstSeenAt))}</td>
+            <td data-sort="${ageDays}">${ageDays}d</td>
+            <td data-sort="${this.escape(dueAt)}">${this.escape(this.formatDate(dueAt))} (${slaDays}d)</td>
+            <td class="fail" data-sort="${overdueDays}">${overdueDays}d</td>
+          </tr>`);
+    const limits = Object.entries(sla.limits)
+      .filter(([, days]) => days)
+      .map(([severity, days]) => this.card(`${severity} SLA`, `${days} days`));
+
+    return this.section('Remediation SLAs', `
+      <p><span class="fail">${this.escape(sla.breached)} finding(s)</span> have been open longer than the SLA for their severity.</p>
+      <div class="grid">${limits.join('')}</div>
+      <table class="sortable">
+        <thead><tr><th>Severity</th><th>Rule</th><th>Finding</th><th>First Seen</th><th>Age</th><th>Due</th><th>Overdue</th></tr></thead>
+        <tbody>${rows.join('')}
+        </tbody>
+      </table>`);
+  }
+
+  renderAcceptedExceptions(data) {
+    const waivers = data.validationResults.waivers;
+    if (!this.reportGenerator.hasWaivers(waivers)) return null;
+
+    const scope = (waiver) => `<code>${this.escape(waiver.rule)}</code>${waiver.path ? ` at <code>${this.escape([].concat(waiver.path).join(', '))}</code>` : ''}`;
+    const waived = waivers.waived.length === 0 ? '' : `
+      <table class="sortable">
+        <thead><tr><th>Severity</th><th>Rule</th><th>Message</th><th>Path</th><th>Justification</th><th>Approver</th><th>Expires</th></tr></thead>
+        <tbody>${waivers.waived.map((issue) => `
+          <tr>
+            <td class="${SEVERITY_CLASSES[issue.severity] || ''}" data-sort="${this.escape(issue.severityLevel)}">${this.escape(issue.severity)}</td>
+            <td><code>${this.escape(issue.code)}</code></td>
+            <td>${this.escape(issue.message)}</td>
+            <td>${issue.path ? `<code>${this.escape(issue.path)}</code>` : ''}</td>
+            <td>${this.escape(issue.waiver.justification)}</td>
+            <td>${this.escape(issue.waiver.approver)}</td>
+            <td>${this.escape(issue.waiver.expires)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+    const list = (label, items) => (items.length === 0 ? '' : `
+      <details open>
+        <summary>${label} (${items.length})</summary>
+        <ul>${items.join('')}</ul>
+      </details>`);
+
+    return this.section('Accepted Exceptions', `
+      <p>${this.escape(waivers.waived.length)} finding(s) are waived and excluded from the score and the quality gate. They count again once their waiver expires.</p>
+      ${waived}
+      ${list('Expired Waivers', waivers.expired.map((waiver) => `
+          <li>${scope(waiver)} expired on ${this.escape(waiver.expires)} (approved by ${this.escape(waiver.approver)}); <span class="fail">${this.escape(waiver.resurfaced)} finding(s) count again</span></li>`))}
+      ${list('Ignored Waivers', waivers.invalid.map((entry) => `
+          <li>${this.escape(entry.source)}${entry.index !== undefined ? ` #${entry.index + 1}` : ''}${entry.rule ? ` (<code>${this.escape(entry.rule)}</code>)` : ''}: ${this.escape(entry.reason)}</li>`))}`);
+  }
+
+  renderChanges(data) {
+    const diff = data.diff;
+    if (!diff || diff.isFirstScan) return null;
+
+    const sign = diff.scoreChange > 0 ? '+' : '';
+    const scoreClass = diff.scoreChange > 0 ? 'pass' : diff.scoreChange < 0 ? 'fail' : '';
+    const deltas = [
+      ['Total Issues', diff.summaryDelta.totalIssues],
+      ['Errors', diff.summaryDelta.errors],
+      ['Warnings', diff.summaryDelta.warnings],
+      ['Informational', diff.summaryDelta.info],
+    ].map(([label, value]) => this.card(label, `${value > 0 ? '+' : ''}${value}`, false, value > 0 ? 'fail' : value < 0 ? 'pass' : ''));
+
+    const group = (label, issues, open) => (issues.length === 0 ? '' : `
+      <details${open ? ' open' : ''}>
+        <summary>${label} (${issues.length})</summary>
+        ${this.issueTable(issues)}
+      </details>`);
+
+    return this.section('Changes Since Last Scan', `
+      <p>Compared against version ${this.escape(diff.previousVersion)}${diff.comparisonMode === 'previous-version' ? ' (previous version)' : ''} (scanned ${this.escape(this.formatDate(diff.previousScannedAt))}).
+        Score ${this.escape(diff.previousScore)} → ${this.escape(diff.currentScore)}
+        (<span class="${scoreClass}">${sign}${this.escape(diff.scoreChange)}</span>).</p>
+      ${diff.scoringProfileChanged ? '<p class="sev-warning">Note: the scoring profile changed since the previous scan, so the score change is not a like-for-like comparison.</p>' : ''}
+      <div class="grid">${deltas.join('')}</div>
+      ${group('New Issues Introduced', diff.newIssues, true)}
+      ${group('Resolved Issues', diff.resolvedIssues, false)}
+      ${group('Moved Issues', diff.movedIssues.map(({ from, to }) => ({ ...to, path: `${from.path || '(none)'} → ${to.path || '(none)'}` })), false)}
+      ${group('Waived Since Last Scan', diff.waivedIssues, false)}
+      ${group('Unchanged Issues', diff.persistingIssues, false)}`);
+  }
+
+  renderContractChanges(data) {
+    const contractDiff = data.contractDiff;
+    if (!contractDiff) return null;
+
+    const breaking = contractDiff.changes.filter((change) => change.breaking);
+    const nonBreaking = contractDiff.changes.filter((change) => !change.breaking);
+    const group = (label, changes, open) => (changes.length === 0 ? '' : `
+      <details${open ? ' open' : ''}>
+        <summary>${label} (${changes.length})</summary>
+        <table class="sortable">
+          <thead><tr><th>Operation</th><th>Change</th><th>Type</th></tr></thead>
+          <tbody>${changes.map((change) => `
+            <tr>
+              <td><code>${this.escape(change.operation || change.path)}</code></td>
+              <td>${this.escape(change.message)}</td>
+              <td><code>${this.escape(change.type)}</code></td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </details>`);
+
+    return this.section('Contract Changes', `
+      <p>Compared against version ${this.escape(contractDiff.baseVersion || 'unknown')} → ${this.escape(contractDiff.currentVersion || data.apiVersion)}.</p>
+      <div class="grid">
+        ${this.card('Breaking', breaking.length, false, breaking.length > 0 ? 'fail' : 'pass')}
+        ${this.card('Non-breaking', nonBreaking.length)}
+      </div>
+      ${contractDiff.changes.length === 0 ? '<p>The API contract is unchanged.</p>' : ''}
+      ${group('Breaking Changes', breaking, true)}
+      ${group('Non-breaking Changes', nonBreaking, false)}`);
+  }
+
+  renderFixPlan(data) {
+    const recommendations = this.reportGenerator.generateRecommendations(data.validationResults);
+    const items = recommendations.map((rec) => `
+        <li><strong>${this.escape(rec.title)}</strong>${rec.priority ? ` <span class="${this.priorityClass(rec.priority)}">(${this.escape(rec.priority)})</span>` : ''}<br />${this.escape(rec.description)}</li>`);
+    return this.section('Recommended Fix Plan', `<ol>${items.join('')}
+      </ol>`);
+  }
+
+  renderReleaseReadiness(data) {
+    const s = data.validationResults.summary;
+    const gate = data.gateResult;
+    const condition = gate && !gate.passed
+      ? gate.failedConditions.map((c) => c.message).join('; ')
+      : s.passedValidation ? 'None' : 'Resolve all errors before publishing.';
+
+    return this.section('Release Readiness', `
+      <div class="kv">
+        <div class="k">Disposition</div><div class="${s.passedValidation ? 'pass' : 'fail'}">${s.passedValidation ? 'Ready' : 'Blocked'}</div>
+        <div class="k">Conditions</div><div>${this.escape(condition)}</div>
+        <div class="k">Current Score</div><div>${this.escape(s.score)}/100${s.grade ? ` (Grade ${this.escape(s.grade)})` : ''}</div>
+      </div>`);
+  }
+
+  // ===================== HELPERS =====================
+
+  section(title, content) {
+    return `    <section class="section">
+      <h2>${title}</h2>${content}
+    </section>`;
+  }
+
+  card(label, value, isText = false, valueClass = '') {
+    const classes = ['value', isText ? 'text' : '', valueClass].filter(Boolean).join(' ');
+    return `<div class="card"><div class="label">${this.escape(label)}</div><div class="${classes}">${this.escape(value)}</div></div>`;
+  }
+
+  select(filter, allLabel, values) {
+    const options = values.map((value) => `<option value="${this.escape(value)}">${this.escape(value)}</option>`);
+    return `<select data-filter="${filter}" aria-label="${this.escape(allLabel)}"><option value="">${this.escape(allLabel)}</option>${options.join('')}</select>`;
+  }
+
+  /**
+   * Sortable issue table; with an SLA evaluation it gets an Age column that
+   * flags findings past their SLA
+   */
+  issueTable(issues, id, sla = null) {
+    const ageCell = (issue) => {
+      if (!issue.firstSeenAt) return '<td data-sort="0"></td>';
+      const ageDays = SlaPolicy.ageDays(issue, sla.evaluatedAt);
+      const breach = sla.breaches.find((b) => b.issue === issue);
+      const title = `First seen ${this.formatDate(issue.firstSeenAt)}, ${issue.scanCount} scan(s)${breach ? `; ${breach.overdueDays} day(s) past the ${breach.slaDays}-day SLA` : ''}`;
+      return `<td data-sort="${ageDays}" title="${this.escape(title)}"${breach ? ' class="fail"' : ''}>${ageDays}d${breach ? ' (SLA)' : ''}</td>`;
+    };
+    const rows = issues.map((issue) => `
+          <tr data-severity="${this.escape(issue.severity)}" data-category="${this.escape(issue.category)}" data-source="${this.escape(issue.source || '')}">
+            <td class="${SEVERITY_CLASSES[issue.severity] || ''}" data-sort="${this.escape(issue.severityLevel)}">${this.escape(issue.severity)}</td>
+            <td>${this.escape(issue.category)}</td>
+            <td><code>${this.escape(issue.code)}</code></td>
+            <td>${this.escape(issue.message)}</td>
+            <td>${issue.path ? `<code>${this.escape(issue.path)}</code>` : ''}</td>${sla ? `
+            ${ageCell(issue)}` : ''}
+          </tr>`);
+
+    return `<table class="sortable"${id ? ` id="${id}"` : ''}>
+        <thead><tr><th>Severity</th><th>Category</th><th>Rule</th><th>Message</th><th>Path</th>${sla ? '<th>Age</th>' : ''}</tr></thead>
+        <tbody>${rows.join('')}
+        </tbody>
+      </table>`;
+  }
+
+  severityLevel(issues, severity) {
+    return issues.find((i) => i.severity === severity)?.severityLevel ?? 99;
+  }
+
+  priorityClass(priority) {
+    return priority === 'High' ? 'sev-error' : priority === 'Medium' ? 'sev-warning' : 'sev-info';
+  }
+
+  formatValue(value) {
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+    return value ?? '—';
+  }
+
+  formatDate(value) {
+    if (!value) return 'unknown';
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toUTCString();
+  }
+
+  escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = { HtmlReportGenerator };
@@ -0,0 +1,128 @@
+/**
+ * Idempotency Service - Skips duplicate and superseded validation jobs
+ *
+ * Saving in the SwaggerHub editor fires a burst of API_UPDATED webhooks.
+ * Two guards keep that from flooding Teams and the scan history:
+ *
+ * - Debounce: the intake records each job as the latest for its
+ *   owner/api/version and enqueues it with a delay. When a job comes up, the
+ *   worker drops it if a newer job for the same API version arrived since,
+ *   so a burst collapses into the last event.
+ * - Idempotency: after a successful run the worker stores a key derived from
+ *   owner/api/version and a hash of the spec. A job whose key matches is
+ *   skipped, because the spec has not changed since the last report.
+ *
+ * Storage paths:
+ *   jobs/latest/{owner}/{apiName}/{version}.json
+ *   jobs/processed/{owner}/{apiName}/{version}.json
+ *
+ * Storage errors in the worker never block a job: the guards fail open and the
+ * job runs. Recording the latest job can't fail open: the job would then be
+ * dropped as superseded by the older one still recorded, so the intake fails
+ * the request (500) instead and SwaggerHub retries it.
+ */
+
+const crypto = require('crypto');
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { createLogger } = require('./logger');
+const { stableStringify } = require('./spec-utils');
+
+class IdempotencyService {
+  constructor(awsConfig) {
+    this.s3 = new S3Client({ region: awsConfig.region });
+    this.bucket = awsConfig.s3Bucket;
+    this.log = createLogger({ component: 'idempotency' });
+  }
+
+  /**
+   * Hash a spec independent of key order and formatting
+   * @param {object} spec - Parsed OpenAPI document
+   * @returns {string} sha256 hex digest
+   */
+  static hashSpec(spec) {
+    return crypto.createHash('sha256').update(stableStringify(spec)).digest('hex');
+  }
+
+  /**
+   * Idempotency key for a job and the spec it fetched
+   */
+  static idempotencyKey({ owner, apiName, version }, specHash) {
+    return crypto.createHash('sha256').update(`${owner}/${apiName}/${version}/${specHash}`).digest('hex');
+  }
+
+  /**
+   * Record a job as the most recent one for its API version (debounce)
+   * @param {object} job - Job from the intake handler
+   * @throws {Error} When the record can't be written; don't enqueue the job then
+   */
+  async recordLatestJob(job) {
+    await this._put(this._key('latest', job), { jobId: job.jobId, receivedAt: job.receivedAt });
+  }
+
+  /**
+   * Whether a job is still the most recent one for its API version
+   * @param {object} job - Job from the queue
+   * @returns {Promise<boolean>} false when a newer job superseded it
+   */
+  async isLatestJob(job) {
+    const latest = await this._get(this._key('latest', job));
+    return !latest || latest.jobId === job.jobId;
+  }
+
+  /**
+   * Whether this exact spec was already processed for the API version
+   * @param {object} job - Job from the queue
+   * @param {string} idempotencyKey - From IdempotencyService.idempotencyKey
+   * @returns {Promise<object|null>} The earlier run's record, or null
+   */
+  async findProcessed(job, idempotencyKey) {
+    const processed = await this._get(this._key('processed', job));
+    return processed && processed.idempotencyKey === idempotencyKey ? processed : null;
+  }
+
+  /**
+   * Remember that a job completed for this spec
+   * @param {object} job - Job from the queue
+   * @param {string} idempotencyKey - From IdempotencyService.idempotencyKey
+   * @param {string} specHash - From IdempotencyService.hashSpec
+   */
+  async markProcessed(job, idempotencyKey, specHash) {
+    try {
+      await this._put(this._key('processed', job), {
+        idempotencyKey,
+        specHash,
+        jobId: job.jobId,
+        processedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.log.warn('idempotency.mark-processed-failed', { jobId: job.jobId, errorMessage: error.message });
+    }
+  }
+
+  _key(kind, { owner, apiName, version }) {
+    return `jobs/${kind}/${owner}/${apiName}/${version}.json`;
+  }
+
+  async _get(key) {
+    try {
+      const response = await this.s3.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return JSON.parse(await response.Body.transformToString('utf-8'));
+    } catch (error) {
+      if (error.name !== 'NoSuchKey' && error.$metadata?.httpStatusCode !== 404) {
+        this.log.warn('idempotency.read-failed', { key, errorMessage: error.message });
+      }
+      return null;
+    }
+  }
+
+  async _put(key, body) {
+    await this.s3.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: JSON.stringify(body),
+      ContentType: 'application/json',
+    }));
+  }
+}
+
+module.exports = { IdempotencyService };
@@ -0,0 +1,68 @@
+/**
+ * Inventory Analyzer - Counts what a spec contains
+ *
+ * Walks a fetched OpenAPI 2.0 / 3.x document and produces the inventory block
+ * shown on the PDF cover, in the HTML/JSON reports and as CloudWatch metrics:
+ * OpenAPI version, path/operation/schema/tag/server/security scheme counts,
+ * operations per tag and the HTTP method distribution.
+ */
+
+const { HTTP_METHODS, isOas3, getOperations } = require('./spec-utils');
+
+// Bucket for operations without tags in operationsByTag
+const UNTAGGED = '(untagged)';
+
+class InventoryAnalyzer {
+  /**
+   * Analyze a spec
+   * @param {object} spec - Parsed OpenAPI document
+   * @returns {object} { openApiVersion, title, paths, operations, schemas, tags, servers,
+   *   securitySchemes, operationsByTag, methods }
+   */
+  analyze(spec) {
+    const oas3 = isOas3(spec);
+    const operations = getOperations(spec);
+
+    const declaredTags = (spec.tags || []).map((tag) => tag?.name).filter(Boolean);
+    const operationsByTag = {};
+    declaredTags.forEach((tag) => { operationsByTag[tag] = 0; });
+
+    const methods = {};
+    for (const { method, operation } of operations) {
+      methods[method] = (methods[method] || 0) + 1;
+
+      const tags = Array.isArray(operation.tags) && operation.tags.length > 0 ? operation.tags : [UNTAGGED];
+      new Set(tags).forEach((tag) => {
+        operationsByTag[tag] = (operationsByTag[tag] || 0) + 1;
+      });
+    }
+
+    return {
+      openApiVersion: String(oas3 ? spec.openapi : spec.swagger || 'unknown'),
+      title: spec.info?.title || null,
+      paths: Object.keys(spec.paths || {}).length,
+      operations: operations.length,
+      schemas: this._count(oas3 ? spec.components?.schemas : spec.definitions),
+      tags: Object.keys(operationsByTag).filter((tag) => tag !== UNTAGGED).length,
+      servers: oas3 ? (spec.servers || []).length : this._countSwaggerServers(spec),
+      securitySchemes: this._count(oas3 ? spec.components?.securitySchemes : spec.securityDefinitions),
+      operationsByTag,
+      // Keep the canonical method order (get, put, post, ...) for stable output
+      methods: Object.fromEntries(HTTP_METHODS.filter((m) => methods[m]).map((m) => [m, methods[m]])),
+    };
+  }
+
+  _count(map) {
+    return map && typeof map === 'object' ? Object.keys(map).length : 0;
+  }
+
+  /**
+   * Swagger 2.0 has one host with a list of schemes; each scheme is a server
+   */
+  _countSwaggerServers(spec) {
+    if (!spec.host) return 0;
+    return Array.isArray(spec.schemes) && spec.schemes.length > 0 ? spec.schemes.length : 1;
+  }
+}
+
+module.exports = { InventoryAnalyzer, UNTAGGED };
@@ -0,0 +1,119 @@
+/**
+ * Issue Fingerprint - Identity of a finding across scans
+ *
+ * A fingerprint is the rule code plus the normalized location of the finding:
+ * - JSON pointers ('/paths/~1pets/get') and dotted paths ('paths./pets.get')
+ *   normalize to the same dotted form
+ * - Findings without a real location ('' or SwaggerHub's 'line N' fallback)
+ *   use their message instead, so inserting lines above them doesn't change
+ *   their identity
+ * - Several findings with the same code and location get an occurrence index
+ *   ('#0', '#1', ...) instead of collapsing into one
+ *
+ * fragmentHash() hashes the spec node a finding points at; DiffEngine uses it
+ * to recognize findings whose node moved or was renamed (see diff-engine.js).
+ */
+
+const crypto = require('crypto');
+const { resolvePath, stableStringify } = require('./spec-utils');
+
+/**
+ * Normalize an issue path to dotted form
+ * @param {string} path - Dotted path, JSON pointer or 'line N'
+ * @returns {string} Dotted path, or '' when the issue has no location
+ */
+function normalizePath(path) {
+  const text = String(path || '').trim();
+  if (text === '' || /^line \d+/i.test(text)) return '';
+
+  // '#/paths/...' is a URI fragment, so its segments may be percent-encoded
+  const isFragment = text.startsWith('#');
+  const pointer = isFragment ? text.slice(1) : text;
+  if (!pointer.startsWith('/')) return pointer;
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((segment) => (isFragment ? decodeSegment(segment) : segment).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .join('.');
+}
+
+/**
+ * Normalize a message for comparison: case, whitespace and line/column
+ * numbers don't matter
+ */
+function normalizeMessage(message) {
+  return String(message || '')
+    .toLowerCase()
+    .replace(/\b(line|column|col)\s*\d+/g, '$1 #')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Fingerprint a list of issues
+ * @param {Array} issues - Normalized issues
+ * @returns {Array<string>} One fingerprint per issue, in the same order
+ */
+function fingerprintIssues(issues) {
+  const groups = new Map();
+  issues.forEach((issue, index) => {
+    const key = baseKey(issue);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  // Occurrence indexes follow message and position, not the order the
+  // validators happened to report duplicates in
+  const fingerprints = new Array(issues.length);
+  for (const [key, indexes] of groups) {
+    indexes
+      .sort((a, b) => compareOccurrences(issues[a], issues[b]) || a - b)
+      .forEach((issueIndex, occurrence) => {
+        fingerprints[issueIndex] = `${key}#${occurrence}`;
+      });
+  }
+  return fingerprints;
+}
+
+/**
+ * Hash the spec node an issue path points at
+ * @param {object} spec - OpenAPI spec
+ * @param {string} path - Issue path
+ * @returns {string|null} Short hash, or null when the path doesn't point at a non-empty object
+ */
+function fragmentHash(spec, path) {
+  const normalized = normalizePath(path);
+  if (!spec || normalized === '') return null;
+
+  const node = resolvePath(spec, normalized);
+  if (!node || typeof node !== 'object' || Object.keys(node).length === 0) return null;
+  return crypto.createHash('sha256').update(stableStringify(node)).digest('hex').slice(0, 16);
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+function baseKey(issue) {
+  const path = normalizePath(issue.path);
+  return path
+    ? `${issue.code || ''}::${path}`
+    : `${issue.code || ''}::~${normalizeMessage(issue.message)}`;
+}
+
+function compareOccurrences(a, b) {
+  return String(a.message || '').localeCompare(String(b.message || ''))
+    || (a.range?.startLine || 0) - (b.range?.startLine || 0)
+    || (a.range?.startCol || 0) - (b.range?.startCol || 0);
+}
+
+module.exports = {
+  normalizePath,
+  normalizeMessage,
+  fingerprintIssues,
+  fragmentHash,
+};
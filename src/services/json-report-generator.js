@@ -0,0 +1,101 @@
+/**
+ * JSON Report Generator - Machine-readable report artifact
+ *
+ * Produces a versioned JSON report alongside the PDF, from the same report
+ * data the ReportGenerator consumes. Dashboards and downstream tooling
+ * parse this instead of the PDF.
+ *
+ * The format is described by schemas/validation-report-v1.schema.json.
+ * Bump SCHEMA_VERSION (and publish a new schema file for major changes)
+ * whenever the shape changes.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { version: generatorVersion } = require('../../package.json');
+
+const SCHEMA_VERSION = '1.6.0';
+const SCHEMA_ID = 'urn:swaggerhub-validation-report:validation-report:v1';
+
+class JsonReportGenerator {
+  /**
+   * Build the JSON report
+   * @param {object} data - Report data (same shape as ReportGenerator.generate)
+   * @returns {object} Report object matching the v1 schema
+   */
+  build(data) {
+    return {
+      $schema: SCHEMA_ID,
+      schemaVersion: SCHEMA_VERSION,
+      report: {
+        id: data.reportId || crypto.randomUUID(),
+        title: config.report.reportTitle,
+        companyName: config.report.companyName,
+        generatedAt: data.generatedAt,
+        generator: {
+          name: 'swaggerhub-validation-report',
+          version: generatorVersion,
+        },
+      },
+      api: {
+        owner: data.owner,
+        apiName: data.apiName,
+        version: data.apiVersion,
+      },
+      inventory: data.inventory || null,
+      summary: data.validationResults.summary,
+      issues: data.validationResults.issues,
+      diff: data.diff || null,
+      contractDiff: data.contractDiff || null,
+      gate: data.gateResult || null,
+      waivers: data.validationResults.waivers || { waived: [], expired: [], invalid: [] },
+      debt: data.debt
+        ? {
+            baseline: data.debt.baseline,
+            newIssues: data.debt.newIssues,
+            baselineCount: data.debt.baselineIssues.length,
+            resolvedCount: data.debt.resolvedIssues.length,
+          }
+        : null,
+      sla: data.sla
+        ? {
+            evaluatedAt: data.sla.evaluatedAt,
+            limits: data.sla.limits,
+            breached: data.sla.breached,
+            bySeverity: data.sla.bySeverity,
+            breaches: data.sla.breaches.map(({ issue, ...breach }) => ({ ...issue, ...breach })),
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Generate the JSON report as a buffer ready for upload
+   * @param {object} data - Report data (same shape as ReportGenerator.generate)
+   * @returns {Buffer} Pretty-printed UTF-8 JSON
+   */
+  generate(data) {
+    return Buffer.from(JSON.stringify(this.build(data), null, 2), 'utf-8');
+  }
+
+  /**
+   * Convert a JSON report back into the scan shape DiffEngine compares against,
+   * so a previous report can serve as a baseline. Scan records pass through.
+   * @param {object} document - A JSON report or a scan-history record
+   * @returns {object} { version, scannedAt, summary, issues, waivedIssues }
+   */
+  static toScan(document) {
+    if (!document || document.schemaVersion === undefined) return document;
+    return {
+      owner: document.api?.owner,
+      apiName: document.api?.apiName,
+      version: document.api?.version,
+      scannedAt: document.report?.generatedAt,
+      summary: document.summary,
+      issues: document.issues,
+      waivedIssues: (document.waivers?.waived || []).map(({ waiver, ...issue }) => issue),
+    };
+  }
+}
+
+module.exports = { JsonReportGenerator, SCHEMA_VERSION, SCHEMA_ID };
@@ -8,8 +8,14 @@
  *   | sort @timestamp desc
  *
  * In local/test mode, falls back to readable console output.
+ *
+ * Log lines go to stdout, or to stderr after useStderr() (or with
+ * LOG_OUTPUT=stderr). The CLI does this so its stdout only carries its own
+ * output.
  */
 
+let writeToStderr = process.env.LOG_OUTPUT === 'stderr';
+
 class Logger {
   /**
    * @param {object} context - Base context fields included in every log entry
@@ -88,14 +94,15 @@ class Logger {
       if (entry[key] === undefined) delete entry[key];
     });
 
+    const write = writeToStderr ? console.error : console.log;
     if (this.isLocal) {
       // Readable format for local development
       const prefix = `[${level}]`;
       const dataStr = Object.keys(data).length > 0 ? ` ${JSON.stringify(data)}` : '';
-      console.log(`${prefix} ${event}${dataStr}`);
+      write(`${prefix} ${event}${dataStr}`);
     } else {
       // Single-line JSON for CloudWatch Insights
-      console.log(JSON.stringify(entry));
+      write(JSON.stringify(entry));
     }
   }
 }
@@ -109,4 +116,11 @@ function createLogger(context) {
   return new Logger(context);
 }
 
-module.exports = { Logger, createLogger };
+/**
+ * Send log lines to stderr instead of stdout, for every logger
+ */
+function useStderr() {
+  writeToStderr = true;
+}
+
+module.exports = { Logger, createLogger, useStderr };
@@ -6,6 +6,8 @@
  * - IssuesFound: Total issues per scan (dimensions: severity)
  * - ValidationPassed: 1 if passed, 0 if failed
  * - ScoreChange: Delta from previous scan
+ * - BreakingChanges / NonBreakingChanges: Contract changes vs. the baseline spec
+ * - PathCount / OperationCount / SchemaCount / SecuritySchemeCount: API inventory size
  * - ReportGenerationTime: Milliseconds to generate PDF
  * - PipelineDuration: Total end-to-end processing time
  *
@@ -31,7 +33,10 @@ class MetricsService {
    * @param {string} params.apiName - API name
    * @param {string} params.version - API version
    * @param {object} params.summary - Validation summary (score, errors, warnings, etc.)
-   * @param {object} [params.diff] - Diff results (scoreChange, resolvedIssues, newIssues)
+   * @param {object} [params.diff] - Diff results (scoreChange, resolvedIssues, newIssues, movedIssues)
+   * @param {object} [params.contractDiff] - Contract diff from ContractDiffEngine
+   * @param {object} [params.inventory] - Inventory from InventoryAnalyzer (path/operation counts)
+   * @param {object} [params.sla] - SLA evaluation from SlaPolicy (breached findings)
    * @param {number} [params.reportGenTimeMs] - PDF generation time in milliseconds
    * @param {number} [params.totalDurationMs] - Total pipeline duration in milliseconds
    */
@@ -40,7 +45,7 @@ class MetricsService {
       return; // Skip metrics when running locally
     }
 
-    const { owner, apiName, version, summary, diff, reportGenTimeMs, totalDurationMs } = params;
+    const { owner, apiName, version, summary, diff, contractDiff, inventory, sla, reportGenTimeMs, totalDurationMs } = params;
     const timestamp = new Date();
 
     const dimensions = [
@@ -70,6 +75,27 @@ class MetricsService {
       this._addMetric('ScoreChange', diff.scoreChange, 'None', dimensions, timestamp);
       this._addMetric('ResolvedIssues', diff.resolvedIssues.length, 'Count', dimensions, timestamp);
       this._addMetric('NewIssues', diff.newIssues.length, 'Count', dimensions, timestamp);
+      this._addMetric('MovedIssues', diff.movedIssues.length, 'Count', dimensions, timestamp);
+    }
+
+    // Remediation SLA breaches, per API and across all APIs
+    if (sla) {
+      this._addMetric('SlaBreaches', sla.breached, 'Count', dimensions, timestamp);
+      this._addMetric('SlaBreaches', sla.breached, 'Count', globalDimensions, timestamp);
+    }
+
+    // Contract diff metrics (if a baseline spec was available)
+    if (contractDiff) {
+      this._addMetric('BreakingChanges', contractDiff.summary.breaking, 'Count', dimensions, timestamp);
+      this._addMetric('NonBreakingChanges', contractDiff.summary.nonBreaking, 'Count', dimensions, timestamp);
+    }
+
+    // Inventory metrics (if the spec was analyzed)
+    if (inventory) {
+      this._addMetric('PathCount', inventory.paths, 'Count', dimensions, timestamp);
+      this._addMetric('OperationCount', inventory.operations, 'Count', dimensions, timestamp);
+      this._addMetric('SchemaCount', inventory.schemas, 'Count', dimensions, timestamp);
+      this._addMetric('SecuritySchemeCount', inventory.securitySchemes, 'Count', dimensions, timestamp);
     }
 
     // Performance metrics
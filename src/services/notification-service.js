@@ -1,229 +1,114 @@
 /**
- * Notification Service - Posts validation results to Microsoft Teams
+ * Notification Service - Posts validation results to chat channels
  *
- * Sends an Adaptive Card to a Teams channel via an incoming webhook URL.
- * No Azure AD, no email server — just a webhook URL from Teams.
+ * Sends each report to every enabled channel (see notifications/):
+ * - teams: Adaptive Card via a Teams incoming webhook (TEAMS_WEBHOOK_URL)
+ * - slack: Block Kit message via a Slack incoming webhook (SLACK_WEBHOOK_URL)
  *
- * Setup:
- *   1. In Teams, go to the target channel → Manage channel → Connectors
- *   2. Add "Incoming Webhook" → name it → copy the webhook URL
- *   3. Set the URL as TEAMS_WEBHOOK_URL in your environment
+ * NOTIFICATION_CHANNELS lists the channels to use (e.g. "teams,slack");
+ * without it, every channel with a webhook URL is enabled.
  *
- * The card includes:
- * - Pass/fail status with color coding
- * - Quality score
- * - Issue breakdown (errors, warnings, info)
- * - Diff summary (resolved, new, persisting)
- * - Download button linking to the S3 presigned URL
+ * A channel is an object with a `name` and `async send(report)`. To add
+ * one, implement that and register a factory in CHANNELS below. A channel
+ * that fails is logged and doesn't keep the others from being notified;
+ * sendReport only throws when every channel failed.
  */
 
-const axios = require('axios');
+const { TeamsChannel } = require('./notifications/teams-channel');
+const { SlackChannel } = require('./notifications/slack-channel');
 const { createLogger } = require('./logger');
 
 const log = createLogger({ component: 'notification-service' });
 
+// Channel factories by name; each returns null when the channel isn't configured
+const CHANNELS = {
+  teams: (notificationConfig) => (notificationConfig.teamsWebhookUrl
+    ? new TeamsChannel({ webhookUrl: notificationConfig.teamsWebhookUrl })
+    : null),
+  slack: (notificationConfig) => (notificationConfig.slackWebhookUrl
+    ? new SlackChannel({ webhookUrl: notificationConfig.slackWebhookUrl })
+    : null),
+};
+
 class NotificationService {
+  /**
+   * @param {object} notificationConfig - config.notifications
+   * @param {Array<string>} [notificationConfig.channels] - Channels to enable (default: every configured one)
+   * @param {string} [notificationConfig.teamsWebhookUrl]
+   * @param {string} [notificationConfig.slackWebhookUrl]
+   */
   constructor(notificationConfig) {
-    this.webhookUrl = notificationConfig.teamsWebhookUrl;
+    this.channels = NotificationService.createChannels(notificationConfig);
+  }
+
+  /**
+   * Build the enabled channels from config
+   * @param {object} notificationConfig - config.notifications
+   * @returns {Array<object>} Channels ({ name, send(report) })
+   */
+  static createChannels(notificationConfig) {
+    const explicit = Array.isArray(notificationConfig.channels) && notificationConfig.channels.length > 0;
+    const requested = explicit
+      ? notificationConfig.channels.map((name) => name.toLowerCase())
+      : Object.keys(CHANNELS);
+
+    const channels = [];
+    for (const name of requested) {
+      if (!CHANNELS[name]) {
+        log.warn('notification.unknown-channel', { channel: name, known: Object.keys(CHANNELS) });
+        continue;
+      }
+      const channel = CHANNELS[name](notificationConfig);
+      if (channel) {
+        channels.push(channel);
+      } else if (explicit) {
+        log.warn('notification.channel-unconfigured', { channel: name, reason: 'No webhook URL configured' });
+      }
+    }
+    return channels;
   }
 
   /**
-   * Send a validation report notification to Teams
+   * Send a validation report notification to every enabled channel
    * @param {object} params
    * @param {string} params.apiName - Name of the API
    * @param {string} params.apiVersion - Version of the API
    * @param {string} params.owner - API owner
    * @param {string} params.reportUrl - S3 presigned URL for the PDF
+   * @param {string} [params.htmlReportUrl] - S3 presigned URL for the HTML report (optional)
+   * @param {string} [params.changelogUrl] - S3 presigned URL for the Markdown changelog (optional)
    * @param {object} params.validationSummary - Validation summary object
    * @param {object} [params.diff] - Diff against previous scan (optional)
+   * @param {object} [params.contractDiff] - Contract diff against the baseline spec (optional)
+   * @param {object} [params.gateResult] - Quality gate result (optional)
+   * @returns {Promise<object>} { sent: [channel names], failed: [{ channel, errorMessage }] }
    */
   async sendReport(params) {
-    if (!this.webhookUrl) {
-      log.warn('notification.skipped', { reason: 'No Teams webhook URL configured' });
-      return;
+    if (this.channels.length === 0) {
+      log.warn('notification.skipped', { reason: 'No notification channel configured' });
+      return { sent: [], failed: [] };
     }
 
-    const card = this.buildAdaptiveCard(params);
-
-    await axios.post(this.webhookUrl, card, {
-      headers: { 'Content-Type': 'application/json' },
-    });
-
-    log.info('notification.sent', {
-      apiName: params.apiName,
-      apiVersion: params.apiVersion,
-      channel: 'teams',
+    const results = await Promise.allSettled(this.channels.map((channel) => channel.send(params)));
+
+    const sent = [];
+    const failed = [];
+    results.forEach((result, i) => {
+      const channel = this.channels[i].name;
+      if (result.status === 'fulfilled') {
+        sent.push(channel);
+        log.info('notification.sent', { apiName: params.apiName, apiVersion: params.apiVersion, channel });
+      } else {
+        failed.push({ channel, errorMessage: result.reason.message });
+        log.error('notification.failed', { apiName: params.apiName, apiVersion: params.apiVersion, channel, errorMessage: result.reason.message });
+      }
     });
-  }
-
-  /**
-   * Build a Teams Adaptive Card with validation results
-   */
-  buildAdaptiveCard(params) {
-    const { apiName, apiVersion, owner, reportUrl, validationSummary, diff } = params;
-    const s = validationSummary;
-    const passed = s.passedValidation;
-    const statusEmoji = passed ? '✅' : '❌';
-    const statusText = passed ? 'PASSED' : 'FAILED';
-
-    // Body elements
-    const body = [
-      // Header
-      {
-        type: 'TextBlock',
-        size: 'Large',
-        weight: 'Bolder',
-        text: `${statusEmoji} API Validation Report`,
-        wrap: true,
-      },
-      // API info
-      {
-        type: 'FactSet',
-        facts: [
-          { title: 'API', value: apiName },
-          { title: 'Version', value: apiVersion },
-          { title: 'Owner', value: owner },
-          { title: 'Status', value: `**${statusText}**` },
-          { title: 'Score', value: `**${s.score}/100**` },
-        ],
-      },
-      // Separator
-      {
-        type: 'TextBlock',
-        text: '---',
-        spacing: 'Small',
-      },
-      // Issue summary
-      {
-        type: 'TextBlock',
-        weight: 'Bolder',
-        text: 'Issue Summary',
-        spacing: 'Medium',
-      },
-      {
-        type: 'ColumnSet',
-        columns: [
-          this._statColumn('Total', String(s.totalIssues), 'Default'),
-          this._statColumn('Errors', String(s.errors), s.errors > 0 ? 'Attention' : 'Good'),
-          this._statColumn('Warnings', String(s.warnings), s.warnings > 0 ? 'Warning' : 'Good'),
-          this._statColumn('Info', String(s.info), 'Default'),
-        ],
-      },
-    ];
-
-    // Categories breakdown
-    if (s.categories && Object.keys(s.categories).length > 0) {
-      body.push({
-        type: 'TextBlock',
-        weight: 'Bolder',
-        text: 'By Category',
-        spacing: 'Medium',
-      });
-
-      const catFacts = Object.entries(s.categories).map(([cat, counts]) => ({
-        title: cat,
-        value: `${counts.count} issue(s) (${counts.errors} errors, ${counts.warnings} warnings)`,
-      }));
-
-      body.push({ type: 'FactSet', facts: catFacts });
-    }
-
-    // Diff section
-    if (diff && !diff.isFirstScan) {
-      const scoreChangeStr =
-        diff.scoreChange > 0
-          ? `+${diff.scoreChange} 📈`
-          : diff.scoreChange < 0
-            ? `${diff.scoreChange} 📉`
-            : `±0`;
 
-      body.push(
-        {
-          type: 'TextBlock',
-          text: '---',
-          spacing: 'Small',
-        },
-        {
-          type: 'TextBlock',
-          weight: 'Bolder',
-          text: 'Changes Since Last Scan',
-          spacing: 'Medium',
-        },
-        {
-          type: 'FactSet',
-          facts: [
-            { title: 'Score Change', value: `${diff.previousScore} → ${diff.currentScore} (${scoreChangeStr})` },
-            { title: 'Resolved', value: `✅ ${diff.resolvedIssues.length} issue(s)` },
-            { title: 'New', value: `🆕 ${diff.newIssues.length} issue(s)` },
-            { title: 'Persisting', value: `${diff.persistingIssues.length} issue(s)` },
-          ],
-        }
-      );
+    // Nothing got through: fail like a single channel would, so the job is retried
+    if (sent.length === 0) {
+      throw new Error(`Notification failed on every channel: ${failed.map((f) => `${f.channel}: ${f.errorMessage}`).join('; ')}`);
     }
-
-    // Timestamp
-    body.push({
-      type: 'TextBlock',
-      text: `Generated: ${new Date().toLocaleString()}`,
-      size: 'Small',
-      isSubtle: true,
-      spacing: 'Medium',
-    });
-
-    // Build the Adaptive Card envelope
-    return {
-      type: 'message',
-      attachments: [
-        {
-          contentType: 'application/vnd.microsoft.card.adaptive',
-          contentUrl: null,
-          content: {
-            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
-            type: 'AdaptiveCard',
-            version: '1.4',
-            msteams: {
-              width: 'Full',
-            },
-            body,
-            actions: [
-              {
-                type: 'Action.OpenUrl',
-                title: '📄 Download PDF Report',
-                url: reportUrl,
-              },
-            ],
-          },
-        },
-      ],
-    };
-  }
-
-  /**
-   * Build a stat column for the ColumnSet
-   */
-  _statColumn(label, value, color) {
-    return {
-      type: 'Column',
-      width: 'stretch',
-      items: [
-        {
-          type: 'TextBlock',
-          text: value,
-          size: 'ExtraLarge',
-          weight: 'Bolder',
-          horizontalAlignment: 'Center',
-          color,
-        },
-        {
-          type: 'TextBlock',
-          text: label,
-          size: 'Small',
-          horizontalAlignment: 'Center',
-          isSubtle: true,
-          spacing: 'None',
-        },
-      ],
-    };
+    return { sent, failed };
   }
 }
 
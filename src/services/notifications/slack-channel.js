@@ -0,0 +1,229 @@
+/**
+ * Slack Channel - Posts validation results to Slack
+ *
+ * Sends a Block Kit message to a Slack channel via an incoming webhook URL.
+ *
+ * Setup:
+ *   1. Create a Slack app (api.slack.com/apps) and enable Incoming Webhooks
+ *   2. "Add New Webhook to Workspace" → pick the channel → copy the webhook URL
+ *   3. Set the URL as SLACK_WEBHOOK_URL in your environment
+ *
+ * The message carries the same content as the Teams card: status, score,
+ * failed quality gate conditions, issue breakdown, categories, diff summary,
+ * contract changes and buttons linking to the reports.
+ */
+
+const axios = require('axios');
+
+// Slack rejects section text over 3000 characters and fields over 2000
+const MAX_TEXT_LENGTH = 3000;
+const MAX_FIELD_LENGTH = 2000;
+
+class SlackChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.webhookUrl - Slack incoming webhook URL
+   */
+  constructor({ webhookUrl }) {
+    this.name = 'slack';
+    this.webhookUrl = webhookUrl;
+  }
+
+  /**
+   * Post the report message to the channel
+   * @param {object} report - Report notification (see NotificationService.sendReport)
+   */
+  async send(report) {
+    await axios.post(this.webhookUrl, this.buildMessage(report), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * Build a Block Kit message with validation results
+   * @param {object} report - Report notification (see NotificationService.sendReport)
+   * @returns {object} Message payload for the incoming webhook
+   */
+  buildMessage(report) {
+    const {
+      apiName,
+      apiVersion,
+      owner,
+      reportUrl,
+      htmlReportUrl,
+      changelogUrl,
+      validationSummary,
+      diff,
+      contractDiff,
+      gateResult,
+    } = report;
+    const s = validationSummary;
+    const passed = s.passedValidation;
+    const statusEmoji = passed ? '✅' : '❌';
+    const statusText = passed ? 'PASSED' : 'FAILED';
+    const score = s.grade ? `${s.score}/100 (Grade ${s.grade})` : `${s.score}/100`;
+
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: `${statusEmoji} API Validation Report`, emoji: true },
+      },
+      {
+        type: 'section',
+        fields: [
+          this._field('API', apiName),
+          this._field('Version', apiVersion),
+          this._field('Owner', owner),
+          this._field('Status', `*${statusText}*`, false),
+          this._field('Score', `*${score}*`, false),
+        ],
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: this._text('*Issue Summary*'),
+        fields: [
+          this._field('Total', s.totalIssues),
+          this._field('Errors', `${s.errors > 0 ? '🔴' : '🟢'} ${s.errors}`, false),
+          this._field('Warnings', `${s.warnings > 0 ? '🟠' : '🟢'} ${s.warnings}`, false),
+          this._field('Info', s.info),
+        ],
+      },
+    ];
+
+    // Quality gate failures
+    if (gateResult && gateResult.failedConditions.length > 0) {
+      blocks.push({
+        type: 'section',
+        text: this._text(
+          `:x: *Quality Gate Failed* (policy: ${this._escape(gateResult.policy)})\n` +
+            gateResult.failedConditions.map((c) => `• ${this._escape(c.message)}`).join('\n')
+        ),
+      });
+    }
+
+    // Categories breakdown
+    if (s.categories && Object.keys(s.categories).length > 0) {
+      const lines = Object.entries(s.categories).map(([cat, counts]) =>
+        `• *${this._escape(cat)}*: ${counts.count} issue(s) (${counts.errors} errors, ${counts.warnings} warnings)`);
+      blocks.push({
+        type: 'section',
+        text: this._text(`*By Category*\n${lines.join('\n')}`),
+      });
+    }
+
+    // Diff section
+    if (diff && !diff.isFirstScan) {
+      const scoreChangeStr =
+        diff.scoreChange > 0
+          ? `+${diff.scoreChange} 📈`
+          : diff.scoreChange < 0
+            ? `${diff.scoreChange} 📉`
+            : `±0`;
+
+      blocks.push(
+        { type: 'divider' },
+        {
+          type: 'section',
+          text: this._text('*Changes Since Last Scan*'),
+          fields: [
+            this._field('Compared With', `version ${diff.previousVersion}${diff.comparisonMode === 'previous-version' ? ' (previous version)' : ''}`),
+            this._field('Score Change', `${diff.previousScore} → ${diff.currentScore} (${scoreChangeStr})`),
+            this._field('Resolved', `✅ ${diff.resolvedIssues.length} issue(s)`),
+            this._field('New', `🆕 ${diff.newIssues.length} issue(s)`),
+            this._field('Persisting', `${diff.persistingIssues.length} issue(s)`),
+            ...(diff.movedIssues.length > 0
+              ? [this._field('Moved', `↪ ${diff.movedIssues.length} issue(s)`)]
+              : []),
+            ...(diff.waivedIssues.length > 0
+              ? [this._field('Waived', `${diff.waivedIssues.length} issue(s)`)]
+              : []),
+          ],
+        }
+      );
+    }
+
+    // Contract changes (only when there are any)
+    if (contractDiff && contractDiff.summary.total > 0) {
+      const breaking = contractDiff.changes.filter((change) => change.breaking);
+      blocks.push(
+        { type: 'divider' },
+        {
+          type: 'section',
+          text: this._text('*Contract Changes*'),
+          fields: [
+            this._field('Compared With', `version ${contractDiff.baseVersion || 'unknown'}`),
+            this._field('Breaking', `${breaking.length > 0 ? '⚠️' : '✅'} ${breaking.length} change(s)`),
+            this._field('Non-breaking', `${contractDiff.summary.nonBreaking} change(s)`),
+          ],
+        }
+      );
+      if (breaking.length > 0) {
+        const lines = breaking.slice(0, 5).map((change) => `• ${change.operation ? `*${this._escape(change.operation)}*: ` : ''}${this._escape(change.message)}`);
+        if (breaking.length > 5) lines.push(`• ... and ${breaking.length - 5} more`);
+        blocks.push({ type: 'section', text: this._text(lines.join('\n')) });
+      }
+    }
+
+    // Report links
+    blocks.push({
+      type: 'actions',
+      elements: [
+        ...(htmlReportUrl ? [this._button('🌐 View Report', htmlReportUrl, 'primary')] : []),
+        this._button('📄 Download PDF Report', reportUrl, htmlReportUrl ? null : 'primary'),
+        ...(changelogUrl ? [this._button('📝 Changelog', changelogUrl)] : []),
+      ],
+    });
+
+    // Timestamp, shown in each reader's time zone
+    const now = new Date();
+    blocks.push({
+      type: 'context',
+      elements: [
+        this._text(`Generated: <!date^${Math.floor(now.getTime() / 1000)}^{date_short_pretty} {time}|${now.toISOString()}>`),
+      ],
+    });
+
+    return {
+      // Fallback for notifications and clients without Block Kit
+      text: `${statusEmoji} ${apiName} ${apiVersion}: ${statusText}, score ${score}`,
+      blocks,
+    };
+  }
+
+  _text(text, maxLength = MAX_TEXT_LENGTH) {
+    return {
+      type: 'mrkdwn',
+      text: text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text,
+    };
+  }
+
+  /**
+   * A two-line field: bold label, then the value (escaped unless it is
+   * already mrkdwn)
+   */
+  _field(label, value, escape = true) {
+    return this._text(`*${label}*\n${escape ? this._escape(value) : value}`, MAX_FIELD_LENGTH);
+  }
+
+  _button(text, url, style = null) {
+    return {
+      type: 'button',
+      text: { type: 'plain_text', text, emoji: true },
+      url,
+      ...(style ? { style } : {}),
+    };
+  }
+
+  /**
+   * Escape the characters Slack treats as control sequences in mrkdwn
+   */
+  _escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
+
+module.exports = { SlackChannel };
@@ -0,0 +1,307 @@
+/**
+ * Teams Channel - Posts validation results to Microsoft Teams
+ *
+ * Sends an Adaptive Card to a Teams channel via an incoming webhook URL.
+ * No Azure AD, no email server — just a webhook URL from Teams.
+ *
+ * Setup:
+ *   1. In Teams, go to the target channel → Manage channel → Connectors
+ *   2. Add "Incoming Webhook" → name it → copy the webhook URL
+ *   3. Set the URL as TEAMS_WEBHOOK_URL in your environment
+ *
+ * The card includes:
+ * - Pass/fail status with color coding
+ * - Quality score
+ * - Failed quality gate conditions
+ * - Issue breakdown (errors, warnings, info)
+ * - Diff summary (resolved, new, persisting, moved)
+ * - Contract changes (breaking changes listed first)
+ * - Download button linking to the S3 presigned URL
+ */
+
+const axios = require('axios');
+
+class TeamsChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.webhookUrl - Teams incoming webhook URL
+   */
+  constructor({ webhookUrl }) {
+    this.name = 'teams';
+    this.webhookUrl = webhookUrl;
+  }
+
+  /**
+   * Post the report card to the channel
+   * @param {object} report - Report notification (see NotificationService.sendReport)
+   */
+  async send(report) {
+    await axios.post(this.webhookUrl, this.buildMessage(report), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * Build a Teams Adaptive Card with validation results
+   * @param {object} report - Report notification (see NotificationService.sendReport)
+   * @returns {object} Message payload for the incoming webhook
+   */
+  buildMessage(report) {
+    const {
+      apiName,
+      apiVersion,
+      owner,
+      reportUrl,
+      htmlReportUrl,
+      changelogUrl,
+      validationSummary,
+      diff,
+      contractDiff,
+      gateResult,
+    } = report;
+    const s = validationSummary;
+    const passed = s.passedValidation;
+    const statusEmoji = passed ? '✅' : '❌';
+    const statusText = passed ? 'PASSED' : 'FAILED';
+
+    // Body elements
+    const body = [
+      // Header
+      {
+        type: 'TextBlock',
+        size: 'Large',
+        weight: 'Bolder',
+        text: `${statusEmoji} API Validation Report`,
+        wrap: true,
+      },
+      // API info
+      {
+        type: 'FactSet',
+        facts: [
+          { title: 'API', value: apiName },
+          { title: 'Version', value: apiVersion },
+          { title: 'Owner', value: owner },
+          { title: 'Status', value: `**${statusText}**` },
+          { title: 'Score', value: s.grade ? `**${s.score}/100 (Grade ${s.grade})**` : `**${s.score}/100**` },
+        ],
+      },
+      // Separator
+      {
+        type: 'TextBlock',
+        text: '---',
+        spacing: 'Small',
+      },
+      // Issue summary
+      {
+        type: 'TextBlock',
+        weight: 'Bolder',
+        text: 'Issue Summary',
+        spacing: 'Medium',
+      },
+      {
+        type: 'ColumnSet',
+        columns: [
+          this._statColumn('Total', String(s.totalIssues), 'Default'),
+          this._statColumn('Errors', String(s.errors), s.errors > 0 ? 'Attention' : 'Good'),
+          this._statColumn('Warnings', String(s.warnings), s.warnings > 0 ? 'Warning' : 'Good'),
+          this._statColumn('Info', String(s.info), 'Default'),
+        ],
+      },
+    ];
+
+    // Quality gate failures
+    if (gateResult && gateResult.failedConditions.length > 0) {
+      body.push(
+        {
+          type: 'TextBlock',
+          weight: 'Bolder',
+          text: `Quality Gate Failed (policy: ${gateResult.policy})`,
+          color: 'Attention',
+          spacing: 'Medium',
+        },
+        {
+          type: 'TextBlock',
+          text: gateResult.failedConditions.map((c) => `- ${c.message}`).join('\n'),
+          wrap: true,
+        }
+      );
+    }
+
+    // Categories breakdown
+    if (s.categories && Object.keys(s.categories).length > 0) {
+      body.push({
+        type: 'TextBlock',
+        weight: 'Bolder',
+        text: 'By Category',
+        spacing: 'Medium',
+      });
+
+      const catFacts = Object.entries(s.categories).map(([cat, counts]) => ({
+        title: cat,
+        value: `${counts.count} issue(s) (${counts.errors} errors, ${counts.warnings} warnings)`,
+      }));
+
+      body.push({ type: 'FactSet', facts: catFacts });
+    }
+
+    // Diff section
+    if (diff && !diff.isFirstScan) {
+      const scoreChangeStr =
+        diff.scoreChange > 0
+          ? `+${diff.scoreChange} 📈`
+          : diff.scoreChange < 0
+            ? `${diff.scoreChange} 📉`
+            : `±0`;
+
+      body.push(
+        {
+          type: 'TextBlock',
+          text: '---',
+          spacing: 'Small',
+        },
+        {
+          type: 'TextBlock',
+          weight: 'Bolder',
+          text: 'Changes Since Last Scan',
+          spacing: 'Medium',
+        },
+        {
+          type: 'FactSet',
+          facts: [
+            { title: 'Compared With', value: `version ${diff.previousVersion}${diff.comparisonMode === 'previous-version' ? ' (previous version)' : ''}` },
+            { title: 'Score Change', value: `${diff.previousScore} → ${diff.currentScore} (${scoreChangeStr})` },
+            { title: 'Resolved', value: `✅ ${diff.resolvedIssues.length} issue(s)` },
+            { title: 'New', value: `🆕 ${diff.newIssues.length} issue(s)` },
+            { title: 'Persisting', value: `${diff.persistingIssues.length} issue(s)` },
+            ...(diff.movedIssues.length > 0
+              ? [{ title: 'Moved', value: `↪ ${diff.movedIssues.length} issue(s)` }]
+              : []),
+            ...(diff.waivedIssues.length > 0
+              ? [{ title: 'Waived', value: `${diff.waivedIssues.length} issue(s)` }]
+              : []),
+          ],
+        }
+      );
+    }
+
+    // Contract changes (only when there are any)
+    if (contractDiff && contractDiff.summary.total > 0) {
+      const breaking = contractDiff.changes.filter((change) => change.breaking);
+      body.push(
+        {
+          type: 'TextBlock',
+          text: '---',
+          spacing: 'Small',
+        },
+        {
+          type: 'TextBlock',
+          weight: 'Bolder',
+          text: 'Contract Changes',
+          spacing: 'Medium',
+        },
+        {
+          type: 'FactSet',
+          facts: [
+            { title: 'Compared With', value: `version ${contractDiff.baseVersion || 'unknown'}` },
+            { title: 'Breaking', value: `${breaking.length > 0 ? '⚠️' : '✅'} ${breaking.length} change(s)` },
+            { title: 'Non-breaking', value: `${contractDiff.summary.nonBreaking} change(s)` },
+          ],
+        }
+      );
+      if (breaking.length > 0) {
+        const lines = breaking.slice(0, 5).map((change) => `- ${change.operation ? `**${change.operation}**: ` : ''}${change.message}`);
+        if (breaking.length > 5) lines.push(`- ... and ${breaking.length - 5} more`);
+        body.push({
+          type: 'TextBlock',
+          text: lines.join('\n'),
+          wrap: true,
+          color: 'Attention',
+        });
+      }
+    }
+
+    // Timestamp
+    body.push({
+      type: 'TextBlock',
+      text: `Generated: ${new Date().toLocaleString()}`,
+      size: 'Small',
+      isSubtle: true,
+      spacing: 'Medium',
+    });
+
+    // Build the Adaptive Card envelope
+    return {
+      type: 'message',
+      attachments: [
+        {
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          contentUrl: null,
+          content: {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            msteams: {
+              width: 'Full',
+            },
+            body,
+            actions: [
+              ...(htmlReportUrl
+                ? [
+                  {
+                    type: 'Action.OpenUrl',
+                    title: '🌐 View Report',
+                    url: htmlReportUrl,
+                  },
+                ]
+                : []),
+              {
+                type: 'Action.OpenUrl',
+                title: '📄 Download PDF Report',
+                url: reportUrl,
+              },
+              ...(changelogUrl
+                ? [
+                  {
+                    type: 'Action.OpenUrl',
+                    title: '📝 Changelog',
+                    url: changelogUrl,
+                  },
+                ]
+                : []),
+            ],
+          },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Build a stat column for the ColumnSet
+   */
+  _statColumn(label, value, color) {
+    return {
+      type: 'Column',
+      width: 'stretch',
+      items: [
+        {
+          type: 'TextBlock',
+          text: value,
+          size: 'ExtraLarge',
+          weight: 'Bolder',
+          horizontalAlignment: 'Center',
+          color,
+        },
+        {
+          type: 'TextBlock',
+          text: label,
+          size: 'Small',
+          horizontalAlignment: 'Center',
+          isSubtle: true,
+          spacing: 'None',
+        },
+      ],
+    };
+  }
+}
+
+module.exports = { TeamsChannel };
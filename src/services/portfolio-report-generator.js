@@ -0,0 +1,398 @@
+/**
+ * Portfolio Report Generator
+ *
+ * Renders the portfolio rollup (see portfolio-scanner.js) as a PDF for the
+ * governance board: cover page, score distribution and per-owner averages,
+ * worst offenders, most common rule violations, scan errors and the full
+ * API list. Shares branding and page helpers with the single-API report.
+ */
+
+const PDFDocument = require('pdfkit');
+const { ReportGenerator } = require('./report-generator');
+const config = require('../config');
+
+class PortfolioReportGenerator extends ReportGenerator {
+  /**
+   * Generate the portfolio PDF
+   * @param {object} report - Portfolio report from PortfolioScanner.rollup()
+   * @returns {Promise<Buffer>} PDF file as a buffer
+   */
+  async generate(report) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A4',
+          bufferPages: true,
+          margins: { top: 60, bottom: 60, left: 50, right: 50 },
+          info: {
+            Title: `${report.report.title} - ${report.owners.join(', ')}`,
+            Author: config.report.companyName,
+            Subject: 'API Portfolio Report',
+            Creator: 'SwaggerHub Validation Report Generator',
+          },
+        });
+
+        const buffers = [];
+        doc.on('data', (chunk) => buffers.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+        doc.on('error', reject);
+
+        this.addPortfolioCover(doc, report);
+        this.addPortfolioOverview(doc, report);
+        this.addWorstOffenders(doc, report);
+        this.addCommonViolations(doc, report);
+        this.addApiList(doc, report);
+        this.addFooter(doc);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Cover Page
+   */
+  addPortfolioCover(doc, report) {
+    doc.rect(0, 0, 595, 8).fill(this.colors.primary);
+
+    doc.moveDown(6);
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(32)
+      .fillColor(this.colors.primary)
+      .text(report.report.title, { align: 'center' });
+
+    doc.moveDown(0.5);
+    doc
+      .font('Helvetica')
+      .fontSize(14)
+      .fillColor(this.colors.secondary)
+      .text(`Owners: ${report.owners.join(', ')}`, { align: 'center' });
+
+    doc.moveDown(2);
+    const lineY = doc.y;
+    doc
+      .moveTo(150, lineY)
+      .lineTo(445, lineY)
+      .strokeColor(this.colors.primary)
+      .lineWidth(2)
+      .stroke();
+
+    // Average score badge
+    doc.moveDown(3);
+    const average = report.totals.averageScore;
+    const scoreColor = average == null ? this.colors.hint
+      : average >= 80 ? this.colors.success : average >= 50 ? this.colors.warning : this.colors.error;
+    const centerX = 297.5;
+    const centerY = doc.y + 50;
+    doc.circle(centerX, centerY, 50).fillAndStroke(scoreColor, scoreColor);
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(30)
+      .fillColor(this.colors.white)
+      .text(average == null ? '–' : String(Math.round(average)), centerX - 35, centerY - 18, { width: 70, align: 'center' });
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .text('/100', centerX - 25, centerY + 16, { width: 50, align: 'center' });
+
+    doc.y = centerY + 70;
+    doc
+      .font('Helvetica')
+      .fontSize(12)
+      .fillColor(this.colors.secondary)
+      .text('Average API Quality Score', 50, doc.y, { width: 495, align: 'center' });
+
+    const t = report.totals;
+    doc.moveDown(1);
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(14)
+      .fillColor(this.colors.black)
+      .text(`${t.apis} APIs  ·  ${t.passed} passed  ·  ${t.failed} failed${t.scanErrors > 0 ? `  ·  ${t.scanErrors} not scanned` : ''}`,
+        { align: 'center' });
+
+    doc.moveDown(6);
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(this.colors.secondary)
+      .text(`Generated: ${new Date(report.report.generatedAt).toLocaleString()}`, { align: 'center' });
+    doc.text(`By: ${config.report.companyName}`, { align: 'center' });
+  }
+
+  /**
+   * Overview Page — totals, score distribution and per-owner averages
+   */
+  addPortfolioOverview(doc, report) {
+    doc.addPage();
+    this.addSectionHeader(doc, 'Portfolio Overview');
+    doc.moveDown(1);
+
+    const t = report.totals;
+    const statsY = doc.y;
+    [
+      { label: 'APIs', value: t.apis, color: this.colors.primary },
+      { label: 'Average Score', value: t.averageScore ?? '–', color: this.colors.primary },
+      { label: 'Passed Gate', value: t.passed, color: this.colors.success },
+      { label: 'Failed Gate', value: t.failed, color: t.failed > 0 ? this.colors.error : this.colors.secondary },
+    ].forEach((stat, i) => {
+      const x = 55 + i * 120;
+      doc.roundedRect(x, statsY, 105, 65, 5).fill(this.colors.lightGray);
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(24)
+        .fillColor(stat.color)
+        .text(String(stat.value), x + 5, statsY + 10, { width: 95, align: 'center' });
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .fillColor(this.colors.secondary)
+        .text(stat.label, x + 5, statsY + 42, { width: 95, align: 'center' });
+    });
+    doc.y = statsY + 85;
+    doc.x = 50;
+
+    this.addSubHeader(doc, 'Score Distribution');
+    doc.moveDown(0.5);
+    this.addScoreHistogram(doc, report.scoreDistribution);
+
+    const grades = Object.entries(report.gradeDistribution || {}).sort(([a], [b]) => a.localeCompare(b));
+    if (grades.length > 0) {
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .fillColor(this.colors.secondary)
+        .text(`Grades: ${grades.map(([grade, count]) => `${grade} ${count}`).join('  ·  ')}`, 50, doc.y, { width: 495, align: 'center' });
+    }
+
+    doc.moveDown(1.5);
+    this.addSubHeader(doc, 'Owners');
+    doc.moveDown(0.5);
+    this.addTable(doc, [
+      { header: 'Owner', width: 195 },
+      { header: 'APIs', width: 60, align: 'center' },
+      { header: 'Avg Score', width: 80, align: 'center' },
+      { header: 'Passed', width: 80, align: 'center' },
+      { header: 'Failed', width: 80, align: 'center' },
+    ], report.ownerSummaries.map((owner) => [
+      owner.owner,
+      owner.apis,
+      owner.averageScore ?? '–',
+      owner.passed,
+      owner.failed,
+    ]));
+  }
+
+  /**
+   * Vertical bar per 10-point score bucket, colored like the score badge
+   */
+  addScoreHistogram(doc, distribution) {
+    const chartX = 70;
+    const chartY = doc.y;
+    const chartHeight = 120;
+    const barWidth = 36;
+    const gap = 10;
+    const maxCount = Math.max(1, ...distribution.map((bucket) => bucket.count));
+
+    doc
+      .moveTo(chartX - 5, chartY + chartHeight)
+      .lineTo(chartX + distribution.length * (barWidth + gap), chartY + chartHeight)
+      .strokeColor(this.colors.hint)
+      .lineWidth(1)
+      .stroke();
+
+    distribution.forEach((bucket, i) => {
+      const x = chartX + i * (barWidth + gap);
+      const height = (bucket.count / maxCount) * (chartHeight - 15);
+      const color = bucket.min >= 80 ? this.colors.success : bucket.min >= 50 ? this.colors.warning : this.colors.error;
+      if (height > 0) {
+        doc.rect(x, chartY + chartHeight - height, barWidth, height).fill(color);
+      }
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(8)
+        .fillColor(this.colors.black)
+        .text(String(bucket.count), x, chartY + chartHeight - height - 11, { width: barWidth, align: 'center' });
+      doc
+        .font('Helvetica')
+        .fontSize(7)
+        .fillColor(this.colors.secondary)
+        .text(bucket.range, x, chartY + chartHeight + 4, { width: barWidth, align: 'center' });
+    });
+
+    doc.y = chartY + chartHeight + 22;
+    doc.x = 50;
+  }
+
+  /**
+   * Worst Offenders Page — lowest-scoring APIs
+   */
+  addWorstOffenders(doc, report) {
+    doc.addPage();
+    this.addSectionHeader(doc, 'Worst Offenders');
+    doc.moveDown(1);
+
+    if (report.worstOffenders.length === 0) {
+      this.addEmptyNote(doc, 'No APIs were scanned.');
+      return;
+    }
+    this.addTable(doc, this.apiColumns(), report.worstOffenders.map((api) => this.apiRow(api)));
+    this.addNotEvaluatedNote(doc, report.worstOffenders);
+  }
+
+  /**
+   * Common Violations Page — rules violated by the most APIs
+   */
+  addCommonViolations(doc, report) {
+    doc.addPage();
+    this.addSectionHeader(doc, 'Most Common Violations');
+    doc.moveDown(1);
+
+    if (report.commonViolations.length === 0) {
+      this.addEmptyNote(doc, 'No rule violations across the portfolio.');
+    } else {
+      this.addTable(doc, [
+        { header: 'Rule', width: 175 },
+        { header: 'Category', width: 110 },
+        { header: 'Severity', width: 70 },
+        { header: 'APIs', width: 60, align: 'center' },
+        { header: 'Occurrences', width: 80, align: 'center' },
+      ], report.commonViolations.map((rule) => [
+        rule.code,
+        rule.category,
+        { text: rule.severity, color: this.getSeverityColor(rule.severity) },
+        rule.apis,
+        rule.occurrences,
+      ]));
+    }
+
+    if (report.scanErrors.length > 0) {
+      doc.moveDown(1.5);
+      this.addSubHeader(doc, `Not Scanned (${report.scanErrors.length})`);
+      doc.moveDown(0.3);
+      report.scanErrors.forEach((failure) => {
+        if (doc.y > 720) doc.addPage();
+        doc
+          .font('Helvetica')
+          .fontSize(9)
+          .fillColor(this.colors.error)
+          .text('  ● ', 60, doc.y, { continued: true })
+          .fillColor(this.colors.black)
+          .text(`${failure.owner}/${failure.apiName}@${failure.version}: ${failure.error}`, { width: 450 });
+      });
+    }
+  }
+
+  /**
+   * All APIs Page — every scanned API, lowest score first
+   */
+  addApiList(doc, report) {
+    if (report.apis.length === 0) return;
+    doc.addPage();
+    this.addSectionHeader(doc, 'All APIs');
+    doc.moveDown(1);
+    this.addTable(doc, this.apiColumns(), report.apis.map((api) => this.apiRow(api)));
+    this.addNotEvaluatedNote(doc, report.apis);
+  }
+
+  /**
+   * Footnote for PASS*: gate conditions the portfolio scan couldn't evaluate
+   */
+  addNotEvaluatedNote(doc, apis) {
+    const skipped = [...new Set(apis.flatMap((api) => api.notEvaluated || []))];
+    if (skipped.length === 0) return;
+    doc.moveDown(0.5);
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor(this.colors.secondary)
+      .text(`* Not evaluated in the portfolio scan, which has no previous scan to compare against: ${skipped.join(', ')}.`, 50, doc.y, { width: 500 });
+  }
+
+  apiColumns() {
+    return [
+      { header: 'API', width: 150 },
+      { header: 'Version', width: 65 },
+      { header: 'Owner', width: 100 },
+      { header: 'Score', width: 45, align: 'center' },
+      { header: 'Grade', width: 45, align: 'center' },
+      { header: 'Errors', width: 45, align: 'center' },
+      { header: 'Gate', width: 45, align: 'center' },
+    ];
+  }
+
+  apiRow(api) {
+    return [
+      api.apiName,
+      api.version,
+      api.owner,
+      api.score,
+      api.grade || '–',
+      api.errors,
+      api.passed
+        ? { text: api.notEvaluated?.length > 0 ? 'PASS*' : 'PASS', color: this.colors.success }
+        : { text: 'FAIL', color: this.colors.error },
+    ];
+  }
+
+  /**
+   * Table with a header row in the brand color and striped rows. Cells are
+   * values or { text, color }; the header repeats after a page break.
+   */
+  addTable(doc, columns, rows) {
+    const rowHeight = 20;
+    const drawHeader = () => {
+      const y = doc.y;
+      doc.rect(50, y, 495, 22).fill(this.colors.primary);
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(this.colors.white);
+      let x = 55;
+      columns.forEach((column) => {
+        doc.text(column.header, x, y + 7, { width: column.width - 5, align: column.align || 'left' });
+        x += column.width;
+      });
+      doc.y = y + 22;
+    };
+
+    drawHeader();
+    rows.forEach((row, index) => {
+      if (doc.y > 740) {
+        doc.addPage();
+        drawHeader();
+      }
+      const y = doc.y;
+      if (index % 2 === 1) {
+        doc.rect(50, y, 495, rowHeight).fill(this.colors.lightGray);
+      }
+      let x = 55;
+      row.forEach((cell, i) => {
+        const { text, color } = cell && typeof cell === 'object' ? cell : { text: cell };
+        doc
+          .font('Helvetica')
+          .fontSize(9)
+          .fillColor(color || this.colors.black)
+          .text(String(text ?? ''), x, y + 6, {
+            width: columns[i].width - 5,
+            align: columns[i].align || 'left',
+            height: rowHeight - 6,
+            ellipsis: true,
+          });
+        x += columns[i].width;
+      });
+      doc.y = y + rowHeight;
+    });
+    doc.x = 50;
+  }
+
+  addEmptyNote(doc, text) {
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .fillColor(this.colors.success)
+      .text(text, 50, doc.y, { width: 495, align: 'center' });
+  }
+}
+
+module.exports = { PortfolioReportGenerator };
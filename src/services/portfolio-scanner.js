@@ -0,0 +1,264 @@
+/**
+ * Portfolio Scanner - Validates every API of one or more owners
+ *
+ * Lists the owners' APIs through the SwaggerHub registry, validates the
+ * default version of each with the same ValidationEngine, waivers and
+ * QualityGate as the webhook pipeline, and rolls the results up for the portfolio
+ * report:
+ *
+ * - score distribution (10-point buckets) and grade counts
+ * - worst offenders (lowest scores)
+ * - most common rule violations across APIs
+ * - per-owner averages
+ *
+ * APIs that can't be fetched, or whose Standardization results fail for any
+ * reason other than Standardization being unavailable, are listed as scan
+ * errors instead of failing the whole scan. The portfolio scan doesn't diff against the scan history,
+ * so gate conditions that need a comparison (noNewIssues,
+ * maxBreakingChanges) are reported per API as not evaluated, and debt
+ * baseline policies judge all findings. The semver check only checks that
+ * each version is valid semver, as there is no predecessor to compare to.
+ */
+
+const crypto = require('crypto');
+const { WaiverSet } = require('./waiver-set');
+const { SemverComplianceCheck } = require('./semver-compliance');
+const { SwaggerHubClient } = require('./swaggerhub-client');
+const { createLogger } = require('./logger');
+const config = require('../config');
+const { version: generatorVersion } = require('../../package.json');
+
+const SCHEMA_VERSION = '1.1.0';
+const SCHEMA_ID = 'urn:swaggerhub-validation-report:portfolio-report:v1';
+
+class PortfolioScanner {
+  /**
+   * @param {object} options
+   * @param {object} options.swaggerHubClient - SwaggerHubClient
+   * @param {object} options.validationEngine - ValidationEngine
+   * @param {object} options.qualityGate - QualityGate
+   * @param {number} [options.concurrency=4] - APIs validated in parallel
+   * @param {number} [options.topCount=10] - Length of the worst-offender and violation lists
+   * @param {Function} [options.loadWaivers] - async (api, spec) => WaiverSet; defaults to the spec's x-waivers
+   */
+  constructor({ swaggerHubClient, validationEngine, qualityGate, concurrency = 4, topCount = 10, loadWaivers }) {
+    this.swaggerHubClient = swaggerHubClient;
+    this.validationEngine = validationEngine;
+    this.qualityGate = qualityGate;
+    this.loadWaivers = loadWaivers || (async (api, spec) => WaiverSet.fromSpec(spec));
+    this.concurrency = Math.max(1, concurrency);
+    this.topCount = topCount;
+    this.log = createLogger({ component: 'portfolio-scanner' });
+  }
+
+  /**
+   * Validate every API of the given owners
+   * @param {Array<string>} owners - SwaggerHub owners
+   * @returns {Promise<Array<object>>} One result per API; failed APIs carry an `error`
+   */
+  async scan(owners) {
+    const apis = [];
+    for (const owner of owners) {
+      apis.push(...await this.swaggerHubClient.listApis(owner));
+    }
+    this.log.info('portfolio.listed', { owners, apiCount: apis.length });
+
+    return this._mapConcurrently(apis, (api) => this.scanApi(api));
+  }
+
+  /**
+   * Validate one API version
+   * @param {object} api - { owner, apiName, version }
+   * @returns {Promise<object>} Per-API result (summary, gate outcome and rule violation counts)
+   */
+  async scanApi({ owner, apiName, version }) {
+    const target = { owner, apiName, version: version || 'latest' };
+    try {
+      const spec = await this.swaggerHubClient.fetchApiSpec(owner, apiName, target.version);
+      let standardizationData = { errors: [] };
+      try {
+        standardizationData = await this.swaggerHubClient.fetchStandardizationErrors(owner, apiName, target.version);
+      } catch (error) {
+        // Plans without Standardization still get findings from the local rules;
+        // any other failure (e.g. a revoked API key) makes this API a scan error
+        if (!SwaggerHubClient.isStandardizationUnavailable(error)) throw error;
+        this.log.info('portfolio.standardization-unavailable', { ...target, errorMessage: error.message });
+      }
+
+      // Version-ranged policies match 'latest' by the version the spec declares
+      const declaredVersion = target.version === 'latest' && spec.info?.version
+        ? String(spec.info.version)
+        : target.version;
+
+      const results = await this.validationEngine.validate(standardizationData, spec);
+      // Without a predecessor to diff against, only the version's format is checked
+      this.validationEngine.addFindings(results, new SemverComplianceCheck().check({ version: declaredVersion }));
+      this.validationEngine.applyWaivers(results, await this.loadWaivers(target, spec));
+      const gateResult = this.qualityGate.evaluate(results, { ...target, version: declaredVersion });
+      const s = results.summary;
+
+      const violations = {};
+      for (const issue of results.issues) {
+        const entry = violations[issue.code]
+          || (violations[issue.code] = { count: 0, category: issue.category, severity: issue.severity, severityLevel: issue.severityLevel });
+        entry.count++;
+        if (issue.severityLevel < entry.severityLevel) {
+          entry.severity = issue.severity;
+          entry.severityLevel = issue.severityLevel;
+        }
+      }
+
+      this.log.info('portfolio.api-scanned', { ...target, score: s.score, passed: gateResult.passed });
+      return {
+        ...target,
+        score: s.score,
+        grade: s.grade,
+        totalIssues: s.totalIssues,
+        errors: s.errors,
+        warnings: s.warnings,
+        info: s.info,
+        hints: s.hints,
+        waived: s.waived,
+        passed: gateResult.passed,
+        policy: gateResult.policy,
+        notEvaluated: gateResult.notEvaluated,
+        violations,
+      };
+    } catch (error) {
+      this.log.warn('portfolio.api-failed', { ...target, errorMessage: error.message });
+      return { ...target, error: error.message };
+    }
+  }
+
+  /**
+   * Roll per-API results up into the portfolio report
+   * @param {Array<object>} results - Results from scan()
+   * @param {object} params
+   * @param {Array<string>} params.owners - Owners that were scanned
+   * @param {string} [params.generatedAt] - ISO timestamp
+   * @param {string} [params.reportId] - Report ID (random if omitted)
+   * @returns {object} Portfolio report (JSON artifact; the PDF is built from it)
+   */
+  rollup(results, { owners, generatedAt = new Date().toISOString(), reportId = crypto.randomUUID() }) {
+    const scanned = results.filter((result) => !result.error);
+    const byScore = [...scanned].sort((a, b) => a.score - b.score || b.errors - a.errors);
+
+    return {
+      $schema: SCHEMA_ID,
+      schemaVersion: SCHEMA_VERSION,
+      report: {
+        id: reportId,
+        title: 'API Portfolio Report',
+        companyName: config.report.companyName,
+        generatedAt,
+        generator: {
+          name: 'swaggerhub-validation-report',
+          version: generatorVersion,
+        },
+      },
+      owners,
+      totals: {
+        apis: results.length,
+        scanned: scanned.length,
+        scanErrors: results.length - scanned.length,
+        passed: scanned.filter((result) => result.passed).length,
+        failed: scanned.filter((result) => !result.passed).length,
+        averageScore: this._average(scanned.map((result) => result.score)),
+      },
+      scoreDistribution: this._scoreDistribution(scanned),
+      gradeDistribution: this._count(scanned.map((result) => result.grade).filter(Boolean)),
+      worstOffenders: byScore.slice(0, this.topCount).map((result) => this._apiSummary(result)),
+      commonViolations: this._commonViolations(scanned).slice(0, this.topCount),
+      ownerSummaries: owners.map((owner) => {
+        const ownerResults = scanned.filter((result) => result.owner === owner);
+        return {
+          owner,
+          apis: results.filter((result) => result.owner === owner).length,
+          scanned: ownerResults.length,
+          averageScore: this._average(ownerResults.map((result) => result.score)),
+          passed: ownerResults.filter((result) => result.passed).length,
+          failed: ownerResults.filter((result) => !result.passed).length,
+        };
+      }),
+      apis: byScore.map((result) => this._apiSummary(result)),
+      scanErrors: results
+        .filter((result) => result.error)
+        .map(({ owner, apiName, version, error }) => ({ owner, apiName, version, error })),
+    };
+  }
+
+  _apiSummary(result) {
+    const { violations, ...summary } = result;
+    return summary;
+  }
+
+  /**
+   * Ten buckets 0-9 … 90-100, lowest first
+   */
+  _scoreDistribution(results) {
+    return Array.from({ length: 10 }, (_, i) => {
+      const min = i * 10;
+      const max = i === 9 ? 100 : min + 9;
+      return {
+        range: `${min}-${max}`,
+        min,
+        max,
+        count: results.filter((result) => Math.min(9, Math.floor(result.score / 10)) === i).length,
+      };
+    });
+  }
+
+  /**
+   * Rules ordered by how many APIs violate them, then by occurrences
+   */
+  _commonViolations(results) {
+    const rules = new Map();
+    for (const result of results) {
+      for (const [code, violation] of Object.entries(result.violations)) {
+        const rule = rules.get(code)
+          || { code, category: violation.category, severity: violation.severity, severityLevel: violation.severityLevel, apis: 0, occurrences: 0 };
+        rule.apis++;
+        rule.occurrences += violation.count;
+        if (violation.severityLevel < rule.severityLevel) {
+          rule.severity = violation.severity;
+          rule.severityLevel = violation.severityLevel;
+        }
+        rules.set(code, rule);
+      }
+    }
+    return [...rules.values()]
+      .sort((a, b) => b.apis - a.apis || b.occurrences - a.occurrences || a.code.localeCompare(b.code))
+      .map(({ severityLevel, ...rule }) => rule);
+  }
+
+  _average(values) {
+    if (values.length === 0) return null;
+    return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+  }
+
+  _count(values) {
+    const counts = {};
+    values.forEach((value) => {
+      counts[value] = (counts[value] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * Map items with at most `concurrency` calls in flight, keeping order
+   */
+  async _mapConcurrently(items, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+    return results;
+  }
+}
+
+module.exports = { PortfolioScanner, SCHEMA_VERSION };
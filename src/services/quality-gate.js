@@ -0,0 +1,225 @@
+/**
+ * Quality Gate - Pass/fail policies per owner, API or version
+ *
+ * Replaces the hard-coded "zero errors" rule with policy files that decide
+ * whether a scan passes. This is what releases are blocked on.
+ *
+ * Policy file (YAML or JSON, QUALITY_GATE_POLICY_PATH):
+ *
+ *   policies:
+ *     - name: payments-strict
+ *       match:                        # all given selectors must match
+ *         owners: [contoso-platform]
+ *         apis: ['payments-*']        # glob on the API name
+ *         versions: '>=2.0.0'         # semver range
+ *       conditions:
+ *         minScore: 80
+ *         maxErrors: 0
+ *         maxErrorsPerCategory: { Security: 0, Spec Compliance: 0 }
+ *         noNewIssues: true           # nothing new vs. the previous scan
+ *         maxBreakingChanges: 0       # contract changes that break consumers
+ *         semverCompliance: true      # valid semver, major bump for breaking changes
+ *         forbiddenRules: [bp-https-servers]
+ *     - name: legacy
+ *       match:
+ *         apis: ['legacy-*']
+ *       debtBaseline: true            # judge only findings new since the debt baseline
+ *       conditions:
+ *         maxErrors: 0
+ *     - name: default                 # no match block = catch-all
+ *       conditions:
+ *         maxErrors: 0
+ *
+ * The first matching policy wins. Without a policy file the built-in
+ * default policy (maxErrors: 0) keeps the original behaviour. With
+ * `debtBaseline: true` the conditions see only the new debt (findings not in
+ * the API's debt baseline, see debt-baseline.js), as long as a baseline exists.
+ *
+ * noNewIssues and maxBreakingChanges need a comparison (context.diff that
+ * isn't a first scan, context.contractDiff). Without one they are reported as not evaluated
+ * (`evaluated: false`) rather than passed, and don't fail the gate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { matchesGlob } = require('./glob');
+const { satisfies, validRange } = require('./semver');
+const { VERSIONING_CATEGORY } = require('./semver-compliance');
+
+const DEFAULT_POLICY = {
+  name: 'default',
+  conditions: { maxErrors: 0 },
+};
+
+const SUPPORTED_CONDITIONS = [
+  'minScore',
+  'maxErrors',
+  'maxErrorsPerCategory',
+  'noNewIssues',
+  'maxBreakingChanges',
+  'semverCompliance',
+  'forbiddenRules',
+];
+
+class QualityGate {
+  /**
+   * @param {Array} [policies] - Ordered policy list (defaults to the built-in policy)
+   */
+  constructor(policies) {
+    this.policies = policies && policies.length > 0 ? policies : [DEFAULT_POLICY];
+
+    for (const policy of this.policies) {
+      const unknown = Object.keys(policy.conditions || {}).filter((name) => !SUPPORTED_CONDITIONS.includes(name));
+      if (!policy.name || unknown.length > 0) {
+        throw new Error(
+          `Invalid quality gate policy "${policy.name || '?'}": ` +
+            `needs a name and only supports ${SUPPORTED_CONDITIONS.join(', ')}`
+        );
+      }
+      // Checked up front, so a typo fails loading the policies, not every job they apply to
+      const versions = policy.match?.versions;
+      if (versions != null && !validRange(versions)) {
+        throw new Error(`Invalid quality gate policy "${policy.name}": "${versions}" is not a valid version range`);
+      }
+    }
+  }
+
+  /**
+   * Load policies from a YAML/JSON file
+   * @param {string} filePath - Path to the policy file (relative to cwd)
+   * @returns {QualityGate}
+   */
+  static fromFile(filePath) {
+    const resolved = path.resolve(process.cwd(), filePath);
+    let doc;
+    try {
+      doc = yaml.load(fs.readFileSync(resolved, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid quality gate policy file ${path.basename(resolved)}: ${error.message}`);
+    }
+    if (!doc || !Array.isArray(doc.policies)) {
+      throw new Error(`Invalid quality gate policy file ${path.basename(resolved)}: expected a "policies" list`);
+    }
+    return new QualityGate(doc.policies);
+  }
+
+  /**
+   * Pick the first policy whose selectors match the API
+   * @param {object} target - { owner, apiName, version }
+   */
+  selectPolicy({ owner, apiName, version }) {
+    return this.policies.find((policy) => {
+      const match = policy.match || {};
+      if (match.owners && !this._toList(match.owners).includes(owner)) return false;
+      if (match.apis && !matchesGlob(apiName, match.apis, '/')) return false;
+      if (match.versions && !satisfies(version, match.versions)) return false;
+      return true;
+    }) || DEFAULT_POLICY;
+  }
+
+  /**
+   * Evaluate the gate for a scan
+   * @param {object} validationResults - Results from ValidationEngine
+   * @param {object} context
+   * @param {string} context.owner - API owner
+   * @param {string} context.apiName - API name
+   * @param {string} context.version - API version
+   * @param {object} [context.diff] - Diff against the previous scan (from DiffEngine)
+   * @param {object} [context.contractDiff] - Contract diff against the baseline spec (from ContractDiffEngine)
+   * @param {object} [context.debt] - Split against the debt baseline (from DebtBaseline.compare)
+   * @returns {object} { policy, passed, debtBaseline, conditions, failedConditions, notEvaluated }
+   */
+  evaluate(validationResults, context) {
+    const policy = this.selectPolicy(context);
+    const debtBaseline = Boolean(policy.debtBaseline && context.debt);
+    const { summary, issues } = debtBaseline
+      ? { summary: context.debt.newSummary, issues: context.debt.newIssues }
+      : validationResults;
+    const scope = debtBaseline ? 'new ' : '';
+    const conditions = [];
+    const c = policy.conditions || {};
+
+    if (c.minScore != null) {
+      conditions.push(this._result('minScore', summary.score >= c.minScore, c.minScore, summary.score,
+        `${debtBaseline ? 'New-debt score' : 'Score'} ${summary.score} is below the minimum of ${c.minScore}`));
+    }
+
+    if (c.maxErrors != null) {
+      conditions.push(this._result('maxErrors', summary.errors <= c.maxErrors, c.maxErrors, summary.errors,
+        `${summary.errors} ${scope}error(s) found, at most ${c.maxErrors} allowed`));
+    }
+
+    for (const [category, max] of Object.entries(c.maxErrorsPerCategory || {})) {
+      const actual = summary.categories?.[category]?.errors || 0;
+      conditions.push(this._result(`maxErrorsPerCategory:${category}`, actual <= max, max, actual,
+        `${actual} ${scope}${category} error(s) found, at most ${max} allowed`));
+    }
+
+    if (c.noNewIssues && (!context.diff || context.diff.isFirstScan)) {
+      conditions.push(this._notEvaluated('noNewIssues', 0, 'no previous scan to compare against'));
+    } else if (c.noNewIssues) {
+      const newCount = context.diff.newIssues.length;
+      conditions.push(this._result('noNewIssues', newCount === 0, 0, newCount,
+        `${newCount} new issue(s) introduced since the previous scan`));
+    }
+
+    if (c.maxBreakingChanges != null && !context.contractDiff) {
+      conditions.push(this._notEvaluated('maxBreakingChanges', c.maxBreakingChanges, 'no baseline spec to compare against'));
+    } else if (c.maxBreakingChanges != null) {
+      const breaking = context.contractDiff.summary.breaking;
+      conditions.push(this._result('maxBreakingChanges', breaking <= c.maxBreakingChanges, c.maxBreakingChanges, breaking,
+        `${breaking} breaking contract change(s) found, at most ${c.maxBreakingChanges} allowed`));
+    }
+
+    if (c.semverCompliance) {
+      const violations = issues.filter((i) => i.category === VERSIONING_CATEGORY);
+      conditions.push(this._result('semverCompliance', violations.length === 0, true, violations.map((i) => i.code),
+        `Version is not semver compliant: ${violations.map((i) => i.message).join('; ')}`));
+    }
+
+    if (c.forbiddenRules && c.forbiddenRules.length > 0) {
+      const forbidden = this._toList(c.forbiddenRules);
+      const hits = [...new Set(issues.filter((i) => forbidden.includes(i.code)).map((i) => i.code))];
+      conditions.push(this._result('forbiddenRules', hits.length === 0, forbidden, hits,
+        `Forbidden rule(s) violated: ${hits.join(', ')}`));
+    }
+
+    const failedConditions = conditions.filter((condition) => !condition.passed);
+    return {
+      policy: policy.name,
+      passed: failedConditions.length === 0,
+      debtBaseline,
+      conditions,
+      failedConditions,
+      notEvaluated: conditions.filter((condition) => condition.evaluated === false).map((condition) => condition.condition),
+    };
+  }
+
+  _notEvaluated(condition, expected, reason) {
+    return {
+      condition,
+      passed: true,
+      evaluated: false,
+      expected,
+      actual: null,
+      message: `Not evaluated: ${reason}`,
+    };
+  }
+
+  _result(condition, passed, expected, actual, failureMessage) {
+    return {
+      condition,
+      passed,
+      expected,
+      actual,
+      message: passed ? 'OK' : failureMessage,
+    };
+  }
+
+  _toList(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+module.exports = { QualityGate, DEFAULT_POLICY };
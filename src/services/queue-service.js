@@ -0,0 +1,183 @@
+/**
+ * Queue Service - Job queue between the webhook intake and the worker
+ *
+ * SqsQueue is used in AWS (JOB_QUEUE_URL set). SQS redelivers failed jobs and
+ * moves them to the dead-letter queue after maxReceiveCount attempts
+ * (configured on the queue in the CDK stack).
+ *
+ * InMemoryQueue is used locally (no JOB_QUEUE_URL). It delivers jobs to the
+ * worker handler as SQS-shaped events and mimics the redelivery and
+ * dead-letter behaviour, so the same worker code runs without AWS.
+ */
+
+const crypto = require('crypto');
+const {
+  SQSClient,
+  SendMessageCommand,
+  ReceiveMessageCommand,
+  DeleteMessageCommand,
+} = require('@aws-sdk/client-sqs');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'queue' });
+
+class SqsQueue {
+  /**
+   * @param {object} queueConfig - config.queue ({ url, deadLetterUrl })
+   * @param {object} awsConfig - config.aws ({ region })
+   */
+  constructor(queueConfig, awsConfig) {
+    this.sqs = new SQSClient({ region: awsConfig.region });
+    this.queueUrl = queueConfig.url;
+    this.deadLetterUrl = queueConfig.deadLetterUrl;
+  }
+
+  /**
+   * Enqueue a job
+   * @param {object} job - Job payload (must include jobId)
+   * @param {object} [options]
+   * @param {number} [options.delaySeconds=0] - Hold the job back before delivery (max 900)
+   * @returns {Promise<string>} SQS message ID
+   */
+  async send(job, { delaySeconds = 0 } = {}) {
+    const response = await this.sqs.send(new SendMessageCommand({
+      QueueUrl: this.queueUrl,
+      MessageBody: JSON.stringify(job),
+      DelaySeconds: Math.min(900, Math.max(0, delaySeconds)),
+      MessageAttributes: {
+        jobId: { DataType: 'String', StringValue: job.jobId },
+      },
+    }));
+    return response.MessageId;
+  }
+
+  /**
+   * Move jobs from the dead-letter queue back onto the job queue
+   * @param {object} [options]
+   * @param {number} [options.maxMessages=100] - Stop after this many jobs
+   * @returns {Promise<number>} Number of jobs replayed
+   */
+  async replayDeadLetters({ maxMessages = 100 } = {}) {
+    if (!this.deadLetterUrl) {
+      throw new Error('No dead-letter queue configured (JOB_DLQ_URL)');
+    }
+
+    let replayed = 0;
+    while (replayed < maxMessages) {
+      const { Messages = [] } = await this.sqs.send(new ReceiveMessageCommand({
+        QueueUrl: this.deadLetterUrl,
+        MaxNumberOfMessages: Math.min(10, maxMessages - replayed),
+        MessageAttributeNames: ['All'],
+        WaitTimeSeconds: 1,
+      }));
+      if (Messages.length === 0) break;
+
+      for (const message of Messages) {
+        await this.sqs.send(new SendMessageCommand({
+          QueueUrl: this.queueUrl,
+          MessageBody: message.Body,
+          MessageAttributes: message.MessageAttributes,
+        }));
+        await this.sqs.send(new DeleteMessageCommand({
+          QueueUrl: this.deadLetterUrl,
+          ReceiptHandle: message.ReceiptHandle,
+        }));
+        replayed++;
+      }
+    }
+
+    log.info('dead-letters.replayed', { count: replayed });
+    return replayed;
+  }
+}
+
+class InMemoryQueue {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxReceiveCount=3] - Attempts before a job is dead-lettered
+   */
+  constructor({ maxReceiveCount = 3 } = {}) {
+    this.maxReceiveCount = maxReceiveCount;
+    this.messages = [];
+    this.deadLetters = [];
+  }
+
+  /**
+   * Enqueue a job. Delays are not simulated: drain() delivers everything
+   * queued so far, which is where a debounce would have collapsed a burst.
+   */
+  async send(job) {
+    const messageId = crypto.randomUUID();
+    this.messages.push({ messageId, body: JSON.stringify(job), receiveCount: 0 });
+    return messageId;
+  }
+
+  /**
+   * Deliver queued jobs to a worker handler until the queue is empty
+   * @param {Function} handler - SQS Lambda handler (event, context) => { batchItemFailures }
+   * @returns {Promise<object>} { processed, failed, deadLettered }
+   */
+  async drain(handler) {
+    const stats = { processed: 0, failed: 0, deadLettered: 0 };
+
+    while (this.messages.length > 0) {
+      const message = this.messages.shift();
+      message.receiveCount++;
+
+      const event = {
+        Records: [
+          {
+            messageId: message.messageId,
+            body: message.body,
+            attributes: { ApproximateReceiveCount: String(message.receiveCount) },
+            eventSource: 'aws:sqs',
+          },
+        ],
+      };
+      const response = await handler(event, { awsRequestId: `local-${message.messageId}` });
+      const failed = (response?.batchItemFailures || []).some((f) => f.itemIdentifier === message.messageId);
+
+      if (!failed) {
+        stats.processed++;
+        continue;
+      }
+
+      stats.failed++;
+      if (message.receiveCount >= this.maxReceiveCount) {
+        stats.deadLettered++;
+        this.deadLetters.push(message);
+      } else {
+        this.messages.push(message);
+      }
+    }
+
+    return stats;
+  }
+
+  async replayDeadLetters() {
+    const messages = this.deadLetters.splice(0);
+    messages.forEach((message) => this.messages.push({ ...message, receiveCount: 0 }));
+    return messages.length;
+  }
+}
+
+// Shared so the intake handler and a local worker in the same process see one queue
+let localQueue = null;
+
+/**
+ * Create the job queue for the current environment
+ * @param {object} queueConfig - config.queue
+ * @param {object} awsConfig - config.aws
+ * @returns {SqsQueue|InMemoryQueue}
+ */
+function createJobQueue(queueConfig, awsConfig) {
+  if (queueConfig.url) {
+    return new SqsQueue(queueConfig, awsConfig);
+  }
+  if (!localQueue) {
+    localQueue = new InMemoryQueue({ maxReceiveCount: queueConfig.maxReceiveCount });
+  }
+  return localQueue;
+}
+
+module.exports = { SqsQueue, InMemoryQueue, createJobQueue };
@@ -6,6 +6,8 @@
  */
 
 const PDFDocument = require('pdfkit');
+const { ChangelogGenerator } = require('./changelog-generator');
+const { SlaPolicy } = require('./sla-policy');
 const config = require('../config');
 
 class ReportGenerator {
@@ -55,7 +57,22 @@ class ReportGenerator {
         if (data.diff && !data.diff.isFirstScan) {
           this.addChangesSinceLastScan(doc, data);
         }
+        if (data.trend && data.trend.length >= 2) {
+          this.addQualityTrend(doc, data);
+        }
+        if (data.contractDiff) {
+          this.addContractChanges(doc, data);
+        }
+        if (data.changelog && !ChangelogGenerator.isEmpty(data.changelog)) {
+          this.addChangelog(doc, data);
+        }
         this.addDetailedFindings(doc, data);
+        if (data.sla && data.sla.breached > 0) {
+          this.addRemediationSla(doc, data);
+        }
+        if (this.hasWaivers(data.validationResults.waivers)) {
+          this.addAcceptedExceptions(doc, data);
+        }
         this.addCategorySummary(doc, data);
         this.addRecommendations(doc, data);
         this.addFooter(doc);
@@ -137,11 +154,17 @@ class ReportGenerator {
       .text('/100', centerX - 25, centerY + 16, { width: 50, align: 'center' });
 
     doc.y = centerY + 70;
+    const { grade, scoringProfile } = data.validationResults.summary;
     doc
       .font('Helvetica')
       .fontSize(12)
       .fillColor(this.colors.secondary)
-      .text('API Quality Score', { align: 'center' });
+      .text(grade ? `API Quality Score — Grade ${grade}` : 'API Quality Score', { align: 'center' });
+    if (scoringProfile) {
+      doc
+        .fontSize(8)
+        .text(`Scoring profile: ${scoringProfile.name} v${scoringProfile.version}`, { align: 'center' });
+    }
 
     // Pass/Fail status
     doc.moveDown(1);
@@ -152,8 +175,30 @@ class ReportGenerator {
       .fillColor(passed ? this.colors.success : this.colors.error)
       .text(passed ? '✓ PASSED VALIDATION' : '✗ VALIDATION FAILED', { align: 'center' });
 
+    // API inventory
+    if (data.inventory) {
+      const inv = data.inventory;
+      doc.moveDown(2);
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .fillColor(this.colors.secondary)
+        .text(
+          `OpenAPI ${inv.openApiVersion}  ·  ${inv.paths} paths  ·  ${inv.operations} operations  ·  ` +
+            `${inv.schemas} schemas  ·  ${inv.tags} tags  ·  ${inv.servers} servers  ·  ` +
+            `${inv.securitySchemes} security schemes`,
+          { align: 'center' }
+        );
+      const methods = Object.entries(inv.methods || {});
+      if (methods.length > 0) {
+        doc
+          .fontSize(9)
+          .text(methods.map(([method, count]) => `${method.toUpperCase()} ${count}`).join('  ·  '), { align: 'center' });
+      }
+    }
+
     // Footer info
-    doc.moveDown(6);
+    doc.moveDown(data.inventory ? 3 : 6);
     doc
       .font('Helvetica')
       .fontSize(10)
@@ -259,6 +304,39 @@ class ReportGenerator {
     });
 
     doc.y = currentY + 10;
+
+    if (data.gateResult) {
+      this.addQualityGate(doc, data.gateResult);
+    }
+  }
+
+  /**
+   * Quality gate conditions (rendered on the executive summary page)
+   */
+  addQualityGate(doc, gateResult) {
+    if (doc.y > 640) doc.addPage();
+
+    doc.moveDown(1);
+    this.addSubHeader(doc, `Quality Gate: ${gateResult.passed ? 'PASSED' : 'FAILED'}`);
+    doc
+      .font('Helvetica')
+      .fontSize(9)
+      .fillColor(this.colors.secondary)
+      .text(`Policy: ${gateResult.policy}${gateResult.debtBaseline ? ' (debt baseline: only new findings count)' : ''}`);
+    doc.moveDown(0.3);
+
+    gateResult.conditions.forEach((condition) => {
+      if (doc.y > 720) doc.addPage();
+      const skipped = condition.evaluated === false;
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(9)
+        .fillColor(skipped ? this.colors.secondary : condition.passed ? this.colors.success : this.colors.error)
+        .text(skipped ? '  N/A   ' : condition.passed ? '  PASS  ' : '  FAIL  ', 60, doc.y, { continued: true })
+        .font('Helvetica')
+        .fillColor(this.colors.black)
+        .text(condition.passed && !skipped ? condition.condition : `${condition.condition} — ${condition.message}`, { width: 440 });
+    });
   }
 
   /**
@@ -280,60 +358,251 @@ class ReportGenerator {
       return;
     }
 
-    issues.forEach((issue, index) => {
-      // Check if we need a new page (leave room for the issue block)
-      if (doc.y > 700) {
-        doc.addPage();
+    // With a debt baseline, new debt is listed apart from the accepted baseline debt
+    if (data.debt) {
+      const debt = data.debt;
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .fillColor(this.colors.secondary)
+        .text(
+          `Debt baseline taken on ${new Date(debt.baseline.createdAt).toLocaleDateString()} (version ${debt.baseline.version}): ` +
+            `${debt.newIssues.length} new finding(s) since then, ${debt.baselineIssues.length} accepted as baseline debt, ` +
+            `${debt.resolvedIssues.length} baseline finding(s) resolved.`
+        );
+      doc.moveDown(1);
+      this.addSubHeader(doc, `New Debt (${debt.newIssues.length})`);
+      doc.moveDown(0.5);
+      if (debt.newIssues.length === 0) {
+        doc
+          .font('Helvetica')
+          .fontSize(10)
+          .fillColor(this.colors.success)
+          .text('No new findings since the debt baseline.');
       }
+      debt.newIssues.forEach((issue, index) => this.addIssueBlock(doc, issue, index, data.sla));
 
-      const issueY = doc.y;
-      const severityColor = this.getSeverityColor(issue.severity);
+      doc.moveDown(1);
+      if (doc.y > 680) doc.addPage();
+      doc.x = 50;
+      this.addSubHeader(doc, `Baseline Debt (${debt.baselineIssues.length})`);
+      doc.moveDown(0.5);
+      debt.baselineIssues.forEach((issue, index) => this.addIssueBlock(doc, issue, debt.newIssues.length + index, data.sla));
+      return;
+    }
 
-      // Severity indicator bar
-      doc.rect(50, issueY, 4, 50).fill(severityColor);
+    issues.forEach((issue, index) => this.addIssueBlock(doc, issue, index, data.sla));
+  }
 
-      // Issue number and severity badge
-      doc
-        .font('Helvetica-Bold')
-        .fontSize(10)
-        .fillColor(this.colors.black)
-        .text(`#${index + 1}`, 62, issueY + 2);
+  /**
+   * One finding: severity bar and badge, rule, message, path and, with an
+   * SLA evaluation, its age and whether it breached the SLA
+   */
+  addIssueBlock(doc, issue, index, sla = null) {
+    // Check if we need a new page (leave room for the issue block)
+    if (doc.y > 700) {
+      doc.addPage();
+    }
+
+    const issueY = doc.y;
+    const severityColor = this.getSeverityColor(issue.severity);
+
+    // Severity indicator bar
+    doc.rect(50, issueY, 4, 50).fill(severityColor);
+
+    // Issue number and severity badge
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(10)
+      .fillColor(this.colors.black)
+      .text(`#${index + 1}`, 62, issueY + 2);
+
+    // Severity badge
+    const badgeWidth = issue.severity.length * 6 + 12;
+    doc.roundedRect(90, issueY, badgeWidth, 16, 3).fill(severityColor);
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(8)
+      .fillColor(this.colors.white)
+      .text(issue.severity.toUpperCase(), 96, issueY + 4);
 
-      // Severity badge
-      const badgeWidth = issue.severity.length * 6 + 12;
-      doc.roundedRect(90, issueY, badgeWidth, 16, 3).fill(severityColor);
+    // Rule code
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor(this.colors.secondary)
+      .text(`Rule: ${issue.code}`, 90 + badgeWidth + 8, issueY + 4);
+
+    // Message
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(this.colors.black)
+      .text(issue.message, 62, issueY + 20, { width: 470 });
+
+    // Path
+    if (issue.path) {
+      const messageBottom = doc.y;
       doc
-        .font('Helvetica-Bold')
+        .font('Helvetica')
         .fontSize(8)
-        .fillColor(this.colors.white)
-        .text(issue.severity.toUpperCase(), 96, issueY + 4);
+        .fillColor(this.colors.info)
+        .text(`Path: ${issue.path}`, 62, messageBottom + 2, { width: 470 });
+    }
 
-      // Rule code
+    // Age
+    if (sla && issue.firstSeenAt) {
+      const breach = sla.breaches.find((b) => b.issue === issue);
+      const ageDays = SlaPolicy.ageDays(issue, sla.evaluatedAt);
       doc
         .font('Helvetica')
         .fontSize(8)
         .fillColor(this.colors.secondary)
-        .text(`Rule: ${issue.code}`, 90 + badgeWidth + 8, issueY + 4);
+        .text(
+          issue.scanCount > 1
+            ? `Open ${ageDays} day(s), first seen ${new Date(issue.firstSeenAt).toLocaleDateString()} (${issue.scanCount} scans)`
+            : 'First seen in this scan',
+          62,
+          doc.y + 2,
+          { width: 470, continued: Boolean(breach) }
+        );
+      if (breach) {
+        doc
+          .font('Helvetica-Bold')
+          .fillColor(this.colors.error)
+          .text(` · SLA breached: ${breach.overdueDays} day(s) past the ${breach.slaDays}-day limit`);
+      }
+    }
+
+    doc.y = doc.y + 12;
+  }
+
+  /**
+   * Remediation SLAs Page — findings open longer than the SLA for their
+   * severity, most overdue first
+   */
+  addRemediationSla(doc, data) {
+    const sla = data.sla;
+    doc.addPage();
+    this.addSectionHeader(doc, 'Remediation SLAs');
+    doc.moveDown(1);
+
+    const limits = Object.entries(sla.limits)
+      .filter(([, days]) => days)
+      .map(([severity, days]) => `${severity} ${days} days`);
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(this.colors.secondary)
+      .text(`${sla.breached} finding(s) have been open longer than the SLA for their severity (${limits.join(', ')}).`);
+    doc.moveDown(1);
 
-      // Message
+    sla.breaches.slice(0, 40).forEach(({ issue, ageDays, slaDays, dueAt, overdueDays }) => {
+      if (doc.y > 700) doc.addPage();
+      doc
+        .font('Helvetica')
+        .fontSize(9)
+        .fillColor(this.getSeverityColor(issue.severity))
+        .text('  ● ', 60, doc.y, { continued: true })
+        .fillColor(this.colors.black)
+        .text(`[${issue.severity}] ${issue.message}`, { width: 440 });
       doc
         .font('Helvetica')
+        .fontSize(8)
+        .fillColor(this.colors.secondary)
+        .text(`    ${issue.path ? `${issue.path} · ` : ''}open ${ageDays} day(s) since ${new Date(issue.firstSeenAt).toLocaleDateString()} · `, 60, doc.y + 1, { continued: true, width: 440 })
+        .fillColor(this.colors.error)
+        .text(`due ${new Date(dueAt).toLocaleDateString()} (${slaDays}-day SLA), ${overdueDays} day(s) overdue`);
+      doc.moveDown(0.3);
+    });
+    if (sla.breaches.length > 40) {
+      doc
+        .font('Helvetica')
+        .fontSize(9)
+        .fillColor(this.colors.secondary)
+        .text(`  ... and ${sla.breaches.length - 40} more`, 60);
+    }
+  }
+
+  /**
+   * Accepted Exceptions Page — findings suppressed by a waiver, grouped by
+   * waiver, plus expired waivers (their findings count again) and ignored ones
+   */
+  addAcceptedExceptions(doc, data) {
+    doc.addPage();
+    this.addSectionHeader(doc, 'Accepted Exceptions');
+    doc.moveDown(1);
+
+    const { waived, expired, invalid } = data.validationResults.waivers;
+    const now = Date.parse(data.generatedAt) || Date.now();
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(this.colors.secondary)
+      .text(`${waived.length} finding(s) are waived and excluded from the score and the quality gate. They count again once their waiver expires.`);
+
+    // One block per waiver with the findings it covers
+    const groups = new Map();
+    for (const issue of waived) {
+      const key = JSON.stringify([issue.waiver.source, issue.waiver.rule, issue.waiver.path, issue.waiver.expires]);
+      if (!groups.has(key)) groups.set(key, { waiver: issue.waiver, issues: [] });
+      groups.get(key).issues.push(issue);
+    }
+
+    for (const { waiver, issues } of groups.values()) {
+      doc.moveDown(1);
+      if (doc.y > 660) doc.addPage();
+      const daysLeft = Math.ceil((Date.parse(waiver.expiresAt) - now) / (24 * 60 * 60 * 1000));
+      const expiryColor = daysLeft <= 30 ? this.colors.warning : this.colors.secondary;
+
+      doc
+        .font('Helvetica-Bold')
         .fontSize(10)
         .fillColor(this.colors.black)
-        .text(issue.message, 62, issueY + 20, { width: 470 });
+        .text(`${waiver.rule}${waiver.path ? ` at ${[].concat(waiver.path).join(', ')}` : ''}`, 55, doc.y, { width: 480 });
+      doc
+        .font('Helvetica-Oblique')
+        .fontSize(9)
+        .fillColor(this.colors.secondary)
+        .text(`"${waiver.justification}"`, 55, doc.y + 2, { width: 480 });
+      doc
+        .font('Helvetica')
+        .fontSize(8)
+        .fillColor(this.colors.secondary)
+        .text(`Approved by ${waiver.approver} · ${waiver.source} · `, 55, doc.y + 2, { continued: true })
+        .fillColor(expiryColor)
+        .text(`expires ${waiver.expires} (${daysLeft} day(s) left)`);
 
-      // Path
-      if (issue.path) {
-        const messageBottom = doc.y;
+      doc.moveDown(0.3);
+      issues.slice(0, 20).forEach((issue) => {
+        if (doc.y > 720) doc.addPage();
+        doc
+          .font('Helvetica')
+          .fontSize(9)
+          .fillColor(this.getSeverityColor(issue.severity))
+          .text('  ● ', 60, doc.y, { continued: true })
+          .fillColor(this.colors.black)
+          .text(`${issue.message}${issue.path ? ` (${issue.path})` : ''}`, { width: 440 });
+      });
+      if (issues.length > 20) {
         doc
           .font('Helvetica')
-          .fontSize(8)
-          .fillColor(this.colors.info)
-          .text(`Path: ${issue.path}`, 62, messageBottom + 2, { width: 470 });
+          .fontSize(9)
+          .fillColor(this.colors.secondary)
+          .text(`  ... and ${issues.length - 20} more`, 60);
       }
+    }
 
-      doc.y = doc.y + 12;
-    });
+    this.addChangelogSection(doc, '⏱ Expired Waivers', expired.map((waiver) => ({
+      text: `${waiver.rule}${waiver.path ? ` at ${[].concat(waiver.path).join(', ')}` : ''} expired on ${waiver.expires} (approved by ${waiver.approver}); ${waiver.resurfaced} finding(s) count again`,
+    })), this.colors.error);
+    this.addChangelogSection(doc, 'Ignored Waivers', invalid.map((entry) => ({
+      text: `${entry.source}${entry.index !== undefined ? ` #${entry.index + 1}` : ''}${entry.rule ? ` (${entry.rule})` : ''}: ${entry.reason}`,
+    })), this.colors.warning);
+  }
+
+  hasWaivers(waivers) {
+    return Boolean(waivers) && (waivers.waived.length > 0 || waivers.expired.length > 0 || waivers.invalid.length > 0);
   }
 
   /**
@@ -477,7 +746,12 @@ class ReportGenerator {
       .font('Helvetica')
       .fontSize(10)
       .fillColor(this.colors.secondary)
-      .text(`Compared against: version ${diff.previousVersion} (scanned ${new Date(diff.previousScannedAt).toLocaleDateString()})`);
+      .text(`Compared against: version ${diff.previousVersion}${diff.comparisonMode === 'previous-version' ? ' (previous version)' : ''} (scanned ${new Date(diff.previousScannedAt).toLocaleDateString()})`);
+    if (diff.scoringProfileChanged) {
+      doc
+        .fillColor(this.colors.warning)
+        .text('Note: the scoring profile changed since the previous scan, so the score change is not a like-for-like comparison.');
+    }
     doc.moveDown(1);
 
     // Score change banner
@@ -626,6 +900,38 @@ class ReportGenerator {
       }
     }
 
+    // Moved issues (same finding, renamed or relocated spec node)
+    if (diff.movedIssues.length > 0) {
+      doc.moveDown(1);
+      this.addSubHeader(doc, `Moved Issues (${diff.movedIssues.length})`);
+      doc.moveDown(0.3);
+
+      diff.movedIssues.slice(0, 15).forEach(({ from, to }) => {
+        if (doc.y > 720) doc.addPage();
+        doc
+          .font('Helvetica')
+          .fontSize(9)
+          .fillColor(this.colors.secondary)
+          .text('  ↪ ', 60, doc.y, { continued: true })
+          .fillColor(this.colors.black)
+          .text(`[${to.severity}] ${to.message}`, { width: 450 });
+        if (from.path || to.path) {
+          doc
+            .font('Helvetica')
+            .fontSize(8)
+            .fillColor(this.colors.info)
+            .text(`    Path: ${from.path || '(none)'} → ${to.path || '(none)'}`, 60, doc.y, { width: 450 });
+        }
+      });
+      if (diff.movedIssues.length > 15) {
+        doc
+          .font('Helvetica')
+          .fontSize(9)
+          .fillColor(this.colors.secondary)
+          .text(`  ... and ${diff.movedIssues.length - 15} more moved`, 60);
+      }
+    }
+
     // Persisting issues count
     if (diff.persistingIssues.length > 0) {
       doc.moveDown(1);
@@ -636,6 +942,16 @@ class ReportGenerator {
         .text(`${diff.persistingIssues.length} issue(s) remain unchanged from the previous scan.`, 60);
     }
 
+    // Newly waived issues (listed under Accepted Exceptions)
+    if (diff.waivedIssues.length > 0) {
+      doc.moveDown(0.5);
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .fillColor(this.colors.secondary)
+        .text(`${diff.waivedIssues.length} issue(s) have been waived since the previous scan (see Accepted Exceptions).`, 60);
+    }
+
     // Net result summary
     doc.moveDown(1.5);
     const netText = diff.scoreChange > 0
@@ -650,6 +966,389 @@ class ReportGenerator {
       .text(netText, { align: 'center' });
   }
 
+  /**
+   * Quality Trend Page — score line and stacked issue bars over the recent
+   * scans (data.trend, oldest first), with a marker wherever the version changed
+   */
+  addQualityTrend(doc, data) {
+    doc.addPage();
+    this.addSectionHeader(doc, 'Quality Trend');
+    doc.moveDown(1);
+
+    const trend = data.trend;
+    const first = trend[0];
+    const last = trend[trend.length - 1];
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(this.colors.secondary)
+      .text(`Last ${trend.length} scans, ${new Date(first.scannedAt).toLocaleDateString()} to ${new Date(last.scannedAt).toLocaleDateString()}, across all versions of the API.`);
+    doc.moveDown(1);
+
+    // Both charts share the x axis: one slot per scan
+    const axis = { x: 85, width: 455, count: trend.length };
+    axis.slot = axis.width / axis.count;
+
+    this.addSubHeader(doc, 'Quality Score');
+    doc.moveDown(0.8);
+    this.addScoreTrendChart(doc, trend, axis, 150);
+
+    doc.moveDown(1);
+    this.addSubHeader(doc, 'Issues per Scan');
+    doc.moveDown(0.8);
+    this.addIssueTrendChart(doc, trend, axis, 130);
+
+    // Net result over the period
+    const scored = trend.filter((entry) => entry.score != null);
+    if (scored.length >= 2) {
+      const change = scored[scored.length - 1].score - scored[0].score;
+      const scores = scored.map((entry) => entry.score);
+      const color = change > 0 ? this.colors.success : change < 0 ? this.colors.error : this.colors.secondary;
+      doc.moveDown(1.5);
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(11)
+        .fillColor(color)
+        .text(`Score ${scored[0].score} → ${scored[scored.length - 1].score} (${change > 0 ? '+' : ''}${change}) over ${scored.length} scans`, 50, doc.y, { align: 'center' });
+      doc
+        .font('Helvetica')
+        .fontSize(9)
+        .fillColor(this.colors.secondary)
+        .text(`Best ${Math.max(...scores)}, worst ${Math.min(...scores)}. Errors ${first.errors} → ${last.errors}, warnings ${first.warnings} → ${last.warnings}.`, { align: 'center' });
+    }
+  }
+
+  /**
+   * Score line (0-100) with the 50/80 thresholds
+   */
+  addScoreTrendChart(doc, trend, axis, height) {
+    const top = doc.y;
+    const bottom = top + height;
+    const yFor = (score) => bottom - (score / 100) * height;
+
+    // Grid
+    [0, 20, 40, 60, 80, 100].forEach((value) => {
+      doc
+        .moveTo(axis.x, yFor(value))
+        .lineTo(axis.x + axis.width, yFor(value))
+        .strokeColor(this.colors.lightGray)
+        .lineWidth(1)
+        .stroke();
+      doc
+        .font('Helvetica')
+        .fontSize(7)
+        .fillColor(this.colors.secondary)
+        .text(String(value), axis.x - 30, yFor(value) - 3, { width: 24, align: 'right', lineBreak: false });
+    });
+    [[80, this.colors.success], [50, this.colors.warning]].forEach(([value, color]) => {
+      doc
+        .moveTo(axis.x, yFor(value))
+        .lineTo(axis.x + axis.width, yFor(value))
+        .dash(3, { space: 3 })
+        .strokeColor(color)
+        .lineWidth(0.75)
+        .stroke()
+        .undash();
+    });
+
+    this.addVersionMarkers(doc, trend, axis, top, bottom);
+
+    // Line, broken where a scan has no score
+    const points = trend.map((entry, i) => (entry.score == null ? null : {
+      x: axis.x + axis.slot * (i + 0.5),
+      y: yFor(entry.score),
+      score: entry.score,
+    }));
+    points.forEach((point, i) => {
+      const previous = points[i - 1];
+      if (point && previous) {
+        doc
+          .moveTo(previous.x, previous.y)
+          .lineTo(point.x, point.y)
+          .strokeColor(this.colors.primary)
+          .lineWidth(2)
+          .stroke();
+      }
+    });
+    const labelEvery = Math.ceil(trend.length / 12);
+    points.forEach((point, i) => {
+      if (!point) return;
+      const color = point.score >= 80 ? this.colors.success
+        : point.score >= 50 ? this.colors.warning
+        : this.colors.error;
+      doc.circle(point.x, point.y, 3).fill(color);
+      if (i % labelEvery === 0 || i === points.length - 1) {
+        doc
+          .font('Helvetica-Bold')
+          .fontSize(7)
+          .fillColor(this.colors.black)
+          .text(String(point.score), point.x - 15, point.y - 12, { width: 30, align: 'center', lineBreak: false });
+      }
+    });
+
+    this.addTrendDateLabels(doc, trend, axis, bottom);
+  }
+
+  /**
+   * Errors, warnings and info stacked per scan
+   */
+  addIssueTrendChart(doc, trend, axis, height) {
+    const top = doc.y;
+    const bottom = top + height;
+    const series = [
+      ['errors', 'Errors', this.colors.error],
+      ['warnings', 'Warnings', this.colors.warning],
+      ['info', 'Info', this.colors.info],
+    ];
+    const totals = trend.map((entry) => series.reduce((sum, [key]) => sum + (entry[key] || 0), 0));
+    const step = Math.max(1, Math.ceil(Math.max(...totals) / 4));
+    const yFor = (count) => bottom - (count / (step * 4)) * height;
+
+    // Grid
+    for (let value = 0; value <= step * 4; value += step) {
+      doc
+        .moveTo(axis.x, yFor(value))
+        .lineTo(axis.x + axis.width, yFor(value))
+        .strokeColor(this.colors.lightGray)
+        .lineWidth(1)
+        .stroke();
+      doc
+        .font('Helvetica')
+        .fontSize(7)
+        .fillColor(this.colors.secondary)
+        .text(String(value), axis.x - 30, yFor(value) - 3, { width: 24, align: 'right', lineBreak: false });
+    }
+
+    this.addVersionMarkers(doc, trend, axis, top, bottom);
+
+    const barWidth = Math.min(28, axis.slot * 0.6);
+    trend.forEach((entry, i) => {
+      const x = axis.x + axis.slot * (i + 0.5) - barWidth / 2;
+      let stacked = 0;
+      series.forEach(([key, , color]) => {
+        const count = entry[key] || 0;
+        if (count > 0) {
+          doc.rect(x, yFor(stacked + count), barWidth, yFor(stacked) - yFor(stacked + count)).fill(color);
+          stacked += count;
+        }
+      });
+      if (axis.slot >= 14) {
+        doc
+          .font('Helvetica-Bold')
+          .fontSize(7)
+          .fillColor(this.colors.black)
+          .text(String(totals[i]), x - 5, yFor(totals[i]) - 10, { width: barWidth + 10, align: 'center', lineBreak: false });
+      }
+    });
+
+    this.addTrendDateLabels(doc, trend, axis, bottom);
+
+    // Legend
+    let legendX = axis.x;
+    const legendY = doc.y + 4;
+    series.forEach(([, label, color]) => {
+      doc.rect(legendX, legendY, 8, 8).fill(color);
+      doc
+        .font('Helvetica')
+        .fontSize(8)
+        .fillColor(this.colors.secondary)
+        .text(label, legendX + 12, legendY, { lineBreak: false });
+      legendX += 70;
+    });
+    doc.y = legendY + 14;
+    doc.x = 50;
+  }
+
+  /**
+   * Dashed line before the first scan of each new version, labelled with it
+   */
+  addVersionMarkers(doc, trend, axis, top, bottom) {
+    trend.forEach((entry, i) => {
+      if (i > 0 && entry.version === trend[i - 1].version) return;
+      const x = axis.x + axis.slot * i;
+      if (i > 0) {
+        doc
+          .moveTo(x, top - 4)
+          .lineTo(x, bottom)
+          .dash(2, { space: 2 })
+          .strokeColor(this.colors.primary)
+          .lineWidth(0.75)
+          .stroke()
+          .undash();
+      }
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(7)
+        .fillColor(this.colors.primary)
+        .text(`v${entry.version}`, x + 2, top - 10, { lineBreak: false });
+    });
+  }
+
+  /**
+   * Scan dates under the x axis (thinned out for long trends)
+   */
+  addTrendDateLabels(doc, trend, axis, bottom) {
+    const labelEvery = Math.ceil(trend.length / 12);
+    trend.forEach((entry, i) => {
+      if (i % labelEvery !== 0 && i !== trend.length - 1) return;
+      const x = axis.x + axis.slot * (i + 0.5);
+      doc
+        .font('Helvetica')
+        .fontSize(7)
+        .fillColor(this.colors.secondary)
+        .text(new Date(entry.scannedAt).toLocaleDateString(undefined, { month: 'numeric', day: 'numeric' }), x - 20, bottom + 4, { width: 40, align: 'center', lineBreak: false });
+    });
+    doc.y = bottom + 16;
+    doc.x = 50;
+  }
+
+  /**
+   * Contract Changes Page — API contract diff against the baseline spec
+   */
+  addContractChanges(doc, data) {
+    doc.addPage();
+    this.addSectionHeader(doc, 'Contract Changes');
+    doc.moveDown(1);
+
+    const contractDiff = data.contractDiff;
+    const breaking = contractDiff.changes.filter((change) => change.breaking);
+    const nonBreaking = contractDiff.changes.filter((change) => !change.breaking);
+
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(this.colors.secondary)
+      .text(`Compared against: version ${contractDiff.baseVersion || 'unknown'} → ${contractDiff.currentVersion || data.apiVersion}`);
+    doc.moveDown(1);
+
+    // Count boxes
+    const boxY = doc.y;
+    [
+      { label: 'Breaking', value: breaking.length, color: breaking.length > 0 ? this.colors.error : this.colors.success },
+      { label: 'Non-breaking', value: nonBreaking.length, color: this.colors.secondary },
+    ].forEach((box, i) => {
+      const x = 55 + i * 160;
+      doc.roundedRect(x, boxY, 140, 60, 5).fill(this.colors.lightGray);
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(24)
+        .fillColor(box.color)
+        .text(String(box.value), x + 5, boxY + 8, { width: 130, align: 'center' });
+      doc
+        .font('Helvetica')
+        .fontSize(9)
+        .fillColor(this.colors.secondary)
+        .text(box.label, x + 5, boxY + 38, { width: 130, align: 'center' });
+    });
+    doc.y = boxY + 75;
+    doc.x = 50;
+
+    if (contractDiff.changes.length === 0) {
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .fillColor(this.colors.success)
+        .text('The API contract is unchanged.', 60);
+      return;
+    }
+
+    this.addContractChangeList(doc, `Breaking Changes (${breaking.length})`, breaking, this.colors.error, 25);
+    this.addContractChangeList(doc, `Non-breaking Changes (${nonBreaking.length})`, nonBreaking, this.colors.secondary, 15);
+
+    if (breaking.length > 0) {
+      doc.moveDown(1.5);
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(11)
+        .fillColor(this.colors.error)
+        .text('Breaking changes affect existing consumers. Release them under a new major version or restore compatibility.', { align: 'center' });
+    }
+  }
+
+  addContractChangeList(doc, title, changes, color, limit) {
+    if (changes.length === 0) return;
+    doc.moveDown(1);
+    this.addSubHeader(doc, title);
+    doc.moveDown(0.3);
+
+    changes.slice(0, limit).forEach((change) => {
+      if (doc.y > 720) doc.addPage();
+      doc
+        .font('Helvetica')
+        .fontSize(9)
+        .fillColor(color)
+        .text('  ● ', 60, doc.y, { continued: true })
+        .fillColor(this.colors.black)
+        .text(change.message, { width: 450 });
+      doc
+        .font('Helvetica')
+        .fontSize(8)
+        .fillColor(this.colors.info)
+        .text(`    ${change.operation || change.path}`, 60);
+    });
+    if (changes.length > limit) {
+      doc
+        .font('Helvetica')
+        .fontSize(9)
+        .fillColor(this.colors.secondary)
+        .text(`  ... and ${changes.length - limit} more`, 60);
+    }
+  }
+
+  /**
+   * Changelog Page — release notes built from the contract diff
+   */
+  addChangelog(doc, data) {
+    doc.addPage();
+    this.addSectionHeader(doc, 'Changelog');
+    doc.moveDown(1);
+
+    const changelog = data.changelog;
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(this.colors.secondary)
+      .text(`Changes in version ${changelog.currentVersion || data.apiVersion} since version ${changelog.baseVersion || 'unknown'}`);
+
+    const endpointLine = ({ operation, summary }) => ({ text: summary ? `${operation} — ${summary}` : operation });
+    const changeLine = ({ operation, path, message }) => ({ text: `${operation || path}: ${message}` });
+
+    this.addChangelogSection(doc, 'Breaking Changes', changelog.breaking.map(changeLine), this.colors.error);
+    this.addChangelogSection(doc, 'Added', changelog.added.map(endpointLine), this.colors.success);
+    this.addChangelogSection(doc, 'Changed', changelog.changed.flatMap(({ endpoint, changes }) => [
+      { text: endpoint },
+      ...changes.map(({ message, breaking }) => ({ text: `${message}${breaking ? ' (breaking)' : ''}`, nested: true })),
+    ]), this.colors.info);
+    this.addChangelogSection(doc, 'Deprecated', changelog.deprecated.map(changeLine), this.colors.warning);
+    this.addChangelogSection(doc, 'Removed', changelog.removed.map(endpointLine), this.colors.error);
+  }
+
+  addChangelogSection(doc, title, items, color, limit = 30) {
+    if (items.length === 0) return;
+    doc.moveDown(1);
+    if (doc.y > 680) doc.addPage();
+    this.addSubHeader(doc, title);
+    doc.moveDown(0.3);
+
+    items.slice(0, limit).forEach(({ text, nested }) => {
+      if (doc.y > 720) doc.addPage();
+      doc
+        .font('Helvetica')
+        .fontSize(9)
+        .fillColor(color)
+        .text(nested ? '      – ' : '  ● ', 60, doc.y, { continued: true })
+        .fillColor(this.colors.black)
+        .text(text, { width: 440 });
+    });
+    if (items.length > limit) {
+      doc
+        .font('Helvetica')
+        .fontSize(9)
+        .fillColor(this.colors.secondary)
+        .text(`  ... and ${items.length - limit} more`, 60);
+    }
+  }
+
   // ===================== HELPERS =====================
 
   addSectionHeader(doc, title) {
@@ -675,6 +1374,8 @@ class ReportGenerator {
     const pages = doc.bufferedPageRange();
     for (let i = 0; i < pages.count; i++) {
       doc.switchToPage(i);
+      // The footer sits in the bottom margin; without this PDFKit would start a new page
+      doc.page.margins.bottom = 0;
       doc
         .font('Helvetica')
         .fontSize(8)
@@ -713,7 +1414,30 @@ class ReportGenerator {
       );
     }
 
-    if (s.passedValidation) {
+    if (data.debt && s.totalIssues > 0) {
+      parts.push(
+        `${data.debt.newIssues.length} of them are new since the debt baseline; ` +
+          `${data.debt.baselineIssues.length} are accepted baseline debt.`
+      );
+    }
+
+    if (data.sla && data.sla.breached > 0) {
+      parts.push(`${data.sla.breached} finding(s) have been open longer than their remediation SLA.`);
+    }
+
+    if (s.waived > 0) {
+      parts.push(`${s.waived} finding(s) covered by accepted exceptions are excluded from the score.`);
+    }
+
+    if (data.gateResult) {
+      parts.push(
+        data.gateResult.passed
+          ? `The API specification PASSED the "${data.gateResult.policy}" quality gate.`
+          : `The API specification FAILED the "${data.gateResult.policy}" quality gate ` +
+              `(${data.gateResult.failedConditions.length} condition(s) not met) and must be fixed ` +
+              'before the API can be approved for production use.'
+      );
+    } else if (s.passedValidation) {
       parts.push('The API specification PASSED validation with no critical errors.');
     } else {
       parts.push(
@@ -780,6 +1504,16 @@ class ReportGenerator {
       });
     }
 
+    if (categories['Versioning']) {
+      recommendations.push({
+        title: 'Version Releases Semantically',
+        description:
+          'Use MAJOR.MINOR.PATCH version numbers and release breaking contract changes under a new ' +
+          'major version, so consumers can tell from the version whether an upgrade is safe.',
+        priority: categories['Versioning'].errors > 0 ? 'High' : 'Medium',
+      });
+    }
+
     if (categories['Best Practice']) {
       recommendations.push({
         title: 'Adopt API Design Best Practices',
@@ -0,0 +1,183 @@
+/**
+ * Request Authenticator - Verifies who is allowed to trigger a validation
+ *
+ * API Gateway requests are checked before the payload is trusted:
+ *
+ *   POST /webhook   HMAC-SHA256 signature over "<timestamp>.<raw body>" with the
+ *                   shared WEBHOOK_SECRET, sent as
+ *                     X-Signature-Timestamp: <unix seconds>
+ *                     X-Signature-256: sha256=<hex digest>
+ *                   Timestamps outside the tolerance window are rejected, and a
+ *                   signature seen before is rejected as a replay.
+ *   POST /validate  API key in X-Api-Key or "Authorization: Bearer <token>",
+ *                   checked against VALIDATE_API_KEYS.
+ *
+ * Missing or bad credentials → 401. A valid request for an owner that is not
+ * on the ALLOWED_OWNERS list → 403. Direct Lambda invocations (no HTTP
+ * context) are already authorized by IAM and skip these checks.
+ *
+ * Replay protection is per Lambda container: the timestamp window bounds
+ * what a cold container could accept. A signature only counts as used once
+ * the caller records it (recordSignature) after handling the request, so a
+ * webhook that failed with a 5xx can be retried with the same signature.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-signature-256';
+const TIMESTAMP_HEADER = 'x-signature-timestamp';
+const API_KEY_HEADER = 'x-api-key';
+
+// Signatures accepted recently, kept across warm invocations (signature → expiry ms)
+const seenSignatures = new Map();
+
+/**
+ * The request body exactly as it was sent (API Gateway base64-encodes
+ * binary bodies). Signatures are computed over these bytes, and the payload
+ * is parsed from them.
+ * @param {object} event - Lambda event
+ * @returns {string}
+ */
+function rawBody(event) {
+  if (typeof event.body !== 'string') return '';
+  return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf-8') : event.body;
+}
+
+class RequestAuthenticator {
+  /**
+   * @param {object} securityConfig - config.security
+   * @param {string} [securityConfig.webhookSecret] - Shared secret for webhook signatures
+   * @param {number} [securityConfig.signatureToleranceSeconds=300] - Allowed clock skew / replay window
+   * @param {string[]} [securityConfig.validateApiKeys] - Keys accepted on /validate
+   * @param {string[]} [securityConfig.allowedOwners] - Owners allowed to trigger scans (empty = any)
+   * @param {boolean} [securityConfig.allowUnauthenticated=false] - Skip checks when no secret/keys are set (local dev)
+   */
+  constructor(securityConfig = {}) {
+    this.webhookSecret = securityConfig.webhookSecret || '';
+    this.toleranceSeconds = securityConfig.signatureToleranceSeconds || 300;
+    this.validateApiKeys = securityConfig.validateApiKeys || [];
+    this.allowedOwners = securityConfig.allowedOwners || [];
+    this.allowUnauthenticated = !!securityConfig.allowUnauthenticated;
+  }
+
+  /**
+   * Check the caller's credentials for an API Gateway event
+   * @param {object} event - Lambda event
+   * @param {number} [now=Date.now()] - Current time in ms (for the replay window)
+   * @returns {object} { authorized: true, method } or { authorized: false, statusCode: 401, reason }
+   *   (signed webhooks also carry { signature, replayUntil } for recordSignature)
+   */
+  authenticate(event, now = Date.now()) {
+    if (!event.httpMethod && !event.requestContext) {
+      return { authorized: true, method: 'iam' };
+    }
+
+    const headers = this._normalizeHeaders(event.headers);
+    return this._isValidateRoute(event)
+      ? this._checkApiKey(headers)
+      : this._checkSignature(headers, rawBody(event), now);
+  }
+
+  /**
+   * Remember an accepted webhook signature so it can't be replayed. Call this
+   * once the request has been handled successfully.
+   * @param {object} auth - Result of authenticate()
+   */
+  recordSignature(auth) {
+    if (auth.method !== 'signature') return;
+    seenSignatures.set(auth.signature, auth.replayUntil);
+  }
+
+  /**
+   * Check the owner allow-list
+   * @param {string} owner - SwaggerHub owner from the payload
+   * @returns {object} { authorized: true } or { authorized: false, statusCode: 403, reason }
+   */
+  authorizeOwner(owner) {
+    if (this.allowedOwners.length === 0 || this.allowedOwners.includes(owner)) {
+      return { authorized: true };
+    }
+    return this._reject(403, `Owner "${owner}" is not allowed to trigger validations`);
+  }
+
+  _checkSignature(headers, rawBody, now) {
+    if (!this.webhookSecret) {
+      return this.allowUnauthenticated
+        ? { authorized: true, method: 'none' }
+        : this._reject(401, 'Webhook signature verification is not configured');
+    }
+
+    const signature = headers[SIGNATURE_HEADER];
+    const timestamp = headers[TIMESTAMP_HEADER];
+    if (!signature || !timestamp) {
+      return this._reject(401, 'Missing webhook signature');
+    }
+
+    const sentAt = Number(timestamp) * 1000;
+    if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > this.toleranceSeconds * 1000) {
+      return this._reject(401, 'Webhook timestamp is outside the allowed window');
+    }
+
+    const expected = 'sha256=' + crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    if (!this._safeEqual(signature, expected)) {
+      return this._reject(401, 'Invalid webhook signature');
+    }
+
+    this._pruneSeen(now);
+    if (seenSignatures.has(signature)) {
+      return this._reject(401, 'Webhook signature has already been used');
+    }
+
+    return { authorized: true, method: 'signature', signature, replayUntil: sentAt + this.toleranceSeconds * 1000 };
+  }
+
+  _checkApiKey(headers) {
+    if (this.validateApiKeys.length === 0) {
+      return this.allowUnauthenticated
+        ? { authorized: true, method: 'none' }
+        : this._reject(401, 'API key authentication is not configured');
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+    const key = headers[API_KEY_HEADER] || (bearer && bearer[1].trim());
+    if (!key) {
+      return this._reject(401, 'Missing API key');
+    }
+    if (!this.validateApiKeys.some((valid) => this._safeEqual(key, valid))) {
+      return this._reject(401, 'Invalid API key');
+    }
+    return { authorized: true, method: 'api-key' };
+  }
+
+  _isValidateRoute(event) {
+    const route = event.resource || event.path || event.rawPath || '';
+    return /\/validate\/?$/.test(route);
+  }
+
+  _normalizeHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  }
+
+  /**
+   * Constant-time string comparison (hash first so lengths always match)
+   */
+  _safeEqual(a, b) {
+    const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+  }
+
+  _pruneSeen(now) {
+    for (const [signature, expiresAt] of seenSignatures) {
+      if (expiresAt < now) seenSignatures.delete(signature);
+    }
+  }
+
+  _reject(statusCode, reason) {
+    return { authorized: false, statusCode, reason };
+  }
+}
+
+module.exports = { RequestAuthenticator, rawBody, SIGNATURE_HEADER, TIMESTAMP_HEADER, API_KEY_HEADER };
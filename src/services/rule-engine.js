@@ -0,0 +1,82 @@
+/**
+ * Rule Engine - Runs local rules against the fetched OpenAPI spec
+ *
+ * Complements the SwaggerHub Standardization API: the handler already
+ * fetches the full spec, so we evaluate our own rules over it and emit
+ * findings in the same raw shape SwaggerHub uses ({ ruleName, message,
+ * severity, pointer }). ValidationEngine then normalizes both sources
+ * into a single issue list.
+ */
+
+const { builtInRules } = require('./rules/best-practices');
+const { loadRuleset } = require('./rules/ruleset-loader');
+const { loadSpectralRuleset } = require('./rules/spectral-ruleset');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'rule-engine' });
+
+class RuleEngine {
+  /**
+   * @param {object} [options]
+   * @param {Array} [options.rules] - Rules to evaluate (overrides the defaults below)
+   * @param {boolean} [options.includeBuiltIns=true] - Include the built-in best-practice rules
+   * @param {string} [options.rulesetPath] - Custom YAML/JSON ruleset to load (see rules/ruleset-loader.js)
+   * @param {string} [options.spectralRulesetPath] - Spectral .spectral.yaml or .zip to load (see rules/spectral-ruleset.js)
+   * @param {Array} [options.additionalRules] - Already-compiled rules (e.g. a Spectral ruleset fetched from SwaggerHub)
+   */
+  constructor(options = {}) {
+    if (options.rules) {
+      this.rules = options.rules;
+      return;
+    }
+
+    this.rules = options.includeBuiltIns === false ? [] : [...builtInRules];
+    if (options.rulesetPath) {
+      const customRules = loadRuleset(options.rulesetPath);
+      log.info('ruleset.loaded', { rulesetPath: options.rulesetPath, ruleCount: customRules.length });
+      this.rules.push(...customRules);
+    }
+    if (options.spectralRulesetPath) {
+      const spectralRules = loadSpectralRuleset(options.spectralRulesetPath);
+      log.info('spectral-ruleset.loaded', { rulesetPath: options.spectralRulesetPath, ruleCount: spectralRules.length });
+      this.rules.push(...spectralRules);
+    }
+    if (options.additionalRules) {
+      this.rules.push(...options.additionalRules);
+    }
+  }
+
+  /**
+   * Evaluate all rules against a spec
+   * @param {object} spec - Parsed OpenAPI 2.0 / 3.x document
+   * @returns {Array} Raw findings in SwaggerHub standardization error shape
+   */
+  evaluate(spec) {
+    if (!spec || typeof spec !== 'object' || this.rules.length === 0) return [];
+
+    const findings = [];
+    for (const rule of this.rules) {
+      try {
+        const results = rule.check(spec) || [];
+        for (const result of results) {
+          findings.push({
+            ruleName: rule.code,
+            message: result.message || rule.description,
+            severity: result.severity || rule.severity,
+            pointer: result.path || '',
+            category: rule.category,
+            source: 'local',
+          });
+        }
+      } catch (error) {
+        // A broken rule shouldn't take down the whole validation run
+        log.warn('rule.failed', { rule: rule.code, errorMessage: error.message });
+      }
+    }
+
+    log.debug('rules.evaluated', { ruleCount: this.rules.length, findingCount: findings.length });
+    return findings;
+  }
+}
+
+module.exports = { RuleEngine };
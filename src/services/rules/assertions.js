@@ -0,0 +1,109 @@
+/**
+ * Rule Assertions - Value checks shared by custom and Spectral rulesets
+ *
+ * Each assertion takes the targeted value plus its options and returns
+ * null when the value passes, or a short failure reason when it doesn't.
+ */
+
+const CASING_PATTERNS = {
+  flat: /^[a-z][a-z0-9]*$/,
+  camel: /^[a-z][a-z0-9]*(?:[A-Z0-9][a-z0-9]*)*$/,
+  pascal: /^[A-Z][a-z0-9]*(?:[A-Z0-9][a-z0-9]*)*$/,
+  kebab: /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/,
+  cobol: /^[A-Z][A-Z0-9]*(?:-[A-Z0-9]+)*$/,
+  snake: /^[a-z][a-z0-9]*(?:_[a-z0-9]+)*$/,
+  macro: /^[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*$/,
+};
+
+/**
+ * Build a RegExp from a pattern string; accepts both 'abc' and '/abc/i' forms
+ */
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const literal = /^\/(.+)\/([gimsuy]*)$/.exec(String(pattern));
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+const assertions = {
+  /**
+   * exists: true → value must be present and non-empty; false → must be absent
+   */
+  exists(value, expected = true) {
+    const present = value !== undefined && value !== null && value !== ''
+      && !(Array.isArray(value) && value.length === 0);
+    if (expected && !present) return 'is missing';
+    if (!expected && present) return 'must not be present';
+    return null;
+  },
+
+  /**
+   * truthy / falsy - Spectral-style boolean checks
+   */
+  truthy(value) {
+    return value ? null : 'must be truthy';
+  },
+
+  falsy(value) {
+    return value ? 'must be falsy' : null;
+  },
+
+  /**
+   * pattern: '^regex$' or { match, notMatch }
+   */
+  pattern(value, options) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'string') return `${describe(value)} is not a string`;
+    const opts = typeof options === 'object' && !(options instanceof RegExp) ? options : { match: options };
+    if (opts.match && !toRegExp(opts.match).test(value)) {
+      return `${describe(value)} does not match ${opts.match}`;
+    }
+    if (opts.notMatch && toRegExp(opts.notMatch).test(value)) {
+      return `${describe(value)} must not match ${opts.notMatch}`;
+    }
+    return null;
+  },
+
+  /**
+   * enum: [allowed values]
+   */
+  enum(value, allowed) {
+    if (value === undefined || value === null) return null;
+    const values = Array.isArray(allowed) ? allowed : allowed?.values || [];
+    return values.includes(value) ? null : `${describe(value)} is not one of ${values.join(', ')}`;
+  },
+
+  /**
+   * casing: 'kebab' or { type, disallowDigits }
+   */
+  casing(value, options) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'string') return `${describe(value)} is not a string`;
+    const opts = typeof options === 'string' ? { type: options } : options || {};
+    const regex = CASING_PATTERNS[opts.type];
+    if (!regex) throw new Error(`Unknown casing type "${opts.type}"`);
+    if (opts.disallowDigits && /\d/.test(value)) return `${describe(value)} must not contain digits`;
+    return regex.test(value) ? null : `${describe(value)} is not ${opts.type} case`;
+  },
+
+  /**
+   * length: { min, max } - applies to strings, arrays and object keys
+   */
+  length(value, options = {}) {
+    if (value === undefined || value === null) return null;
+    let size;
+    if (typeof value === 'string' || Array.isArray(value)) size = value.length;
+    else if (typeof value === 'object') size = Object.keys(value).length;
+    else if (typeof value === 'number') size = value;
+    else return `${describe(value)} has no length`;
+
+    if (options.min != null && size < options.min) return `length ${size} is below the minimum of ${options.min}`;
+    if (options.max != null && size > options.max) return `length ${size} exceeds the maximum of ${options.max}`;
+    return null;
+  },
+};
+
+module.exports = { assertions, CASING_PATTERNS, toRegExp };
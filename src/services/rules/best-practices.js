@@ -1,19 +1,186 @@
 /**
- * Best Practice Rules Reference
+ * Best Practice Rules - Built-in local rules
  *
- * NOTE: Validation rules are now managed in SwaggerHub via the
- * Standardization feature (style guide / Spectral rulesets).
- *
- * The validation pipeline fetches rule violations from:
+ * These rules run locally against the spec fetched from SwaggerHub, in
+ * addition to the violations returned by the Standardization API:
  *   GET /apis/{owner}/{api}/{version}/standardization
  *
- * To customise rules, update your organisation's style guide in
- * SwaggerHub → Organisation Settings → Standardization, or use
- * the Spectral Rulesets API:
- *   GET/PUT /standardization/spectral-rulesets/{owner}/{name}/zip
+ * Organisation-wide style guides still live in SwaggerHub → Organisation
+ * Settings → Standardization (or the Spectral Rulesets API:
+ *   GET/PUT /standardization/spectral-rulesets/{owner}/{name}/zip).
+ * The rules below cover the basics so teams without Standardization on
+ * their plan still get meaningful findings.
  *
- * The validation engine (validation-engine.js) then categorises
- * and scores the results returned by SwaggerHub.
+ * Each rule exposes:
+ *   code      - Rule identifier reported on each issue
+ *   severity  - ERROR | WARN | INFO | HINT (same values SwaggerHub returns)
+ *   category  - Report category the findings are grouped under
+ *   check()   - (spec) => [{ path, message }]
+ */
+
+const { getOperations, getComponentMaps, collectRefs, isOas3 } = require('../spec-utils');
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Operations must declare an operationId (used by code generators and SDKs),
+ * and no two operations may share one
+ */
+const operationIdRule = {
+  code: 'bp-operation-id',
+  severity: 'WARN',
+  category: 'Structure',
+  description: 'Operations should have a unique operationId.',
+  check(spec) {
+    const findings = [];
+    const firstUse = new Map();
+
+    for (const { path, method, operation } of getOperations(spec)) {
+      const label = `${method.toUpperCase()} ${path}`;
+      if (!operation.operationId) {
+        findings.push({
+          path: `paths.${path}.${method}`,
+          message: `${label} is missing an operationId.`,
+        });
+        continue;
+      }
+
+      const first = firstUse.get(operation.operationId);
+      if (first) {
+        findings.push({
+          path: `paths.${path}.${method}.operationId`,
+          message: `${label} reuses operationId "${operation.operationId}" (already used by ${first}).`,
+        });
+      } else {
+        firstUse.set(operation.operationId, label);
+      }
+    }
+
+    return findings;
+  },
+};
+
+/**
+ * Operations must document at least one 4xx (or default) error response
+ */
+const errorResponsesRule = {
+  code: 'bp-error-responses',
+  severity: 'WARN',
+  category: 'Response Design',
+  description: 'Operations should define at least one 4xx error response.',
+  check(spec) {
+    return getOperations(spec)
+      .filter(({ operation }) => {
+        const codes = Object.keys(operation.responses || {});
+        return !codes.some((code) => /^4(\d\d|xx)$/i.test(code) || code === 'default');
+      })
+      .map(({ path, method }) => ({
+        path: `paths.${path}.${method}.responses`,
+        message: `${method.toUpperCase()} ${path} does not define any 4xx error response.`,
+      }));
+  },
+};
+
+/**
+ * Server URLs must use HTTPS (localhost is exempt for development specs)
+ */
+const httpsServersRule = {
+  code: 'bp-https-servers',
+  severity: 'ERROR',
+  category: 'Security',
+  description: 'Server URLs must use HTTPS.',
+  check(spec) {
+    const findings = [];
+
+    if (!isOas3(spec)) {
+      const host = String(spec.host || '').split(':')[0];
+      if ((spec.schemes || []).includes('http') && !LOCAL_HOSTS.includes(host)) {
+        findings.push({
+          path: 'schemes',
+          message: 'Spec allows the non-TLS "http" scheme. Use HTTPS only.',
+        });
+      }
+      return findings;
+    }
+
+    const checkServers = (servers, basePath) => {
+      (servers || []).forEach((server, index) => {
+        const url = String(server?.url || '');
+        if (!url.toLowerCase().startsWith('http://')) return;
+        const host = url.slice('http://'.length).split(/[/:]/)[0];
+        if (LOCAL_HOSTS.includes(host)) return;
+        findings.push({
+          path: `${basePath}.${index}.url`,
+          message: `Server URL "${url}" does not use HTTPS.`,
+        });
+      });
+    };
+
+    checkServers(spec.servers, 'servers');
+    for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+      checkServers(pathItem?.servers, `paths.${path}.servers`);
+    }
+    getOperations(spec).forEach(({ path, method, operation }) => {
+      checkServers(operation.servers, `paths.${path}.${method}.servers`);
+    });
+
+    return findings;
+  },
+};
+
+/**
+ * Operations must be tagged so they group correctly in docs and SDKs
+ */
+const operationTagsRule = {
+  code: 'bp-operation-tags',
+  severity: 'WARN',
+  category: 'Structure',
+  description: 'Operations should have at least one tag.',
+  check(spec) {
+    return getOperations(spec)
+      .filter(({ operation }) => !Array.isArray(operation.tags) || operation.tags.length === 0)
+      .map(({ path, method }) => ({
+        path: `paths.${path}.${method}`,
+        message: `${method.toUpperCase()} ${path} has no tags.`,
+      }));
+  },
+};
+
+/**
+ * Reusable components that nothing references are dead weight
  */
+const unusedComponentsRule = {
+  code: 'bp-unused-components',
+  severity: 'INFO',
+  category: 'Best Practice',
+  description: 'Reusable components should be referenced somewhere in the spec.',
+  check(spec) {
+    const refs = [...collectRefs(spec)];
+    const findings = [];
+
+    for (const { type, prefix, path, entries } of getComponentMaps(spec)) {
+      for (const name of Object.keys(entries)) {
+        const target = `${prefix}${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+        const used = refs.some((ref) => ref === target || ref.startsWith(`${target}/`));
+        if (!used) {
+          findings.push({
+            path: `${path}.${name}`,
+            message: `Component "${name}" in ${type} is never referenced.`,
+          });
+        }
+      }
+    }
+
+    return findings;
+  },
+};
+
+const builtInRules = [
+  operationIdRule,
+  errorResponsesRule,
+  httpsServersRule,
+  operationTagsRule,
+  unusedComponentsRule,
+];
 
-module.exports = {};
+module.exports = { builtInRules };
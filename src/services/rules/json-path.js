@@ -0,0 +1,293 @@
+/**
+ * JSONPath Query - Minimal JSONPath evaluator for rule targets
+ *
+ * Supports the subset used by our rulesets and by common Spectral rules:
+ *   $                 root
+ *   .key / ['key']    child property
+ *   [0]               array index
+ *   [get,post]        union of keys
+ *   .* / [*]          all children
+ *   ..key / ..*       recursive descent
+ *   [?(expr)]         filter, where expr uses @ (the child value),
+ *                     @property (the child key), ==, ===, !=, !==, <, >,
+ *                     &&, ||, ! and .match(/regex/)
+ *
+ * Results carry the path segments of each match so findings can be
+ * reported with the same dotted paths SwaggerHub uses (e.g. paths./pets.get).
+ */
+
+/**
+ * Split a JSONPath expression into tokens
+ */
+function tokenize(expression) {
+  const expr = String(expression).trim();
+  if (!expr.startsWith('$')) {
+    throw new Error(`Invalid JSONPath "${expression}": must start with $`);
+  }
+
+  const tokens = [];
+  let i = 1;
+
+  while (i < expr.length) {
+    if (expr.startsWith('..', i)) {
+      i += 2;
+      tokens.push({ type: 'recursive' });
+      // '..' may be followed directly by a name or '*' (no extra dot)
+      if (expr[i] !== '[') {
+        const match = /^(\*|[^.[\]]+)/.exec(expr.slice(i));
+        if (match) {
+          tokens.push(match[1] === '*' ? { type: 'wildcard' } : { type: 'child', key: match[1] });
+          i += match[1].length;
+        }
+      }
+    } else if (expr[i] === '.') {
+      i += 1;
+      const match = /^(\*|[^.[\]]+)/.exec(expr.slice(i));
+      if (!match) throw new Error(`Invalid JSONPath "${expression}" at position ${i}`);
+      tokens.push(match[1] === '*' ? { type: 'wildcard' } : { type: 'child', key: match[1] });
+      i += match[1].length;
+    } else if (expr[i] === '[') {
+      const end = findClosingBracket(expr, i);
+      const inner = expr.slice(i + 1, end).trim();
+      tokens.push(parseBracket(inner, expression));
+      i = end + 1;
+    } else {
+      throw new Error(`Invalid JSONPath "${expression}" at position ${i}`);
+    }
+  }
+
+  return tokens;
+}
+
+function findClosingBracket(expr, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < expr.length; i++) {
+    const ch = expr[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '[' || ch === '(') {
+      depth++;
+    } else if (ch === ']' || ch === ')') {
+      depth--;
+      if (depth === 0 && ch === ']') return i;
+    }
+  }
+  throw new Error(`Invalid JSONPath "${expr}": unbalanced brackets`);
+}
+
+function parseBracket(inner, expression) {
+  if (inner === '*') return { type: 'wildcard' };
+  if (/^-?\d+$/.test(inner)) return { type: 'child', key: Number(inner) };
+  if (/^(['"]).*\1$/.test(inner)) return { type: 'child', key: inner.slice(1, -1) };
+  if (inner.startsWith('?(') && inner.endsWith(')')) {
+    return { type: 'filter', predicate: compileFilter(inner.slice(2, -1), expression) };
+  }
+  if (inner.includes(',')) {
+    const keys = inner.split(',').map((part) => {
+      const key = part.trim();
+      if (/^-?\d+$/.test(key)) return Number(key);
+      return /^(['"]).*\1$/.test(key) ? key.slice(1, -1) : key;
+    });
+    return { type: 'union', keys };
+  }
+  if (/^[\w$-]+$/.test(inner)) return { type: 'child', key: inner };
+  throw new Error(`Unsupported JSONPath segment "[${inner}]" in "${expression}"`);
+}
+
+/**
+ * Compile a filter expression into a predicate (value, key) => boolean
+ */
+function compileFilter(source, expression) {
+  const orTerms = splitTopLevel(source, '||');
+  const compiled = orTerms.map((orTerm) => splitTopLevel(orTerm, '&&').map((term) => compileTerm(term.trim(), expression)));
+  return (value, key) => compiled.some((andTerms) => andTerms.every((term) => term(value, key)));
+}
+
+function splitTopLevel(source, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'" || ch === '/') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (depth === 0 && source.startsWith(separator, i)) {
+      parts.push(source.slice(start, i));
+      start = i + separator.length;
+      i += separator.length - 1;
+    }
+  }
+  parts.push(source.slice(start));
+  return parts;
+}
+
+function compileTerm(term, expression) {
+  if (term.startsWith('(') && term.endsWith(')')) {
+    return compileFilter(term.slice(1, -1), expression);
+  }
+  if (term.startsWith('!')) {
+    const inner = compileTerm(term.slice(1).trim(), expression);
+    return (value, key) => !inner(value, key);
+  }
+
+  const matchCall = /^(@[\w.$-]*)\.match\(\/(.*)\/([gimsuy]*)\)$/.exec(term);
+  if (matchCall) {
+    const read = compileOperand(matchCall[1], expression);
+    const regex = new RegExp(matchCall[2], matchCall[3]);
+    return (value, key) => {
+      const operand = read(value, key);
+      return typeof operand === 'string' && regex.test(operand);
+    };
+  }
+
+  const comparison = /^(.+?)\s*(===|!==|==|!=|<=|>=|<|>)\s*(.+)$/.exec(term);
+  if (comparison) {
+    const left = compileOperand(comparison[1].trim(), expression);
+    const right = compileOperand(comparison[3].trim(), expression);
+    const op = comparison[2];
+    return (value, key) => compare(left(value, key), op, right(value, key));
+  }
+
+  const read = compileOperand(term, expression);
+  return (value, key) => Boolean(read(value, key));
+}
+
+function compileOperand(operand, expression) {
+  if (operand === '@property') return (value, key) => key;
+  if (operand === '@') return (value) => value;
+  if (operand.startsWith('@.')) {
+    const segments = operand.slice(2).split('.');
+    return (value) => segments.reduce((node, segment) => (node == null ? undefined : node[segment]), value);
+  }
+  if (/^(['"]).*\1$/.test(operand)) {
+    const literal = operand.slice(1, -1);
+    return () => literal;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(operand)) {
+    const literal = Number(operand);
+    return () => literal;
+  }
+  if (operand === 'true' || operand === 'false') {
+    const literal = operand === 'true';
+    return () => literal;
+  }
+  if (operand === 'null') return () => null;
+  if (operand === 'undefined') return () => undefined;
+  throw new Error(`Unsupported JSONPath filter operand "${operand}" in "${expression}"`);
+}
+
+function compare(left, op, right) {
+  switch (op) {
+    case '===':
+    case '==':
+      return left === right;
+    case '!==':
+    case '!=':
+      return left !== right;
+    case '<':
+      return left < right;
+    case '>':
+      return left > right;
+    case '<=':
+      return left <= right;
+    case '>=':
+      return left >= right;
+    default:
+      return false;
+  }
+}
+
+function childrenOf(node) {
+  if (Array.isArray(node)) return node.map((value, index) => [index, value]);
+  if (node && typeof node === 'object') return Object.entries(node);
+  return [];
+}
+
+function descendantsOf(node, path, out, seen = new Set()) {
+  if (!node || typeof node !== 'object' || seen.has(node)) return out;
+  seen.add(node);
+  out.push({ value: node, path });
+  for (const [key, value] of childrenOf(node)) {
+    if (value && typeof value === 'object') {
+      descendantsOf(value, [...path, key], out, seen);
+    } else {
+      out.push({ value, path: [...path, key] });
+    }
+  }
+  return out;
+}
+
+/**
+ * Evaluate a JSONPath expression against a document
+ * @param {object} document - The document to query
+ * @param {string} expression - JSONPath expression (e.g. '$.paths[*][get,post]')
+ * @returns {Array<{value: *, path: Array<string|number>}>} Matched nodes with their paths
+ */
+function query(document, expression) {
+  let current = [{ value: document, path: [] }];
+  const tokens = tokenize(expression);
+
+  for (let t = 0; t < tokens.length; t++) {
+    const token = tokens[t];
+    const next = [];
+
+    if (token.type === 'recursive') {
+      // Expand every node into itself + all of its descendants; the
+      // following token then selects from each of them
+      current.forEach(({ value, path }) => descendantsOf(value, path, next));
+      current = next;
+      continue;
+    }
+
+    for (const { value, path } of current) {
+      if (value == null || typeof value !== 'object') continue;
+
+      if (token.type === 'child') {
+        if (Object.prototype.hasOwnProperty.call(value, token.key)) {
+          next.push({ value: value[token.key], path: [...path, token.key] });
+        }
+      } else if (token.type === 'union') {
+        for (const key of token.keys) {
+          if (Object.prototype.hasOwnProperty.call(value, key)) {
+            next.push({ value: value[key], path: [...path, key] });
+          }
+        }
+      } else if (token.type === 'wildcard') {
+        for (const [key, child] of childrenOf(value)) {
+          next.push({ value: child, path: [...path, key] });
+        }
+      } else if (token.type === 'filter') {
+        for (const [key, child] of childrenOf(value)) {
+          if (token.predicate(child, key)) {
+            next.push({ value: child, path: [...path, key] });
+          }
+        }
+      }
+    }
+
+    current = next;
+  }
+
+  return current;
+}
+
+/**
+ * Format path segments as a dotted path (e.g. ['paths', '/pets', 'get'] → 'paths./pets.get')
+ */
+function formatPath(segments) {
+  return segments.join('.');
+}
+
+module.exports = { query, formatPath };
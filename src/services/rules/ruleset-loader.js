@@ -0,0 +1,159 @@
+/**
+ * Ruleset Loader - Declarative custom rulesets in YAML or JSON
+ *
+ * Lets the governance team version their own rules in git next to the
+ * pipeline. Rulesets are parsed with js-yaml (which also accepts JSON)
+ * and compiled into the same rule shape as rules/best-practices.js so
+ * the RuleEngine can evaluate them side by side.
+ *
+ * Format:
+ *
+ *   name: contoso-governance
+ *   rules:
+ *     - code: gov-info-contact
+ *       description: API info must include a contact
+ *       target: $.info              # JSONPath-style target (see json-path.js)
+ *       field: contact              # optional: property of each target to check
+ *                                   #   ('@key' checks the target's own key)
+ *       assert:                     # one or more of:
+ *         exists: true              #   exists: true | false
+ *                                   #   pattern: '^[a-z-/{}]+$' | { match, notMatch }
+ *                                   #   enum: [a, b]
+ *                                   #   casing: kebab | { type, disallowDigits }
+ *                                   #   length: { min, max }
+ *       severity: warn              # error | warn | info | hint
+ *       category: Documentation
+ *       message: 'Missing contact at {{path}}'
+ *
+ * Message placeholders: {{path}}, {{property}}, {{value}}, {{error}}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { query, formatPath } = require('./json-path');
+const { assertions } = require('./assertions');
+
+const SUPPORTED_ASSERTIONS = ['exists', 'pattern', 'enum', 'casing', 'length'];
+const SUPPORTED_SEVERITIES = ['error', 'warn', 'warning', 'info', 'information', 'hint'];
+
+/**
+ * Read the value a rule asserts on for one JSONPath match
+ */
+function resolveField(match, field) {
+  if (!field) {
+    return { value: match.value, path: match.path };
+  }
+  if (field === '@key') {
+    return { value: match.path[match.path.length - 1], path: match.path };
+  }
+  const segments = String(field).split('.');
+  const value = segments.reduce((node, segment) => (node == null ? undefined : node[segment]), match.value);
+  return { value, path: [...match.path, ...segments] };
+}
+
+/**
+ * Fill {{placeholders}} in a rule message
+ */
+function renderMessage(template, vars) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (placeholder, name) => {
+    const value = vars[name];
+    if (value === undefined) return placeholder;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Compile a single declarative rule definition into an evaluable rule
+ * @param {object} def - Rule definition from the ruleset file
+ * @param {string} source - Ruleset name/path (for error messages)
+ */
+function compileRule(def, source) {
+  const where = `${source}: rule "${def?.code || '?'}"`;
+
+  if (!def || typeof def !== 'object') throw new Error(`Invalid ruleset ${source}: each rule must be an object`);
+  if (!def.code) throw new Error(`Invalid ruleset ${source}: every rule needs a "code"`);
+  if (!def.target) throw new Error(`Invalid ruleset ${where} is missing "target"`);
+  if (!def.assert || typeof def.assert !== 'object') throw new Error(`Invalid ruleset ${where} is missing "assert"`);
+
+  const checks = Object.entries(def.assert);
+  const unknown = checks.map(([name]) => name).filter((name) => !SUPPORTED_ASSERTIONS.includes(name));
+  if (checks.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid ruleset ${where}: supported assertions are ${SUPPORTED_ASSERTIONS.join(', ')}`);
+  }
+
+  const severity = String(def.severity || 'warn').toLowerCase();
+  if (!SUPPORTED_SEVERITIES.includes(severity)) {
+    throw new Error(`Invalid ruleset ${where}: unknown severity "${def.severity}"`);
+  }
+
+  // Fail fast on a bad target expression rather than at evaluation time
+  query({}, def.target);
+
+  return {
+    code: def.code,
+    severity,
+    category: def.category,
+    description: def.description || def.message || def.code,
+    check(spec) {
+      const findings = [];
+      for (const match of query(spec, def.target)) {
+        const { value, path: valuePath } = resolveField(match, def.field);
+        for (const [name, options] of checks) {
+          const error = assertions[name](value, options);
+          if (!error) continue;
+
+          const dottedPath = formatPath(valuePath);
+          const vars = {
+            path: dottedPath,
+            property: valuePath[valuePath.length - 1],
+            value,
+            error,
+          };
+          findings.push({
+            path: dottedPath,
+            message: def.message
+              ? renderMessage(def.message, vars)
+              : `${def.description || def.code}: ${dottedPath || 'document'} ${error}`,
+          });
+          break; // one finding per target is enough
+        }
+      }
+      return findings;
+    },
+  };
+}
+
+/**
+ * Parse ruleset content (YAML or JSON) into compiled rules
+ * @param {string} content - Raw file content
+ * @param {string} [source] - Name used in error messages
+ * @returns {Array} Compiled rules
+ */
+function parseRuleset(content, source = 'ruleset') {
+  let doc;
+  try {
+    doc = yaml.load(content);
+  } catch (error) {
+    throw new Error(`Invalid ruleset ${source}: ${error.message}`);
+  }
+
+  if (!doc || !Array.isArray(doc.rules)) {
+    throw new Error(`Invalid ruleset ${source}: expected a top-level "rules" list`);
+  }
+
+  return doc.rules.map((def) => compileRule(def, source));
+}
+
+/**
+ * Load a ruleset file from disk
+ * @param {string} filePath - Path to a .yaml/.yml/.json ruleset (relative to cwd)
+ * @returns {Array} Compiled rules
+ */
+function loadRuleset(filePath) {
+  const resolved = path.resolve(process.cwd(), filePath);
+  const content = fs.readFileSync(resolved, 'utf-8');
+  return parseRuleset(content, path.basename(resolved));
+}
+
+module.exports = { loadRuleset, parseRuleset, compileRule, renderMessage };
@@ -0,0 +1,147 @@
+/**
+ * Schema Validator - Small JSON Schema subset for the Spectral `schema` function
+ *
+ * Supports: type, enum, const, required, properties, additionalProperties,
+ * patternProperties, items, minItems, maxItems, uniqueItems, minLength,
+ * maxLength, pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * allOf, anyOf, oneOf, not and local $refs ('#/definitions/...', '#/$defs/...').
+ *
+ * Returns the first failure as { path, message }, or null if the value is valid.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveLocalRef(root, ref) {
+  if (!ref.startsWith('#')) throw new Error(`Unsupported $ref "${ref}" in schema (only local refs are supported)`);
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, segment) => (node == null ? undefined : node[segment.replace(/~1/g, '/').replace(/~0/g, '~')]), root);
+}
+
+function fail(path, message) {
+  return { path, message };
+}
+
+function check(value, schema, path, root) {
+  if (schema === true || schema == null) return null;
+  if (schema === false) return fail(path, 'is not allowed');
+
+  if (schema.$ref) {
+    const target = resolveLocalRef(root, schema.$ref);
+    if (!target) throw new Error(`Unresolvable $ref "${schema.$ref}" in schema`);
+    return check(value, target, path, root);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return fail(path, `must be of type ${types.join(' or ')}`);
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((allowed) => JSON.stringify(allowed) === JSON.stringify(value))) {
+    return fail(path, `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    return fail(path, `must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) return fail(path, `must have at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) return fail(path, `must have at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(path, `must match pattern "${schema.pattern}"`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) return fail(path, `must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) return fail(path, `must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) return fail(path, `must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) return fail(path, `must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) return fail(path, `must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) return fail(path, `must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) {
+      return fail(path, 'must not contain duplicate items');
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      for (let i = 0; i < value.length; i++) {
+        const error = check(value[i], schema.items, [...path, i], root);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) return fail(path, `must have required property "${key}"`);
+    }
+
+    const properties = schema.properties || {};
+    const patternProperties = Object.entries(schema.patternProperties || {}).map(([pattern, sub]) => [new RegExp(pattern), sub]);
+
+    for (const [key, child] of Object.entries(value)) {
+      let matched = false;
+      if (properties[key] !== undefined) {
+        matched = true;
+        const error = check(child, properties[key], [...path, key], root);
+        if (error) return error;
+      }
+      for (const [regex, sub] of patternProperties) {
+        if (!regex.test(key)) continue;
+        matched = true;
+        const error = check(child, sub, [...path, key], root);
+        if (error) return error;
+      }
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) return fail([...path, key], 'is not an allowed property');
+        const error = check(child, schema.additionalProperties, [...path, key], root);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const sub of schema.allOf) {
+      const error = check(value, sub, path, root);
+      if (error) return error;
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some((sub) => !check(value, sub, path, root))) {
+    return fail(path, 'must match at least one allowed schema');
+  }
+  if (schema.oneOf && schema.oneOf.filter((sub) => !check(value, sub, path, root)).length !== 1) {
+    return fail(path, 'must match exactly one allowed schema');
+  }
+  if (schema.not && !check(value, schema.not, path, root)) {
+    return fail(path, 'must not match the disallowed schema');
+  }
+
+  return null;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {object|boolean} schema - JSON Schema
+ * @returns {{path: Array, message: string}|null} First failure, or null if valid
+ */
+function validateSchema(value, schema) {
+  return check(value, schema, [], schema);
+}
+
+module.exports = { validateSchema };
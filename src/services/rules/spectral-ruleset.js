@@ -0,0 +1,265 @@
+/**
+ * Spectral Ruleset Compatibility - Evaluate Spectral rulesets locally
+ *
+ * Reads a Spectral-style `.spectral.yaml` (or .yml/.json) from disk, or
+ * from the zip SwaggerHub serves at:
+ *   GET /standardization/spectral-rulesets/{owner}/{name}/zip
+ *
+ * and compiles its rules into the same shape as rules/best-practices.js,
+ * so local and CI runs report the same rule names SwaggerHub enforces.
+ *
+ * Supported:
+ *   - rules with given (string | array, incl. #aliases) and then (object | array)
+ *   - then.field (property name, nested 'a.b', '@key' for the object's keys, or a relative JSONPath)
+ *   - core functions: truthy, falsy, defined, undefined, pattern, casing,
+ *     enumeration, length, schema
+ *   - severity (error | warn | info | hint | off, or 0-3 / -1), formats (oas2, oas3*)
+ *
+ * Not supported (logged and skipped): `extends` of built-in rulesets such as
+ * spectral:oas (SwaggerHub Standardization already evaluates those),
+ * custom JavaScript functions, and rule overrides.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { query, formatPath } = require('./json-path');
+const { assertions } = require('./assertions');
+const { validateSchema } = require('./schema-validator');
+const { renderMessage } = require('./ruleset-loader');
+const { readZip } = require('./zip-reader');
+const { isOas3 } = require('../spec-utils');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'spectral-ruleset' });
+
+const RULESET_FILE_NAMES = ['.spectral.yaml', '.spectral.yml', '.spectral.json', 'spectral.yaml', 'spectral.yml', 'spectral.json'];
+
+const SEVERITY_MAP = {
+  error: 'ERROR',
+  warn: 'WARN',
+  warning: 'WARN',
+  info: 'INFO',
+  information: 'INFO',
+  hint: 'HINT',
+  0: 'ERROR',
+  1: 'WARN',
+  2: 'INFO',
+  3: 'HINT',
+};
+
+/**
+ * Spectral core functions: (value, functionOptions) → failure reason | null
+ */
+const CORE_FUNCTIONS = {
+  truthy: (value) => assertions.truthy(value),
+  falsy: (value) => assertions.falsy(value),
+  defined: (value) => (value === undefined ? 'must be defined' : null),
+  undefined: (value) => (value !== undefined ? 'must be undefined' : null),
+  pattern: (value, options) => assertions.pattern(value, options || {}),
+  casing: (value, options) => assertions.casing(value, options || {}),
+  enumeration: (value, options) => assertions.enum(value, options?.values || []),
+  length: (value, options) => assertions.length(value, options || {}),
+  schema: (value, options) => {
+    if (value === undefined) return null;
+    const error = validateSchema(value, options?.schema);
+    if (!error) return null;
+    return error.path.length > 0 ? `${formatPath(error.path)} ${error.message}` : error.message;
+  },
+};
+
+/**
+ * Map a Spectral severity to a SwaggerHub-style severity, or null when the rule is off
+ */
+function mapSpectralSeverity(severity) {
+  if (severity === undefined) return 'WARN';
+  if (severity === false || severity === 'off' || severity === -1 || severity === '-1') return null;
+  return SEVERITY_MAP[String(severity).toLowerCase()] || 'WARN';
+}
+
+/**
+ * Check whether a spec matches the ruleset/rule `formats` list
+ */
+function matchesFormats(spec, formats) {
+  if (!Array.isArray(formats) || formats.length === 0) return true;
+  const version = String(spec.openapi || spec.swagger || '');
+  return formats.some((format) => {
+    if (format === 'oas2') return version.startsWith('2');
+    if (format === 'oas3') return isOas3(spec);
+    if (format === 'oas3_0' || format === 'oas3.0') return version.startsWith('3.0');
+    if (format === 'oas3_1' || format === 'oas3.1') return version.startsWith('3.1');
+    return false;
+  });
+}
+
+/**
+ * Expand #alias references in `given`
+ */
+function expandGiven(given, aliases, where) {
+  const list = Array.isArray(given) ? given : [given];
+  return list.flatMap((expression) => {
+    if (typeof expression !== 'string') throw new Error(`Invalid Spectral ruleset ${where}: "given" must be a string`);
+    if (!expression.startsWith('#')) return [expression];
+
+    const [name, ...rest] = expression.slice(1).split(/(?=[.[])/);
+    const alias = aliases[name];
+    if (!alias) throw new Error(`Invalid Spectral ruleset ${where}: unknown alias "#${name}"`);
+    const targets = Array.isArray(alias) ? alias : alias.given || [alias];
+    return expandGiven(targets, aliases, where).map((target) => `${target}${rest.join('')}`);
+  });
+}
+
+/**
+ * Read the values a `then` clause applies to for one `given` match
+ */
+function resolveThenTargets(match, field) {
+  if (!field) return [{ value: match.value, path: match.path }];
+  if (field === '@key') {
+    // Spectral applies '@key' to every key of the matched object
+    if (!match.value || typeof match.value !== 'object') return [];
+    return Object.keys(match.value).map((key) => ({ value: key, path: [...match.path, key] }));
+  }
+  if (field.startsWith('$')) {
+    return query(match.value, field).map((result) => ({ value: result.value, path: [...match.path, ...result.path] }));
+  }
+  const segments = field.split('.');
+  const value = segments.reduce((node, segment) => (node == null ? undefined : node[segment]), match.value);
+  return [{ value, path: [...match.path, ...segments] }];
+}
+
+/**
+ * Compile one Spectral rule
+ * @returns {object|null} Compiled rule, or null when the rule is disabled/unsupported
+ */
+function compileSpectralRule(code, def, ruleset, source) {
+  const where = `${source}: rule "${code}"`;
+
+  if (def === false || def === 'off') return null;
+  if (typeof def === 'string' || typeof def === 'boolean' || !def.then) {
+    // Severity-only override of a rule from an extended ruleset
+    log.warn('spectral.rule-skipped', { rule: code, reason: 'override of an extended rule' });
+    return null;
+  }
+  if (def.recommended === false) return null;
+
+  const severity = mapSpectralSeverity(def.severity);
+  if (!severity) return null;
+  if (!def.given) throw new Error(`Invalid Spectral ruleset ${where} is missing "given"`);
+
+  const givens = expandGiven(def.given, ruleset.aliases || {}, where);
+  const thens = Array.isArray(def.then) ? def.then : [def.then];
+
+  for (const then of thens) {
+    if (!CORE_FUNCTIONS[then.function]) {
+      log.warn('spectral.rule-skipped', { rule: code, reason: `unsupported function "${then.function}"` });
+      return null;
+    }
+  }
+  givens.forEach((expression) => query({}, expression));
+
+  return {
+    code,
+    severity,
+    description: def.description || def.message || code,
+    check(spec) {
+      if (!matchesFormats(spec, def.formats || ruleset.formats)) return [];
+
+      const findings = [];
+      for (const expression of givens) {
+        for (const match of query(spec, expression)) {
+          for (const then of thens) {
+            for (const target of resolveThenTargets(match, then.field)) {
+              const error = CORE_FUNCTIONS[then.function](target.value, then.functionOptions);
+              if (!error) continue;
+
+              const dottedPath = formatPath(target.path);
+              const vars = {
+                error,
+                description: def.description || '',
+                path: dottedPath,
+                property: target.path[target.path.length - 1],
+                value: target.value,
+              };
+              findings.push({
+                path: dottedPath,
+                message: def.message ? renderMessage(def.message, vars) : def.description || `${dottedPath} ${error}`,
+              });
+            }
+          }
+        }
+      }
+      return findings;
+    },
+  };
+}
+
+/**
+ * Parse Spectral ruleset content (YAML or JSON) into compiled rules
+ * @param {string} content - Raw ruleset content
+ * @param {string} [source] - Name used in logs and error messages
+ * @returns {Array} Compiled rules
+ */
+function parseSpectralRuleset(content, source = '.spectral.yaml') {
+  let ruleset;
+  try {
+    ruleset = yaml.load(content);
+  } catch (error) {
+    throw new Error(`Invalid Spectral ruleset ${source}: ${error.message}`);
+  }
+  if (!ruleset || typeof ruleset !== 'object') {
+    throw new Error(`Invalid Spectral ruleset ${source}: expected a YAML/JSON object`);
+  }
+
+  if (ruleset.extends) {
+    log.warn('spectral.extends-skipped', {
+      source,
+      extends: ruleset.extends,
+      reason: 'built-in rulesets are evaluated by SwaggerHub Standardization',
+    });
+  }
+  if (ruleset.functions) {
+    log.warn('spectral.functions-skipped', { source, functions: ruleset.functions });
+  }
+
+  const rules = Object.entries(ruleset.rules || {})
+    .map(([code, def]) => compileSpectralRule(code, def, ruleset, source))
+    .filter(Boolean);
+
+  log.info('spectral.ruleset-parsed', { source, ruleCount: rules.length });
+  return rules;
+}
+
+/**
+ * Load a Spectral ruleset from a zip archive (as served by SwaggerHub)
+ * @param {Buffer} buffer - Zip archive contents
+ * @param {string} [source] - Name used in logs and error messages
+ * @returns {Array} Compiled rules
+ */
+function loadSpectralRulesetFromZip(buffer, source = 'ruleset.zip') {
+  const files = readZip(buffer);
+  const entryName = [...files.keys()].find((name) => RULESET_FILE_NAMES.includes(path.posix.basename(name)));
+  if (!entryName) {
+    throw new Error(`Invalid Spectral ruleset archive ${source}: no ${RULESET_FILE_NAMES[0]} found`);
+  }
+  return parseSpectralRuleset(files.get(entryName).toString('utf-8'), `${source}/${entryName}`);
+}
+
+/**
+ * Load a Spectral ruleset from disk (.spectral.yaml/.yml/.json or a .zip)
+ * @param {string} filePath - Path to the ruleset (relative to cwd)
+ * @returns {Array} Compiled rules
+ */
+function loadSpectralRuleset(filePath) {
+  const resolved = path.resolve(process.cwd(), filePath);
+  const content = fs.readFileSync(resolved);
+  if (resolved.toLowerCase().endsWith('.zip')) {
+    return loadSpectralRulesetFromZip(content, path.basename(resolved));
+  }
+  return parseSpectralRuleset(content.toString('utf-8'), path.basename(resolved));
+}
+
+module.exports = {
+  parseSpectralRuleset,
+  loadSpectralRuleset,
+  loadSpectralRulesetFromZip,
+};
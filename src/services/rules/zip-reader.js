@@ -0,0 +1,73 @@
+/**
+ * Zip Reader - Extracts files from a zip archive held in memory
+ *
+ * SwaggerHub serves Spectral rulesets as zip archives:
+ *   GET /standardization/spectral-rulesets/{owner}/{name}/zip
+ *
+ * Only what those archives need is supported: stored and deflated
+ * entries, no encryption, no zip64. Uses Node's built-in zlib.
+ */
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Locate the End Of Central Directory record (scanning back past any comment)
+ */
+function findEndOfCentralDirectory(buffer) {
+  const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new Error('Invalid zip archive: end of central directory not found');
+}
+
+/**
+ * Read all file entries from a zip archive
+ * @param {Buffer} buffer - Zip archive contents
+ * @returns {Map<string, Buffer>} File name → uncompressed contents
+ */
+function readZip(buffer) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Invalid zip archive: corrupt central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) continue; // directory entry
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new Error(`Invalid zip archive: bad local header for "${name}"`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      files.set(name, Buffer.from(data));
+    } else if (method === 8) {
+      files.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for "${name}"`);
+    }
+  }
+
+  return files;
+}
+
+module.exports = { readZip };
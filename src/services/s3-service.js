@@ -12,18 +12,19 @@ class S3Service {
   }
 
   /**
-   * Upload a PDF report to S3 and return a presigned download URL
+   * Upload a report artifact to S3 and return a presigned download URL
    * @param {string} key - S3 object key (path)
-   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {Buffer} body - Report file buffer
+   * @param {string} [contentType='application/pdf'] - MIME type of the artifact
    * @returns {string} Presigned URL for downloading the report (valid for 7 days)
    */
-  async uploadReport(key, pdfBuffer) {
+  async uploadReport(key, body, contentType = 'application/pdf') {
     // Upload the file
     const putCommand = new PutObjectCommand({
       Bucket: this.bucket,
       Key: key,
-      Body: pdfBuffer,
-      ContentType: 'application/pdf',
+      Body: body,
+      ContentType: contentType,
       Metadata: {
         'generated-by': 'swaggerhub-validation-report',
         'generated-at': new Date().toISOString(),
@@ -44,6 +45,23 @@ class S3Service {
 
     return presignedUrl;
   }
+
+  /**
+   * Read a text object (e.g. a waiver file)
+   * @param {string} key - S3 object key (path)
+   * @returns {Promise<string|null>} The content, or null if the object doesn't exist
+   */
+  async getText(key) {
+    try {
+      const response = await this.s3.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return await response.Body.transformToString('utf-8');
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
 }
 
 module.exports = { S3Service };
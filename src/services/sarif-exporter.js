@@ -0,0 +1,175 @@
+/**
+ * SARIF Exporter - Converts validation results to SARIF 2.1.0
+ *
+ * Lets code-scanning dashboards ingest spec findings next to code findings.
+ * - Rule metadata comes from each issue's code and category; the rule's
+ *   description when the exporter is given the rules, else its code (the
+ *   rule name, for SwaggerHub Standardization rules)
+ * - Locations come from range.startLine and the issue path; findings
+ *   without a range get no region, only the path as logical location
+ * - Levels map from severityLevel (0=error, 1=warning, 2=note, 3=none)
+ * - Diff state maps to baselineState (new / unchanged / absent); moved
+ *   issues count as unchanged
+ * - partialFingerprints come from the shared issue fingerprint (see issue-fingerprint.js)
+ *
+ * See: https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+ */
+
+const crypto = require('crypto');
+const { fingerprintIssues } = require('./issue-fingerprint');
+const { version: toolVersion } = require('../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_LEVELS = ['error', 'warning', 'note', 'none'];
+
+class SarifExporter {
+  /**
+   * @param {object} [options]
+   * @param {Array<{code: string, description: string}>} [options.rules] - Rules that ran (e.g. RuleEngine rules)
+   */
+  constructor({ rules = [] } = {}) {
+    this.ruleDescriptions = new Map(rules.map((rule) => [rule.code, rule.description]));
+  }
+
+  /**
+   * Build a SARIF log for one validation run
+   * @param {object} params
+   * @param {object} params.validationResults - Results from ValidationEngine
+   * @param {object} [params.diff] - Diff from DiffEngine (drives baselineState)
+   * @param {string} params.specUri - URI of the spec file, relative to the repo root (e.g. 'api/openapi.yaml')
+   * @param {boolean} [params.includeResolved=false] - Also emit resolved issues with baselineState 'absent'
+   * @returns {object} SARIF log object (serialize with JSON.stringify)
+   */
+  export({ validationResults, diff, specUri, includeResolved = false }) {
+    const issues = validationResults.issues || [];
+    const resolved = includeResolved && diff && !diff.isFirstScan ? diff.resolvedIssues : [];
+
+    const rules = [];
+    const ruleIndex = new Map();
+    for (const issue of [...issues, ...resolved]) {
+      if (ruleIndex.has(issue.code)) continue;
+      ruleIndex.set(issue.code, rules.length);
+      rules.push(this.buildRule(issue));
+    }
+
+    const baselineStates = this.baselineStates(diff);
+    const fingerprints = fingerprintIssues(issues);
+    const resolvedFingerprints = fingerprintIssues(resolved);
+    const results = [
+      ...issues.map((issue, i) => this.buildResult(issue, ruleIndex, specUri, baselineStates.get(issue), fingerprints[i])),
+      ...resolved.map((issue, i) => this.buildResult(issue, ruleIndex, specUri, 'absent', resolvedFingerprints[i])),
+    ];
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'swaggerhub-validation-report',
+              version: toolVersion,
+              rules,
+            },
+          },
+          artifacts: [{ location: { uri: specUri } }],
+          results,
+        },
+      ],
+    };
+  }
+
+  /**
+   * SARIF reportingDescriptor for a rule, derived from the first issue seen.
+   * The description is the rule's, not a finding's, so it is the same every run.
+   */
+  buildRule(issue) {
+    return {
+      id: issue.code,
+      name: issue.code,
+      shortDescription: { text: this.ruleDescriptions.get(issue.code) || issue.code },
+      defaultConfiguration: { level: this.mapLevel(issue.severityLevel) },
+      properties: {
+        category: issue.category,
+        tags: [issue.category],
+      },
+    };
+  }
+
+  /**
+   * SARIF result for one issue
+   */
+  buildResult(issue, ruleIndex, specUri, baselineState, fingerprint) {
+    const range = issue.range;
+    const result = {
+      ruleId: issue.code,
+      ruleIndex: ruleIndex.get(issue.code),
+      level: this.mapLevel(issue.severityLevel),
+      message: { text: issue.message },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: specUri, index: 0 },
+            // Findings without a line (local rules, semver) point at the file, not line 1
+            ...(range?.startLine
+              ? {
+                  region: {
+                    startLine: Math.max(1, range.startLine),
+                    ...(range.startCol ? { startColumn: range.startCol } : {}),
+                    ...(range.endLine ? { endLine: Math.max(1, range.endLine) } : {}),
+                    ...(range.endCol ? { endColumn: range.endCol } : {}),
+                  },
+                }
+              : {}),
+          },
+          ...(issue.path
+            ? { logicalLocations: [{ fullyQualifiedName: issue.path, kind: 'member' }] }
+            : {}),
+        },
+      ],
+      partialFingerprints: {
+        'swaggerhubIssue/v2': this.hashFingerprint(fingerprint),
+      },
+      properties: {
+        category: issue.category,
+        severity: issue.severity,
+        ...(issue.source ? { source: issue.source } : {}),
+      },
+    };
+    if (baselineState) result.baselineState = baselineState;
+    return result;
+  }
+
+  /**
+   * Map diff buckets to SARIF baselineState, keyed by issue object
+   */
+  baselineStates(diff) {
+    const states = new Map();
+    if (!diff || diff.isFirstScan) return states;
+    diff.newIssues.forEach((issue) => states.set(issue, 'new'));
+    diff.persistingIssues.forEach((issue) => states.set(issue, 'unchanged'));
+    diff.movedIssues.forEach((move) => states.set(move.to, 'unchanged'));
+    return states;
+  }
+
+  /**
+   * Map our numeric severity level to a SARIF level
+   */
+  mapLevel(severityLevel) {
+    return SARIF_LEVELS[severityLevel] || 'warning';
+  }
+
+  /**
+   * Hash an issue fingerprint so code-scanning tools can track the issue
+   * across runs
+   */
+  hashFingerprint(fingerprint) {
+    return crypto
+      .createHash('sha256')
+      .update(fingerprint)
+      .digest('hex')
+      .slice(0, 32);
+  }
+}
+
+module.exports = { SarifExporter };
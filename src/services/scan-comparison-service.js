@@ -0,0 +1,146 @@
+/**
+ * Scan Comparison Service - Picks the scan a validation run is diffed against
+ *
+ * Comparison modes:
+ * - same-version      the previous scan of the same API version
+ * - previous-version  the latest scan of the highest earlier semver version
+ *                     (found with SwaggerHubClient.listVersions)
+ * - version           the latest scan of a named version
+ * - auto (default)    same-version, or previous-version when the version has
+ *                     never been scanned (e.g. the first scan of 2.0.0 is
+ *                     compared against 1.4.2)
+ *
+ * compareVersions() diffs the latest scans of any two named versions.
+ */
+
+const semver = require('./semver');
+const { DiffEngine } = require('./diff-engine');
+const { createLogger } = require('./logger');
+
+const COMPARISON_MODES = ['auto', 'same-version', 'previous-version', 'version'];
+
+class ScanComparisonService {
+  /**
+   * @param {object} options
+   * @param {object} options.scanHistory - ScanHistoryService
+   * @param {object} options.swaggerHubClient - SwaggerHubClient (for listVersions)
+   */
+  constructor({ scanHistory, swaggerHubClient }) {
+    this.scanHistory = scanHistory;
+    this.swaggerHubClient = swaggerHubClient;
+    this.diffEngine = new DiffEngine();
+    this.log = createLogger({ component: 'scan-comparison' });
+  }
+
+  /**
+   * Select the baseline scan for a run
+   * @param {object} api - { owner, apiName, version }
+   * @param {object} [options]
+   * @param {string} [options.mode='auto'] - One of COMPARISON_MODES
+   * @param {string} [options.baseline] - Scan ID or ISO timestamp within the baseline version
+   * @param {string} [options.compareVersion] - Baseline version for mode 'version'
+   * @returns {Promise<object>} { mode, baselineVersion, scan } (scan is null when nothing to compare against)
+   */
+  async selectBaseline({ owner, apiName, version }, { mode = 'auto', baseline, compareVersion } = {}) {
+    if (!COMPARISON_MODES.includes(mode)) {
+      throw new Error(`Unknown comparison mode "${mode}" (expected one of: ${COMPARISON_MODES.join(', ')})`);
+    }
+
+    if (mode === 'version') {
+      if (!compareVersion) {
+        throw new Error('Comparison mode "version" needs a version to compare against');
+      }
+      return this._selected(mode, compareVersion,
+        await this.scanHistory.getBaselineScan(owner, apiName, compareVersion, baseline));
+    }
+
+    if (mode !== 'previous-version') {
+      const scan = await this.scanHistory.getBaselineScan(owner, apiName, version, baseline);
+      if (scan || mode === 'same-version') {
+        return this._selected('same-version', version, scan);
+      }
+    }
+
+    // The highest earlier version that has been scanned. A scan ID or
+    // timestamp refers to the current version's history, so the predecessor
+    // is compared at its latest scan.
+    for (const predecessor of await this.earlierVersions(owner, apiName, version)) {
+      const scan = await this.scanHistory.getPreviousScan(owner, apiName, predecessor);
+      if (scan) {
+        return this._selected('previous-version', predecessor, scan);
+      }
+    }
+    return this._selected('previous-version', null, null);
+  }
+
+  /**
+   * Select the scan findings carry their age over from: the latest scan of
+   * the version, or of the highest earlier version on its first scan. Unlike
+   * the baseline this ignores the comparison mode, so pinning an old baseline
+   * doesn't reset or rewind ages.
+   * @param {object} api - { owner, apiName, version }
+   * @returns {Promise<object|null>} Scan, or null for the API's first scan
+   */
+  async selectAgeSource(api) {
+    return (await this.selectBaseline(api, { mode: 'auto' })).scan;
+  }
+
+  /**
+   * Find the highest version below the given one
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @param {string} version - Current version
+   * @returns {Promise<string|null>} Predecessor version, or null if there is none
+   */
+  async findPredecessor(owner, apiName, version) {
+    const [predecessor] = await this.earlierVersions(owner, apiName, version);
+    return predecessor || null;
+  }
+
+  /**
+   * Versions below the given one, highest first. Versions come from
+   * SwaggerHub, falling back to the versions that have scan history.
+   * Versions that aren't semver-like are ignored.
+   */
+  async earlierVersions(owner, apiName, version) {
+    const current = semver.coerce(version);
+    if (!current) {
+      this.log.info('predecessor.not-semver', { owner, apiName, version });
+      return [];
+    }
+
+    let versions = await this.swaggerHubClient.listVersions(owner, apiName);
+    if (versions.length === 0) {
+      versions = await this.scanHistory.listScannedVersions(owner, apiName);
+    }
+
+    return [...new Set(versions)]
+      .filter((candidate) => semver.coerce(candidate) && semver.compare(candidate, current) < 0)
+      .sort((a, b) => semver.compare(b, a));
+  }
+
+  /**
+   * Diff the latest scans of two named versions
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @param {string} fromVersion - Baseline version
+   * @param {string} toVersion - Version compared against the baseline
+   * @returns {Promise<object>} Diff report (see DiffEngine)
+   */
+  async compareVersions(owner, apiName, fromVersion, toVersion) {
+    const [fromScan, toScan] = await Promise.all([
+      this.scanHistory.getPreviousScan(owner, apiName, fromVersion),
+      this.scanHistory.getPreviousScan(owner, apiName, toVersion),
+    ]);
+    if (!fromScan) throw new Error(`No scan history for ${owner}/${apiName}@${fromVersion}`);
+    if (!toScan) throw new Error(`No scan history for ${owner}/${apiName}@${toVersion}`);
+
+    return this.diffEngine.compare(toScan, fromScan, { comparisonMode: 'version' });
+  }
+
+  _selected(mode, baselineVersion, scan) {
+    return { mode, baselineVersion, scan };
+  }
+}
+
+module.exports = { ScanComparisonService, COMPARISON_MODES };
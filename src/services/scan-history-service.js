@@ -1,15 +1,39 @@
 /**
  * Scan History Service - Stores and retrieves previous validation results
  *
- * Uses S3 to persist the last scan result for each API so the diff engine
- * can compare current vs previous runs and show what changed.
+ * Every scan is kept as an immutable record so the diff engine can compare
+ * the current run against any earlier one, and the history of an API version
+ * can be listed, looked up by scan ID or by point in time, and pruned by
+ * retention. History is kept per version, so scans of v1.x and v2.x never
+ * diff against each other by accident (see scan-comparison-service.js for
+ * cross-version comparisons).
  *
- * Storage path: scan-history/{owner}/{apiName}/latest.json
+ * Storage paths:
+ *   scan-history/{owner}/{apiName}/{version}/scans/{scanId}.json   one record per scan (never rewritten)
+ *   scan-history/{owner}/{apiName}/{version}/index.json            summary of every record, oldest first
+ *   scan-history/{owner}/{apiName}/{version}/specs/{specHash}.json the scanned spec, shared by scans of
+ *                                                                  an unchanged spec (for contract diffs)
+ *   scan-history/{owner}/{apiName}/debt-baseline.json              accepted findings across versions
+ *                                                                  (see debt-baseline.js)
+ *
+ * The index is derived data: rebuildIndex() recreates it from the records.
+ * APIs scanned before the timeline existed only have a legacy
+ * scan-history/{owner}/{apiName}/latest.json, which is still read as the
+ * previous scan of its version until the first new record is written.
  */
 
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const crypto = require('crypto');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
 const { createLogger } = require('./logger');
 
+const INDEX_VERSION = 1;
+
 class ScanHistoryService {
   constructor(awsConfig) {
     this.s3 = new S3Client({ region: awsConfig.region });
@@ -17,70 +41,408 @@ class ScanHistoryService {
     this.log = createLogger({ component: 'scan-history' });
   }
 
+  _apiPrefix(owner, apiName) {
+    return `scan-history/${owner}/${apiName}`;
+  }
+
+  _prefix(owner, apiName, version) {
+    return `${this._apiPrefix(owner, apiName)}/${encodeURIComponent(version)}`;
+  }
+
+  _scanKey(owner, apiName, version, scanId) {
+    return `${this._prefix(owner, apiName, version)}/scans/${scanId}.json`;
+  }
+
+  _specKey(owner, apiName, version, specHash) {
+    return `${this._prefix(owner, apiName, version)}/specs/${specHash}.json`;
+  }
+
+  _indexKey(owner, apiName, version) {
+    return `${this._prefix(owner, apiName, version)}/index.json`;
+  }
+
+  _debtBaselineKey(owner, apiName) {
+    return `${this._apiPrefix(owner, apiName)}/debt-baseline.json`;
+  }
+
+  _legacyKey(owner, apiName) {
+    return `${this._apiPrefix(owner, apiName)}/latest.json`;
+  }
+
+  /**
+   * List the API versions that have scan history
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @returns {Promise<string[]>} Version strings (unordered)
+   */
+  async listScannedVersions(owner, apiName) {
+    const versions = [];
+    let ContinuationToken;
+    do {
+      const response = await this.s3.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: `${this._apiPrefix(owner, apiName)}/`,
+        Delimiter: '/',
+        ContinuationToken,
+      }));
+      for (const { Prefix } of response.CommonPrefixes || []) {
+        versions.push(decodeURIComponent(Prefix.slice(0, -1).split('/').pop()));
+      }
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return versions;
+  }
+
   /**
-   * Get the S3 key for an API's scan history
+   * List the scans of an API version, newest first
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @param {string} version - API version
+   * @param {object} [options]
+   * @param {string} [options.since] - ISO timestamp, inclusive
+   * @param {string} [options.until] - ISO timestamp, inclusive
+   * @param {number} [options.limit] - Max entries to return
+   * @returns {Promise<object[]>} Index entries ({ scanId, version, scannedAt, score, grade, ... })
    */
-  _historyKey(owner, apiName) {
-    return `scan-history/${owner}/${apiName}/latest.json`;
+  async listScans(owner, apiName, version, { since, until, limit } = {}) {
+    const index = await this._readIndex(owner, apiName, version);
+    const sinceMs = since ? Date.parse(since) : -Infinity;
+    const untilMs = until ? Date.parse(until) : Infinity;
+
+    const scans = index.scans
+      .filter((entry) => {
+        const scannedMs = Date.parse(entry.scannedAt);
+        return scannedMs >= sinceMs && scannedMs <= untilMs;
+      })
+      .reverse();
+
+    return limit ? scans.slice(0, limit) : scans;
   }
 
   /**
-   * Retrieve the previous scan results for an API
+   * List the most recent scans across every version of an API, oldest first,
+   * for the quality trend (a version change shows up as a change of `version`
+   * between consecutive entries)
    * @param {string} owner - API owner
    * @param {string} apiName - API name
+   * @param {object} [options]
+   * @param {number} [options.limit] - Keep only the newest `limit` scans
+   * @returns {Promise<object[]>} Index entries, oldest first
+   */
+  async listTimeline(owner, apiName, { limit } = {}) {
+    const versions = await this.listScannedVersions(owner, apiName);
+    const scans = [];
+    for (const version of versions) {
+      const index = await this._readIndex(owner, apiName, version);
+      scans.push(...index.scans);
+    }
+    scans.sort((a, b) => Date.parse(a.scannedAt) - Date.parse(b.scannedAt));
+    return limit ? scans.slice(-limit) : scans;
+  }
+
+  /**
+   * Retrieve one scan record
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @param {string} version - API version
+   * @param {string} scanId - Scan ID from listScans()
+   * @returns {Promise<object|null>} Scan data, or null if it doesn't exist
+   */
+  async getScan(owner, apiName, version, scanId) {
+    return this._getJson(this._scanKey(owner, apiName, version, scanId));
+  }
+
+  /**
+   * Retrieve the scan that was current at a point in time
+   * (the most recent scan at or before the timestamp)
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @param {string} version - API version
+   * @param {string|Date} at - Point in time
+   * @returns {Promise<object|null>} Scan data, or null if there was no scan yet
+   */
+  async getScanAt(owner, apiName, version, at) {
+    const until = new Date(at).toISOString();
+    const [entry] = await this.listScans(owner, apiName, version, { until, limit: 1 });
+    return entry ? this.getScan(owner, apiName, version, entry.scanId) : null;
+  }
+
+  /**
+   * Retrieve the most recent scan of an API version
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @param {string} version - API version
    * @returns {object|null} Previous scan data, or null if no history exists
    */
-  async getPreviousScan(owner, apiName) {
-    try {
-      const command = new GetObjectCommand({
-        Bucket: this.bucket,
-        Key: this._historyKey(owner, apiName),
-      });
+  async getPreviousScan(owner, apiName, version) {
+    const [entry] = await this.listScans(owner, apiName, version, { limit: 1 });
+    if (entry) {
+      return this.getScan(owner, apiName, version, entry.scanId);
+    }
 
-      const response = await this.s3.send(command);
-      const bodyString = await response.Body.transformToString('utf-8');
-      return JSON.parse(bodyString);
-    } catch (error) {
-      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
-        this.log.info('scan-history.not-found', { owner, apiName, reason: 'first scan' });
-        return null;
-      }
-      this.log.warn('scan-history.retrieve-failed', { owner, apiName, errorMessage: error.message });
-      return null;
+    const legacy = await this._getJson(this._legacyKey(owner, apiName));
+    if (legacy && legacy.version === version) {
+      return legacy;
+    }
+    this.log.info('scan-history.not-found', { owner, apiName, version, reason: 'no scans of this version' });
+    return null;
+  }
+
+  /**
+   * Resolve a scan of an API version to diff against
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @param {string} version - API version
+   * @param {string} [baseline] - 'latest' (default), a scan ID, or an ISO timestamp
+   * @returns {Promise<object|null>} Baseline scan, or null if it doesn't exist
+   */
+  async getBaselineScan(owner, apiName, version, baseline) {
+    if (!baseline || baseline === 'latest') {
+      return this.getPreviousScan(owner, apiName, version);
     }
+    const scan = await this.getScan(owner, apiName, version, baseline);
+    if (scan) return scan;
+    return Number.isNaN(Date.parse(baseline)) ? null : this.getScanAt(owner, apiName, version, baseline);
   }
 
   /**
-   * Save the current scan results as the latest for future comparison
+   * Record the current scan as a new immutable history entry
    * @param {string} owner - API owner
    * @param {string} apiName - API name
    * @param {string} version - API version
    * @param {object} validationResults - The full validation results object
+   * @param {object} [options]
+   * @param {string} [options.scanId] - ID for the record (defaults to a new UUID; the pipeline uses the job ID)
+   * @param {object} [options.spec] - The scanned spec, kept so later scans can diff the contract
+   * @param {string} [options.specHash] - IdempotencyService.hashSpec(spec)
+   * @returns {Promise<object>} The index entry for the new scan
    */
-  async saveCurrentScan(owner, apiName, version, validationResults) {
+  async saveScan(owner, apiName, version, validationResults, { scanId = crypto.randomUUID(), spec, specHash } = {}) {
     const scanData = {
+      scanId,
       owner,
       apiName,
       version,
       scannedAt: new Date().toISOString(),
+      specHash: spec && specHash ? specHash : null,
       summary: validationResults.summary,
       issues: validationResults.issues,
+      // Waived findings too, so the next diff can tell waived from resolved
+      waivedIssues: (validationResults.waivers?.waived || []).map(({ waiver, ...issue }) => issue),
     };
 
-    const command = new PutObjectCommand({
+    if (scanData.specHash) {
+      await this.s3.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this._specKey(owner, apiName, version, specHash),
+        Body: JSON.stringify(spec),
+        ContentType: 'application/json',
+      }));
+    }
+
+    const key = this._scanKey(owner, apiName, version, scanId);
+    await this.s3.send(new PutObjectCommand({
       Bucket: this.bucket,
-      Key: this._historyKey(owner, apiName),
+      Key: key,
       Body: JSON.stringify(scanData, null, 2),
       ContentType: 'application/json',
       Metadata: {
         'generated-by': 'swaggerhub-validation-report',
+        'scan-id': scanId,
         'scan-version': version,
         'scanned-at': scanData.scannedAt,
       },
+    }));
+
+    const entry = this._indexEntry(scanData);
+    const index = await this._readIndex(owner, apiName, version);
+    index.scans = index.scans.filter((existing) => existing.scanId !== scanId);
+    index.scans.push(entry);
+    await this._writeIndex(owner, apiName, version, index);
+
+    this.log.info('scan-history.saved', { owner, apiName, version, scanId });
+    return entry;
+  }
+
+  /**
+   * Retrieve the spec a scan was run against
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @param {string} version - API version
+   * @param {string} specHash - specHash from the scan record
+   * @returns {Promise<object|null>} The spec, or null if it wasn't kept
+   */
+  async getSpec(owner, apiName, version, specHash) {
+    return specHash ? this._getJson(this._specKey(owner, apiName, version, specHash)) : null;
+  }
+
+  /**
+   * Retrieve the debt baseline of an API
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @returns {Promise<object|null>} Debt baseline record, or null if none was taken
+   */
+  async getDebtBaseline(owner, apiName) {
+    return this._getJson(this._debtBaselineKey(owner, apiName));
+  }
+
+  /**
+   * Store (replace) the debt baseline of an API
+   * @param {object} baseline - Record from DebtBaseline.snapshot()
+   * @returns {Promise<object>} The stored record
+   */
+  async saveDebtBaseline(baseline) {
+    await this.s3.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this._debtBaselineKey(baseline.owner, baseline.apiName),
+      Body: JSON.stringify(baseline, null, 2),
+      ContentType: 'application/json',
+    }));
+    this.log.info('debt-baseline.saved', {
+      owner: baseline.owner,
+      apiName: baseline.apiName,
+      version: baseline.version,
+      issueCount: baseline.issues.length,
     });
+    return baseline;
+  }
+
+  /**
+   * Delete scans of an API version outside the retention policy, and the
+   * specs no remaining scan refers to. The newest scan is always kept.
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @param {string} version - API version
+   * @param {object} policy
+   * @param {number} [policy.maxScans] - Keep at most this many scans (0 = no limit)
+   * @param {number} [policy.maxAgeDays] - Delete scans older than this (0 = no limit)
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<string[]>} IDs of the deleted scans
+   */
+  async prune(owner, apiName, version, { maxScans = 0, maxAgeDays = 0 } = {}, now = new Date()) {
+    const index = await this._readIndex(owner, apiName, version);
+    const cutoffMs = maxAgeDays > 0 ? now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+
+    // Newest first, so the position is the number of newer scans
+    const expiredEntries = [...index.scans].reverse()
+      .filter((entry, position) => position > 0
+        && ((maxScans > 0 && position >= maxScans) || Date.parse(entry.scannedAt) < cutoffMs));
+    const expired = expiredEntries.map((entry) => entry.scanId);
+
+    if (expired.length === 0) return [];
+
+    const removed = new Set(expired);
+    index.scans = index.scans.filter((entry) => !removed.has(entry.scanId));
+    const keptSpecs = new Set(index.scans.map((entry) => entry.specHash));
+    const orphanedSpecs = [...new Set(expiredEntries.map((entry) => entry.specHash))]
+      .filter((specHash) => specHash && !keptSpecs.has(specHash));
 
-    await this.s3.send(command);
-    this.log.info('scan-history.saved', { owner, apiName, version });
+    const keys = [
+      ...expired.map((scanId) => this._scanKey(owner, apiName, version, scanId)),
+      ...orphanedSpecs.map((specHash) => this._specKey(owner, apiName, version, specHash)),
+    ];
+    // DeleteObjects takes at most 1000 keys per request
+    for (let start = 0; start < keys.length; start += 1000) {
+      await this.s3.send(new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: {
+          Objects: keys.slice(start, start + 1000).map((Key) => ({ Key })),
+          Quiet: true,
+        },
+      }));
+    }
+
+    await this._writeIndex(owner, apiName, version, index);
+
+    this.log.info('scan-history.pruned', { owner, apiName, version, deleted: expired.length, remaining: index.scans.length });
+    return expired;
+  }
+
+  /**
+   * Recreate the index from the stored scan records
+   * (e.g. after two concurrent scans of the same API raced on the index)
+   * @param {string} owner - API owner
+   * @param {string} apiName - API name
+   * @param {string} version - API version
+   * @returns {Promise<object>} The rebuilt index
+   */
+  async rebuildIndex(owner, apiName, version) {
+    const scans = [];
+    let ContinuationToken;
+    do {
+      const response = await this.s3.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: `${this._prefix(owner, apiName, version)}/scans/`,
+        ContinuationToken,
+      }));
+      for (const object of response.Contents || []) {
+        const scan = await this._getJson(object.Key);
+        if (scan) scans.push(this._indexEntry(scan));
+      }
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    const index = { owner, apiName, version, scans };
+    await this._writeIndex(owner, apiName, version, index);
+    this.log.info('scan-history.index-rebuilt', { owner, apiName, version, scanCount: scans.length });
+    return index;
+  }
+
+  _indexEntry(scan) {
+    const summary = scan.summary || {};
+    return {
+      scanId: scan.scanId,
+      version: scan.version,
+      scannedAt: scan.scannedAt,
+      specHash: scan.specHash ?? null,
+      score: summary.score ?? null,
+      grade: summary.grade ?? null,
+      totalIssues: summary.totalIssues ?? 0,
+      errors: summary.errors ?? 0,
+      warnings: summary.warnings ?? 0,
+      info: summary.info ?? 0,
+      hints: summary.hints ?? 0,
+      passedValidation: summary.passedValidation ?? null,
+    };
+  }
+
+  async _readIndex(owner, apiName, version) {
+    const index = await this._getJson(this._indexKey(owner, apiName, version));
+    return { owner, apiName, version, scans: index?.scans || [] };
+  }
+
+  async _writeIndex(owner, apiName, version, index) {
+    index.scans.sort((a, b) => Date.parse(a.scannedAt) - Date.parse(b.scannedAt));
+    await this.s3.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this._indexKey(owner, apiName, version),
+      Body: JSON.stringify({
+        indexVersion: INDEX_VERSION,
+        owner,
+        apiName,
+        version,
+        updatedAt: new Date().toISOString(),
+        scans: index.scans,
+      }, null, 2),
+      ContentType: 'application/json',
+    }));
+  }
+
+  /**
+   * Read a JSON object; null when it doesn't exist. Other errors are thrown so
+   * a failed index read never results in the index being overwritten.
+   */
+  async _getJson(key) {
+    try {
+      const response = await this.s3.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return JSON.parse(await response.Body.transformToString('utf-8'));
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      this.log.warn('scan-history.retrieve-failed', { key, errorMessage: error.message });
+      throw error;
+    }
   }
 }
 
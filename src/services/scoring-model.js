@@ -0,0 +1,171 @@
+/**
+ * Scoring Model - Configurable quality score and letter grade
+ *
+ * Turns a list of issues into a 0-100 score using a scoring profile:
+ * - Per-severity deductions (default: Error -10, Warning -3, Info -1)
+ * - Per-category multipliers (e.g. Security findings count 1.5x)
+ * - Per-rule overrides of the deduction
+ * - Diminishing returns for repeated findings of the same rule
+ * - Per-rule caps on the total deduction
+ * - Letter-grade mapping (A–F)
+ *
+ * Profiles are YAML or JSON files (SCORING_PROFILE_PATH). The default
+ * profile reproduces the original -10/-3/-1 model exactly, so scores only
+ * change when a team opts into a different profile. The profile's name,
+ * version and content hash are recorded in each summary so scores stay
+ * comparable across runs.
+ *
+ * Example profile:
+ *
+ *   name: governance-2024
+ *   version: 2
+ *   severityWeights: { error: 10, warning: 3, info: 1, hint: 0 }
+ *   categoryMultipliers: { Security: 1.5, Documentation: 0.5 }
+ *   ruleOverrides: { bp-unused-components: 0.5 }
+ *   diminishingReturns: 0.7    # nth repeat of a rule counts 0.7^n (1 = off)
+ *   ruleCap: 15                # max total deduction for any single rule
+ *   ruleCaps: { operation-description: 6 }
+ *   grades:
+ *     - { grade: A, minScore: 90 }
+ *     - { grade: B, minScore: 80 }
+ *     - { grade: C, minScore: 70 }
+ *     - { grade: D, minScore: 60 }
+ *     - { grade: F, minScore: 0 }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { stableStringify } = require('./spec-utils');
+
+const SEVERITY_KEYS = {
+  Error: 'error',
+  Warning: 'warning',
+  Information: 'info',
+  Hint: 'hint',
+};
+
+const DEFAULT_PROFILE = {
+  name: 'default',
+  version: 1,
+  severityWeights: { error: 10, warning: 3, info: 1, hint: 0 },
+  categoryMultipliers: {},
+  ruleOverrides: {},
+  diminishingReturns: 1,
+  ruleCap: null,
+  ruleCaps: {},
+  grades: [
+    { grade: 'A', minScore: 90 },
+    { grade: 'B', minScore: 80 },
+    { grade: 'C', minScore: 70 },
+    { grade: 'D', minScore: 60 },
+    { grade: 'F', minScore: 0 },
+  ],
+};
+
+class ScoringModel {
+  /**
+   * @param {object} [profile] - Scoring profile (missing fields fall back to DEFAULT_PROFILE)
+   */
+  constructor(profile = {}) {
+    this.profile = {
+      ...DEFAULT_PROFILE,
+      ...profile,
+      severityWeights: { ...DEFAULT_PROFILE.severityWeights, ...(profile.severityWeights || {}) },
+    };
+
+    const { diminishingReturns, grades } = this.profile;
+    if (typeof diminishingReturns !== 'number' || diminishingReturns <= 0 || diminishingReturns > 1) {
+      throw new Error(`Invalid scoring profile "${this.profile.name}": diminishingReturns must be in (0, 1]`);
+    }
+    if (!Array.isArray(grades) || grades.length === 0) {
+      throw new Error(`Invalid scoring profile "${this.profile.name}": grades must be a non-empty list`);
+    }
+    this.grades = [...grades].sort((a, b) => b.minScore - a.minScore);
+  }
+
+  /**
+   * Load a scoring profile from a YAML/JSON file
+   * @param {string} filePath - Path to the profile (relative to cwd)
+   * @returns {ScoringModel}
+   */
+  static fromFile(filePath) {
+    const resolved = path.resolve(process.cwd(), filePath);
+    let profile;
+    try {
+      profile = yaml.load(fs.readFileSync(resolved, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid scoring profile ${path.basename(resolved)}: ${error.message}`);
+    }
+    return new ScoringModel(profile || {});
+  }
+
+  /**
+   * Deduction for a single occurrence of an issue, before diminishing returns and caps
+   */
+  baseDeduction(issue) {
+    const { ruleOverrides, severityWeights, categoryMultipliers } = this.profile;
+    const weight = ruleOverrides?.[issue.code] != null
+      ? ruleOverrides[issue.code]
+      : severityWeights[SEVERITY_KEYS[issue.severity]] || 0;
+    const multiplier = categoryMultipliers?.[issue.category] != null ? categoryMultipliers[issue.category] : 1;
+    return weight * multiplier;
+  }
+
+  /**
+   * Calculate the score for a list of issues
+   * @param {Array} issues - Normalized issues (from ValidationEngine)
+   * @returns {number} Score between 0 and 100
+   */
+  score(issues) {
+    const byRule = new Map();
+    for (const issue of issues) {
+      const deductions = byRule.get(issue.code) || [];
+      deductions.push(this.baseDeduction(issue));
+      byRule.set(issue.code, deductions);
+    }
+
+    let total = 0;
+    for (const [code, deductions] of byRule) {
+      // Largest deductions count in full; repeats taper off
+      deductions.sort((a, b) => b - a);
+      let ruleTotal = deductions.reduce(
+        (sum, deduction, index) => sum + deduction * this.profile.diminishingReturns ** index,
+        0
+      );
+
+      const cap = this.profile.ruleCaps?.[code] != null ? this.profile.ruleCaps[code] : this.profile.ruleCap;
+      if (cap != null) ruleTotal = Math.min(ruleTotal, cap);
+      total += ruleTotal;
+    }
+
+    return Math.max(0, Math.min(100, Math.round(100 - total)));
+  }
+
+  /**
+   * Map a score to a letter grade
+   * @param {number} score - Score between 0 and 100
+   * @returns {string} Letter grade
+   */
+  grade(score) {
+    const match = this.grades.find((g) => score >= g.minScore);
+    return match ? match.grade : this.grades[this.grades.length - 1].grade;
+  }
+
+  /**
+   * Identify the profile in a summary so scores can be compared across runs.
+   * The hash ignores key order, so only a change to the profile changes it.
+   * @returns {{name: string, version: (string|number), hash: string}}
+   */
+  describe() {
+    const hash = crypto
+      .createHash('sha256')
+      .update(stableStringify(this.profile))
+      .digest('hex')
+      .slice(0, 12);
+    return { name: this.profile.name, version: this.profile.version, hash };
+  }
+}
+
+module.exports = { ScoringModel, DEFAULT_PROFILE };
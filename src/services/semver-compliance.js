@@ -0,0 +1,68 @@
+/**
+ * Semver Compliance - Checks that a version bump matches the contract change
+ *
+ * Produces findings in the "Versioning" category:
+ * - semver-invalid-version      the version isn't valid Semantic Versioning 2.0.0
+ * - semver-major-bump-required  the contract has breaking changes since the
+ *                               predecessor version but the major version
+ *                               wasn't bumped. Below 1.0.0, where anything
+ *                               may change, a minor bump is enough.
+ *
+ * The findings are raw findings like the rule engine's; merge them into a
+ * scan with ValidationEngine.addFindings().
+ */
+
+const semver = require('./semver');
+
+const VERSIONING_CATEGORY = 'Versioning';
+
+// Rule metadata, for exports that describe rules apart from their findings (SARIF)
+const SEMVER_RULES = [
+  { code: 'semver-invalid-version', description: 'API versions should be valid semantic versions.' },
+  { code: 'semver-major-bump-required', description: 'Breaking contract changes need a major version bump.' },
+];
+
+class SemverComplianceCheck {
+  /**
+   * Check a version against its predecessor
+   * @param {object} params
+   * @param {string} params.version - The version being released
+   * @param {string} [params.previousVersion] - Its predecessor (none for the first version)
+   * @param {object} [params.contractDiff] - Contract diff from the predecessor's spec (from ContractDiffEngine)
+   * @returns {Array<object>} Findings ({ ruleName, message, severity, path, category })
+   */
+  check({ version, previousVersion, contractDiff }) {
+    const findings = [];
+    if (!version) return findings;
+
+    if (!semver.isValid(version)) {
+      findings.push(this._finding('semver-invalid-version', 'WARN',
+        `Version "${version}" is not a valid semantic version (MAJOR.MINOR.PATCH)`));
+    }
+
+    const breaking = contractDiff ? contractDiff.summary.breaking : 0;
+    const current = semver.coerce(version);
+    const previous = previousVersion ? semver.coerce(previousVersion) : null;
+    if (breaking > 0 && current && previous && !this._isBreakingBump(previous, current)) {
+      const needed = previous.major === 0 ? 'minor' : 'major';
+      findings.push(this._finding('semver-major-bump-required', 'ERROR',
+        `Version ${version} has ${breaking} breaking change(s) since ${previousVersion} but no ${needed} version bump`));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Whether going from previous to current may break consumers
+   */
+  _isBreakingBump(previous, current) {
+    if (current.major !== previous.major) return current.major > previous.major;
+    return current.major === 0 && current.minor > previous.minor;
+  }
+
+  _finding(ruleName, severity, message) {
+    return { ruleName, message, severity, path: 'info.version', category: VERSIONING_CATEGORY };
+  }
+}
+
+module.exports = { SemverComplianceCheck, VERSIONING_CATEGORY, SEMVER_RULES };
@@ -0,0 +1,168 @@
+/**
+ * Semver Utilities - Parse, compare and match semantic versions
+ *
+ * Small dependency-free helpers for API version strings:
+ * - parse()      strict Semantic Versioning 2.0.0
+ * - coerce()     lenient parsing for SwaggerHub-style versions ('v2', '1.0')
+ * - compare()    ordering, including pre-release precedence
+ * - satisfies()  ranges: '*', '1.x', '^1.2.0', '~1.2', '>=1.0.0 <2.0.0', 'a || b'
+ * - validRange() whether a range can be evaluated at all
+ */
+
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+/**
+ * Parse a strict semantic version
+ * @param {string} version - e.g. '1.4.0-beta.1'
+ * @returns {{major: number, minor: number, patch: number, prerelease: Array, raw: string}|null}
+ */
+function parse(version) {
+  const match = SEMVER_PATTERN.exec(String(version || '').trim());
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.').map((id) => (/^\d+$/.test(id) ? Number(id) : id)) : [],
+    raw: String(version).trim(),
+  };
+}
+
+/**
+ * Parse a version leniently: allows a leading 'v' and missing minor/patch
+ * @returns {object|null} Same shape as parse()
+ */
+function coerce(version) {
+  const strict = parse(version);
+  if (strict) return strict;
+
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?$/i.exec(String(version || '').trim());
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] ? match[4].split('.').map((id) => (/^\d+$/.test(id) ? Number(id) : id)) : [],
+    raw: String(version).trim(),
+  };
+}
+
+function isValid(version) {
+  return parse(version) !== null;
+}
+
+function comparePrerelease(a, b) {
+  if (a.length === 0 && b.length === 0) return 0;
+  if (a.length === 0) return 1; // release > pre-release
+  if (b.length === 0) return -1;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+    if (typeof a[i] === 'number' && typeof b[i] === 'number') return a[i] < b[i] ? -1 : 1;
+    if (typeof a[i] === 'number') return -1;
+    if (typeof b[i] === 'number') return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Compare two versions (coerced)
+ * @returns {number} -1, 0 or 1; throws if either version can't be parsed
+ */
+function compare(a, b) {
+  const va = typeof a === 'object' ? a : coerce(a);
+  const vb = typeof b === 'object' ? b : coerce(b);
+  if (!va || !vb) {
+    const raw = (v) => (v && typeof v === 'object' ? v.raw : v);
+    throw new Error(`Cannot compare versions "${raw(a)}" and "${raw(b)}"`);
+  }
+  for (const part of ['major', 'minor', 'patch']) {
+    if (va[part] !== vb[part]) return va[part] < vb[part] ? -1 : 1;
+  }
+  return comparePrerelease(va.prerelease, vb.prerelease);
+}
+
+/**
+ * Expand one range token ('^1.2.0', '1.x', '>=1.0') into [operator, version] comparators
+ */
+function toComparators(token) {
+  if (token === '*' || token === 'x' || token === '') return [];
+
+  const op = /^(>=|<=|>|<|=|\^|~)?\s*(.+)$/.exec(token);
+  const operator = op[1] || '';
+  const body = op[2].replace(/^v/i, '');
+  const parts = body.split('-')[0].split('.');
+  const wildcard = (p) => p === undefined || p === 'x' || p === 'X' || p === '*';
+  const [maj, min, pat] = parts;
+
+  if (!operator || operator === '=') {
+    if (wildcard(maj)) return [];
+    if (wildcard(min)) return [['>=', `${maj}.0.0`], ['<', `${Number(maj) + 1}.0.0`]];
+    if (wildcard(pat)) return [['>=', `${maj}.${min}.0`], ['<', `${maj}.${Number(min) + 1}.0`]];
+    return [['=', body]];
+  }
+
+  const base = `${maj}.${wildcard(min) ? 0 : min}.${wildcard(pat) ? 0 : pat}`;
+  if (operator === '^') {
+    if (Number(maj) > 0 || wildcard(min)) return [['>=', base], ['<', `${Number(maj) + 1}.0.0`]];
+    if (Number(min) > 0 || wildcard(pat)) return [['>=', base], ['<', `0.${Number(min) + 1}.0`]];
+    return [['>=', base], ['<', `0.0.${Number(pat) + 1}`]];
+  }
+  if (operator === '~') {
+    if (wildcard(min)) return [['>=', base], ['<', `${Number(maj) + 1}.0.0`]];
+    return [['>=', base], ['<', `${maj}.${Number(min) + 1}.0`]];
+  }
+  return [[operator, base]];
+}
+
+function testComparator(version, [operator, target]) {
+  const result = compare(version, target);
+  switch (operator) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    default: return result === 0;
+  }
+}
+
+/**
+ * Expand a range into comparator sets (one per '||' alternative)
+ * @returns {Array<Array>|null} null if a comparator's version can't be parsed
+ */
+function parseRange(range) {
+  const sets = String(range).split('||').map((set) => {
+    const tokens = set.trim().replace(/(>=|<=|>|<|=)\s+/g, '$1').split(/\s+/);
+    return tokens.flatMap(toComparators);
+  });
+  const valid = sets.every((set) => set.every(([, target]) => coerce(target) !== null));
+  return valid ? sets : null;
+}
+
+/**
+ * Whether a range is well-formed, e.g. '>=2.0.0' but not 'latest'
+ * @param {string} range
+ * @returns {boolean}
+ */
+function validRange(range) {
+  return parseRange(range) !== null;
+}
+
+/**
+ * Check whether a version satisfies a range
+ * @param {string} version - Version to test (coerced, e.g. 'v2' → 2.0.0)
+ * @param {string} range - e.g. '>=2.0.0 <3.0.0 || 4.x'
+ * @returns {boolean} false if the version can't be parsed; throws if the range can't
+ */
+function satisfies(version, range) {
+  const sets = parseRange(range);
+  if (!sets) throw new Error(`Invalid version range "${range}"`);
+
+  const parsed = coerce(version);
+  if (!parsed) return false;
+  return sets.some((set) => set.every((comparator) => testComparator(parsed, comparator)));
+}
+
+module.exports = { parse, coerce, isValid, compare, satisfies, validRange };
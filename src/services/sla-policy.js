@@ -0,0 +1,85 @@
+/**
+ * SLA Policy - Remediation deadlines for findings, per severity
+ *
+ * Every finding carries `firstSeenAt` and `scanCount`, carried over from
+ * scan to scan by the DiffEngine while the finding persists (or moves).
+ * A finding breaches its SLA once it has been open longer than the limit for
+ * its severity, e.g. errors must be fixed within 14 days. Limits come from
+ * SLA_ERROR_DAYS, SLA_WARNING_DAYS, SLA_INFO_DAYS and SLA_HINT_DAYS; 0 means
+ * no SLA for that severity.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SlaPolicy {
+  /**
+   * @param {object} [limits] - Days per severity (config.sla shape)
+   * @param {number} [limits.errorDays]
+   * @param {number} [limits.warningDays]
+   * @param {number} [limits.infoDays]
+   * @param {number} [limits.hintDays]
+   */
+  constructor({ errorDays = 0, warningDays = 0, infoDays = 0, hintDays = 0 } = {}) {
+    this.limits = {
+      Error: errorDays > 0 ? errorDays : null,
+      Warning: warningDays > 0 ? warningDays : null,
+      Information: infoDays > 0 ? infoDays : null,
+      Hint: hintDays > 0 ? hintDays : null,
+    };
+  }
+
+  /**
+   * Days an issue has been open. Issues without `firstSeenAt` (age tracking
+   * started after them) count from now.
+   * @param {object} issue - Normalized issue
+   * @param {Date|string} [now=new Date()]
+   * @returns {number} Whole days
+   */
+  static ageDays(issue, now = new Date()) {
+    const firstSeen = Date.parse(issue.firstSeenAt);
+    if (Number.isNaN(firstSeen)) return 0;
+    return Math.max(0, Math.floor((new Date(now).getTime() - firstSeen) / DAY_MS));
+  }
+
+  /**
+   * Find the issues past their remediation deadline
+   * @param {Array} issues - Normalized issues (after DiffEngine.compare stamped their age)
+   * @param {Date|string} [now=new Date()]
+   * @returns {object} { evaluatedAt, limits, breached, bySeverity, breaches: [{ issue, ageDays, slaDays, dueAt, overdueDays }] }
+   */
+  evaluate(issues, now = new Date()) {
+    const at = new Date(now);
+    const breaches = [];
+    for (const issue of issues) {
+      const slaDays = this.limits[issue.severity];
+      const firstSeen = Date.parse(issue.firstSeenAt);
+      if (!slaDays || Number.isNaN(firstSeen)) continue;
+
+      const due = firstSeen + slaDays * DAY_MS;
+      if (at.getTime() <= due) continue;
+      breaches.push({
+        issue,
+        ageDays: SlaPolicy.ageDays(issue, at),
+        slaDays,
+        dueAt: new Date(due).toISOString(),
+        overdueDays: Math.ceil((at.getTime() - due) / DAY_MS),
+      });
+    }
+    breaches.sort((a, b) => b.overdueDays - a.overdueDays || a.issue.severityLevel - b.issue.severityLevel);
+
+    const bySeverity = {};
+    breaches.forEach(({ issue }) => {
+      bySeverity[issue.severity] = (bySeverity[issue.severity] || 0) + 1;
+    });
+
+    return {
+      evaluatedAt: at.toISOString(),
+      limits: this.limits,
+      breached: breaches.length,
+      bySeverity,
+      breaches,
+    };
+  }
+}
+
+module.exports = { SlaPolicy };
@@ -0,0 +1,156 @@
+/**
+ * Spec Utilities - Helpers for walking OpenAPI 2.0 / 3.x documents
+ *
+ * Shared by the local rule engine and anything else that needs to
+ * iterate operations or resolve components in a fetched spec, or hash it
+ * independent of key order (stableStringify).
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Detect whether a spec is OpenAPI 3.x (as opposed to Swagger 2.0)
+ */
+function isOas3(spec) {
+  return typeof spec?.openapi === 'string' && spec.openapi.startsWith('3');
+}
+
+/**
+ * List every operation in the spec
+ * @param {object} spec - Parsed OpenAPI document
+ * @returns {Array<{path: string, method: string, operation: object, pathItem: object}>}
+ */
+function getOperations(spec) {
+  const operations = [];
+  const paths = spec?.paths || {};
+
+  for (const [path, pathItem] of Object.entries(paths)) {
+    if (!pathItem || typeof pathItem !== 'object') continue;
+    for (const method of HTTP_METHODS) {
+      if (pathItem[method] && typeof pathItem[method] === 'object') {
+        operations.push({ path, method, operation: pathItem[method], pathItem });
+      }
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Return the reusable component maps for the spec, keyed by the
+ * $ref prefix that points at them (e.g. '#/components/schemas/')
+ */
+function getComponentMaps(spec) {
+  if (isOas3(spec)) {
+    const components = spec.components || {};
+    return ['schemas', 'responses', 'parameters', 'requestBodies', 'headers', 'examples', 'links', 'callbacks']
+      .filter((type) => components[type] && typeof components[type] === 'object')
+      .map((type) => ({
+        type,
+        prefix: `#/components/${type}/`,
+        path: `components.${type}`,
+        entries: components[type],
+      }));
+  }
+
+  return ['definitions', 'parameters', 'responses']
+    .filter((type) => spec?.[type] && typeof spec[type] === 'object')
+    .map((type) => ({
+      type,
+      prefix: `#/${type}/`,
+      path: type,
+      entries: spec[type],
+    }));
+}
+
+/**
+ * Collect every $ref string used anywhere in the document
+ * @returns {Set<string>}
+ */
+function collectRefs(node, refs = new Set(), seen = new Set()) {
+  if (!node || typeof node !== 'object' || seen.has(node)) return refs;
+  seen.add(node);
+
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectRefs(child, refs, seen));
+    return refs;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$ref' && typeof value === 'string') {
+      refs.add(value);
+    } else {
+      collectRefs(value, refs, seen);
+    }
+  }
+  return refs;
+}
+
+/**
+ * Resolve a local JSON reference (e.g. '#/components/schemas/Pet')
+ * @returns {*} The referenced node, or undefined if it can't be resolved
+ */
+function resolveRef(spec, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+  return ref
+    .slice(2)
+    .split('/')
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, segment) => (node == null ? undefined : node[segment]), spec);
+}
+
+/**
+ * Resolve a dotted issue path (e.g. 'paths./v1.0/pets.get.responses') to the
+ * node it points at. Keys may themselves contain dots, so each step takes the
+ * longest key that matches the start of the remaining path.
+ * @returns {*} The node, or undefined if the path doesn't resolve
+ */
+function resolvePath(spec, path) {
+  if (!path) return spec;
+  const segments = path.split('.');
+  let node = spec;
+  let i = 0;
+  while (i < segments.length) {
+    if (!node || typeof node !== 'object') return undefined;
+    let next = -1;
+    for (let j = segments.length; j > i; j -= 1) {
+      if (Object.prototype.hasOwnProperty.call(node, segments.slice(i, j).join('.'))) {
+        next = j;
+        break;
+      }
+    }
+    if (next === -1) return undefined;
+    node = node[segments.slice(i, next).join('.')];
+    i = next;
+  }
+  return node;
+}
+
+/**
+ * JSON.stringify with object keys sorted at every level, so key order
+ * doesn't change hashes of specs and spec fragments
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+module.exports = {
+  HTTP_METHODS,
+  isOas3,
+  getOperations,
+  getComponentMaps,
+  collectRefs,
+  resolveRef,
+  resolvePath,
+  stableStringify,
+};
@@ -99,6 +99,78 @@ class SwaggerHubClient {
     }
   }
 
+  /**
+   * List all APIs of an owner with their default versions
+   * Pages through GET /apis/{owner}
+   * @param {string} owner - API owner (organization or user)
+   * @param {number} [pageSize=100] - APIs per request
+   * @returns {Array<{owner: string, apiName: string, version: string|null}>}
+   */
+  async listApis(owner, pageSize = 100) {
+    const apis = [];
+    for (let page = 0; ; page++) {
+      let data;
+      try {
+        const response = await this.http.get(`/apis/${owner}`, { params: { page, limit: pageSize } });
+        data = response.data || {};
+      } catch (error) {
+        const status = error.response?.status;
+        if (status === 401) throw new Error('SwaggerHub authentication failed. Check your API key.');
+        if (status === 404) throw new Error(`Owner not found: ${owner}`);
+        throw new Error(`Failed to list APIs of ${owner}: ${error.message}`);
+      }
+
+      const entries = data.apis || [];
+      for (const entry of entries) {
+        const property = (type) => entry.properties?.find((p) => p.type === type);
+        // The Swagger property links the spec: .../apis/{owner}/{api}/{version}
+        const specUrl = property('Swagger')?.url || '';
+        const apiName = specUrl.split('/apis/')[1]?.split('/')[1] || entry.name;
+        if (apiName) {
+          apis.push({ owner, apiName, version: property('X-Version')?.value || null });
+        }
+      }
+
+      if (entries.length < pageSize || apis.length >= (data.totalCount ?? Infinity)) break;
+    }
+
+    this.log.info('apis.listed', { owner, count: apis.length });
+    return apis;
+  }
+
+  /**
+   * Download a Spectral ruleset from SwaggerHub as a zip archive
+   * Uses the GET /standardization/spectral-rulesets/{owner}/{name}/zip endpoint
+   * @param {string} owner - Ruleset owner (organization)
+   * @param {string} name - Ruleset name
+   * @returns {Buffer} Zip archive containing the .spectral.yaml
+   */
+  async fetchSpectralRuleset(owner, name) {
+    const url = `/standardization/spectral-rulesets/${owner}/${name}/zip`;
+    this.log.info('spectral-ruleset.fetching', { url });
+
+    try {
+      const response = await this.http.get(url, {
+        responseType: 'arraybuffer',
+        headers: { Accept: 'application/zip' },
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error.response) {
+        const status = error.response.status;
+        switch (status) {
+          case 401:
+            throw new Error('SwaggerHub authentication failed. Check your API key.');
+          case 404:
+            throw new Error(`Spectral ruleset not found: ${owner}/${name}`);
+          default:
+            throw new Error(`SwaggerHub spectral ruleset API error (${status}): ${error.message}`);
+        }
+      }
+      throw new Error(`Failed to fetch Spectral ruleset: ${error.message}`);
+    }
+  }
+
   /**
    * Fetch standardization errors for an API version from SwaggerHub
    * Uses the GET /apis/{owner}/{api}/{version}/standardization endpoint
@@ -106,6 +178,7 @@ class SwaggerHubClient {
    * @param {string} apiName - API name
    * @param {string} version - API version
    * @returns {object} Standardization result with errors array
+   * @throws {Error} With `statusCode` for HTTP errors; see isStandardizationUnavailable()
    */
   async fetchStandardizationErrors(owner, apiName, version) {
     const url = `/apis/${owner}/${apiName}/${version}/standardization`;
@@ -121,18 +194,35 @@ class SwaggerHubClient {
 
         switch (status) {
           case 401:
-            throw new Error(`SwaggerHub authentication failed. Check your API key. (${message})`);
+            throw this._httpError(status, `SwaggerHub authentication failed. Check your API key. (${message})`);
           case 403:
-            throw new Error(`Access denied to standardization for ${owner}/${apiName}. Check permissions. (${message})`);
+            throw this._httpError(status, `Access denied to standardization for ${owner}/${apiName}. Check permissions. (${message})`);
           case 404:
-            throw new Error(`Standardization not available for ${owner}/${apiName}@${version}. Ensure Standardization is enabled for your organization. (${message})`);
+            throw this._httpError(status, `Standardization not available for ${owner}/${apiName}@${version}. Ensure Standardization is enabled for your organization. (${message})`);
           default:
-            throw new Error(`SwaggerHub standardization API error (${status}): ${message}`);
+            throw this._httpError(status, `SwaggerHub standardization API error (${status}): ${message}`);
         }
       }
       throw new Error(`Failed to fetch standardization errors: ${error.message}`);
     }
   }
+
+  /**
+   * Whether a fetchStandardizationErrors() failure means the plan or API has
+   * no Standardization (403/404), so a scan can go on with the local rules.
+   * Anything else (bad API key, 5xx, network) should fail the scan.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isStandardizationUnavailable(error) {
+    return error.statusCode === 403 || error.statusCode === 404;
+  }
+
+  _httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
 }
 
 module.exports = { SwaggerHubClient };
@@ -1,20 +1,48 @@
 /**
  * Validation Engine - Processes SwaggerHub Standardization API results
  *
- * Instead of running Spectral locally, this engine consumes the validation
- * errors returned by the SwaggerHub Standardization API endpoint:
+ * Consumes the validation errors returned by the SwaggerHub Standardization
+ * API endpoint:
  *   GET /apis/{owner}/{api}/{version}/standardization
  *
- * The engine normalizes the response into our standard format with:
+ * and, when the fetched spec is supplied, merges in findings from the
+ * local RuleEngine (see rules/best-practices.js).
+ *
+ * The engine normalizes both sources into our standard format with:
  * - Categorized issues
  * - Severity mapping
- * - Numeric quality score (0-100)
+ * - Numeric quality score (0-100) and letter grade (see scoring-model.js)
  * - Summary statistics
+ *
+ * Accepted exceptions (waivers, see waiver-set.js) are applied afterwards
+ * with applyWaivers().
  */
 
+const { RuleEngine } = require('./rule-engine');
+const { ScoringModel } = require('./scoring-model');
+const { fragmentHash } = require('./issue-fingerprint');
+
 class ValidationEngine {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.localRules=true] - Run the built-in local rules when a spec is supplied
+   * @param {string} [options.rulesetPath] - Custom YAML/JSON ruleset evaluated alongside the built-ins
+   * @param {string} [options.spectralRulesetPath] - Spectral ruleset (.spectral.yaml or .zip) evaluated locally
+   * @param {Array} [options.additionalRules] - Already-compiled rules, e.g. a Spectral ruleset fetched from SwaggerHub
+   * @param {RuleEngine} [options.ruleEngine] - Custom rule engine instance
+   * @param {object} [options.scoringProfile] - Scoring profile (see scoring-model.js)
+   * @param {string} [options.scoringProfilePath] - YAML/JSON scoring profile to load instead
+   */
   constructor(options = {}) {
-    // Reserved for future options
+    this.ruleEngine = options.ruleEngine || new RuleEngine({
+      includeBuiltIns: options.localRules !== false,
+      rulesetPath: options.rulesetPath,
+      spectralRulesetPath: options.spectralRulesetPath,
+      additionalRules: options.additionalRules,
+    });
+    this.scoringModel = options.scoringProfilePath
+      ? ScoringModel.fromFile(options.scoringProfilePath)
+      : new ScoringModel(options.scoringProfile);
   }
 
   /**
@@ -22,37 +50,92 @@ class ValidationEngine {
    * @param {object} standardizationData - Response from GET .../standardization
    *   Expected shape: { errors: [{ description, line, message, ruleName, severity }] }
    *   Or: { result: { errors: [...] } }
+   * @param {object} [spec] - The fetched OpenAPI spec, evaluated by the local rule engine
    * @returns {object} Validation results with categorized issues and summary
    */
-  async validate(standardizationData) {
+  async validate(standardizationData, spec = null) {
     // The SwaggerHub API may return errors at the top level or nested under 'result'
-    const rawErrors = standardizationData.errors
-      || standardizationData.result?.errors
+    const rawErrors = standardizationData?.errors
+      || standardizationData?.result?.errors
       || [];
 
-    // Normalize each standardization error into our issue format
-    const issues = rawErrors.map((err) => ({
-      code: err.ruleName || err.rule || 'standardization',
-      message: err.message || err.description || 'Standardization violation',
-      severity: this.mapSeverity(err.severity),
-      severityLevel: this.mapSeverityLevel(err.severity),
-      path: err.pointer || err.path || (err.line ? `line ${err.line}` : ''),
-      range: err.line
-        ? {
-            startLine: err.line,
-            startCol: err.character || 1,
-            endLine: err.line,
-            endCol: err.character || 1,
-          }
-        : null,
-      category: this.categorizeIssue(err.ruleName || err.rule || ''),
-    }));
+    const localErrors = spec ? this.ruleEngine.evaluate(spec) : [];
+
+    // Normalize each finding into our issue format
+    const issues = [
+      ...rawErrors.map((err) => this.normalizeIssue(err, 'swaggerhub')),
+      ...localErrors.map((err) => this.normalizeIssue(err, 'local')),
+    ];
+
+    // Lets DiffEngine recognize a finding whose spec node moved or was renamed
+    if (spec) {
+      issues.forEach((issue) => {
+        const hash = fragmentHash(spec, issue.path);
+        if (hash) issue.fragmentHash = hash;
+      });
+    }
 
     // Sort by severity (errors first)
     issues.sort((a, b) => a.severityLevel - b.severityLevel);
 
-    // Build summary
-    const summary = {
+    return { issues, summary: this.summarize(issues) };
+  }
+
+  /**
+   * Merge findings produced outside validate() (e.g. the semver compliance
+   * check, which needs the contract diff) into validation results and
+   * rebuild the summary and score
+   * @param {object} validationResults - Results from validate(); updated in place
+   * @param {Array} findings - Raw findings in the rule engine's format
+   * @param {string} [source='local'] - Where the findings came from
+   * @returns {object} The updated validation results
+   */
+  addFindings(validationResults, findings, source = 'local') {
+    if (findings.length === 0) return validationResults;
+    validationResults.issues.push(...findings.map((finding) => this.normalizeIssue(finding, source)));
+    validationResults.issues.sort((a, b) => a.severityLevel - b.severityLevel);
+    validationResults.summary = this.summarize(validationResults.issues);
+    return validationResults;
+  }
+
+  /**
+   * Move findings covered by an active waiver out of the issues (so they no
+   * longer count towards the score or the quality gate) into `waived`, and
+   * record expired waivers whose findings count again. Run it after all
+   * findings are in (see addFindings).
+   * @param {object} validationResults - Results from validate(); updated in place
+   * @param {WaiverSet} waivers - Waivers for the API (see waiver-set.js)
+   * @param {Date} [now=new Date()]
+   * @returns {object} The updated validation results
+   */
+  applyWaivers(validationResults, waivers, now = new Date()) {
+    const issues = [];
+    const waived = [];
+    for (const issue of validationResults.issues) {
+      const waiver = waivers.match(issue, now);
+      if (waiver) {
+        waived.push({ ...issue, waiver });
+      } else {
+        issues.push(issue);
+      }
+    }
+
+    validationResults.issues = issues;
+    validationResults.waivers = {
+      waived,
+      expired: waivers.expired(issues, now),
+      invalid: waivers.invalid,
+    };
+    validationResults.summary = { ...this.summarize(issues), waived: waived.length };
+    return validationResults;
+  }
+
+  /**
+   * Build summary statistics, score and grade for a list of issues
+   */
+  summarize(issues) {
+    const score = this.calculateScore(issues);
+    return {
       totalIssues: issues.length,
       errors: issues.filter((i) => i.severity === 'Error').length,
       warnings: issues.filter((i) => i.severity === 'Warning').length,
@@ -60,10 +143,37 @@ class ValidationEngine {
       hints: issues.filter((i) => i.severity === 'Hint').length,
       passedValidation: issues.filter((i) => i.severity === 'Error').length === 0,
       categories: this.summarizeByCategory(issues),
-      score: this.calculateScore(issues),
+      score,
+      grade: this.scoringModel.grade(score),
+      scoringProfile: this.scoringModel.describe(),
     };
+  }
 
-    return { issues, summary };
+  /**
+   * Normalize a raw finding (SwaggerHub standardization error or local
+   * rule result) into our issue format
+   * @param {object} err - Raw finding
+   * @param {string} source - Where the finding came from ('swaggerhub' | 'local')
+   */
+  normalizeIssue(err, source) {
+    const ruleName = err.ruleName || err.rule || '';
+    return {
+      code: ruleName || 'standardization',
+      message: err.message || err.description || 'Standardization violation',
+      severity: this.mapSeverity(err.severity),
+      severityLevel: this.mapSeverityLevel(err.severity),
+      path: err.pointer || err.path || (err.line ? `line ${err.line}` : ''),
+      range: err.line
+        ? {
+            startLine: err.line,
+            startCol: err.character || 1,
+            endLine: err.line,
+            endCol: err.character || 1,
+          }
+        : null,
+      category: err.category || this.categorizeIssue(ruleName),
+      source,
+    };
   }
 
   /**
@@ -144,27 +254,11 @@ class ValidationEngine {
   }
 
   /**
-   * Calculate an overall API quality score (0-100)
-   * Deductions: Errors = -10pts, Warnings = -3pts, Info = -1pt
+   * Calculate an overall API quality score (0-100) using the scoring profile
+   * Default profile deductions: Errors = -10pts, Warnings = -3pts, Info = -1pt
    */
   calculateScore(issues) {
-    let score = 100;
-    for (const issue of issues) {
-      switch (issue.severity) {
-        case 'Error':
-          score -= 10;
-          break;
-        case 'Warning':
-          score -= 3;
-          break;
-        case 'Information':
-          score -= 1;
-          break;
-        default:
-          break;
-      }
-    }
-    return Math.max(0, Math.min(100, score));
+    return this.scoringModel.score(issues);
   }
 }
 
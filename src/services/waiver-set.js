@@ -0,0 +1,167 @@
+/**
+ * Waiver Set - Accepted exceptions that suppress findings until they expire
+ *
+ * Waivers come from a per-API waiver file (waivers/{owner}/{apiName}.yaml in
+ * the reports bucket, or --waivers for the CLI) and from an `x-waivers` list
+ * at the root of the spec. Both use the same entries:
+ *
+ *   waivers:
+ *     - rule: bp-path-casing                # rule code (glob)
+ *       path: 'paths./userAccounts**'       # glob on the issue path; omit for any path
+ *       justification: Public path, renaming it breaks mobile clients
+ *       approver: jane.doe@example.com
+ *       expires: 2026-12-31                 # date (valid through that day, UTC) or timestamp
+ *
+ * justification, approver and expires are required; waivers missing one are
+ * ignored and reported as invalid. A waived finding is left out of the score
+ * and the quality gate and listed under "Accepted Exceptions"; once the
+ * waiver expires the finding counts again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { matchesGlob } = require('./glob');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REQUIRED_FIELDS = ['rule', 'justification', 'approver', 'expires'];
+
+class WaiverSet {
+  /**
+   * @param {Array} [waivers] - Waiver entries
+   * @param {string} [source='file'] - Where the entries came from (shown in the report)
+   */
+  constructor(waivers = [], source = 'file') {
+    this.waivers = [];
+    this.invalid = [];
+    if (!Array.isArray(waivers)) {
+      this.invalid.push({ source, reason: 'waivers must be a list' });
+      return;
+    }
+
+    waivers.forEach((entry, i) => {
+      const reason = this._validate(entry);
+      if (reason) {
+        this.invalid.push({ source, index: i, rule: entry?.rule ? String(entry.rule) : null, reason });
+        return;
+      }
+      const expires = this._parseExpiry(entry.expires);
+      this.waivers.push({
+        rule: String(entry.rule),
+        path: entry.path === undefined ? null : entry.path,
+        justification: String(entry.justification),
+        approver: String(entry.approver),
+        expires: expires.label,
+        expiresAt: new Date(expires.at).toISOString(),
+        source,
+      });
+    });
+  }
+
+  /**
+   * Load a waiver file (YAML or JSON, { waivers: [...] } or a bare list)
+   * @param {string} filePath - Path to the waiver file
+   * @returns {WaiverSet}
+   */
+  static fromFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return WaiverSet.parse(raw, path.basename(filePath));
+  }
+
+  /**
+   * Parse waiver file content
+   * @param {string} raw - YAML or JSON text
+   * @param {string} [source='file'] - Label for the report
+   * @returns {WaiverSet}
+   */
+  static parse(raw, source = 'file') {
+    const document = yaml.load(raw) || {};
+    return new WaiverSet(Array.isArray(document) ? document : document.waivers || [], source);
+  }
+
+  /**
+   * Read the `x-waivers` extension of a spec
+   * @param {object} spec - OpenAPI spec
+   * @returns {WaiverSet}
+   */
+  static fromSpec(spec) {
+    return new WaiverSet(spec?.['x-waivers'] || [], 'x-waivers');
+  }
+
+  /**
+   * Combine several sets into one
+   * @param {Array<WaiverSet>} sets
+   * @returns {WaiverSet}
+   */
+  static merge(sets) {
+    const merged = new WaiverSet();
+    for (const set of sets) {
+      merged.waivers.push(...set.waivers);
+      merged.invalid.push(...set.invalid);
+    }
+    return merged;
+  }
+
+  /**
+   * The active waiver covering an issue, if any
+   * @param {object} issue - Normalized issue
+   * @param {Date} [now=new Date()]
+   * @returns {object|null} Waiver
+   */
+  match(issue, now = new Date()) {
+    return this.waivers.find((waiver) => Date.parse(waiver.expiresAt) > now.getTime() && this._covers(waiver, issue)) || null;
+  }
+
+  /**
+   * Waivers past their expiry date, with the number of issues they would
+   * still cover (those count again)
+   * @param {Array} issues - Normalized issues
+   * @param {Date} [now=new Date()]
+   * @returns {Array<object>} Expired waivers with `resurfaced`
+   */
+  expired(issues, now = new Date()) {
+    return this.waivers
+      .filter((waiver) => Date.parse(waiver.expiresAt) <= now.getTime())
+      .map((waiver) => ({
+        ...waiver,
+        resurfaced: issues.filter((issue) => this._covers(waiver, issue)).length,
+      }));
+  }
+
+  get size() {
+    return this.waivers.length;
+  }
+
+  _covers(waiver, issue) {
+    if (!matchesGlob(issue.code, waiver.rule)) return false;
+    return waiver.path === null || matchesGlob(issue.path || '', waiver.path);
+  }
+
+  _validate(entry) {
+    if (!entry || typeof entry !== 'object') return 'waiver must be an object';
+    const missing = REQUIRED_FIELDS.filter((field) => entry[field] === undefined || entry[field] === null || String(entry[field]).trim() === '');
+    if (missing.length > 0) return `missing ${missing.join(', ')}`;
+    if (this._parseExpiry(entry.expires) === null) return `invalid expiry date "${entry.expires}"`;
+    return null;
+  }
+
+  /**
+   * A plain date (YAML parses unquoted dates to midnight UTC) stays valid
+   * through the end of that day; a timestamp is used as given
+   */
+  _parseExpiry(value) {
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) return null;
+      const iso = value.toISOString();
+      return iso.endsWith('T00:00:00.000Z')
+        ? { label: iso.slice(0, 10), at: value.getTime() + DAY_MS }
+        : { label: iso, at: value.getTime() };
+    }
+    const text = String(value).trim();
+    const at = Date.parse(text);
+    if (Number.isNaN(at)) return null;
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) ? { label: text, at: at + DAY_MS } : { label: text, at };
+  }
+}
+
+module.exports = { WaiverSet };
@@ -0,0 +1,62 @@
+/**
+ * SwaggerHub Validation Report - Queue Worker Lambda
+ *
+ * Consumes validation jobs enqueued by the webhook handler and runs the
+ * pipeline for each. Failed jobs are reported back as batch item failures so
+ * SQS retries them, and after the queue's maxReceiveCount they land in the
+ * dead-letter queue (replay with `npm run replay-dlq`).
+ *
+ * Jobs superseded by a newer webhook for the same API version (debounce) and
+ * jobs whose spec is unchanged since the last run (idempotency) are skipped.
+ */
+
+const { runValidationPipeline } = require('./pipeline');
+const { IdempotencyService } = require('./services/idempotency-service');
+const { createLogger } = require('./services/logger');
+const config = require('./config');
+
+/**
+ * SQS event handler
+ * @returns {Promise<object>} { batchItemFailures } for partial batch responses
+ */
+exports.handler = async (event, context) => {
+  const batchItemFailures = [];
+
+  for (const record of event.Records || []) {
+    const log = createLogger({
+      requestId: context?.awsRequestId || 'local',
+      messageId: record.messageId,
+    });
+
+    try {
+      const job = JSON.parse(record.body);
+      const jobLog = log.child({ jobId: job.jobId });
+      jobLog.info('job.started', {
+        attempt: Number(record.attributes?.ApproximateReceiveCount || 1),
+        receivedAt: job.receivedAt,
+      });
+
+      // Debounce: a newer webhook for the same API version replaces this one
+      if (!job.force && !job.refreshDebtBaseline && config.queue.debounceSeconds > 0
+        && !(await new IdempotencyService(config.aws).isLatestJob(job))) {
+        jobLog.info('job.superseded');
+        continue;
+      }
+
+      const result = await runValidationPipeline(job, jobLog);
+      if (result.skipped) {
+        jobLog.info('job.skipped', { reason: result.reason, previousJobId: result.previousJobId });
+        continue;
+      }
+      jobLog.info('job.complete', {
+        score: result.summary.score,
+        passed: result.gate.passed,
+      });
+    } catch (error) {
+      log.error('job.failed', error);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+  }
+
+  return { batchItemFailures };
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../src/cli');
+
+/**
+ * A spec that passes the default gate; `http: true` adds an ERROR finding
+ */
+function spec({ version = '1.0.0', http = false } = {}) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version },
+    servers: [{ url: http ? 'http://api.example.com' : 'https://api.example.com' }],
+    paths: {
+      '/pets': {
+        get: { operationId: 'listPets', tags: ['pets'], responses: { 200: { description: 'OK' }, 400: { description: 'Bad request' } } },
+      },
+    },
+  };
+}
+
+describe('cli', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function write(name, document) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(document));
+    return file;
+  }
+
+  function run(...args) {
+    return main(['validate', ...args, '--out', path.join(dir, 'out')]);
+  }
+
+  it('writes the requested reports and exits 0 when the gate passes', async () => {
+    expect(await run(write('openapi.json', spec()), '--format', 'json,sarif,html')).toBe(0);
+
+    expect(fs.readdirSync(path.join(dir, 'out')).sort()).toEqual(['validation-report.html', 'validation-report.json', 'validation-results.sarif']);
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'out', 'validation-report.json'), 'utf-8'));
+    expect(report).toMatchObject({ api: { owner: 'local', apiName: 'Pets', version: '1.0.0' } });
+  });
+
+  it('exits 1 when the gate fails', async () => {
+    expect(await run(write('openapi.json', spec({ http: true })), '--format', 'json')).toBe(1);
+  });
+
+  it('diffs against a previous report', async () => {
+    await run(write('openapi.json', spec()), '--format', 'json');
+    const previous = path.join(dir, 'previous.json');
+    fs.renameSync(path.join(dir, 'out', 'validation-report.json'), previous);
+
+    expect(await run(write('openapi.json', spec({ http: true })), '--format', 'json', '--previous', previous)).toBe(1);
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'out', 'validation-report.json'), 'utf-8'));
+    expect(report.diff.newIssues).toEqual([expect.objectContaining({ code: 'bp-https-servers' })]);
+  });
+
+  it('writes a changelog against a base spec', async () => {
+    const current = spec({ version: '1.1.0' });
+    current.paths['/owners'] = current.paths['/pets'];
+
+    expect(await run(write('openapi.json', current), '--format', 'changelog', '--base-spec', write('base.json', spec()))).toBe(0);
+    expect(fs.readFileSync(path.join(dir, 'out', 'CHANGELOG.md'), 'utf-8')).toContain('/owners');
+  });
+
+  it('takes and compares against a debt baseline', async () => {
+    const baseline = path.join(dir, 'debt.json');
+    const specFile = write('openapi.json', spec({ http: true }));
+
+    expect(await run(specFile, '--format', 'json', '--debt-baseline', baseline, '--update-debt-baseline')).toBe(1);
+    expect(JSON.parse(fs.readFileSync(baseline, 'utf-8')).issues).toHaveLength(1);
+  });
+
+  it('exits 2 on usage and input errors', async () => {
+    expect(await main([])).toBe(2);
+    expect(await main(['lint', 'openapi.yaml'])).toBe(2);
+    expect(await run(write('openapi.json', spec()), '--format', 'docx')).toBe(2);
+    expect(await run(write('openapi.json', spec()), '--format', 'changelog')).toBe(2);
+    expect(await run(write('openapi.json', spec()), '--update-debt-baseline')).toBe(2);
+    expect(await run(write('notes.json', { notes: [] }))).toBe(2);
+    expect(await run(path.join(dir, 'missing.yaml'))).toBe(2);
+  });
+
+  it('exits 0 for --help', async () => {
+    expect(await main(['--help'])).toBe(0);
+  });
+});
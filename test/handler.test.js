@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.DEBOUNCE_SECONDS = '0';
+
+const sent = [];
+jest.mock('../src/services/queue-service', () => ({
+  createJobQueue: () => ({
+    send: async (job) => {
+      sent.push(job);
+      return `message-${sent.length}`;
+    },
+  }),
+}));
+
+const { handler } = require('../src/handler');
+
+let eventCount = 0;
+
+/**
+ * A webhook event signed with the test secret
+ */
+function signedEvent(payload, { base64 = false } = {}) {
+  const body = JSON.stringify({ ...payload, n: ++eventCount });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = 'sha256=' + crypto.createHmac('sha256', 'test-secret').update(`${timestamp}.${body}`).digest('hex');
+  return {
+    httpMethod: 'POST',
+    resource: '/webhook',
+    headers: { 'X-Signature-256': signature, 'X-Signature-Timestamp': timestamp },
+    body: base64 ? Buffer.from(body).toString('base64') : body,
+    isBase64Encoded: base64,
+  };
+}
+
+describe('handler', () => {
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  it('enqueues a signed webhook', async () => {
+    const response = await handler(signedEvent({ owner: 'contoso', apiName: 'pets', version: '1.0.0' }), {});
+
+    expect(response.statusCode).toBe(202);
+    expect(sent).toEqual([expect.objectContaining({ owner: 'contoso', apiName: 'pets', version: '1.0.0' })]);
+    expect(JSON.parse(response.body).jobId).toBe(sent[0].jobId);
+  });
+
+  it('parses a base64-encoded webhook body', async () => {
+    const response = await handler(signedEvent({ owner: 'contoso', apiName: 'pets' }, { base64: true }), {});
+
+    expect(response.statusCode).toBe(202);
+    expect(sent).toEqual([expect.objectContaining({ owner: 'contoso', apiName: 'pets', version: 'latest' })]);
+  });
+
+  it('rejects an unsigned webhook', async () => {
+    const event = signedEvent({ owner: 'contoso', apiName: 'pets' });
+    const response = await handler({ ...event, headers: {} }, {});
+
+    expect(response.statusCode).toBe(401);
+    expect(sent).toEqual([]);
+  });
+
+  it('fails a payload without an owner or API name', async () => {
+    const response = await handler(signedEvent({ owner: 'contoso' }), {});
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).error).toBe('Invalid webhook payload: missing owner or apiName');
+  });
+});
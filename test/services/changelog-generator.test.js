@@ -0,0 +1,103 @@
+const { ChangelogGenerator } = require('../../src/services/changelog-generator');
+
+const ok = { 200: { description: 'OK' } };
+
+function spec(version, paths) {
+  return { openapi: '3.0.3', info: { title: 'Pets', version }, paths };
+}
+
+const base = spec('1.0.0', {
+  '/pets': {
+    get: { summary: 'List pets', parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }], responses: ok },
+    delete: { summary: 'Delete all pets', responses: ok },
+  },
+  '/stores': { get: { operationId: 'listStores', responses: ok } },
+});
+
+const current = spec('2.0.0', {
+  '/pets': {
+    get: {
+      summary: 'List pets',
+      parameters: [
+        { name: 'limit', in: 'query', deprecated: true, schema: { type: 'integer' } },
+        { name: 'species', in: 'query', required: true, schema: { type: 'string' } },
+      ],
+      responses: { ...ok, 400: { description: 'Bad request' } },
+    },
+  },
+  '/owners': { get: { summary: 'List owners', responses: ok }, post: { summary: 'Add an owner', responses: ok } },
+});
+
+describe('ChangelogGenerator', () => {
+  const generator = new ChangelogGenerator();
+
+  it('groups contract changes into release note sections', () => {
+    const changelog = generator.build(base, current);
+
+    expect(changelog).toMatchObject({ title: 'Pets', baseVersion: '1.0.0', currentVersion: '2.0.0' });
+    expect(changelog.added).toEqual([
+      { operation: 'GET /owners', summary: 'List owners' },
+      { operation: 'POST /owners', summary: 'Add an owner' },
+    ]);
+    expect(changelog.removed).toEqual([
+      { operation: 'DELETE /pets', summary: 'Delete all pets' },
+      { operation: 'GET /stores', summary: 'listStores' },
+    ]);
+    expect(changelog.changed).toEqual([{ endpoint: 'GET /pets', changes: [expect.objectContaining({ type: 'parameter-added' }), expect.objectContaining({ type: 'response-added' })] }]);
+    expect(changelog.deprecated).toEqual([expect.objectContaining({ type: 'parameter-deprecated', operation: 'GET /pets' })]);
+    expect(changelog.breaking.map((change) => change.type)).toEqual(['parameter-added', 'operation-removed', 'path-removed']);
+  });
+
+  it('renders Markdown', () => {
+    const markdown = generator.toMarkdown(generator.build(base, current), { generatedAt: '2026-10-19T08:00:00.000Z' });
+
+    expect(markdown).toBe([
+      '# Pets 2.0.0',
+      '',
+      'Changes since version 1.0.0 (generated 2026-10-19).',
+      '',
+      '## ⚠️ Breaking changes',
+      '',
+      '- `GET /pets`: A required query parameter "species" was added',
+      '- `DELETE /pets`: Operation DELETE /pets was removed',
+      '- `/stores`: Path /stores was removed',
+      '',
+      '## Added',
+      '',
+      '- `GET /owners` — List owners',
+      '- `POST /owners` — Add an owner',
+      '',
+      '## Changed',
+      '',
+      '- `GET /pets`',
+      '  - A required query parameter "species" was added **(breaking)**',
+      '  - Response 400 was added',
+      '',
+      '## Deprecated',
+      '',
+      '- `GET /pets`: The query parameter "limit" is now deprecated',
+      '',
+      '## Removed',
+      '',
+      '- `DELETE /pets` — Delete all pets',
+      '- `GET /stores` — listStores',
+      '',
+    ].join('\n'));
+  });
+
+  it('escapes Markdown in change messages', () => {
+    const withContent = (mediaTypes) => spec('1.0.0', {
+      '/pets': { get: { responses: { 200: { description: 'OK', content: Object.fromEntries(mediaTypes.map((type) => [type, { schema: {} }])) } } } },
+    });
+    const markdown = generator.toMarkdown(generator.build(withContent(['*/*']), withContent(['application/json'])));
+
+    expect(markdown).toContain('no longer supports \\*/\\*');
+  });
+
+  it('says so when the contract is unchanged', () => {
+    const changelog = generator.build(base, base);
+
+    expect(ChangelogGenerator.isEmpty(changelog)).toBe(true);
+    expect(generator.toMarkdown(changelog)).toBe('# Pets 1.0.0\n\nChanges since version 1.0.0.\n\nThe API contract is unchanged.\n');
+  });
+});
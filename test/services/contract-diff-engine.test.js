@@ -0,0 +1,233 @@
+const { ContractDiffEngine } = require('../../src/services/contract-diff-engine');
+
+/**
+ * Minimal OpenAPI 3 spec with one GET operation per path
+ */
+function spec(paths, extra = {}) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0' },
+    paths,
+    ...extra,
+  };
+}
+
+function getPet(idName, operation = {}) {
+  return {
+    [`/pets/{${idName}}`]: {
+      get: {
+        parameters: [
+          { name: idName, in: 'path', required: true, schema: { type: 'string' } },
+          ...(operation.parameters || []),
+        ],
+        responses: { 200: { description: 'OK' } },
+        ...(operation.security ? { security: operation.security } : {}),
+      },
+    },
+  };
+}
+
+function compare(base, current) {
+  return new ContractDiffEngine().compare(base, current);
+}
+
+describe('ContractDiffEngine', () => {
+  describe('paths and operations', () => {
+    it('reports identical specs as unchanged', () => {
+      const result = compare(spec(getPet('id')), spec(getPet('id')));
+      expect(result.summary).toEqual({ total: 0, breaking: 0, nonBreaking: 0 });
+    });
+
+    it('flags a removed path as breaking and an added one as non-breaking', () => {
+      const result = compare(
+        spec({ '/pets': { get: { responses: { 200: { description: 'OK' } } } } }),
+        spec({ '/owners': { get: { responses: { 200: { description: 'OK' } } } } })
+      );
+      expect(result.changes.map((change) => [change.type, change.breaking])).toEqual([
+        ['path-removed', true],
+        ['path-added', false],
+      ]);
+    });
+  });
+
+  describe('parameters', () => {
+    it('does not report renaming a path parameter', () => {
+      const result = compare(spec(getPet('id')), spec(getPet('petId')));
+      expect(result.changes).toEqual([]);
+    });
+
+    it('still compares a renamed path parameter with its predecessor', () => {
+      const current = spec(getPet('petId'));
+      current.paths['/pets/{petId}'].get.parameters[0].schema = { type: 'integer' };
+
+      const result = compare(spec(getPet('id')), current);
+      expect(result.changes).toHaveLength(1);
+      expect(result.changes[0]).toMatchObject({ type: 'type-changed', breaking: true });
+    });
+
+    it('matches path parameters by position in the template', () => {
+      const path = (first, second) => ({
+        [`/owners/{${first}}/pets/{${second}}`]: {
+          get: {
+            parameters: [
+              { name: first, in: 'path', required: true, schema: { type: 'string' } },
+              { name: second, in: 'path', required: true, schema: { type: 'integer' } },
+            ],
+            responses: { 200: { description: 'OK' } },
+          },
+        },
+      });
+
+      expect(compare(spec(path('ownerId', 'petId')), spec(path('owner', 'pet'))).changes).toEqual([]);
+    });
+
+    it('flags a new required query parameter as breaking', () => {
+      const result = compare(
+        spec(getPet('id')),
+        spec(getPet('id', { parameters: [{ name: 'fields', in: 'query', required: true, schema: { type: 'string' } }] }))
+      );
+      expect(result.changes).toHaveLength(1);
+      expect(result.changes[0]).toMatchObject({ type: 'parameter-added', breaking: true, operation: 'GET /pets/{id}' });
+    });
+  });
+
+  describe('security', () => {
+    const types = (result) => result.changes.map((change) => [change.type, change.breaking]);
+
+    it('flags removing the anonymous alternative as breaking', () => {
+      const result = compare(
+        spec(getPet('id', { security: [{}, { apiKey: [] }] })),
+        spec(getPet('id', { security: [{ apiKey: [] }] }))
+      );
+      expect(types(result)).toEqual([['security-added', true]]);
+      expect(result.changes[0].message).toBe('Security is now required (apiKey)');
+    });
+
+    it('treats adding the anonymous alternative as non-breaking', () => {
+      const result = compare(
+        spec(getPet('id', { security: [{ apiKey: [] }] })),
+        spec(getPet('id', { security: [{}, { apiKey: [] }] }))
+      );
+      expect(types(result)).toEqual([['security-removed', false]]);
+    });
+
+    it('flags securing an open operation as breaking', () => {
+      const result = compare(spec(getPet('id')), spec(getPet('id'), { security: [{ apiKey: [] }] }));
+      expect(types(result)).toEqual([['security-added', true]]);
+    });
+
+    it('flags dropping an accepted scheme as breaking', () => {
+      const result = compare(
+        spec(getPet('id', { security: [{ apiKey: [] }, { oauth2: ['read'] }] })),
+        spec(getPet('id', { security: [{ oauth2: ['read'] }] }))
+      );
+      expect(types(result)).toEqual([['security-changed', true]]);
+    });
+
+    it('does not flag dropping a scheme while anonymous access remains', () => {
+      const result = compare(
+        spec(getPet('id', { security: [{}, { apiKey: [] }] })),
+        spec(getPet('id', { security: [{}] }))
+      );
+      expect(types(result)).toEqual([['security-changed', false]]);
+    });
+  });
+
+  describe('operations and responses', () => {
+    it('flags a removed operation and response as breaking', () => {
+      const result = compare(
+        spec({ '/pets': { get: { responses: { 200: { description: 'OK' }, 404: { description: 'Missing' } } }, delete: { responses: {} } } }),
+        spec({ '/pets': { get: { deprecated: true, responses: { 200: { description: 'OK' }, 400: { description: 'Bad' } } } } })
+      );
+      expect(result.changes.map((change) => [change.type, change.breaking])).toEqual([
+        ['operation-deprecated', false],
+        ['response-removed', true],
+        ['response-added', false],
+        ['operation-removed', true],
+      ]);
+    });
+  });
+
+  describe('request bodies', () => {
+    const withBody = (requestBody) => spec({ '/pets': { post: { requestBody, responses: { 201: { description: 'Created' } } } } });
+    const pet = (schema) => ({ content: { 'application/json': { schema } } });
+
+    it('flags a new required request property as breaking and an optional one as not', () => {
+      const base = withBody(pet({ type: 'object', properties: { name: { type: 'string' } } }));
+
+      expect(compare(base, withBody(pet({ type: 'object', required: ['tag'], properties: { name: { type: 'string' }, tag: { type: 'string' } } }))).changes)
+        .toEqual([expect.objectContaining({ type: 'property-added', breaking: true, location: 'request body › tag' })]);
+      expect(compare(base, withBody(pet({ type: 'object', properties: { name: { type: 'string' }, tag: { type: 'string' } } }))).summary.breaking).toBe(0);
+    });
+
+    it('accepts widening a request type and rejects narrowing it', () => {
+      const integer = withBody(pet({ type: 'integer' }));
+      const number = withBody(pet({ type: 'number' }));
+
+      expect(compare(integer, number).changes).toEqual([expect.objectContaining({ type: 'type-changed', breaking: false })]);
+      expect(compare(number, integer).changes).toEqual([expect.objectContaining({ type: 'type-changed', breaking: true })]);
+    });
+
+    it('flags a request body that became required or lost a media type', () => {
+      const result = compare(
+        withBody({ content: { 'application/json': { schema: {} }, 'application/xml': { schema: {} } } }),
+        withBody({ required: true, content: { 'application/json': { schema: {} } } })
+      );
+      expect(result.changes.map((change) => change.type)).toEqual(['request-body-required', 'media-type-removed']);
+      expect(result.summary.breaking).toBe(2);
+    });
+
+    it('reads Swagger 2.0 body parameters', () => {
+      const swagger = (required) => ({
+        swagger: '2.0',
+        info: { version: '1.0.0' },
+        paths: { '/pets': { post: { parameters: [{ name: 'pet', in: 'body', schema: { type: 'object', required, properties: { name: { type: 'string' } } } }], responses: {} } } },
+      });
+
+      expect(compare(swagger([]), swagger(['name'])).changes).toEqual([
+        expect.objectContaining({ type: 'property-required', breaking: true, location: 'request body › name' }),
+      ]);
+    });
+  });
+
+  describe('schemas', () => {
+    const withResponse = (schema) => spec({
+      '/pets': {
+        get: { responses: { 200: { description: 'OK', content: { 'application/json': { schema } } } } },
+      },
+    });
+
+    it('flags a removed response property as breaking', () => {
+      const result = compare(
+        withResponse({ type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' } } }),
+        withResponse({ type: 'object', properties: { id: { type: 'string' } } })
+      );
+      expect(result.changes).toHaveLength(1);
+      expect(result.changes[0]).toMatchObject({ type: 'property-removed', breaking: true });
+    });
+
+    it('compares recursive schemas without looping', () => {
+      const recursive = (components) => spec({
+        '/pets': { get: { responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } } } } },
+      }, { components });
+      const pet = (properties) => ({ schemas: { Pet: { type: 'object', properties: { parent: { $ref: '#/components/schemas/Pet' }, ...properties } } } });
+
+      const result = compare(recursive(pet({ name: { type: 'string' } })), recursive(pet({})));
+      expect(result.changes).toEqual([expect.objectContaining({ type: 'property-removed', location: 'response 200 › name' })]);
+    });
+
+    it('treats a widened response enum as breaking and a narrowed one as not', () => {
+      const widened = compare(
+        withResponse({ type: 'string', enum: ['a'] }),
+        withResponse({ type: 'string', enum: ['a', 'b'] })
+      );
+      expect(widened.changes[0]).toMatchObject({ type: 'enum-widened', breaking: true });
+
+      const narrowed = compare(
+        withResponse({ type: 'string', enum: ['a', 'b'] }),
+        withResponse({ type: 'string', enum: ['a'] })
+      );
+      expect(narrowed.changes[0]).toMatchObject({ type: 'enum-narrowed', breaking: false });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { DebtBaseline } = require('../../src/services/debt-baseline');
+const { ValidationEngine } = require('../../src/services/validation-engine');
+const { QualityGate } = require('../../src/services/quality-gate');
+
+function spec({ servers = ['http://api.example.com'], paths = {} } = {}) {
+  return { openapi: '3.0.3', info: { title: 'Legacy', version: '1.0.0' }, servers: servers.map((url) => ({ url })), paths };
+}
+
+const operation = (operationId) => ({ get: { operationId, tags: ['legacy'], responses: { 200: { description: 'OK' }, 400: { description: 'Bad' } } } });
+
+const context = { owner: 'contoso', apiName: 'legacy-api', version: '1.0.0' };
+
+describe('DebtBaseline', () => {
+  const engine = new ValidationEngine();
+
+  async function baselineOf(legacySpec) {
+    return DebtBaseline.snapshot(await engine.validate({ errors: [] }, legacySpec), { ...context, scanId: 'scan-1', createdAt: '2026-09-01T00:00:00.000Z' });
+  }
+
+  it('snapshots the current findings', async () => {
+    const baseline = await baselineOf(spec());
+
+    expect(baseline).toMatchObject({ ...context, scanId: 'scan-1', createdAt: '2026-09-01T00:00:00.000Z', summary: { errors: 1 } });
+    expect(baseline.issues).toEqual([expect.objectContaining({ code: 'bp-https-servers' })]);
+  });
+
+  it('splits findings into new, baseline and resolved debt', async () => {
+    const baseline = await baselineOf(spec());
+    const untagged = { get: { ...operation('listPets').get, tags: [] } };
+    const results = await engine.validate({ errors: [] }, spec({ servers: ['https://api.example.com'], paths: { '/pets': untagged } }));
+
+    const debt = DebtBaseline.compare(results, baseline, engine);
+    expect(debt.baseline).toEqual({ version: '1.0.0', scanId: 'scan-1', createdAt: '2026-09-01T00:00:00.000Z' });
+    expect(debt.newIssues.map((issue) => issue.code)).toEqual(['bp-operation-tags']);
+    expect(debt.baselineIssues).toEqual([]);
+    expect(debt.resolvedIssues.map((issue) => issue.code)).toEqual(['bp-https-servers']);
+    expect(debt.newSummary).toMatchObject({ errors: 0, warnings: 1, totalIssues: 1 });
+  });
+
+  it('keeps findings that persist or moved with their spec node as baseline debt', async () => {
+    const baseline = await baselineOf(spec({ paths: { '/pets': { get: { responses: {} } } } }));
+    const results = await engine.validate({ errors: [] }, spec({ paths: { '/animals': { get: { responses: {} } } } }));
+
+    const debt = DebtBaseline.compare(results, baseline, engine);
+    expect(debt.newIssues).toEqual([]);
+    expect(debt.baselineIssues.map((issue) => issue.code).sort()).toEqual(['bp-error-responses', 'bp-https-servers', 'bp-operation-id', 'bp-operation-tags']);
+  });
+
+  describe('quality gate', () => {
+    const gate = new QualityGate([{ name: 'legacy', debtBaseline: true, conditions: { maxErrors: 0 } }]);
+
+    it('judges only the new debt', async () => {
+      const baseline = await baselineOf(spec());
+      const results = await engine.validate({ errors: [] }, spec({ paths: { '/pets': operation('listPets') } }));
+
+      const result = gate.evaluate(results, { ...context, debt: DebtBaseline.compare(results, baseline, engine) });
+      expect(result).toMatchObject({ passed: true, debtBaseline: true });
+    });
+
+    it('fails on new errors, and on all errors without a baseline', async () => {
+      const baseline = await baselineOf(spec({ servers: [] }));
+      const results = await engine.validate({ errors: [] }, spec());
+
+      expect(gate.evaluate(results, { ...context, debt: DebtBaseline.compare(results, baseline, engine) }).passed).toBe(false);
+      expect(gate.evaluate(results, context)).toMatchObject({ passed: false, debtBaseline: false });
+    });
+  });
+});
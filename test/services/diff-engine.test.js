@@ -0,0 +1,184 @@
+const { DiffEngine } = require('../../src/services/diff-engine');
+const { ValidationEngine } = require('../../src/services/validation-engine');
+const { WaiverSet } = require('../../src/services/waiver-set');
+
+const engine = new ValidationEngine({ localRules: false });
+
+function issue(code, path, severity = 'Warning') {
+  return {
+    code,
+    message: `${code} violated`,
+    severity,
+    severityLevel: { Error: 0, Warning: 1, Information: 2, Hint: 3 }[severity],
+    path,
+    range: null,
+    category: 'Best Practices',
+    source: 'local',
+  };
+}
+
+/**
+ * Validation results for a list of issues, with optional waivers applied
+ */
+function results(issues, waivers = null, now = new Date()) {
+  const validationResults = { issues: issues.map((i) => ({ ...i })), summary: engine.summarize(issues) };
+  if (waivers) engine.applyWaivers(validationResults, new WaiverSet(waivers, 'test'), now);
+  return validationResults;
+}
+
+/**
+ * The scan record ScanHistoryService.saveScan keeps for results
+ */
+function record(validationResults, scannedAt, scanId = scannedAt) {
+  return {
+    scanId,
+    version: '1.0.0',
+    scannedAt,
+    summary: validationResults.summary,
+    issues: validationResults.issues,
+    waivedIssues: (validationResults.waivers?.waived || []).map(({ waiver, ...rest }) => rest),
+  };
+}
+
+const waiver = (expires) => ({
+  rule: 'bp-path-casing',
+  justification: 'Public path',
+  approver: 'jane.doe@example.com',
+  expires,
+});
+
+describe('DiffEngine', () => {
+  const casing = issue('bp-path-casing', 'paths./userAccounts');
+  const description = issue('bp-operation-description', 'paths./pets.get');
+
+  it('treats a missing previous scan as the first scan', () => {
+    const diff = new DiffEngine().compare(results([casing]), null);
+    expect(diff.isFirstScan).toBe(true);
+    expect(diff.newIssues).toEqual([]);
+  });
+
+  it('splits issues into new, resolved and persisting', () => {
+    const previous = record(results([casing, description]), '2026-01-01T00:00:00.000Z');
+    const diff = new DiffEngine().compare(results([casing, issue('bp-https-servers', 'servers')]), previous);
+
+    expect(diff.persistingIssues.map((i) => i.code)).toEqual(['bp-path-casing']);
+    expect(diff.resolvedIssues.map((i) => i.code)).toEqual(['bp-operation-description']);
+    expect(diff.newIssues.map((i) => i.code)).toEqual(['bp-https-servers']);
+  });
+
+  it('matches JSON pointer and dotted paths as the same finding', () => {
+    const previous = record(results([{ ...casing, path: '/paths/~1userAccounts' }]), '2026-01-01T00:00:00.000Z');
+    const diff = new DiffEngine().compare(results([casing]), previous);
+    expect(diff.persistingIssues).toHaveLength(1);
+    expect(diff.newIssues).toHaveLength(0);
+  });
+
+  it('reports a renamed path as moved, not resolved and new', () => {
+    const previous = record(results([casing]), '2026-01-01T00:00:00.000Z');
+    const diff = new DiffEngine().compare(results([{ ...casing, path: 'paths./userAccount' }]), previous);
+    expect(diff.movedIssues).toHaveLength(1);
+    expect(diff.resolvedIssues).toHaveLength(0);
+    expect(diff.newIssues).toHaveLength(0);
+  });
+
+  it('only pairs moved issues by fragment hash beyond the comparison budget', () => {
+    const refactor = (prefix, count) => Array.from({ length: count }, (_, i) => ({
+      ...issue('bp-path-casing', `paths./${prefix}${i}`),
+      ...(i === 0 ? { fragmentHash: 'same-node' } : {}),
+    }));
+    const previous = record(results(refactor('userAccounts', 150)), '2026-01-01T00:00:00.000Z');
+    const diff = new DiffEngine().compare(results(refactor('user-accounts', 150)), previous);
+
+    expect(diff.movedIssues).toEqual([expect.objectContaining({ to: expect.objectContaining({ path: 'paths./user-accounts0' }) })]);
+    expect(diff.resolvedIssues).toHaveLength(149);
+    expect(diff.newIssues).toHaveLength(149);
+  });
+
+  describe('issue age', () => {
+    it('starts the age of new findings at the current scan', () => {
+      const current = results([casing]);
+      new DiffEngine().compare(current, null, { scannedAt: '2026-01-01T00:00:00.000Z' });
+      expect(current.issues[0]).toMatchObject({ firstSeenAt: '2026-01-01T00:00:00.000Z', scanCount: 1 });
+    });
+
+    it('carries the age over from the baseline by default', () => {
+      const previous = record(results([{ ...casing, firstSeenAt: '2025-12-01T00:00:00.000Z', scanCount: 4 }]),
+        '2026-01-01T00:00:00.000Z');
+      const current = results([casing]);
+      new DiffEngine().compare(current, previous, { scannedAt: '2026-02-01T00:00:00.000Z' });
+      expect(current.issues[0]).toMatchObject({ firstSeenAt: '2025-12-01T00:00:00.000Z', scanCount: 5 });
+    });
+
+    it('carries the age over from the age source, not a pinned older baseline', () => {
+      const pinned = record(results([]), '2025-06-01T00:00:00.000Z', 'pinned');
+      const latest = record(results([{ ...casing, firstSeenAt: '2025-12-01T00:00:00.000Z', scanCount: 4 }]),
+        '2026-01-01T00:00:00.000Z', 'latest');
+      const current = results([casing, description]);
+
+      const diff = new DiffEngine().compare(current, pinned, {
+        scannedAt: '2026-02-01T00:00:00.000Z',
+        ageSource: latest,
+      });
+
+      // The diff is still against the pinned scan...
+      expect(diff.baselineScanId).toBe('pinned');
+      expect(diff.newIssues).toHaveLength(2);
+      // ...but the age follows the latest scan
+      expect(current.issues[0]).toMatchObject({ firstSeenAt: '2025-12-01T00:00:00.000Z', scanCount: 5 });
+      expect(current.issues[1]).toMatchObject({ firstSeenAt: '2026-02-01T00:00:00.000Z', scanCount: 1 });
+    });
+
+    it('carries the age over from the age source when the baseline is missing', () => {
+      const latest = record(results([{ ...casing, firstSeenAt: '2025-12-01T00:00:00.000Z', scanCount: 2 }]),
+        '2026-01-01T00:00:00.000Z');
+      const current = results([casing]);
+      const diff = new DiffEngine().compare(current, null, { scannedAt: '2026-02-01T00:00:00.000Z', ageSource: latest });
+
+      expect(diff.isFirstScan).toBe(true);
+      expect(current.issues[0]).toMatchObject({ firstSeenAt: '2025-12-01T00:00:00.000Z', scanCount: 3 });
+    });
+  });
+
+  describe('waivers', () => {
+    const firstScan = '2026-01-01T00:00:00.000Z';
+
+    it('lists findings waived since the previous scan as waived, not resolved', () => {
+      const previous = record(results([casing, description]), firstScan);
+      const current = results([casing, description], [waiver('2026-12-31')], new Date('2026-02-01'));
+      const diff = new DiffEngine().compare(current, previous, { scannedAt: '2026-02-01T00:00:00.000Z' });
+
+      expect(diff.resolvedIssues).toEqual([]);
+      expect(diff.waivedIssues.map((i) => i.code)).toEqual(['bp-path-casing']);
+      expect(diff.persistingIssues.map((i) => i.code)).toEqual(['bp-operation-description']);
+    });
+
+    it('does not list findings that stay waived again', () => {
+      const waived = results([casing], [waiver('2026-12-31')], new Date('2026-02-01'));
+      const previous = record(waived, '2026-02-01T00:00:00.000Z');
+      const diff = new DiffEngine().compare(results([casing], [waiver('2026-12-31')], new Date('2026-03-01')), previous);
+
+      expect(diff.waivedIssues).toEqual([]);
+      expect(diff.newIssues).toEqual([]);
+      expect(diff.resolvedIssues).toEqual([]);
+    });
+
+    it('keeps the age of findings whose waiver expired instead of reporting them as new', () => {
+      const engineDiff = new DiffEngine();
+      const first = results([casing]);
+      engineDiff.compare(first, null, { scannedAt: firstScan });
+
+      const waivedResults = results([casing], [waiver('2026-01-31')], new Date('2026-01-15'));
+      engineDiff.compare(waivedResults, record(first, firstScan), { scannedAt: '2026-01-15T00:00:00.000Z' });
+      expect(waivedResults.waivers.waived[0]).toMatchObject({ firstSeenAt: firstScan, scanCount: 2 });
+
+      const expired = results([casing], [waiver('2026-01-31')], new Date('2026-03-01'));
+      const diff = engineDiff.compare(expired, record(waivedResults, '2026-01-15T00:00:00.000Z'), {
+        scannedAt: '2026-03-01T00:00:00.000Z',
+      });
+
+      expect(diff.newIssues).toEqual([]);
+      expect(diff.persistingIssues).toHaveLength(1);
+      expect(diff.persistingIssues[0]).toMatchObject({ firstSeenAt: firstScan, scanCount: 3 });
+    });
+  });
+});
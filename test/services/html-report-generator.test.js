@@ -0,0 +1,94 @@
+const { HtmlReportGenerator } = require('../../src/services/html-report-generator');
+const { ValidationEngine } = require('../../src/services/validation-engine');
+const { InventoryAnalyzer } = require('../../src/services/inventory-analyzer');
+const { DiffEngine } = require('../../src/services/diff-engine');
+const { QualityGate } = require('../../src/services/quality-gate');
+const { WaiverSet } = require('../../src/services/waiver-set');
+const { SlaPolicy } = require('../../src/services/sla-policy');
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '1.1.0' },
+  servers: [{ url: 'http://api.example.com' }],
+  paths: {
+    '/pets': { get: { operationId: 'listPets', responses: { 200: { description: 'OK' }, 400: { description: 'Bad' } } } },
+  },
+};
+
+const standardization = {
+  errors: [{ ruleName: 'sh-info-description', message: 'Description must not contain <script>alert(1)</script>', severity: 'WARN', pointer: 'info' }],
+};
+
+/**
+ * Report data the way the CLI and the worker assemble it
+ */
+async function reportData({ previous = null, waivers = new WaiverSet(), apiName = 'pets' } = {}) {
+  const engine = new ValidationEngine();
+  const validationResults = await engine.validate(standardization, spec);
+  engine.applyWaivers(validationResults, waivers, new Date('2026-10-19T00:00:00.000Z'));
+  const generatedAt = '2026-10-19T00:00:00.000Z';
+  const diff = new DiffEngine().compare(validationResults, previous, { scannedAt: generatedAt });
+
+  return {
+    owner: 'contoso',
+    apiName,
+    apiVersion: '1.1.0',
+    inventory: new InventoryAnalyzer().analyze(spec),
+    validationResults,
+    diff,
+    sla: new SlaPolicy({ errorDays: 30 }).evaluate(validationResults.issues, generatedAt),
+    gateResult: new QualityGate().evaluate(validationResults, { owner: 'contoso', apiName, version: '1.1.0', diff }),
+    generatedAt,
+  };
+}
+
+function sections(html) {
+  return [...html.matchAll(/<h2>([^<]+)<\/h2>/g)].map((match) => match[1]);
+}
+
+describe('HtmlReportGenerator', () => {
+  it('renders a self-contained document with the core sections', async () => {
+    const html = new HtmlReportGenerator().render(await reportData());
+
+    expect(html.startsWith('<!doctype html>')).toBe(true);
+    expect(html).not.toMatch(/<(link|script)[^>]+(href|src)=/);
+    expect(sections(html)).toEqual(expect.arrayContaining(['Findings', 'Recommended Fix Plan', 'Release Readiness']));
+    expect(sections(html)).not.toContain('Changes Since Last Scan');
+    expect(sections(html)).not.toContain('Accepted Exceptions');
+    expect(html).toContain('<code>bp-https-servers</code>');
+  });
+
+  it('escapes spec and finding content', async () => {
+    const html = new HtmlReportGenerator().render(await reportData({ apiName: 'pets"><img src=x>' }));
+
+    expect(html).toContain('Description must not contain &lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>alert(1)</script>');
+    expect(html).toContain('pets&quot;&gt;&lt;img src=x&gt;');
+    expect(html).not.toContain('<img src=x>');
+  });
+
+  it('renders changes since the previous scan', async () => {
+    const previous = { version: '1.0.0', scannedAt: '2026-10-01T00:00:00.000Z', summary: { score: 100 }, issues: [] };
+    const html = new HtmlReportGenerator().render(await reportData({ previous }));
+
+    expect(sections(html)).toContain('Changes Since Last Scan');
+    expect(html).toContain('Compared against version 1.0.0');
+  });
+
+  it('lists accepted exceptions', async () => {
+    const waivers = new WaiverSet([
+      { rule: 'bp-https-servers', justification: 'Internal gateway <only>', approver: 'jane.doe@example.com', expires: '2026-12-31' },
+    ]);
+    const html = new HtmlReportGenerator().render(await reportData({ waivers }));
+
+    expect(sections(html)).toContain('Accepted Exceptions');
+    expect(html).toContain('Internal gateway &lt;only&gt;');
+  });
+
+  it('generates a UTF-8 buffer', async () => {
+    const buffer = new HtmlReportGenerator().generate(await reportData());
+
+    expect(Buffer.isBuffer(buffer)).toBe(true);
+    expect(buffer.toString('utf-8')).toContain('</html>');
+  });
+});
@@ -0,0 +1,82 @@
+const { IdempotencyService } = require('../../src/services/idempotency-service');
+
+/**
+ * IdempotencyService over an in-memory bucket (objects keyed by S3 key)
+ */
+function service(objects = new Map(), { failWrites = false } = {}) {
+  const idempotency = new IdempotencyService({ region: 'eu-west-1', s3Bucket: 'reports' });
+  idempotency.s3 = {
+    send: async (command) => {
+      const { Key, Body } = command.input;
+      if (Body !== undefined) {
+        if (failWrites) throw new Error('Access Denied');
+        objects.set(Key, Body);
+        return {};
+      }
+      if (!objects.has(Key)) throw Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' });
+      return { Body: { transformToString: async () => objects.get(Key) } };
+    },
+  };
+  return idempotency;
+}
+
+const job = (jobId) => ({ jobId, owner: 'contoso', apiName: 'pets', version: '1.0.0', receivedAt: '2026-10-19T00:00:00.000Z' });
+
+describe('IdempotencyService', () => {
+  describe('hashSpec', () => {
+    it('ignores key order at every level', () => {
+      const a = { openapi: '3.0.3', info: { title: 'Pets', version: '1.0.0' }, tags: [{ name: 'a', description: 'A' }] };
+      const b = { tags: [{ description: 'A', name: 'a' }], info: { version: '1.0.0', title: 'Pets' }, openapi: '3.0.3' };
+
+      expect(IdempotencyService.hashSpec(a)).toBe(IdempotencyService.hashSpec(b));
+    });
+
+    it('changes with the content and the order of array items', () => {
+      const spec = { tags: [{ name: 'a' }, { name: 'b' }] };
+
+      expect(IdempotencyService.hashSpec({ tags: [{ name: 'b' }, { name: 'a' }] })).not.toBe(IdempotencyService.hashSpec(spec));
+      expect(IdempotencyService.hashSpec({ tags: [{ name: 'a' }] })).not.toBe(IdempotencyService.hashSpec(spec));
+    });
+  });
+
+  it('keys jobs by API version and spec hash', () => {
+    const key = IdempotencyService.idempotencyKey(job('1'), 'abc');
+
+    expect(IdempotencyService.idempotencyKey(job('2'), 'abc')).toBe(key);
+    expect(IdempotencyService.idempotencyKey({ ...job('1'), version: '1.0.1' }, 'abc')).not.toBe(key);
+    expect(IdempotencyService.idempotencyKey(job('1'), 'def')).not.toBe(key);
+  });
+
+  describe('debounce', () => {
+    it('only treats the most recently recorded job as latest', async () => {
+      const idempotency = service();
+      await idempotency.recordLatestJob(job('first'));
+      await idempotency.recordLatestJob(job('second'));
+
+      expect(await idempotency.isLatestJob(job('first'))).toBe(false);
+      expect(await idempotency.isLatestJob(job('second'))).toBe(true);
+    });
+
+    it('treats a job as latest when nothing was recorded', async () => {
+      expect(await service().isLatestJob(job('first'))).toBe(true);
+    });
+
+    it('throws when the latest job cannot be recorded', async () => {
+      await expect(service(new Map(), { failWrites: true }).recordLatestJob(job('first'))).rejects.toThrow('Access Denied');
+    });
+  });
+
+  describe('processed specs', () => {
+    it('finds a run of the same spec and not of a changed one', async () => {
+      const idempotency = service();
+      await idempotency.markProcessed(job('first'), 'key-1', 'hash-1');
+
+      expect(await idempotency.findProcessed(job('second'), 'key-1')).toMatchObject({ jobId: 'first', specHash: 'hash-1' });
+      expect(await idempotency.findProcessed(job('second'), 'key-2')).toBeNull();
+    });
+
+    it('does not fail a job when the record cannot be written', async () => {
+      await expect(service(new Map(), { failWrites: true }).markProcessed(job('first'), 'key-1', 'hash-1')).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { InventoryAnalyzer, UNTAGGED } = require('../../src/services/inventory-analyzer');
+
+describe('InventoryAnalyzer', () => {
+  const analyzer = new InventoryAnalyzer();
+
+  it('counts the contents of an OpenAPI 3 spec', () => {
+    const inventory = analyzer.analyze({
+      openapi: '3.1.0',
+      info: { title: 'Pets', version: '1.0.0' },
+      servers: [{ url: 'https://api.example.com' }, { url: 'https://sandbox.example.com' }],
+      tags: [{ name: 'pets' }, { name: 'admin' }],
+      paths: {
+        '/pets': {
+          post: { tags: ['pets'] },
+          get: { tags: ['pets', 'pets', 'search'] },
+          parameters: [],
+        },
+        '/health': { get: {} },
+      },
+      components: { schemas: { Pet: {}, Error: {} }, securitySchemes: { apiKey: {} } },
+    });
+
+    expect(inventory).toEqual({
+      openApiVersion: '3.1.0',
+      title: 'Pets',
+      paths: 2,
+      operations: 3,
+      schemas: 2,
+      tags: 3,
+      servers: 2,
+      securitySchemes: 1,
+      operationsByTag: { pets: 2, admin: 0, search: 1, [UNTAGGED]: 1 },
+      methods: { get: 2, post: 1 },
+    });
+  });
+
+  it('counts Swagger 2.0 definitions and one server per scheme', () => {
+    const inventory = analyzer.analyze({
+      swagger: '2.0',
+      info: { title: 'Pets' },
+      host: 'api.example.com',
+      schemes: ['https', 'wss'],
+      paths: { '/pets': { get: { tags: ['pets'] }, delete: { tags: ['pets'] } } },
+      definitions: { Pet: {} },
+      securityDefinitions: { oauth: {}, apiKey: {} },
+    });
+
+    expect(inventory).toMatchObject({ openApiVersion: '2.0', servers: 2, schemas: 1, securitySchemes: 2, methods: { get: 1, delete: 1 } });
+    expect(analyzer.analyze({ swagger: '2.0', host: 'api.example.com', paths: {} }).servers).toBe(1);
+    expect(analyzer.analyze({ swagger: '2.0', paths: {} }).servers).toBe(0);
+  });
+
+  it('handles an empty spec', () => {
+    expect(analyzer.analyze({})).toEqual({
+      openApiVersion: 'unknown',
+      title: null,
+      paths: 0,
+      operations: 0,
+      schemas: 0,
+      tags: 0,
+      servers: 0,
+      securitySchemes: 0,
+      operationsByTag: {},
+      methods: {},
+    });
+  });
+});
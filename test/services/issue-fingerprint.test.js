@@ -0,0 +1,103 @@
+const { normalizePath, normalizeMessage, fingerprintIssues, fragmentHash } = require('../../src/services/issue-fingerprint');
+
+function issue(code, path, message = `${code} violated`, range = null) {
+  return { code, path, message, range };
+}
+
+describe('normalizePath', () => {
+  it('keeps dotted paths', () => {
+    expect(normalizePath('paths./pets.get')).toBe('paths./pets.get');
+  });
+
+  it('converts JSON pointers, unescaping ~1 and ~0', () => {
+    expect(normalizePath('/paths/~1pets~1{petId}/get')).toBe('paths./pets/{petId}.get');
+    expect(normalizePath('/components/schemas/a~0b')).toBe('components.schemas.a~b');
+  });
+
+  it('percent-decodes URI fragments but not plain pointers', () => {
+    expect(normalizePath('#/paths/~1pets%20all/get')).toBe('paths./pets all.get');
+    expect(normalizePath('/paths/~1pets%20all/get')).toBe('paths./pets%20all.get');
+    expect(normalizePath('#/paths/~1bad%zz')).toBe('paths./bad%zz');
+  });
+
+  it('treats missing and line-based locations as no location', () => {
+    expect(normalizePath('')).toBe('');
+    expect(normalizePath(undefined)).toBe('');
+    expect(normalizePath('line 42')).toBe('');
+    expect(normalizePath('Line 7, column 3')).toBe('');
+  });
+});
+
+describe('normalizeMessage', () => {
+  it('ignores case, whitespace and line or column numbers', () => {
+    expect(normalizeMessage('  Duplicate key  at Line 12,\n col 4 ')).toBe('duplicate key at line #, col #');
+    expect(normalizeMessage('Duplicate key at line 40, col 1')).toBe(normalizeMessage('duplicate key at LINE 12, COL 4'));
+  });
+});
+
+describe('fingerprintIssues', () => {
+  it('gives the same fingerprint to a JSON pointer and the equivalent dotted path', () => {
+    const [a] = fingerprintIssues([issue('bp-operation-id', '/paths/~1pets/get')]);
+    const [b] = fingerprintIssues([issue('bp-operation-id', 'paths./pets.get')]);
+
+    expect(a).toBe('bp-operation-id::paths./pets.get#0');
+    expect(b).toBe(a);
+  });
+
+  it('uses the message for findings without a location', () => {
+    const before = fingerprintIssues([issue('yaml-duplicate-key', 'line 10', 'Duplicate key at line 10')]);
+    const after = fingerprintIssues([issue('yaml-duplicate-key', 'line 14', 'Duplicate key at line 14')]);
+
+    expect(before[0]).toBe('yaml-duplicate-key::~duplicate key at line ##0');
+    expect(after).toEqual(before);
+  });
+
+  it('numbers findings with the same code and location', () => {
+    const fingerprints = fingerprintIssues([
+      issue('bp-x', 'paths./pets', 'b'),
+      issue('bp-y', 'paths./pets'),
+      issue('bp-x', 'paths./pets', 'a'),
+    ]);
+
+    expect(fingerprints).toEqual(['bp-x::paths./pets#1', 'bp-y::paths./pets#0', 'bp-x::paths./pets#0']);
+  });
+
+  it('numbers occurrences by message and position, not report order', () => {
+    const first = issue('bp-x', 'paths./pets', 'same', { startLine: 3, startCol: 1 });
+    const second = issue('bp-x', 'paths./pets', 'same', { startLine: 8, startCol: 1 });
+
+    expect(fingerprintIssues([first, second])).toEqual(['bp-x::paths./pets#0', 'bp-x::paths./pets#1']);
+    expect(fingerprintIssues([second, first])).toEqual(['bp-x::paths./pets#1', 'bp-x::paths./pets#0']);
+  });
+});
+
+describe('fragmentHash', () => {
+  const spec = {
+    paths: {
+      '/pets': { get: { operationId: 'listPets', responses: { 200: { description: 'OK' } } } },
+      '/animals': { get: { responses: { 200: { description: 'OK' } }, operationId: 'listPets' } },
+      '/empty': {},
+    },
+  };
+
+  it('hashes the node regardless of key order', () => {
+    const hash = fragmentHash(spec, 'paths./pets.get');
+
+    expect(hash).toMatch(/^[0-9a-f]{16}$/);
+    expect(fragmentHash(spec, '/paths/~1animals/get')).toBe(hash);
+  });
+
+  it('changes when the node changes', () => {
+    const changed = { paths: { '/pets': { get: { operationId: 'listAllPets', responses: { 200: { description: 'OK' } } } } } };
+
+    expect(fragmentHash(changed, 'paths./pets.get')).not.toBe(fragmentHash(spec, 'paths./pets.get'));
+  });
+
+  it('returns null without an object to hash', () => {
+    expect(fragmentHash(spec, 'paths./pets.get.operationId')).toBeNull();
+    expect(fragmentHash(spec, 'paths./empty')).toBeNull();
+    expect(fragmentHash(spec, 'paths./missing')).toBeNull();
+    expect(fragmentHash(spec, 'line 3')).toBeNull();
+    expect(fragmentHash(null, 'paths./pets.get')).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+const { JsonReportGenerator, SCHEMA_VERSION, SCHEMA_ID } = require('../../src/services/json-report-generator');
+const { ValidationEngine } = require('../../src/services/validation-engine');
+const { InventoryAnalyzer } = require('../../src/services/inventory-analyzer');
+const { DiffEngine } = require('../../src/services/diff-engine');
+const { ContractDiffEngine } = require('../../src/services/contract-diff-engine');
+const { QualityGate } = require('../../src/services/quality-gate');
+const { DebtBaseline } = require('../../src/services/debt-baseline');
+const { SlaPolicy } = require('../../src/services/sla-policy');
+const { validateSchema } = require('../../src/services/rules/schema-validator');
+const schema = require('../../schemas/validation-report-v1.schema.json');
+
+const baseSpec = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '1.0.0' },
+  servers: [{ url: 'https://api.example.com' }],
+  paths: {
+    '/pets': { get: { operationId: 'listPets', tags: ['pets'], responses: { 200: { description: 'OK' }, 400: { description: 'Bad' } } } },
+    '/pets/{id}': { delete: { operationId: 'deletePet', tags: ['pets'], responses: { 204: { description: 'Deleted' } } } },
+  },
+};
+
+const spec = {
+  ...baseSpec,
+  info: { title: 'Pets', version: '1.1.0' },
+  servers: [{ url: 'http://api.example.com' }],
+  paths: { '/pets': baseSpec.paths['/pets'] },
+};
+
+/**
+ * Report data the way the CLI and the worker assemble it
+ */
+async function reportData({ debtBaseline = null } = {}) {
+  const engine = new ValidationEngine();
+  const validationResults = await engine.validate({ errors: [] }, spec);
+  const context = { owner: 'contoso', apiName: 'pets', version: '1.1.0' };
+  const generatedAt = '2026-10-19T00:00:00.000Z';
+  const diff = new DiffEngine().compare(validationResults, null, { scannedAt: generatedAt });
+  const contractDiff = new ContractDiffEngine().compare(baseSpec, spec);
+  const debt = debtBaseline ? DebtBaseline.compare(validationResults, debtBaseline, engine) : null;
+
+  return {
+    ...context,
+    apiVersion: context.version,
+    inventory: new InventoryAnalyzer().analyze(spec),
+    validationResults,
+    diff,
+    contractDiff,
+    debt,
+    sla: new SlaPolicy({ errorDays: 30 }).evaluate(validationResults.issues, generatedAt),
+    gateResult: new QualityGate().evaluate(validationResults, { ...context, diff, contractDiff, debt }),
+    generatedAt,
+  };
+}
+
+describe('JsonReportGenerator', () => {
+  it('builds a report that matches the v1 schema', async () => {
+    const report = new JsonReportGenerator().build(await reportData());
+
+    expect(report).toMatchObject({
+      $schema: SCHEMA_ID,
+      schemaVersion: SCHEMA_VERSION,
+      api: { owner: 'contoso', apiName: 'pets', version: '1.1.0' },
+      report: { generatedAt: '2026-10-19T00:00:00.000Z', generator: { name: 'swaggerhub-validation-report' } },
+    });
+    expect(report.issues).toEqual([expect.objectContaining({ code: 'bp-https-servers' })]);
+    expect(report.contractDiff.summary.breaking).toBe(1);
+    expect(report.debt).toBeNull();
+    expect(validateSchema(report, schema)).toBeNull();
+  });
+
+  it('includes debt counts and SLA breaches', async () => {
+    const data = await reportData();
+    const debtBaseline = DebtBaseline.snapshot(data.validationResults, { owner: 'contoso', apiName: 'pets', version: '1.1.0' });
+    const report = new JsonReportGenerator().build(await reportData({ debtBaseline }));
+
+    expect(report.debt).toMatchObject({ newIssues: [], baselineCount: 1, resolvedCount: 0 });
+    expect(report.sla).toMatchObject({ breached: 0, limits: expect.any(Object) });
+    expect(validateSchema(report, schema)).toBeNull();
+  });
+
+  it('generates pretty-printed UTF-8 JSON', async () => {
+    const buffer = new JsonReportGenerator().generate(await reportData());
+
+    expect(Buffer.isBuffer(buffer)).toBe(true);
+    expect(buffer.toString('utf-8')).toContain('\n  "schemaVersion"');
+  });
+
+  describe('toScan', () => {
+    it('turns a report back into a scan the diff can compare against', async () => {
+      const report = new JsonReportGenerator().build(await reportData());
+      const scan = JsonReportGenerator.toScan(JSON.parse(JSON.stringify(report)));
+
+      expect(scan).toMatchObject({ owner: 'contoso', apiName: 'pets', version: '1.1.0', scannedAt: '2026-10-19T00:00:00.000Z', waivedIssues: [] });
+      const diff = new DiffEngine().compare((await reportData()).validationResults, scan);
+      expect(diff).toMatchObject({ isFirstScan: false, newIssues: [], resolvedIssues: [] });
+    });
+
+    it('passes scan records and missing documents through', () => {
+      const scan = { version: '1.0.0', issues: [] };
+
+      expect(JsonReportGenerator.toScan(scan)).toBe(scan);
+      expect(JsonReportGenerator.toScan(null)).toBeNull();
+    });
+  });
+});
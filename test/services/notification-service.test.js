@@ -0,0 +1,58 @@
+const { NotificationService } = require('../../src/services/notification-service');
+
+const webhooks = { teamsWebhookUrl: 'https://teams.example.com/hook', slackWebhookUrl: 'https://hooks.slack.com/services/T/B/X' };
+
+function channel(name, error = null) {
+  return {
+    name,
+    sent: [],
+    async send(report) {
+      if (error) throw new Error(error);
+      this.sent.push(report);
+    },
+  };
+}
+
+describe('NotificationService', () => {
+  describe('createChannels', () => {
+    const names = (notificationConfig) => NotificationService.createChannels(notificationConfig).map((c) => c.name);
+
+    it('enables every channel with a webhook URL by default', () => {
+      expect(names(webhooks)).toEqual(['teams', 'slack']);
+      expect(names({ slackWebhookUrl: webhooks.slackWebhookUrl })).toEqual(['slack']);
+      expect(names({})).toEqual([]);
+    });
+
+    it('enables only the listed channels, skipping unknown and unconfigured ones', () => {
+      expect(names({ ...webhooks, channels: ['Slack'] })).toEqual(['slack']);
+      expect(names({ slackWebhookUrl: webhooks.slackWebhookUrl, channels: ['teams', 'slack', 'email'] })).toEqual(['slack']);
+    });
+  });
+
+  describe('sendReport', () => {
+    const report = { apiName: 'pets', apiVersion: '1.0.0' };
+
+    it('sends to every channel and reports the ones that failed', async () => {
+      const service = new NotificationService({});
+      const slack = channel('slack');
+      service.channels = [channel('teams', 'Request failed with status code 400'), slack];
+
+      expect(await service.sendReport(report)).toEqual({
+        sent: ['slack'],
+        failed: [{ channel: 'teams', errorMessage: 'Request failed with status code 400' }],
+      });
+      expect(slack.sent).toEqual([report]);
+    });
+
+    it('throws when every channel failed', async () => {
+      const service = new NotificationService({});
+      service.channels = [channel('teams', 'timeout'), channel('slack', 'invalid_payload')];
+
+      await expect(service.sendReport(report)).rejects.toThrow('Notification failed on every channel: teams: timeout; slack: invalid_payload');
+    });
+
+    it('skips sending without channels', async () => {
+      expect(await new NotificationService({}).sendReport(report)).toEqual({ sent: [], failed: [] });
+    });
+  });
+});
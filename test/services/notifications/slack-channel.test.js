@@ -0,0 +1,106 @@
+const { SlackChannel } = require('../../../src/services/notifications/slack-channel');
+
+function report(overrides = {}) {
+  return {
+    apiName: 'pets',
+    apiVersion: '2.0.0',
+    owner: 'contoso',
+    reportUrl: 'https://reports.example.com/report.pdf',
+    validationSummary: {
+      passedValidation: false,
+      score: 72,
+      grade: 'C',
+      totalIssues: 3,
+      errors: 1,
+      warnings: 2,
+      info: 0,
+      categories: { Security: { count: 1, errors: 1, warnings: 0 } },
+    },
+    gateResult: { policy: 'default', failedConditions: [{ message: 'Errors 1 exceed the maximum of 0' }] },
+    ...overrides,
+  };
+}
+
+const blockTexts = (message) => message.blocks.map((block) => block.text?.text).filter(Boolean);
+
+describe('SlackChannel', () => {
+  const channel = new SlackChannel({ webhookUrl: 'https://hooks.slack.com/services/T/B/X' });
+
+  it('builds a Block Kit message with a plain-text fallback', () => {
+    const message = channel.buildMessage(report());
+
+    expect(message.text).toBe('❌ pets 2.0.0: FAILED, score 72/100 (Grade C)');
+    expect(message.blocks[0]).toEqual({ type: 'header', text: { type: 'plain_text', text: '❌ API Validation Report', emoji: true } });
+    expect(message.blocks[1].fields.map((field) => field.text)).toEqual([
+      '*API*\npets', '*Version*\n2.0.0', '*Owner*\ncontoso', '*Status*\n*FAILED*', '*Score*\n*72/100 (Grade C)*',
+    ]);
+    expect(blockTexts(message)).toEqual(expect.arrayContaining([
+      ':x: *Quality Gate Failed* (policy: default)\n• Errors 1 exceed the maximum of 0',
+      '*By Category*\n• *Security*: 1 issue(s) (1 errors, 0 warnings)',
+    ]));
+    expect(message.blocks.at(-1).type).toBe('context');
+  });
+
+  it('links the reports, with the HTML report as the primary button', () => {
+    const buttons = (overrides) => channel.buildMessage(report(overrides)).blocks.find((block) => block.type === 'actions').elements;
+
+    expect(buttons({}).map((button) => [button.url, button.style])).toEqual([['https://reports.example.com/report.pdf', 'primary']]);
+    expect(buttons({ htmlReportUrl: 'https://reports.example.com/report.html', changelogUrl: 'https://reports.example.com/CHANGELOG.md' })
+      .map((button) => [button.text.text, button.style])).toEqual([
+      ['🌐 View Report', 'primary'],
+      ['📄 Download PDF Report', undefined],
+      ['📝 Changelog', undefined],
+    ]);
+  });
+
+  it('summarizes the diff and breaking contract changes', () => {
+    const breaking = Array.from({ length: 7 }, (_, i) => ({ breaking: true, operation: `GET /pets/${i}`, message: 'Operation was removed' }));
+    const message = channel.buildMessage(report({
+      diff: {
+        isFirstScan: false,
+        previousVersion: '1.0.0',
+        comparisonMode: 'previous-version',
+        previousScore: 80,
+        currentScore: 72,
+        scoreChange: -8,
+        resolvedIssues: [],
+        newIssues: [{}],
+        persistingIssues: [{}, {}],
+        movedIssues: [],
+        waivedIssues: [],
+      },
+      contractDiff: { baseVersion: '1.0.0', summary: { total: 8, breaking: 7, nonBreaking: 1 }, changes: breaking },
+    }));
+
+    const fields = message.blocks.flatMap((block) => block.fields || []).map((field) => field.text);
+    expect(fields).toEqual(expect.arrayContaining([
+      '*Compared With*\nversion 1.0.0 (previous version)',
+      '*Score Change*\n80 → 72 (-8 📉)',
+      '*Breaking*\n⚠️ 7 change(s)',
+    ]));
+    expect(fields.some((text) => text.startsWith('*Moved*'))).toBe(false);
+    const lines = blockTexts(message).find((text) => text.startsWith('• *GET /pets/0*')).split('\n');
+    expect(lines).toHaveLength(6);
+    expect(lines[5]).toBe('• ... and 2 more');
+  });
+
+  it('escapes mrkdwn control characters in spec content', () => {
+    const message = channel.buildMessage(report({ apiName: '<!channel> & pets' }));
+
+    expect(message.blocks[1].fields[0].text).toBe('*API*\n&lt;!channel&gt; &amp; pets');
+  });
+
+  it('truncates section text to 3000 and fields to 2000 characters', () => {
+    const message = channel.buildMessage(report({
+      owner: 'o'.repeat(2500),
+      gateResult: { policy: 'default', failedConditions: [{ message: 'x'.repeat(4000) }] },
+    }));
+
+    const owner = message.blocks[1].fields[2].text;
+    expect(owner).toHaveLength(2000);
+    expect(owner.endsWith('…')).toBe(true);
+    const gate = blockTexts(message).find((text) => text.startsWith(':x:'));
+    expect(gate).toHaveLength(3000);
+    expect(gate.endsWith('…')).toBe(true);
+  });
+});
@@ -0,0 +1,122 @@
+const { PortfolioScanner } = require('../../src/services/portfolio-scanner');
+const { ValidationEngine } = require('../../src/services/validation-engine');
+const { QualityGate } = require('../../src/services/quality-gate');
+
+function spec(version) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version },
+    servers: [{ url: 'https://api.example.com' }],
+    paths: {
+      '/pets': {
+        get: { operationId: 'listPets', responses: { 200: { description: 'OK' }, 400: { description: 'Bad request' } } },
+      },
+    },
+  };
+}
+
+/**
+ * SwaggerHub client stub serving one spec per "owner/apiName"
+ */
+function client(specs) {
+  return {
+    listApis: async (owner) => Object.keys(specs)
+      .filter((key) => key.startsWith(`${owner}/`))
+      .map((key) => ({ owner, apiName: key.split('/')[1], version: specs[key].listedVersion })),
+    fetchApiSpec: async (owner, apiName) => {
+      const entry = specs[`${owner}/${apiName}`];
+      if (!entry.spec) throw new Error('Not found');
+      return entry.spec;
+    },
+    fetchStandardizationErrors: async (owner, apiName) => {
+      const { standardizationStatus } = specs[`${owner}/${apiName}`];
+      if (!standardizationStatus) return { errors: [] };
+      const error = new Error(`Standardization failed (${standardizationStatus})`);
+      error.statusCode = standardizationStatus;
+      throw error;
+    },
+  };
+}
+
+function scanner(specs, policies) {
+  return new PortfolioScanner({
+    swaggerHubClient: client(specs),
+    validationEngine: new ValidationEngine(),
+    qualityGate: new QualityGate(policies),
+  });
+}
+
+describe('PortfolioScanner', () => {
+  it('validates every API of the owners and lists failures as scan errors', async () => {
+    const results = await scanner({
+      'contoso/pets': { listedVersion: '1.0.0', spec: spec('1.0.0') },
+      'contoso/broken': { listedVersion: '1.0.0' },
+      'fabrikam/orders': { listedVersion: '2.0.0', spec: spec('2.0.0') },
+    }).scan(['contoso']);
+
+    expect(results.map((result) => result.apiName)).toEqual(['pets', 'broken']);
+    expect(results[0]).toMatchObject({ owner: 'contoso', version: '1.0.0', passed: true, policy: 'default' });
+    expect(results[1]).toEqual({ owner: 'contoso', apiName: 'broken', version: '1.0.0', error: 'Not found' });
+  });
+
+  it('falls back to the local rules only when Standardization is unavailable', async () => {
+    const results = await scanner({
+      'contoso/pets': { listedVersion: '1.0.0', spec: spec('1.0.0'), standardizationStatus: 404 },
+      'contoso/orders': { listedVersion: '1.0.0', spec: spec('1.0.0'), standardizationStatus: 401 },
+    }).scan(['contoso']);
+
+    expect(results[0]).toMatchObject({ apiName: 'pets', passed: true });
+    expect(results[1]).toEqual({ owner: 'contoso', apiName: 'orders', version: '1.0.0', error: 'Standardization failed (401)' });
+  });
+
+  it('matches APIs without a listed version to policies by the version their spec declares', async () => {
+    const [result] = await scanner(
+      { 'contoso/pets': { spec: spec('2.1.0') } },
+      [
+        { name: 'v2', match: { versions: '>=2.0.0' }, conditions: { maxErrors: 0 } },
+        { name: 'catch-all', conditions: { maxErrors: 0 } },
+      ]
+    ).scan(['contoso']);
+
+    expect(result).toMatchObject({ version: 'latest', policy: 'v2' });
+  });
+
+  it('checks that each version is valid semver', async () => {
+    const results = await scanner(
+      {
+        'contoso/pets': { listedVersion: '1.0.0', spec: spec('1.0.0') },
+        'contoso/orders': { listedVersion: 'v2', spec: spec('v2') },
+      },
+      [{ name: 'semver', conditions: { semverCompliance: true } }]
+    ).scan(['contoso']);
+
+    expect(results[0]).toMatchObject({ apiName: 'pets', passed: true });
+    expect(results[1]).toMatchObject({ apiName: 'orders', passed: false });
+    expect(results[1].violations['semver-invalid-version']).toMatchObject({ count: 1, category: 'Versioning' });
+  });
+
+  it('reports comparison conditions as not evaluated', async () => {
+    const [result] = await scanner(
+      { 'contoso/pets': { listedVersion: '1.0.0', spec: spec('1.0.0') } },
+      [{ name: 'compare', conditions: { noNewIssues: true, maxBreakingChanges: 0 } }]
+    ).scan(['contoso']);
+
+    expect(result).toMatchObject({ passed: true, notEvaluated: ['noNewIssues', 'maxBreakingChanges'] });
+  });
+
+  it('rolls results up into totals and per-owner summaries', async () => {
+    const portfolio = scanner({
+      'contoso/pets': { listedVersion: '1.0.0', spec: spec('1.0.0') },
+      'contoso/broken': { listedVersion: '1.0.0' },
+    });
+    const report = portfolio.rollup(await portfolio.scan(['contoso']), {
+      owners: ['contoso'],
+      generatedAt: '2026-10-19T00:00:00.000Z',
+      reportId: 'report-1',
+    });
+
+    expect(report.totals).toMatchObject({ apis: 2, scanned: 1, scanErrors: 1, passed: 1, failed: 0 });
+    expect(report.ownerSummaries).toEqual([expect.objectContaining({ owner: 'contoso', apis: 2, scanned: 1 })]);
+    expect(report.scanErrors).toEqual([{ owner: 'contoso', apiName: 'broken', version: '1.0.0', error: 'Not found' }]);
+  });
+});
@@ -0,0 +1,86 @@
+const { QualityGate, DEFAULT_POLICY } = require('../../src/services/quality-gate');
+
+const results = {
+  summary: { score: 90, errors: 0, warnings: 1, categories: {} },
+  issues: [{ code: 'bp-operation-id', category: 'Structure', severity: 'Warning' }],
+};
+const context = { owner: 'contoso', apiName: 'payments-api', version: '2.1.0' };
+
+describe('QualityGate', () => {
+  describe('policy validation', () => {
+    it('rejects a policy whose version range cannot be parsed', () => {
+      expect(() => new QualityGate([{ name: 'v2', match: { versions: 'latest' }, conditions: { maxErrors: 0 } }]))
+        .toThrow('Invalid quality gate policy "v2": "latest" is not a valid version range');
+    });
+
+    it('rejects unknown conditions and unnamed policies', () => {
+      expect(() => new QualityGate([{ name: 'typo', conditions: { maxErorrs: 0 } }])).toThrow('Invalid quality gate policy "typo"');
+      expect(() => new QualityGate([{ conditions: { maxErrors: 0 } }])).toThrow('Invalid quality gate policy "?"');
+    });
+
+    it('uses the default policy without any policies', () => {
+      expect(new QualityGate().policies).toEqual([DEFAULT_POLICY]);
+    });
+  });
+
+  describe('selectPolicy', () => {
+    const gate = new QualityGate([
+      { name: 'v1', match: { versions: '1.x' }, conditions: { maxErrors: 5 } },
+      { name: 'payments-v2', match: { owners: ['contoso'], apis: 'payments-*', versions: '>=2.0.0 <3.0.0' }, conditions: {} },
+      { name: 'catch-all', conditions: { maxErrors: 0 } },
+    ]);
+
+    it('picks the first policy whose selectors all match', () => {
+      expect(gate.selectPolicy(context).name).toBe('payments-v2');
+      expect(gate.selectPolicy({ ...context, version: 'v1' }).name).toBe('v1');
+      expect(gate.selectPolicy({ ...context, owner: 'fabrikam' }).name).toBe('catch-all');
+      expect(gate.selectPolicy({ ...context, version: '3.0.0' }).name).toBe('catch-all');
+    });
+
+    it('skips version-matched policies for versions that cannot be parsed', () => {
+      expect(gate.selectPolicy({ ...context, version: 'draft' }).name).toBe('catch-all');
+    });
+  });
+
+  describe('evaluate', () => {
+    it('passes and fails conditions against the summary', () => {
+      const gate = new QualityGate([{ name: 'strict', conditions: { minScore: 95, maxErrors: 0, forbiddenRules: ['bp-operation-id'] } }]);
+      const gateResult = gate.evaluate(results, context);
+
+      expect(gateResult.passed).toBe(false);
+      expect(gateResult.failedConditions.map((c) => c.condition)).toEqual(['minScore', 'forbiddenRules']);
+      expect(gateResult.notEvaluated).toEqual([]);
+    });
+
+    it('reports comparison conditions as not evaluated without a comparison', () => {
+      const gate = new QualityGate([{ name: 'compare', conditions: { noNewIssues: true, maxBreakingChanges: 0 } }]);
+      const gateResult = gate.evaluate(results, context);
+
+      expect(gateResult.passed).toBe(true);
+      expect(gateResult.notEvaluated).toEqual(['noNewIssues', 'maxBreakingChanges']);
+      expect(gateResult.conditions[0]).toMatchObject({ evaluated: false, actual: null, message: 'Not evaluated: no previous scan to compare against' });
+    });
+
+    it('reports noNewIssues as not evaluated on a first scan', () => {
+      const gate = new QualityGate([{ name: 'compare', conditions: { noNewIssues: true } }]);
+      const gateResult = gate.evaluate(results, { ...context, diff: { isFirstScan: true, newIssues: [] } });
+
+      expect(gateResult.passed).toBe(true);
+      expect(gateResult.notEvaluated).toEqual(['noNewIssues']);
+      expect(gateResult.conditions[0]).toMatchObject({ evaluated: false, actual: null });
+    });
+
+    it('evaluates comparison conditions when a comparison exists', () => {
+      const gate = new QualityGate([{ name: 'compare', conditions: { noNewIssues: true, maxBreakingChanges: 0 } }]);
+      const gateResult = gate.evaluate(results, {
+        ...context,
+        diff: { isFirstScan: false, newIssues: [results.issues[0]] },
+        contractDiff: { summary: { breaking: 0 } },
+      });
+
+      expect(gateResult.passed).toBe(false);
+      expect(gateResult.failedConditions.map((c) => c.condition)).toEqual(['noNewIssues']);
+      expect(gateResult.notEvaluated).toEqual([]);
+    });
+  });
+});
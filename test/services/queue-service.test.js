@@ -0,0 +1,114 @@
+const { SqsQueue, InMemoryQueue, createJobQueue } = require('../../src/services/queue-service');
+
+/**
+ * Worker handler that fails the jobs named in `failing` and records deliveries
+ */
+function worker(failing = []) {
+  const deliveries = [];
+  const handler = async (event) => {
+    const batchItemFailures = [];
+    for (const record of event.Records) {
+      const job = JSON.parse(record.body);
+      deliveries.push({ jobId: job.jobId, attempt: Number(record.attributes.ApproximateReceiveCount) });
+      if (failing.includes(job.jobId)) batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+    return { batchItemFailures };
+  };
+  return { handler, deliveries };
+}
+
+describe('InMemoryQueue', () => {
+  it('delivers queued jobs as SQS events', async () => {
+    const queue = new InMemoryQueue();
+    await queue.send({ jobId: 'a' });
+    await queue.send({ jobId: 'b' });
+    const { handler, deliveries } = worker();
+
+    expect(await queue.drain(handler)).toEqual({ processed: 2, failed: 0, deadLettered: 0 });
+    expect(deliveries).toEqual([{ jobId: 'a', attempt: 1 }, { jobId: 'b', attempt: 1 }]);
+  });
+
+  it('redelivers failed jobs and dead-letters them after maxReceiveCount', async () => {
+    const queue = new InMemoryQueue({ maxReceiveCount: 2 });
+    await queue.send({ jobId: 'bad' });
+    await queue.send({ jobId: 'good' });
+    const { handler, deliveries } = worker(['bad']);
+
+    expect(await queue.drain(handler)).toEqual({ processed: 1, failed: 2, deadLettered: 1 });
+    expect(deliveries).toEqual([{ jobId: 'bad', attempt: 1 }, { jobId: 'good', attempt: 1 }, { jobId: 'bad', attempt: 2 }]);
+    expect(queue.deadLetters.map((message) => JSON.parse(message.body).jobId)).toEqual(['bad']);
+  });
+
+  it('replays dead letters with a fresh receive count', async () => {
+    const queue = new InMemoryQueue({ maxReceiveCount: 1 });
+    await queue.send({ jobId: 'flaky' });
+    await queue.drain(worker(['flaky']).handler);
+
+    expect(await queue.replayDeadLetters()).toBe(1);
+    const { handler, deliveries } = worker();
+    expect(await queue.drain(handler)).toEqual({ processed: 1, failed: 0, deadLettered: 0 });
+    expect(deliveries).toEqual([{ jobId: 'flaky', attempt: 1 }]);
+    expect(queue.deadLetters).toEqual([]);
+  });
+});
+
+describe('SqsQueue', () => {
+  /**
+   * SqsQueue over a fake client; `deadLetters` are served to the first receive
+   */
+  function sqsQueue(deadLetters = []) {
+    const queue = new SqsQueue({ url: 'https://sqs/jobs', deadLetterUrl: 'https://sqs/jobs-dlq' }, { region: 'eu-west-1' });
+    const commands = [];
+    queue.sqs = {
+      send: async (command) => {
+        commands.push({ name: command.constructor.name, input: command.input });
+        if (command.constructor.name === 'ReceiveMessageCommand') return { Messages: deadLetters.splice(0) };
+        return { MessageId: `message-${commands.length}` };
+      },
+    };
+    return { queue, commands };
+  }
+
+  it('sends jobs with a clamped delay and the job ID as an attribute', async () => {
+    const { queue, commands } = sqsQueue();
+
+    expect(await queue.send({ jobId: 'a' }, { delaySeconds: 1200 })).toBe('message-1');
+    expect(commands[0]).toEqual({
+      name: 'SendMessageCommand',
+      input: {
+        QueueUrl: 'https://sqs/jobs',
+        MessageBody: '{"jobId":"a"}',
+        DelaySeconds: 900,
+        MessageAttributes: { jobId: { DataType: 'String', StringValue: 'a' } },
+      },
+    });
+  });
+
+  it('moves dead letters back onto the job queue', async () => {
+    const { queue, commands } = sqsQueue([{ Body: '{"jobId":"a"}', ReceiptHandle: 'r-1', MessageAttributes: {} }]);
+
+    expect(await queue.replayDeadLetters()).toBe(1);
+    expect(commands.map((command) => command.name)).toEqual([
+      'ReceiveMessageCommand', 'SendMessageCommand', 'DeleteMessageCommand', 'ReceiveMessageCommand',
+    ]);
+    expect(commands[1].input).toMatchObject({ QueueUrl: 'https://sqs/jobs', MessageBody: '{"jobId":"a"}' });
+    expect(commands[2].input).toEqual({ QueueUrl: 'https://sqs/jobs-dlq', ReceiptHandle: 'r-1' });
+  });
+
+  it('needs a dead-letter queue to replay', async () => {
+    const queue = new SqsQueue({ url: 'https://sqs/jobs' }, { region: 'eu-west-1' });
+
+    await expect(queue.replayDeadLetters()).rejects.toThrow('No dead-letter queue configured (JOB_DLQ_URL)');
+  });
+});
+
+describe('createJobQueue', () => {
+  it('uses SQS when a queue URL is configured and one shared local queue otherwise', () => {
+    expect(createJobQueue({ url: 'https://sqs/jobs' }, { region: 'eu-west-1' })).toBeInstanceOf(SqsQueue);
+
+    const local = createJobQueue({ maxReceiveCount: 5 }, {});
+    expect(local).toBeInstanceOf(InMemoryQueue);
+    expect(local.maxReceiveCount).toBe(5);
+    expect(createJobQueue({}, {})).toBe(local);
+  });
+});
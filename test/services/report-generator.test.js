@@ -0,0 +1,72 @@
+const { ReportGenerator } = require('../../src/services/report-generator');
+const { ValidationEngine } = require('../../src/services/validation-engine');
+const { DiffEngine } = require('../../src/services/diff-engine');
+const { QualityGate } = require('../../src/services/quality-gate');
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '2.0.0' },
+  servers: [{ url: 'http://api.example.com' }],
+  paths: { '/pets': { get: { operationId: 'listPets', responses: { 200: { description: 'OK' } } } } },
+};
+
+async function reportData(trend) {
+  const validationResults = await new ValidationEngine().validate({ errors: [] }, spec);
+  const diff = new DiffEngine().compare(validationResults, null);
+  return {
+    owner: 'contoso',
+    apiName: 'pets',
+    apiVersion: '2.0.0',
+    validationResults,
+    diff,
+    trend,
+    gateResult: new QualityGate().evaluate(validationResults, { owner: 'contoso', apiName: 'pets', version: '2.0.0', diff }),
+    generatedAt: '2026-10-19T00:00:00.000Z',
+  };
+}
+
+/**
+ * Index entries as ScanHistoryService.listTimeline returns them, one day apart
+ */
+function timeline(entries) {
+  return entries.map(([version, score, errors], i) => ({
+    scanId: `scan-${i}`,
+    version,
+    scannedAt: new Date(Date.UTC(2026, 8, 1 + i)).toISOString(),
+    score,
+    totalIssues: errors + 2,
+    errors,
+    warnings: 2,
+    info: 0,
+    hints: 0,
+  }));
+}
+
+function pageCount(pdf) {
+  return pdf.toString('latin1').match(/\/Type \/Page\b/g).length;
+}
+
+describe('ReportGenerator', () => {
+  const generator = new ReportGenerator();
+
+  it('generates a PDF', async () => {
+    const pdf = await generator.generate(await reportData([]));
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  describe('quality trend', () => {
+    it('adds a trend page when there are at least two scans', async () => {
+      const withoutTrend = pageCount(await generator.generate(await reportData(timeline([['2.0.0', 80, 1]]))));
+      const withTrend = pageCount(await generator.generate(await reportData(timeline([['1.0.0', 70, 3], ['2.0.0', 80, 1]]))));
+
+      expect(withTrend).toBe(withoutTrend + 1);
+    });
+
+    it('charts long trends across versions and scans without a score', async () => {
+      const entries = Array.from({ length: 40 }, (_, i) => [i < 20 ? '1.0.0' : '2.0.0', i % 7 === 0 ? null : 50 + i, i % 5]);
+
+      await expect(generator.generate(await reportData(timeline(entries)))).resolves.toBeInstanceOf(Buffer);
+    });
+  });
+});
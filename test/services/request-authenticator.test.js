@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { RequestAuthenticator } = require('../../src/services/request-authenticator');
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+let eventCount = 0;
+
+/**
+ * A signed /webhook event. Each call gets its own body, because accepted
+ * signatures are remembered across the whole test run.
+ */
+function webhookEvent({ secret = SECRET, sentAt = NOW, body, headers = {} } = {}) {
+  const rawBody = body || JSON.stringify({ owner: 'contoso', api: 'pets', version: '1.0.0', n: ++eventCount });
+  const timestamp = String(Math.floor(sentAt / 1000));
+  const signature = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return {
+    httpMethod: 'POST',
+    resource: '/webhook',
+    headers: { 'X-Signature-256': signature, 'X-Signature-Timestamp': timestamp, ...headers },
+    body: rawBody,
+  };
+}
+
+function validateEvent(headers) {
+  return { httpMethod: 'POST', resource: '/validate', headers, body: '{}' };
+}
+
+describe('RequestAuthenticator', () => {
+  const authenticator = new RequestAuthenticator({ webhookSecret: SECRET, validateApiKeys: ['key-1', 'key-2'] });
+
+  it('authorizes direct invocations without an HTTP context', () => {
+    expect(authenticator.authenticate({ owner: 'contoso' })).toEqual({ authorized: true, method: 'iam' });
+  });
+
+  describe('webhook signatures', () => {
+    it('accepts a valid signature', () => {
+      const auth = authenticator.authenticate(webhookEvent(), NOW);
+
+      expect(auth).toMatchObject({ authorized: true, method: 'signature', replayUntil: NOW + 300 * 1000 });
+    });
+
+    it('verifies base64-encoded bodies against the decoded bytes', () => {
+      const event = webhookEvent();
+      const auth = authenticator.authenticate({ ...event, body: Buffer.from(event.body).toString('base64'), isBase64Encoded: true }, NOW);
+
+      expect(auth.authorized).toBe(true);
+    });
+
+    it('rejects a missing, wrong or tampered signature', () => {
+      const event = webhookEvent();
+
+      expect(authenticator.authenticate({ ...event, headers: {} }, NOW)).toMatchObject({ statusCode: 401, reason: 'Missing webhook signature' });
+      expect(authenticator.authenticate(webhookEvent({ secret: 'other' }), NOW)).toMatchObject({ statusCode: 401, reason: 'Invalid webhook signature' });
+      expect(authenticator.authenticate({ ...event, body: `${event.body} ` }, NOW)).toMatchObject({ statusCode: 401, reason: 'Invalid webhook signature' });
+    });
+
+    it('rejects timestamps outside the tolerance window', () => {
+      const stale = webhookEvent({ sentAt: NOW - 301 * 1000 });
+      const future = webhookEvent({ sentAt: NOW + 301 * 1000 });
+
+      expect(authenticator.authenticate(stale, NOW)).toMatchObject({ statusCode: 401, reason: 'Webhook timestamp is outside the allowed window' });
+      expect(authenticator.authenticate(future, NOW).authorized).toBe(false);
+      expect(authenticator.authenticate(webhookEvent({ sentAt: NOW - 299 * 1000 }), NOW).authorized).toBe(true);
+    });
+
+    it('rejects a recorded signature as a replay', () => {
+      const event = webhookEvent();
+      const auth = authenticator.authenticate(event, NOW);
+      authenticator.recordSignature(auth);
+
+      expect(authenticator.authenticate(event, NOW + 1000)).toMatchObject({ statusCode: 401, reason: 'Webhook signature has already been used' });
+    });
+
+    it('accepts a retry of a signature that was never recorded', () => {
+      const event = webhookEvent();
+
+      expect(authenticator.authenticate(event, NOW).authorized).toBe(true);
+      expect(authenticator.authenticate(event, NOW + 1000).authorized).toBe(true);
+    });
+
+    it('forgets recorded signatures once their window has passed', () => {
+      const lenient = new RequestAuthenticator({ webhookSecret: SECRET, signatureToleranceSeconds: 3600 });
+      const event = webhookEvent();
+      lenient.recordSignature({ ...authenticator.authenticate(event, NOW), replayUntil: NOW + 1000 });
+
+      expect(lenient.authenticate(event, NOW + 500).authorized).toBe(false);
+      expect(lenient.authenticate(event, NOW + 2000).authorized).toBe(true);
+    });
+
+    it('ignores results that did not come from a signature', () => {
+      expect(() => authenticator.recordSignature({ authorized: true, method: 'iam' })).not.toThrow();
+    });
+
+    it('rejects webhooks when no secret is configured, unless unauthenticated access is allowed', () => {
+      expect(new RequestAuthenticator({}).authenticate(webhookEvent(), NOW)).toMatchObject({ statusCode: 401 });
+      expect(new RequestAuthenticator({ allowUnauthenticated: true }).authenticate(webhookEvent(), NOW)).toEqual({ authorized: true, method: 'none' });
+    });
+  });
+
+  describe('API keys', () => {
+    it('accepts a key in X-Api-Key or as a bearer token', () => {
+      expect(authenticator.authenticate(validateEvent({ 'X-Api-Key': 'key-2' }))).toEqual({ authorized: true, method: 'api-key' });
+      expect(authenticator.authenticate(validateEvent({ Authorization: 'Bearer key-1' }))).toEqual({ authorized: true, method: 'api-key' });
+    });
+
+    it('rejects a missing or unknown key', () => {
+      expect(authenticator.authenticate(validateEvent({}))).toMatchObject({ statusCode: 401, reason: 'Missing API key' });
+      expect(authenticator.authenticate(validateEvent({ 'x-api-key': 'key-3' }))).toMatchObject({ statusCode: 401, reason: 'Invalid API key' });
+    });
+
+    it('rejects keys when none are configured, unless unauthenticated access is allowed', () => {
+      expect(new RequestAuthenticator({}).authenticate(validateEvent({ 'x-api-key': 'key-1' }))).toMatchObject({ statusCode: 401 });
+      expect(new RequestAuthenticator({ allowUnauthenticated: true }).authenticate(validateEvent({}))).toEqual({ authorized: true, method: 'none' });
+    });
+  });
+
+  describe('authorizeOwner', () => {
+    it('allows any owner without an allow-list', () => {
+      expect(authenticator.authorizeOwner('anyone')).toEqual({ authorized: true });
+    });
+
+    it('rejects owners that are not on the allow-list', () => {
+      const restricted = new RequestAuthenticator({ allowedOwners: ['contoso'] });
+
+      expect(restricted.authorizeOwner('contoso')).toEqual({ authorized: true });
+      expect(restricted.authorizeOwner('fabrikam')).toEqual({
+        authorized: false,
+        statusCode: 403,
+        reason: 'Owner "fabrikam" is not allowed to trigger validations',
+      });
+    });
+  });
+});
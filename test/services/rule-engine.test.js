@@ -0,0 +1,130 @@
+const { RuleEngine } = require('../../src/services/rule-engine');
+const { builtInRules } = require('../../src/services/rules/best-practices');
+
+/**
+ * A spec that passes every built-in rule; tests break one thing at a time
+ */
+function cleanSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com' }],
+    paths: {
+      '/pets': {
+        get: {
+          operationId: 'listPets',
+          tags: ['pets'],
+          responses: { 200: { $ref: '#/components/responses/Pets' }, 400: { description: 'Bad request' } },
+        },
+      },
+    },
+    components: { responses: { Pets: { description: 'Pets' } } },
+  };
+}
+
+function check(code, spec) {
+  return builtInRules.find((rule) => rule.code === code).check(spec);
+}
+
+describe('RuleEngine', () => {
+  it('finds nothing in a clean spec', () => {
+    expect(new RuleEngine().evaluate(cleanSpec())).toEqual([]);
+  });
+
+  it('reports findings in the SwaggerHub standardization shape', () => {
+    const spec = cleanSpec();
+    delete spec.paths['/pets'].get.tags;
+
+    expect(new RuleEngine().evaluate(spec)).toEqual([{
+      ruleName: 'bp-operation-tags',
+      message: 'GET /pets has no tags.',
+      severity: 'WARN',
+      pointer: 'paths./pets.get',
+      category: 'Structure',
+      source: 'local',
+    }]);
+  });
+
+  it('keeps going when a rule throws', () => {
+    const broken = { code: 'broken', severity: 'ERROR', category: 'Structure', check: () => { throw new Error('boom'); } };
+    const tagged = { code: 'always', severity: 'INFO', category: 'Structure', description: 'Always fires', check: () => [{ path: 'info' }] };
+
+    expect(new RuleEngine({ rules: [broken, tagged] }).evaluate(cleanSpec())).toEqual([
+      expect.objectContaining({ ruleName: 'always', message: 'Always fires', pointer: 'info' }),
+    ]);
+  });
+
+  it('runs no rules without built-ins and skips missing specs', () => {
+    expect(new RuleEngine({ includeBuiltIns: false }).rules).toEqual([]);
+    expect(new RuleEngine().evaluate(null)).toEqual([]);
+  });
+});
+
+describe('best-practice rules', () => {
+  describe('bp-operation-id', () => {
+    it('reports operations without an operationId', () => {
+      const spec = cleanSpec();
+      delete spec.paths['/pets'].get.operationId;
+
+      expect(check('bp-operation-id', spec)).toEqual([{ path: 'paths./pets.get', message: 'GET /pets is missing an operationId.' }]);
+    });
+
+    it('reports every reuse of an operationId after the first', () => {
+      const spec = cleanSpec();
+      spec.paths['/pets'].post = { operationId: 'listPets', tags: ['pets'], responses: { 400: { description: 'Bad' } } };
+      spec.paths['/animals'] = { get: { operationId: 'listPets', tags: ['pets'], responses: { 400: { description: 'Bad' } } } };
+
+      expect(check('bp-operation-id', spec)).toEqual([
+        { path: 'paths./pets.post.operationId', message: 'POST /pets reuses operationId "listPets" (already used by GET /pets).' },
+        { path: 'paths./animals.get.operationId', message: 'GET /animals reuses operationId "listPets" (already used by GET /pets).' },
+      ]);
+    });
+  });
+
+  describe('bp-error-responses', () => {
+    it('accepts a 4XX range or a default response', () => {
+      const spec = cleanSpec();
+      spec.paths['/pets'].get.responses = { 200: { description: 'OK' }, '4XX': { description: 'Client error' } };
+      spec.paths['/pets'].post = { operationId: 'addPet', tags: ['pets'], responses: { default: { description: 'Error' } } };
+
+      expect(check('bp-error-responses', spec)).toEqual([]);
+    });
+
+    it('reports operations without any error response', () => {
+      const spec = cleanSpec();
+      spec.paths['/pets'].get.responses = { 200: { description: 'OK' }, 500: { description: 'Error' } };
+
+      expect(check('bp-error-responses', spec)).toEqual([
+        { path: 'paths./pets.get.responses', message: 'GET /pets does not define any 4xx error response.' },
+      ]);
+    });
+  });
+
+  describe('bp-https-servers', () => {
+    it('reports http servers at every level, except localhost', () => {
+      const spec = cleanSpec();
+      spec.servers.push({ url: 'http://api.example.com' }, { url: 'http://localhost:8080' });
+      spec.paths['/pets'].servers = [{ url: 'http://pets.example.com' }];
+
+      expect(check('bp-https-servers', spec).map((finding) => finding.path)).toEqual(['servers.1.url', 'paths./pets.servers.0.url']);
+    });
+
+    it('reports the http scheme in Swagger 2.0 specs', () => {
+      expect(check('bp-https-servers', { swagger: '2.0', host: 'api.example.com', schemes: ['http', 'https'], paths: {} }))
+        .toEqual([{ path: 'schemes', message: 'Spec allows the non-TLS "http" scheme. Use HTTPS only.' }]);
+      expect(check('bp-https-servers', { swagger: '2.0', host: 'localhost:3000', schemes: ['http'], paths: {} })).toEqual([]);
+    });
+  });
+
+  describe('bp-unused-components', () => {
+    it('reports components nothing references', () => {
+      const spec = cleanSpec();
+      spec.components.schemas = { Pet: { type: 'object' }, 'Pet/Legacy': { type: 'object' } };
+      spec.components.responses.Pets.content = { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } };
+
+      expect(check('bp-unused-components', spec)).toEqual([
+        { path: 'components.schemas.Pet/Legacy', message: 'Component "Pet/Legacy" in schemas is never referenced.' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { assertions, toRegExp } = require('../../../src/services/rules/assertions');
+
+describe('assertions', () => {
+  describe('exists', () => {
+    it('treats undefined, null, empty strings and empty arrays as missing', () => {
+      for (const value of [undefined, null, '', []]) {
+        expect(assertions.exists(value, true)).toBe('is missing');
+        expect(assertions.exists(value, false)).toBeNull();
+      }
+    });
+
+    it('accepts present values, including false and 0', () => {
+      for (const value of ['x', 0, false, {}, ['a']]) {
+        expect(assertions.exists(value)).toBeNull();
+        expect(assertions.exists(value, false)).toBe('must not be present');
+      }
+    });
+  });
+
+  it('checks truthy and falsy values', () => {
+    expect(assertions.truthy('x')).toBeNull();
+    expect(assertions.truthy('')).toBe('must be truthy');
+    expect(assertions.falsy(0)).toBeNull();
+    expect(assertions.falsy(true)).toBe('must be falsy');
+  });
+
+  describe('pattern', () => {
+    it('matches a pattern string or a match/notMatch pair', () => {
+      expect(assertions.pattern('/pets', '^/[a-z/]+$')).toBeNull();
+      expect(assertions.pattern('/Pets', '^/[a-z/]+$')).toBe('"/Pets" does not match ^/[a-z/]+$');
+      expect(assertions.pattern('/pets/', { notMatch: '/$' })).toBe('"/pets/" must not match /$');
+      expect(assertions.pattern('PETS', { match: '/^pets$/i' })).toBeNull();
+    });
+
+    it('skips missing values and reports non-strings', () => {
+      expect(assertions.pattern(undefined, '^a$')).toBeNull();
+      expect(assertions.pattern(42, '^a$')).toBe('42 is not a string');
+    });
+  });
+
+  it('checks enum values', () => {
+    expect(assertions.enum('get', ['get', 'post'])).toBeNull();
+    expect(assertions.enum('trace', { values: ['get', 'post'] })).toBe('"trace" is not one of get, post');
+    expect(assertions.enum(undefined, ['get'])).toBeNull();
+  });
+
+  describe('casing', () => {
+    it.each([
+      ['kebab', 'user-accounts', 'userAccounts'],
+      ['camel', 'userAccounts', 'UserAccounts'],
+      ['pascal', 'UserAccounts', 'userAccounts'],
+      ['snake', 'user_accounts', 'user-accounts'],
+      ['macro', 'USER_ACCOUNTS', 'USER-ACCOUNTS'],
+      ['cobol', 'USER-ACCOUNTS', 'USER_ACCOUNTS'],
+      ['flat', 'useraccounts', 'userAccounts'],
+    ])('%s accepts %s and rejects %s', (type, valid, invalid) => {
+      expect(assertions.casing(valid, type)).toBeNull();
+      expect(assertions.casing(invalid, { type })).toBe(`"${invalid}" is not ${type} case`);
+    });
+
+    it('can disallow digits', () => {
+      expect(assertions.casing('v2-pets', { type: 'kebab', disallowDigits: true })).toBe('"v2-pets" must not contain digits');
+    });
+
+    it('throws for unknown casing types', () => {
+      expect(() => assertions.casing('x', 'train')).toThrow('Unknown casing type "train"');
+    });
+  });
+
+  it('checks the length of strings, arrays, objects and numbers', () => {
+    expect(assertions.length('abc', { min: 1, max: 3 })).toBeNull();
+    expect(assertions.length([], { min: 1 })).toBe('length 0 is below the minimum of 1');
+    expect(assertions.length({ a: 1, b: 2 }, { max: 1 })).toBe('length 2 exceeds the maximum of 1');
+    expect(assertions.length(5, { max: 4 })).toBe('length 5 exceeds the maximum of 4');
+    expect(assertions.length(true, { max: 4 })).toBe('true has no length');
+  });
+});
+
+describe('toRegExp', () => {
+  it('accepts plain patterns and /literal/flags', () => {
+    expect(toRegExp('^a+$').test('aaa')).toBe(true);
+    expect(toRegExp('/^a+$/i').test('AAA')).toBe(true);
+    expect(toRegExp(/b/)).toEqual(/b/);
+  });
+});
@@ -0,0 +1,126 @@
+const { query, formatPath } = require('../../../src/services/rules/json-path');
+
+const spec = {
+  info: { title: 'Pets', version: '1.0.0' },
+  paths: {
+    '/pets': {
+      get: { operationId: 'listPets', tags: ['pets'], responses: { 200: { description: 'OK' } } },
+      post: { operationId: 'createPet', responses: { 201: { description: 'Created' }, 400: { description: 'Bad' } } },
+      parameters: [{ name: 'limit', in: 'query' }],
+    },
+    '/pets/{petId}': {
+      delete: { responses: { 204: { description: 'Deleted' } } },
+    },
+  },
+};
+
+/**
+ * The dotted paths of every match, for compact assertions
+ */
+function paths(expression, document = spec) {
+  return query(document, expression).map(({ path }) => formatPath(path));
+}
+
+describe('query', () => {
+  it('returns the root for $', () => {
+    expect(query(spec, '$')).toEqual([{ value: spec, path: [] }]);
+  });
+
+  it('selects children with dot and bracket notation', () => {
+    expect(query(spec, '$.info.title')[0].value).toBe('Pets');
+    expect(paths("$.paths['/pets'].get")).toEqual(['paths./pets.get']);
+    expect(paths('$.paths["/pets/{petId}"]')).toEqual(['paths./pets/{petId}']);
+  });
+
+  it('selects array items by index', () => {
+    expect(query(spec, "$.paths['/pets'].parameters[0].name")[0].value).toBe('limit');
+  });
+
+  it('selects a union of keys, skipping missing ones', () => {
+    expect(paths("$.paths['/pets'][get,post,put]")).toEqual(['paths./pets.get', 'paths./pets.post']);
+  });
+
+  it('selects all children with a wildcard', () => {
+    expect(paths('$.paths.*')).toEqual(['paths./pets', 'paths./pets/{petId}']);
+    expect(paths('$.paths[*][get,delete]')).toEqual(['paths./pets.get', 'paths./pets/{petId}.delete']);
+  });
+
+  it('finds keys at any depth with recursive descent', () => {
+    expect(paths('$..operationId')).toEqual(['paths./pets.get.operationId', 'paths./pets.post.operationId']);
+    expect(query(spec, '$..description').map(({ value }) => value)).toEqual(['OK', 'Created', 'Bad', 'Deleted']);
+  });
+
+  it('does not loop on circular documents', () => {
+    const node = { name: 'a' };
+    node.self = node;
+    expect(paths('$..name', { root: node })).toEqual(['root.name']);
+  });
+
+  it('returns no matches when a key is missing', () => {
+    expect(query(spec, '$.components.schemas')).toEqual([]);
+    expect(query(spec, '$.info.title.length')).toEqual([]);
+  });
+
+  describe('filters', () => {
+    it('compares child properties', () => {
+      expect(paths("$.paths[*][?(@.operationId == 'createPet')]")).toEqual(['paths./pets.post']);
+      expect(paths("$.paths['/pets'].parameters[?(@.in != 'path')]")).toEqual(['paths./pets.parameters.0']);
+    });
+
+    it('tests the child key with @property', () => {
+      expect(paths("$.paths['/pets'].post.responses[?(@property >= '400')]")).toEqual(['paths./pets.post.responses.400']);
+      expect(paths("$.paths[?(@property.match(/\\{\\w+\\}/))]")).toEqual(['paths./pets/{petId}']);
+    });
+
+    it('treats a bare operand as a truthiness check', () => {
+      expect(paths('$.paths[*][?(@.operationId)]')).toEqual(['paths./pets.get', 'paths./pets.post']);
+      expect(paths('$.paths[*][?(!@.operationId)]')).toEqual(['paths./pets.parameters', 'paths./pets/{petId}.delete']);
+    });
+
+    it('combines terms with && and || and parentheses', () => {
+      expect(paths("$.paths[*][?(@.operationId && (@.tags || @property == 'post'))]")).toEqual([
+        'paths./pets.get',
+        'paths./pets.post',
+      ]);
+      expect(paths("$.paths[*][?(@property == 'get' || @property == 'delete')]")).toEqual([
+        'paths./pets.get',
+        'paths./pets/{petId}.delete',
+      ]);
+    });
+
+    it('does not split on operators inside quotes or regexes', () => {
+      const document = { items: [{ name: 'a||b' }, { name: 'c' }] };
+      expect(paths("$.items[?(@.name == 'a||b')]", document)).toEqual(['items.0']);
+      expect(paths('$.items[?(@.name.match(/a\\|\\|b/))]', document)).toEqual(['items.0']);
+    });
+
+    it('compares against number, boolean and null literals', () => {
+      const document = { items: [{ n: 1, ok: true }, { n: 5, ok: false, x: null }] };
+      expect(paths('$.items[?(@.n > 2)]', document)).toEqual(['items.1']);
+      expect(paths('$.items[?(@.ok === true)]', document)).toEqual(['items.0']);
+      expect(paths('$.items[?(@.x === null)]', document)).toEqual(['items.1']);
+    });
+  });
+
+  describe('invalid expressions', () => {
+    it('requires a leading $', () => {
+      expect(() => query(spec, 'paths.*')).toThrow('Invalid JSONPath "paths.*": must start with $');
+    });
+
+    it('rejects unbalanced brackets', () => {
+      expect(() => query(spec, "$.paths['/pets'")).toThrow('unbalanced brackets');
+    });
+
+    it('rejects unsupported segments and filter operands', () => {
+      expect(() => query(spec, '$.paths[1:3]')).toThrow('Unsupported JSONPath segment "[1:3]"');
+      expect(() => query(spec, '$.paths[?(@.a == foo)]')).toThrow('Unsupported JSONPath filter operand "foo"');
+    });
+  });
+});
+
+describe('formatPath', () => {
+  it('joins segments with dots', () => {
+    expect(formatPath(['paths', '/pets', 'get', 'parameters', 0])).toBe('paths./pets.get.parameters.0');
+    expect(formatPath([])).toBe('');
+  });
+});
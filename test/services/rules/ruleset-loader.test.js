@@ -0,0 +1,90 @@
+const path = require('path');
+const { parseRuleset, loadRuleset, renderMessage } = require('../../../src/services/rules/ruleset-loader');
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '1.0.0' },
+  paths: {
+    '/pets': { get: { summary: 'List pets' }, post: {} },
+    '/petOwners': { get: { summary: 'List owners' } },
+  },
+};
+
+function rule(yamlRule) {
+  const [compiled] = parseRuleset(`rules:\n${yamlRule}`);
+  return compiled;
+}
+
+describe('parseRuleset', () => {
+  it('compiles rules with their metadata', () => {
+    const compiled = rule(`
+  - code: gov-info-contact
+    description: API info must include a contact
+    target: $.info
+    field: contact
+    assert: { exists: true }
+    severity: error
+    category: Documentation
+`);
+
+    expect(compiled).toMatchObject({ code: 'gov-info-contact', severity: 'error', category: 'Documentation', description: 'API info must include a contact' });
+    expect(compiled.check(spec)).toEqual([{ path: 'info.contact', message: 'API info must include a contact: info.contact is missing' }]);
+  });
+
+  it('checks object keys with field @key', () => {
+    const compiled = rule(`
+  - code: gov-path-casing
+    target: $.paths[*]
+    field: '@key'
+    assert: { pattern: '^[a-z/{}-]+$' }
+    message: 'Path {{value}} is not lower case ({{error}})'
+`);
+
+    expect(compiled.check(spec)).toEqual([{
+      path: 'paths./petOwners',
+      message: 'Path /petOwners is not lower case ("/petOwners" does not match ^[a-z/{}-]+$)',
+    }]);
+  });
+
+  it('checks nested fields of each target, one finding per target', () => {
+    const compiled = rule(`
+  - code: gov-summary
+    target: $.paths[*][get,post]
+    field: summary
+    assert: { exists: true, length: { min: 20 } }
+    message: '{{property}} at {{path}} {{error}}'
+`);
+
+    expect(compiled.check(spec)).toEqual([
+      { path: 'paths./pets.get.summary', message: 'summary at paths./pets.get.summary length 9 is below the minimum of 20' },
+      { path: 'paths./pets.post.summary', message: 'summary at paths./pets.post.summary is missing' },
+      { path: 'paths./petOwners.get.summary', message: 'summary at paths./petOwners.get.summary length 11 is below the minimum of 20' },
+    ]);
+  });
+
+  it('rejects malformed rulesets', () => {
+    expect(() => parseRuleset('rules: [')).toThrow('Invalid ruleset ruleset:');
+    expect(() => parseRuleset('name: x')).toThrow('expected a top-level "rules" list');
+    expect(() => parseRuleset('rules:\n  - target: $.info\n    assert: { exists: true }')).toThrow('every rule needs a "code"');
+    expect(() => parseRuleset('rules:\n  - code: a\n    assert: { exists: true }')).toThrow('rule "a" is missing "target"');
+    expect(() => parseRuleset('rules:\n  - code: a\n    target: $.info')).toThrow('rule "a" is missing "assert"');
+    expect(() => parseRuleset('rules:\n  - code: a\n    target: $.info\n    assert: { truthy: true }')).toThrow('supported assertions are');
+    expect(() => parseRuleset('rules:\n  - code: a\n    target: $.info\n    assert: { exists: true }\n    severity: fatal')).toThrow('unknown severity "fatal"');
+    expect(() => parseRuleset('rules:\n  - code: a\n    target: info\n    assert: { exists: true }')).toThrow('must start with $');
+  });
+});
+
+describe('loadRuleset', () => {
+  it('loads the example ruleset', () => {
+    const rules = loadRuleset(path.join(__dirname, '../../../examples/custom-ruleset.yaml'));
+
+    expect(rules.length).toBeGreaterThan(0);
+    rules.forEach((compiled) => expect(Array.isArray(compiled.check(spec))).toBe(true));
+  });
+});
+
+describe('renderMessage', () => {
+  it('fills known placeholders and leaves unknown ones', () => {
+    expect(renderMessage('{{ path }} has {{value}} {{other}}', { path: 'info', value: { a: 1 } })).toBe('info has {"a":1} {{other}}');
+  });
+});
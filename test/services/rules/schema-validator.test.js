@@ -0,0 +1,66 @@
+const { validateSchema } = require('../../../src/services/rules/schema-validator');
+
+describe('validateSchema', () => {
+  it('accepts valid values', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string', minLength: 1 }, tags: { type: 'array', items: { type: 'string' } } },
+    };
+
+    expect(validateSchema({ name: 'pets', tags: ['a'] }, schema)).toBeNull();
+    expect(validateSchema('anything', true)).toBeNull();
+  });
+
+  it('reports type, enum and const failures', () => {
+    expect(validateSchema(1.5, { type: 'integer' })).toEqual({ path: [], message: 'must be of type integer' });
+    expect(validateSchema(3, { type: 'number' })).toBeNull();
+    expect(validateSchema(null, { type: ['string', 'number'] })).toEqual({ path: [], message: 'must be of type string or number' });
+    expect(validateSchema('c', { enum: ['a', 'b'] })).toEqual({ path: [], message: 'must be one of "a", "b"' });
+    expect(validateSchema(2, { const: 1 })).toEqual({ path: [], message: 'must equal 1' });
+    expect(validateSchema('x', false)).toEqual({ path: [], message: 'is not allowed' });
+  });
+
+  it('reports string, number and array bounds', () => {
+    expect(validateSchema('ab', { maxLength: 1 })).toEqual({ path: [], message: 'must have at most 1 characters' });
+    expect(validateSchema('Pets', { pattern: '^[a-z]+$' })).toEqual({ path: [], message: 'must match pattern "^[a-z]+$"' });
+    expect(validateSchema(0, { minimum: 1 })).toEqual({ path: [], message: 'must be >= 1' });
+    expect(validateSchema(1, { exclusiveMinimum: 1 })).toEqual({ path: [], message: 'must be > 1' });
+    expect(validateSchema([], { minItems: 1 })).toEqual({ path: [], message: 'must have at least 1 items' });
+    expect(validateSchema([1, 1], { uniqueItems: true })).toEqual({ path: [], message: 'must not contain duplicate items' });
+  });
+
+  it('reports the path of nested failures', () => {
+    const schema = {
+      type: 'object',
+      properties: { servers: { type: 'array', items: { type: 'object', required: ['url'] } } },
+      additionalProperties: false,
+    };
+
+    expect(validateSchema({ servers: [{ url: 'a' }, {}] }, schema)).toEqual({ path: ['servers', 1], message: 'must have required property "url"' });
+    expect(validateSchema({ extra: true }, schema)).toEqual({ path: ['extra'], message: 'is not an allowed property' });
+  });
+
+  it('checks patternProperties and additionalProperties schemas', () => {
+    const schema = { patternProperties: { '^x-': { type: 'string' } }, additionalProperties: { type: 'number' } };
+
+    expect(validateSchema({ 'x-team': 'pets', count: 1 }, schema)).toBeNull();
+    expect(validateSchema({ 'x-team': 1 }, schema)).toEqual({ path: ['x-team'], message: 'must be of type string' });
+    expect(validateSchema({ count: 'one' }, schema)).toEqual({ path: ['count'], message: 'must be of type number' });
+  });
+
+  it('combines schemas with allOf, anyOf, oneOf and not', () => {
+    expect(validateSchema(5, { allOf: [{ minimum: 1 }, { maximum: 3 }] })).toEqual({ path: [], message: 'must be <= 3' });
+    expect(validateSchema(true, { anyOf: [{ type: 'string' }, { type: 'number' }] })).toEqual({ path: [], message: 'must match at least one allowed schema' });
+    expect(validateSchema(2, { oneOf: [{ type: 'integer' }, { type: 'number' }] })).toEqual({ path: [], message: 'must match exactly one allowed schema' });
+    expect(validateSchema('a', { not: { type: 'string' } })).toEqual({ path: [], message: 'must not match the disallowed schema' });
+  });
+
+  it('resolves local $refs', () => {
+    const schema = { $defs: { 'semver/strict': { pattern: '^\\d+\\.\\d+\\.\\d+$' } }, items: { $ref: '#/$defs/semver~1strict' } };
+
+    expect(validateSchema(['1.0.0', 'v2'], schema)).toEqual({ path: [1], message: 'must match pattern "^\\d+\\.\\d+\\.\\d+$"' });
+    expect(() => validateSchema('a', { $ref: '#/definitions/Missing' })).toThrow('Unresolvable $ref "#/definitions/Missing" in schema');
+    expect(() => validateSchema('a', { $ref: 'other.json#/Pet' })).toThrow('Unsupported $ref "other.json#/Pet" in schema');
+  });
+});
@@ -0,0 +1,163 @@
+const { parseSpectralRuleset, loadSpectralRulesetFromZip } = require('../../../src/services/rules/spectral-ruleset');
+const { buildZip } = require('./zip-fixture');
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '1.0.0' },
+  paths: {
+    '/pets': { get: { operationId: 'listPets', summary: 'List pets' }, post: { operationId: 'add_pet' } },
+    '/petOwners': { get: { operationId: 'listOwners', summary: 'List owners' } },
+  },
+};
+
+function rule(yamlRule, header = '') {
+  const [compiled] = parseSpectralRuleset(`${header}rules:\n${yamlRule}`);
+  return compiled;
+}
+
+describe('parseSpectralRuleset', () => {
+  it('compiles rules with their severity and description', () => {
+    const compiled = rule(`
+  info-contact:
+    description: Info must have a contact
+    severity: error
+    given: $.info
+    then: { field: contact, function: truthy }
+`);
+
+    expect(compiled).toMatchObject({ code: 'info-contact', severity: 'ERROR', description: 'Info must have a contact' });
+    expect(compiled.check(spec)).toEqual([{ path: 'info.contact', message: 'Info must have a contact' }]);
+  });
+
+  it('checks object keys with field @key and renders message placeholders', () => {
+    const compiled = rule(`
+  paths-kebab-case:
+    message: '{{property}} {{error}}'
+    given: $.paths
+    then:
+      field: '@key'
+      function: pattern
+      functionOptions: { match: '^[a-z/{}-]+$' }
+`);
+
+    expect(compiled.check(spec)).toEqual([{ path: 'paths./petOwners', message: '/petOwners "/petOwners" does not match ^[a-z/{}-]+$' }]);
+  });
+
+  it('reads fields with a relative JSONPath and falls back to the path and error', () => {
+    const compiled = rule(`
+  operation-id-camel:
+    given: $.paths[*]
+    then:
+      field: $[*].operationId
+      function: casing
+      functionOptions: { type: camel }
+`);
+
+    expect(compiled.check(spec)).toEqual([{ path: 'paths./pets.post.operationId', message: 'paths./pets.post.operationId "add_pet" is not camel case' }]);
+  });
+
+  it('applies every then clause', () => {
+    const compiled = rule(`
+  operation-summary:
+    given: $.paths[*][*]
+    then:
+      - { field: summary, function: defined }
+      - { field: summary, function: length, functionOptions: { max: 10 } }
+`);
+
+    expect(compiled.check(spec).map((finding) => finding.message)).toEqual([
+      'paths./pets.post.summary must be defined',
+      'paths./petOwners.get.summary length 11 exceeds the maximum of 10',
+    ]);
+  });
+
+  it('validates values with the schema function', () => {
+    const compiled = rule(`
+  info-version-semver:
+    given: $
+    then:
+      field: info
+      function: schema
+      functionOptions:
+        schema: { type: object, properties: { version: { type: string, pattern: '^2' } } }
+`);
+
+    expect(compiled.check(spec)).toEqual([{ path: 'info', message: 'info version must match pattern "^2"' }]);
+  });
+
+  it('maps Spectral severities and drops rules that are off', () => {
+    const severities = { error: 'ERROR', warn: 'WARN', info: 'INFO', hint: 'HINT', 0: 'ERROR', 3: 'HINT' };
+    for (const [severity, expected] of Object.entries(severities)) {
+      expect(rule(`  r: { severity: ${severity}, given: $, then: { function: truthy } }\n`).severity).toBe(expected);
+    }
+    expect(rule('  r: { given: $, then: { function: truthy } }\n').severity).toBe('WARN');
+    expect(rule('  r: { severity: off, given: $, then: { function: truthy } }\n')).toBeUndefined();
+    expect(rule('  r: { severity: -1, given: $, then: { function: truthy } }\n')).toBeUndefined();
+  });
+
+  it('only checks specs that match the rule or ruleset formats', () => {
+    const swagger = { swagger: '2.0', info: {} };
+
+    expect(rule('  r: { formats: [oas2], given: $.info, then: { field: contact, function: truthy } }\n').check(spec)).toEqual([]);
+    expect(rule('  r: { given: $.info, then: { field: contact, function: truthy } }\n', 'formats: [oas3_0]\n').check(swagger)).toEqual([]);
+    expect(rule('  r: { formats: [oas3_1, oas2], given: $.info, then: { field: contact, function: truthy } }\n').check(swagger)).toHaveLength(1);
+  });
+
+  it('expands #aliases in given', () => {
+    const compiled = rule(`
+  operation-summary:
+    given: '#Operations.summary'
+    then: { function: truthy }
+`, `aliases:
+  Operations:
+    - $.paths[*].get
+`);
+
+    expect(compiled.check(spec)).toEqual([]);
+    expect(() => rule('  r: { given: "#Missing", then: { function: truthy } }\n')).toThrow(
+      'Invalid Spectral ruleset .spectral.yaml: rule "r": unknown alias "#Missing"'
+    );
+  });
+
+  it('skips overrides, custom functions and extended rulesets', () => {
+    const rules = parseSpectralRuleset(`
+extends: spectral:oas
+functions: [customCheck]
+rules:
+  operation-tags: off
+  info-contact: error
+  custom:
+    given: $
+    then: { function: customCheck }
+  not-recommended:
+    recommended: false
+    given: $
+    then: { function: truthy }
+`);
+
+    expect(rules).toEqual([]);
+  });
+
+  it('rejects invalid rulesets', () => {
+    expect(() => parseSpectralRuleset('rules: [', 'bad.yaml')).toThrow('Invalid Spectral ruleset bad.yaml:');
+    expect(() => parseSpectralRuleset('just text', 'bad.yaml')).toThrow('Invalid Spectral ruleset bad.yaml: expected a YAML/JSON object');
+    expect(() => rule('  r: { then: { function: truthy } }\n')).toThrow('Invalid Spectral ruleset .spectral.yaml: rule "r" is missing "given"');
+  });
+});
+
+describe('loadSpectralRulesetFromZip', () => {
+  it('loads the ruleset file from the archive', () => {
+    const zip = buildZip([
+      { name: 'governance/README.md', content: '# Governance' },
+      { name: 'governance/.spectral.yaml', content: 'rules:\n  info-contact: { given: $.info, then: { field: contact, function: truthy } }\n' },
+    ]);
+
+    expect(loadSpectralRulesetFromZip(zip).map((compiled) => compiled.code)).toEqual(['info-contact']);
+  });
+
+  it('rejects an archive without a ruleset file', () => {
+    expect(() => loadSpectralRulesetFromZip(buildZip([{ name: 'README.md', content: '# Governance' }]), 'gov.zip')).toThrow(
+      'Invalid Spectral ruleset archive gov.zip: no .spectral.yaml found'
+    );
+  });
+});
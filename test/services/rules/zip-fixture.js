@@ -0,0 +1,51 @@
+const zlib = require('zlib');
+
+/**
+ * Build a zip archive in memory. CRCs are left at 0: the reader doesn't check them.
+ * @param {Array<{name: string, content?: string, method?: number}>} entries
+ * @param {string} comment - Archive comment after the end of central directory record
+ */
+function buildZip(entries, comment = '') {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content = '', method = 8 } of entries) {
+    const nameBuffer = Buffer.from(name, 'utf-8');
+    const raw = Buffer.from(content, 'utf-8');
+    const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const commentBuffer = Buffer.from(comment, 'utf-8');
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralDirectory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  eocd.writeUInt16LE(commentBuffer.length, 20);
+
+  return Buffer.concat([...locals, centralDirectory, eocd, commentBuffer]);
+}
+
+module.exports = { buildZip };
@@ -0,0 +1,63 @@
+const { readZip } = require('../../../src/services/rules/zip-reader');
+const { buildZip } = require('./zip-fixture');
+
+describe('readZip', () => {
+  it('reads deflated and stored entries', () => {
+    const files = readZip(buildZip([
+      { name: 'spectral.yaml', content: 'extends: spectral:oas\nrules: {}\n' },
+      { name: 'functions/check.js', content: 'module.exports = () => [];', method: 0 },
+    ]));
+
+    expect([...files.keys()]).toEqual(['spectral.yaml', 'functions/check.js']);
+    expect(files.get('spectral.yaml').toString()).toBe('extends: spectral:oas\nrules: {}\n');
+    expect(files.get('functions/check.js').toString()).toBe('module.exports = () => [];');
+  });
+
+  it('skips directory entries', () => {
+    const files = readZip(buildZip([
+      { name: 'ruleset/', method: 0 },
+      { name: 'ruleset/spectral.yaml', content: 'rules: {}' },
+    ]));
+
+    expect([...files.keys()]).toEqual(['ruleset/spectral.yaml']);
+  });
+
+  it('finds the central directory past an archive comment', () => {
+    const files = readZip(buildZip([{ name: 'a.txt', content: 'hello' }], 'exported from SwaggerHub'));
+
+    expect(files.get('a.txt').toString()).toBe('hello');
+  });
+
+  it('reads an empty archive', () => {
+    expect(readZip(buildZip([])).size).toBe(0);
+  });
+
+  it('rejects data that is not a zip archive', () => {
+    expect(() => readZip(Buffer.from('not a zip archive, just some text'))).toThrow(
+      'Invalid zip archive: end of central directory not found'
+    );
+  });
+
+  it('rejects a corrupt central directory', () => {
+    const zip = buildZip([{ name: 'a.txt', content: 'hello' }]);
+    const centralOffset = zip.readUInt32LE(zip.length - 22 + 16);
+    zip.writeUInt32LE(0, centralOffset);
+
+    expect(() => readZip(zip)).toThrow('Invalid zip archive: corrupt central directory');
+  });
+
+  it('rejects an entry whose local header is missing', () => {
+    const zip = buildZip([{ name: 'a.txt', content: 'hello' }]);
+    zip.writeUInt32LE(0, 0);
+
+    expect(() => readZip(zip)).toThrow('Invalid zip archive: bad local header for "a.txt"');
+  });
+
+  it('rejects unsupported compression methods', () => {
+    const zip = buildZip([{ name: 'a.txt', content: 'hello', method: 0 }]);
+    const centralOffset = zip.readUInt32LE(zip.length - 22 + 16);
+    zip.writeUInt16LE(12, centralOffset + 10); // bzip2
+
+    expect(() => readZip(zip)).toThrow('Unsupported zip compression method 12 for "a.txt"');
+  });
+});
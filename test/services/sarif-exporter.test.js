@@ -0,0 +1,83 @@
+const { SarifExporter } = require('../../src/services/sarif-exporter');
+
+function issue(code, path, range = null, severityLevel = 1) {
+  return {
+    code,
+    message: `${code} violated at ${path}`,
+    severity: ['Error', 'Warning', 'Information', 'Hint'][severityLevel],
+    severityLevel,
+    path,
+    range,
+    category: 'Best Practices',
+    source: range ? 'swaggerhub' : 'local',
+  };
+}
+
+function exportIssues(issues, diff = null) {
+  return new SarifExporter().export({ validationResults: { issues }, diff, specUri: 'api/openapi.yaml' }).runs[0];
+}
+
+describe('SarifExporter', () => {
+  it('points findings with a range at their lines', () => {
+    const [result] = exportIssues([issue('info-contact', 'info', { startLine: 3, startCol: 5, endLine: 4, endCol: 1 })]).results;
+
+    expect(result.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'api/openapi.yaml', index: 0 },
+      region: { startLine: 3, startColumn: 5, endLine: 4, endColumn: 1 },
+    });
+  });
+
+  it('leaves out the region for findings without a range', () => {
+    const [result] = exportIssues([issue('bp-operation-id', 'paths./pets.get')]).results;
+
+    expect(result.locations[0].physicalLocation).toEqual({ artifactLocation: { uri: 'api/openapi.yaml', index: 0 } });
+    expect(result.locations[0].logicalLocations).toEqual([{ fullyQualifiedName: 'paths./pets.get', kind: 'member' }]);
+  });
+
+  it('maps severity levels and lists each rule once', () => {
+    const run = exportIssues([
+      issue('bp-https-servers', 'servers.0', null, 0),
+      issue('bp-operation-id', 'paths./pets.get'),
+      issue('bp-operation-id', 'paths./pets.post'),
+    ]);
+
+    expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual(['bp-https-servers', 'bp-operation-id']);
+    expect(run.results.map((result) => [result.ruleIndex, result.level])).toEqual([[0, 'error'], [1, 'warning'], [1, 'warning']]);
+  });
+
+  it('describes rules by their description, not by a finding', () => {
+    const issues = [issue('bp-operation-id', 'paths./pets.post'), issue('oas3-schema', 'paths./pets.get')];
+    const exporter = new SarifExporter({ rules: [{ code: 'bp-operation-id', description: 'Operations should have a unique operationId.' }] });
+    const { rules } = exporter.export({ validationResults: { issues }, specUri: 'openapi.yaml' }).runs[0].tool.driver;
+
+    expect(rules.map((rule) => rule.shortDescription.text)).toEqual(['Operations should have a unique operationId.', 'oas3-schema']);
+  });
+
+  it('gives repeated findings distinct, stable fingerprints', () => {
+    const issues = [issue('bp-x', 'paths./pets'), issue('bp-x', 'paths./pets')];
+    const first = exportIssues(issues).results.map((result) => result.partialFingerprints['swaggerhubIssue/v2']);
+    const second = exportIssues(issues.map((i) => ({ ...i }))).results.map((result) => result.partialFingerprints['swaggerhubIssue/v2']);
+
+    expect(new Set(first).size).toBe(2);
+    expect(second).toEqual(first);
+  });
+
+  it('maps diff buckets to baselineState', () => {
+    const added = issue('bp-a', 'paths./a');
+    const kept = issue('bp-b', 'paths./b');
+    const moved = issue('bp-c', 'paths./c-new');
+    const diff = { isFirstScan: false, newIssues: [added], persistingIssues: [kept], movedIssues: [{ to: moved }], resolvedIssues: [] };
+
+    expect(exportIssues([added, kept, moved], diff).results.map((result) => result.baselineState)).toEqual(['new', 'unchanged', 'unchanged']);
+    expect(exportIssues([added]).results[0].baselineState).toBeUndefined();
+  });
+
+  it('emits resolved issues as absent when asked to', () => {
+    const gone = issue('bp-gone', 'paths./old');
+    const diff = { isFirstScan: false, newIssues: [], persistingIssues: [], movedIssues: [], resolvedIssues: [gone] };
+    const run = new SarifExporter().export({ validationResults: { issues: [] }, diff, specUri: 'openapi.yaml', includeResolved: true }).runs[0];
+
+    expect(run.results).toHaveLength(1);
+    expect(run.results[0]).toMatchObject({ ruleId: 'bp-gone', baselineState: 'absent' });
+  });
+});
@@ -0,0 +1,61 @@
+const { ScanComparisonService } = require('../../src/services/scan-comparison-service');
+
+/**
+ * In-memory stand-in for ScanHistoryService: scans per version, oldest first
+ */
+function history(scansByVersion) {
+  const latest = (version) => (scansByVersion[version] || []).slice(-1)[0] || null;
+  return {
+    getPreviousScan: async (owner, apiName, version) => latest(version),
+    getBaselineScan: async (owner, apiName, version, baseline) => {
+      if (!baseline || baseline === 'latest') return latest(version);
+      return (scansByVersion[version] || []).find((scan) => scan.scanId === baseline) || null;
+    },
+    listScannedVersions: async () => Object.keys(scansByVersion),
+  };
+}
+
+function service(scansByVersion, swaggerHubVersions = []) {
+  return new ScanComparisonService({
+    scanHistory: history(scansByVersion),
+    swaggerHubClient: { listVersions: async () => swaggerHubVersions },
+  });
+}
+
+const api = { owner: 'acme', apiName: 'pets', version: '2.0.0' };
+
+describe('ScanComparisonService', () => {
+  describe('selectBaseline', () => {
+    it('uses the pinned scan of the version', async () => {
+      const comparison = await service({ '2.0.0': [{ scanId: 'a' }, { scanId: 'b' }] })
+        .selectBaseline(api, { mode: 'same-version', baseline: 'a' });
+      expect(comparison).toMatchObject({ mode: 'same-version', baselineVersion: '2.0.0', scan: { scanId: 'a' } });
+    });
+
+    it('falls back to the previous version on a version\'s first scan', async () => {
+      const comparison = await service({ '1.4.2': [{ scanId: 'old' }] }, ['1.0.0', '1.4.2', '2.0.0'])
+        .selectBaseline(api);
+      expect(comparison).toMatchObject({ mode: 'previous-version', baselineVersion: '1.4.2', scan: { scanId: 'old' } });
+    });
+
+    it('rejects unknown modes', async () => {
+      await expect(service({}).selectBaseline(api, { mode: 'newest' })).rejects.toThrow('Unknown comparison mode');
+    });
+  });
+
+  describe('selectAgeSource', () => {
+    it('is the latest scan of the version, whatever baseline is pinned', async () => {
+      const scans = { '2.0.0': [{ scanId: 'a' }, { scanId: 'b' }, { scanId: 'c' }] };
+      expect(await service(scans).selectAgeSource(api)).toEqual({ scanId: 'c' });
+    });
+
+    it('is the latest scan of the previous version on a version\'s first scan', async () => {
+      const scans = { '1.4.2': [{ scanId: 'x' }, { scanId: 'y' }] };
+      expect(await service(scans, ['1.4.2', '2.0.0']).selectAgeSource(api)).toEqual({ scanId: 'y' });
+    });
+
+    it('is null for the first scan of the API', async () => {
+      expect(await service({}).selectAgeSource(api)).toBeNull();
+    });
+  });
+});
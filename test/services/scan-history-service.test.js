@@ -0,0 +1,141 @@
+const { ScanHistoryService } = require('../../src/services/scan-history-service');
+
+/**
+ * ScanHistoryService over an in-memory bucket (objects keyed by S3 key)
+ */
+function service(objects = new Map()) {
+  const history = new ScanHistoryService({ region: 'eu-west-1', s3Bucket: 'reports' });
+  history.s3 = {
+    send: async (command) => {
+      const input = command.input;
+      switch (command.constructor.name) {
+        case 'PutObjectCommand':
+          objects.set(input.Key, input.Body);
+          return {};
+        case 'GetObjectCommand':
+          if (!objects.has(input.Key)) throw Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' });
+          return { Body: { transformToString: async () => objects.get(input.Key) } };
+        case 'DeleteObjectsCommand':
+          input.Delete.Objects.forEach(({ Key }) => objects.delete(Key));
+          return {};
+        case 'ListObjectsV2Command': {
+          const keys = [...objects.keys()].filter((key) => key.startsWith(input.Prefix));
+          if (!input.Delimiter) return { Contents: keys.map((Key) => ({ Key })) };
+          const prefixes = new Set(keys
+            .filter((key) => key.slice(input.Prefix.length).includes('/'))
+            .map((key) => input.Prefix + key.slice(input.Prefix.length).split('/')[0] + '/'));
+          return { CommonPrefixes: [...prefixes].map((Prefix) => ({ Prefix })) };
+        }
+        default:
+          throw new Error(`Unexpected command ${command.constructor.name}`);
+      }
+    },
+  };
+  return history;
+}
+
+function results(score) {
+  return { summary: { score, grade: score >= 90 ? 'A' : 'C', totalIssues: 1, errors: 1 }, issues: [{ code: 'bp-x', path: 'info' }] };
+}
+
+describe('ScanHistoryService', () => {
+  let history;
+  let objects;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    objects = new Map();
+    history = service(objects);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function saveAt(time, version, score, options) {
+    jest.setSystemTime(new Date(time));
+    return history.saveScan('contoso', 'pets', version, results(score), options);
+  }
+
+  it('keeps every scan and lists them newest first', async () => {
+    await saveAt('2026-10-01T00:00:00Z', '1.0.0', 70, { scanId: 'a' });
+    await saveAt('2026-10-02T00:00:00Z', '1.0.0', 80, { scanId: 'b' });
+    await saveAt('2026-10-03T00:00:00Z', '1.0.0', 90, { scanId: 'c' });
+
+    expect((await history.listScans('contoso', 'pets', '1.0.0')).map((entry) => [entry.scanId, entry.score])).toEqual([['c', 90], ['b', 80], ['a', 70]]);
+    expect((await history.listScans('contoso', 'pets', '1.0.0', { since: '2026-10-02T00:00:00Z', limit: 1 })).map((entry) => entry.scanId)).toEqual(['c']);
+    expect(await history.getPreviousScan('contoso', 'pets', '1.0.0')).toMatchObject({ scanId: 'c', summary: { score: 90 } });
+  });
+
+  it('resolves a baseline by scan ID or point in time', async () => {
+    await saveAt('2026-10-01T00:00:00Z', '1.0.0', 70, { scanId: 'a' });
+    await saveAt('2026-10-03T00:00:00Z', '1.0.0', 90, { scanId: 'c' });
+
+    expect(await history.getBaselineScan('contoso', 'pets', '1.0.0', 'a')).toMatchObject({ scanId: 'a' });
+    expect(await history.getBaselineScan('contoso', 'pets', '1.0.0', '2026-10-02T12:00:00Z')).toMatchObject({ scanId: 'a' });
+    expect(await history.getBaselineScan('contoso', 'pets', '1.0.0', '2026-09-01T00:00:00Z')).toBeNull();
+    expect(await history.getBaselineScan('contoso', 'pets', '1.0.0', 'unknown-scan')).toBeNull();
+  });
+
+  it('keeps the history of each version apart and merges them into a timeline', async () => {
+    await saveAt('2026-10-01T00:00:00Z', '1.0.0', 70, { scanId: 'a' });
+    await saveAt('2026-10-02T00:00:00Z', '2.0.0', 80, { scanId: 'b' });
+    await saveAt('2026-10-03T00:00:00Z', '1.0.0', 90, { scanId: 'c' });
+
+    expect((await history.listScans('contoso', 'pets', '2.0.0')).map((entry) => entry.scanId)).toEqual(['b']);
+    expect((await history.listScannedVersions('contoso', 'pets')).sort()).toEqual(['1.0.0', '2.0.0']);
+    expect((await history.listTimeline('contoso', 'pets')).map((entry) => [entry.scanId, entry.version])).toEqual([['a', '1.0.0'], ['b', '2.0.0'], ['c', '1.0.0']]);
+    expect((await history.listTimeline('contoso', 'pets', { limit: 2 })).map((entry) => entry.scanId)).toEqual(['b', 'c']);
+  });
+
+  it('falls back to the legacy latest.json of the same version', async () => {
+    objects.set('scan-history/contoso/pets/latest.json', JSON.stringify({ version: '1.0.0', summary: { score: 60 }, issues: [] }));
+
+    expect(await history.getPreviousScan('contoso', 'pets', '1.0.0')).toMatchObject({ summary: { score: 60 } });
+    expect(await history.getPreviousScan('contoso', 'pets', '2.0.0')).toBeNull();
+  });
+
+  it('stores the scanned spec once per spec hash', async () => {
+    const spec = { openapi: '3.0.3', info: { title: 'Pets', version: '1.0.0' } };
+    await saveAt('2026-10-01T00:00:00Z', '1.0.0', 70, { scanId: 'a', spec, specHash: 'hash-1' });
+
+    expect(await history.getSpec('contoso', 'pets', '1.0.0', 'hash-1')).toEqual(spec);
+    expect(await history.getSpec('contoso', 'pets', '1.0.0', null)).toBeNull();
+  });
+
+  it('prunes old scans but always keeps the newest, and deletes orphaned specs', async () => {
+    const spec = { openapi: '3.0.3' };
+    await saveAt('2026-09-01T00:00:00Z', '1.0.0', 70, { scanId: 'a', spec, specHash: 'old' });
+    await saveAt('2026-10-01T00:00:00Z', '1.0.0', 80, { scanId: 'b', spec, specHash: 'new' });
+    await saveAt('2026-10-02T00:00:00Z', '1.0.0', 90, { scanId: 'c', spec, specHash: 'new' });
+
+    expect(await history.prune('contoso', 'pets', '1.0.0', { maxAgeDays: 30 }, new Date('2026-10-10T00:00:00Z'))).toEqual(['a']);
+    expect(await history.getSpec('contoso', 'pets', '1.0.0', 'old')).toBeNull();
+    expect(await history.getSpec('contoso', 'pets', '1.0.0', 'new')).toEqual(spec);
+
+    expect(await history.prune('contoso', 'pets', '1.0.0', { maxAgeDays: 1 }, new Date('2026-12-01T00:00:00Z'))).toEqual(['b']);
+    expect((await history.listScans('contoso', 'pets', '1.0.0')).map((entry) => entry.scanId)).toEqual(['c']);
+  });
+
+  it('rebuilds the index from the scan records', async () => {
+    await saveAt('2026-10-01T00:00:00Z', '1.0.0', 70, { scanId: 'a' });
+    await saveAt('2026-10-02T00:00:00Z', '1.0.0', 80, { scanId: 'b' });
+    objects.delete('scan-history/contoso/pets/1.0.0/index.json');
+
+    expect((await history.rebuildIndex('contoso', 'pets', '1.0.0')).scans.map((entry) => entry.scanId)).toEqual(['a', 'b']);
+    expect((await history.listScans('contoso', 'pets', '1.0.0')).map((entry) => entry.scanId)).toEqual(['b', 'a']);
+  });
+
+  it('does not overwrite the index when it cannot be read', async () => {
+    await saveAt('2026-10-01T00:00:00Z', '1.0.0', 70, { scanId: 'a' });
+    const index = objects.get('scan-history/contoso/pets/1.0.0/index.json');
+    const send = history.s3.send;
+    history.s3.send = async (command) => {
+      if (command.constructor.name === 'GetObjectCommand') throw new Error('Access Denied');
+      return send(command);
+    };
+
+    await expect(saveAt('2026-10-02T00:00:00Z', '1.0.0', 80, { scanId: 'b' })).rejects.toThrow('Access Denied');
+    expect(objects.get('scan-history/contoso/pets/1.0.0/index.json')).toBe(index);
+  });
+});
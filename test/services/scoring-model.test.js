@@ -0,0 +1,63 @@
+const { ScoringModel, DEFAULT_PROFILE } = require('../../src/services/scoring-model');
+
+function issue(code, severity = 'Warning', category = 'Best Practices') {
+  return { code, severity, category };
+}
+
+describe('ScoringModel', () => {
+  describe('default profile', () => {
+    const model = new ScoringModel();
+
+    it('deducts 10 per error, 3 per warning and 1 per info', () => {
+      expect(model.score([issue('a', 'Error'), issue('b', 'Warning'), issue('c', 'Information'), issue('d', 'Hint')])).toBe(86);
+    });
+
+    it('never goes below 0', () => {
+      expect(model.score(Array.from({ length: 20 }, (_, i) => issue(`e${i}`, 'Error')))).toBe(0);
+    });
+
+    it('maps scores to letter grades', () => {
+      expect([95, 90, 85, 72, 60, 12].map((score) => model.grade(score))).toEqual(['A', 'A', 'B', 'C', 'D', 'F']);
+    });
+  });
+
+  describe('custom profiles', () => {
+    it('applies category multipliers and rule overrides', () => {
+      const model = new ScoringModel({ categoryMultipliers: { Security: 1.5 }, ruleOverrides: { 'bp-tags': 0.5 } });
+
+      expect(model.score([issue('bp-https', 'Error', 'Security')])).toBe(85);
+      expect(model.score([issue('bp-tags', 'Error')])).toBe(100);
+    });
+
+    it('tapers repeats of a rule and caps its total', () => {
+      const repeats = Array.from({ length: 3 }, () => issue('bp-x', 'Error'));
+
+      expect(new ScoringModel({ diminishingReturns: 0.5 }).score(repeats)).toBe(83);
+      expect(new ScoringModel({ ruleCap: 15 }).score(repeats)).toBe(85);
+      expect(new ScoringModel({ ruleCap: 15, ruleCaps: { 'bp-x': 5 } }).score(repeats)).toBe(95);
+    });
+
+    it('rejects invalid profiles', () => {
+      expect(() => new ScoringModel({ name: 'bad', diminishingReturns: 0 })).toThrow('Invalid scoring profile "bad": diminishingReturns must be in (0, 1]');
+      expect(() => new ScoringModel({ name: 'bad', grades: [] })).toThrow('Invalid scoring profile "bad": grades must be a non-empty list');
+    });
+  });
+
+  describe('describe', () => {
+    it('identifies the profile by name, version and hash', () => {
+      expect(new ScoringModel().describe()).toEqual({ name: 'default', version: 1, hash: expect.stringMatching(/^[0-9a-f]{12}$/) });
+    });
+
+    it('hashes the same profile the same regardless of key order', () => {
+      const profile = { name: 'gov', version: 2, categoryMultipliers: { Security: 1.5, Documentation: 0.5 }, ruleCap: 15 };
+      const reordered = { ruleCap: 15, categoryMultipliers: { Documentation: 0.5, Security: 1.5 }, version: 2, name: 'gov' };
+
+      expect(new ScoringModel(reordered).describe().hash).toBe(new ScoringModel(profile).describe().hash);
+      expect(new ScoringModel({ ...DEFAULT_PROFILE }).describe().hash).toBe(new ScoringModel().describe().hash);
+    });
+
+    it('changes the hash when the profile changes', () => {
+      expect(new ScoringModel({ ruleCap: 20 }).describe().hash).not.toBe(new ScoringModel({ ruleCap: 15 }).describe().hash);
+    });
+  });
+});
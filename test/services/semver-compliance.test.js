@@ -0,0 +1,59 @@
+const { SemverComplianceCheck, VERSIONING_CATEGORY, SEMVER_RULES } = require('../../src/services/semver-compliance');
+const { ValidationEngine } = require('../../src/services/validation-engine');
+const { QualityGate } = require('../../src/services/quality-gate');
+
+const breaking = (count) => ({ summary: { total: count, breaking: count, nonBreaking: 0 } });
+
+describe('SemverComplianceCheck', () => {
+  const check = (params) => new SemverComplianceCheck().check(params).map((finding) => finding.ruleName);
+
+  it('reports versions that are not semantic versions', () => {
+    expect(new SemverComplianceCheck().check({ version: 'v2' })).toEqual([{
+      ruleName: 'semver-invalid-version',
+      message: 'Version "v2" is not a valid semantic version (MAJOR.MINOR.PATCH)',
+      severity: 'WARN',
+      path: 'info.version',
+      category: VERSIONING_CATEGORY,
+    }]);
+    expect(check({ version: '2.0.0-rc.1' })).toEqual([]);
+    expect(check({})).toEqual([]);
+  });
+
+  it('requires a major bump for breaking changes', () => {
+    expect(new SemverComplianceCheck().check({ version: '1.3.0', previousVersion: '1.2.0', contractDiff: breaking(2) })).toEqual([
+      expect.objectContaining({
+        ruleName: 'semver-major-bump-required',
+        severity: 'ERROR',
+        message: 'Version 1.3.0 has 2 breaking change(s) since 1.2.0 but no major version bump',
+      }),
+    ]);
+    expect(check({ version: '2.0.0', previousVersion: '1.2.0', contractDiff: breaking(2) })).toEqual([]);
+    expect(check({ version: '1.3.0', previousVersion: '1.2.0', contractDiff: breaking(0) })).toEqual([]);
+  });
+
+  it('accepts a minor bump for breaking changes below 1.0.0', () => {
+    expect(check({ version: '0.3.0', previousVersion: '0.2.0', contractDiff: breaking(1) })).toEqual([]);
+    expect(new SemverComplianceCheck().check({ version: '0.2.1', previousVersion: '0.2.0', contractDiff: breaking(1) })[0].message)
+      .toBe('Version 0.2.1 has 1 breaking change(s) since 0.2.0 but no minor version bump');
+  });
+
+  it('compares loosely written versions and skips the bump check without a predecessor', () => {
+    expect(check({ version: 'v2', previousVersion: 'v1', contractDiff: breaking(1) })).toEqual(['semver-invalid-version']);
+    expect(check({ version: '1.0.0', contractDiff: breaking(1) })).toEqual([]);
+  });
+
+  it('describes every rule it reports', () => {
+    expect(SEMVER_RULES.map((rule) => rule.code)).toEqual(['semver-invalid-version', 'semver-major-bump-required']);
+  });
+
+  it('fails a gate with the semverCompliance condition', async () => {
+    const engine = new ValidationEngine({ localRules: false });
+    const results = await engine.validate({ errors: [] });
+    engine.addFindings(results, new SemverComplianceCheck().check({ version: '1.3.0', previousVersion: '1.2.0', contractDiff: breaking(1) }));
+
+    const gate = new QualityGate([{ name: 'semver', conditions: { semverCompliance: true } }]);
+    const result = gate.evaluate(results, { owner: 'contoso', apiName: 'pets', version: '1.3.0' });
+    expect(result.passed).toBe(false);
+    expect(result.failedConditions).toEqual([expect.objectContaining({ condition: 'semverCompliance', actual: ['semver-major-bump-required'] })]);
+  });
+});
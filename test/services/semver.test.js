@@ -0,0 +1,104 @@
+const { parse, coerce, isValid, compare, satisfies, validRange } = require('../../src/services/semver');
+
+describe('parse', () => {
+  it('parses strict versions with pre-release identifiers', () => {
+    expect(parse('1.4.0-beta.1')).toEqual({ major: 1, minor: 4, patch: 0, prerelease: ['beta', 1], raw: '1.4.0-beta.1' });
+  });
+
+  it('rejects partial and prefixed versions', () => {
+    expect(parse('1.0')).toBeNull();
+    expect(parse('v1.0.0')).toBeNull();
+    expect(isValid('2')).toBe(false);
+    expect(isValid('2.0.0')).toBe(true);
+  });
+});
+
+describe('coerce', () => {
+  it('accepts a leading v and missing minor or patch', () => {
+    expect(coerce('v2')).toMatchObject({ major: 2, minor: 0, patch: 0, raw: 'v2' });
+    expect(coerce('1.5')).toMatchObject({ major: 1, minor: 5, patch: 0 });
+  });
+
+  it('returns null for non-versions', () => {
+    expect(coerce('latest')).toBeNull();
+    expect(coerce('')).toBeNull();
+  });
+});
+
+describe('compare', () => {
+  it('orders by major, minor and patch', () => {
+    expect(compare('1.2.3', '1.10.0')).toBe(-1);
+    expect(compare('2.0.0', '1.99.99')).toBe(1);
+    expect(compare('v2', '2.0.0')).toBe(0);
+  });
+
+  it('orders pre-releases below their release', () => {
+    expect(compare('1.0.0-alpha', '1.0.0')).toBe(-1);
+    expect(compare('1.0.0-alpha.1', '1.0.0-alpha.beta')).toBe(-1);
+    expect(compare('1.0.0-beta.11', '1.0.0-beta.2')).toBe(1);
+    expect(compare('1.0.0-alpha', '1.0.0-alpha.1')).toBe(-1);
+  });
+
+  it('names the original strings when a version cannot be parsed', () => {
+    expect(() => compare('latest', '1.0.0')).toThrow('Cannot compare versions "latest" and "1.0.0"');
+    expect(() => compare(coerce('v1'), 'draft')).toThrow('Cannot compare versions "v1" and "draft"');
+  });
+});
+
+describe('satisfies', () => {
+  it.each([
+    ['2.3.1', '*', true],
+    ['1.9.0', '1.x', true],
+    ['2.0.0', '1.x', false],
+    ['1.2.9', '1.2.x', true],
+    ['1.3.0', '1.2', false],
+    ['1.2.0', '1.2.0', true],
+    ['1.2.1', '=1.2.0', false],
+    ['1.9.9', '^1.2.0', true],
+    ['2.0.0', '^1.2.0', false],
+    ['0.2.5', '^0.2.1', true],
+    ['0.3.0', '^0.2.1', false],
+    ['0.0.4', '^0.0.3', false],
+    ['1.2.9', '~1.2.0', true],
+    ['1.3.0', '~1.2.0', false],
+    ['1.9.0', '~1', true],
+    ['2.0.0', '>=2.0.0', true],
+    ['1.9.9', '>=2.0.0', false],
+    ['2.5.0', '>=2.0.0 <3.0.0', true],
+    ['3.0.0', '>=2.0.0 <3.0.0', false],
+    ['2.5.0', '>= 2.0.0 < 3.0.0', true],
+    ['4.1.0', '>=2.0.0 <3.0.0 || 4.x', true],
+    ['3.1.0', '>=2.0.0 <3.0.0 || 4.x', false],
+  ])('%s in %s is %s', (version, range, expected) => {
+    expect(satisfies(version, range)).toBe(expected);
+  });
+
+  it('coerces SwaggerHub-style versions', () => {
+    expect(satisfies('v2', '>=2.0.0')).toBe(true);
+    expect(satisfies('1.5', '^1.0.0')).toBe(true);
+  });
+
+  it('returns false for versions that cannot be parsed', () => {
+    expect(satisfies('latest', '*')).toBe(false);
+    expect(satisfies('draft', '>=1.0.0')).toBe(false);
+  });
+
+  it('throws for ranges that cannot be parsed', () => {
+    expect(() => satisfies('1.0.0', 'latest')).toThrow('Invalid version range "latest"');
+    expect(() => satisfies('1.0.0', '>=2.0.0 || next')).toThrow('Invalid version range ">=2.0.0 || next"');
+  });
+});
+
+describe('validRange', () => {
+  it('accepts well-formed ranges', () => {
+    for (const range of ['*', '1.x', '^1.2.0', '~1.2', '>=1.0.0 <2.0.0', '>=2.0.0 <3.0.0 || 4.x', 'v2']) {
+      expect(validRange(range)).toBe(true);
+    }
+  });
+
+  it('rejects ranges with unparseable versions', () => {
+    for (const range of ['latest', '>=two', '^1.2.0 || beta', '1.0.0 - 2.0.0']) {
+      expect(validRange(range)).toBe(false);
+    }
+  });
+});
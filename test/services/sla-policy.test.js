@@ -0,0 +1,53 @@
+const { SlaPolicy } = require('../../src/services/sla-policy');
+
+const now = '2026-10-19T12:00:00.000Z';
+
+function issue(severity, firstSeenAt, severityLevel = { Error: 0, Warning: 1, Information: 2, Hint: 3 }[severity]) {
+  return { code: `bp-${severity.toLowerCase()}`, severity, severityLevel, firstSeenAt };
+}
+
+describe('SlaPolicy', () => {
+  it('counts whole days open, and 0 for issues without an age', () => {
+    expect(SlaPolicy.ageDays(issue('Error', '2026-10-09T13:00:00.000Z'), now)).toBe(9);
+    expect(SlaPolicy.ageDays(issue('Error', '2026-10-20T00:00:00.000Z'), now)).toBe(0);
+    expect(SlaPolicy.ageDays(issue('Error', undefined), now)).toBe(0);
+  });
+
+  it('reports issues open longer than the limit for their severity', () => {
+    const policy = new SlaPolicy({ errorDays: 14, warningDays: 30 });
+    const overdueError = issue('Error', '2026-09-01T12:00:00.000Z');
+    const overdueWarning = issue('Warning', '2026-09-01T12:00:00.000Z');
+
+    const result = policy.evaluate([
+      issue('Error', '2026-10-05T12:00:00.000Z'),
+      overdueWarning,
+      overdueError,
+      issue('Information', '2020-01-01T00:00:00.000Z'),
+      issue('Error', undefined),
+    ], now);
+
+    expect(result).toEqual({
+      evaluatedAt: now,
+      limits: { Error: 14, Warning: 30, Information: null, Hint: null },
+      breached: 2,
+      bySeverity: { Error: 1, Warning: 1 },
+      breaches: [
+        { issue: overdueError, ageDays: 48, slaDays: 14, dueAt: '2026-09-15T12:00:00.000Z', overdueDays: 34 },
+        { issue: overdueWarning, ageDays: 48, slaDays: 30, dueAt: '2026-10-01T12:00:00.000Z', overdueDays: 18 },
+      ],
+    });
+  });
+
+  it('puts errors first among equally overdue issues', () => {
+    const result = new SlaPolicy({ errorDays: 1, hintDays: 1 }).evaluate([
+      issue('Hint', '2026-10-01T12:00:00.000Z'),
+      issue('Error', '2026-10-01T12:00:00.000Z'),
+    ], now);
+
+    expect(result.breaches.map((breach) => breach.issue.severity)).toEqual(['Error', 'Hint']);
+  });
+
+  it('has no SLAs by default', () => {
+    expect(new SlaPolicy().evaluate([issue('Error', '2020-01-01T00:00:00.000Z')], now).breached).toBe(0);
+  });
+});
@@ -0,0 +1,56 @@
+const { SwaggerHubClient } = require('../../src/services/swaggerhub-client');
+
+/**
+ * A client whose HTTP GETs fail with the given status (or without a response)
+ */
+function failingClient(status) {
+  const client = new SwaggerHubClient({ apiKey: 'key' });
+  client.http = {
+    get: async () => {
+      const error = new Error(status ? `Request failed with status code ${status}` : 'socket hang up');
+      if (status) error.response = { status, data: { message: 'nope' } };
+      throw error;
+    },
+  };
+  return client;
+}
+
+async function standardizationError(status) {
+  try {
+    await failingClient(status).fetchStandardizationErrors('contoso', 'pets', '1.0.0');
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected fetchStandardizationErrors to fail');
+}
+
+describe('SwaggerHubClient', () => {
+  describe('fetchStandardizationErrors', () => {
+    it('returns the standardization result', async () => {
+      const client = new SwaggerHubClient({});
+      client.http = { get: async (url) => ({ data: { url, errors: [] } }) };
+
+      expect(await client.fetchStandardizationErrors('contoso', 'pets', '1.0.0')).toEqual({
+        url: '/apis/contoso/pets/1.0.0/standardization',
+        errors: [],
+      });
+    });
+
+    it('treats 403 and 404 as Standardization being unavailable', async () => {
+      for (const status of [403, 404]) {
+        const error = await standardizationError(status);
+        expect(error.statusCode).toBe(status);
+        expect(SwaggerHubClient.isStandardizationUnavailable(error)).toBe(true);
+      }
+    });
+
+    it('does not treat auth, server or network failures as unavailable', async () => {
+      const unauthorized = await standardizationError(401);
+      expect(unauthorized.message).toBe('SwaggerHub authentication failed. Check your API key. (nope)');
+
+      for (const error of [unauthorized, await standardizationError(503), await standardizationError(null)]) {
+        expect(SwaggerHubClient.isStandardizationUnavailable(error)).toBe(false);
+      }
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WaiverSet } = require('../../src/services/waiver-set');
+const { ValidationEngine } = require('../../src/services/validation-engine');
+
+const now = new Date('2026-10-19T12:00:00.000Z');
+
+function waiver(overrides = {}) {
+  return { rule: 'bp-https-servers', justification: 'Internal gateway', approver: 'jane.doe@example.com', expires: '2026-12-31', ...overrides };
+}
+
+const issue = (code, issuePath) => ({ code, path: issuePath });
+
+describe('WaiverSet', () => {
+  it('matches issues by rule and path glob', () => {
+    const waivers = new WaiverSet([
+      waiver({ rule: 'bp-*', path: 'paths./legacy**' }),
+      waiver({ rule: 'bp-operation-tags' }),
+    ]);
+
+    expect(waivers.match(issue('bp-operation-id', 'paths./legacy/pets.get'), now)).toMatchObject({ rule: 'bp-*' });
+    expect(waivers.match(issue('bp-operation-id', 'paths./pets.get'), now)).toBeNull();
+    expect(waivers.match(issue('bp-operation-tags', 'paths./pets.get'), now)).toMatchObject({ rule: 'bp-operation-tags', path: null });
+  });
+
+  it('keeps a waiver valid through its expiry date and lists it as expired afterwards', () => {
+    const waivers = new WaiverSet([waiver({ expires: '2026-10-19' })]);
+    const issues = [issue('bp-https-servers', 'servers.0.url')];
+
+    expect(waivers.match(issues[0], new Date('2026-10-19T23:59:59.000Z'))).not.toBeNull();
+    expect(waivers.match(issues[0], new Date('2026-10-20T00:00:00.000Z'))).toBeNull();
+    expect(waivers.expired(issues, new Date('2026-10-20T00:00:00.000Z'))).toEqual([
+      expect.objectContaining({ rule: 'bp-https-servers', expires: '2026-10-19', resurfaced: 1 }),
+    ]);
+  });
+
+  it('uses timestamps as given', () => {
+    const waivers = new WaiverSet([waiver({ expires: '2026-10-19T10:00:00Z' })]);
+
+    expect(waivers.match(issue('bp-https-servers'), now)).toBeNull();
+  });
+
+  it('reports incomplete waivers as invalid', () => {
+    const waivers = new WaiverSet([waiver({ approver: '' }), waiver({ expires: 'soon' }), 'bp-x', waiver()], 'waivers.yaml');
+
+    expect(waivers.size).toBe(1);
+    expect(waivers.invalid).toEqual([
+      { source: 'waivers.yaml', index: 0, rule: 'bp-https-servers', reason: 'missing approver' },
+      { source: 'waivers.yaml', index: 1, rule: 'bp-https-servers', reason: 'invalid expiry date "soon"' },
+      { source: 'waivers.yaml', index: 2, rule: null, reason: 'waiver must be an object' },
+    ]);
+    expect(new WaiverSet({ rule: 'bp-x' }).invalid).toEqual([{ source: 'file', reason: 'waivers must be a list' }]);
+  });
+
+  it('reads waiver files, x-waivers and merges them', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'waivers-'));
+    try {
+      const file = path.join(dir, 'pets.yaml');
+      fs.writeFileSync(file, 'waivers:\n  - rule: bp-operation-tags\n    justification: Tags come later\n    approver: jane.doe@example.com\n    expires: 2026-12-31\n');
+      const fromFile = WaiverSet.fromFile(file);
+      const fromSpec = WaiverSet.fromSpec({ 'x-waivers': [waiver(), waiver({ justification: null })] });
+
+      expect(fromFile.waivers).toEqual([expect.objectContaining({ rule: 'bp-operation-tags', expires: '2026-12-31', source: 'pets.yaml' })]);
+      const merged = WaiverSet.merge([fromSpec, fromFile]);
+      expect(merged.waivers.map((entry) => [entry.rule, entry.source])).toEqual([['bp-https-servers', 'x-waivers'], ['bp-operation-tags', 'pets.yaml']]);
+      expect(merged.invalid).toEqual([expect.objectContaining({ source: 'x-waivers', reason: 'missing justification' })]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('parses a bare list', () => {
+    expect(WaiverSet.parse('- rule: bp-x\n  justification: j\n  approver: a\n  expires: 2026-12-31\n').size).toBe(1);
+    expect(WaiverSet.parse('').size).toBe(0);
+  });
+
+  it('takes waived findings out of the score', async () => {
+    const engine = new ValidationEngine();
+    const results = await engine.validate({ errors: [] }, {
+      openapi: '3.0.3',
+      info: { title: 'Pets', version: '1.0.0' },
+      servers: [{ url: 'http://api.example.com' }],
+      paths: {},
+    });
+    expect(results.summary.errors).toBe(1);
+
+    engine.applyWaivers(results, new WaiverSet([waiver()]), now);
+    expect(results.issues).toEqual([]);
+    expect(results.summary).toMatchObject({ errors: 0, score: 100, waived: 1 });
+    expect(results.waivers.waived).toEqual([expect.objectContaining({ code: 'bp-https-servers', waiver: expect.objectContaining({ approver: 'jane.doe@example.com' }) })]);
+  });
+});
@@ -0,0 +1,83 @@
+process.env.DEBOUNCE_SECONDS = '30';
+
+const runs = [];
+jest.mock('../src/pipeline', () => ({
+  runValidationPipeline: async (job) => {
+    runs.push(job.jobId);
+    if (job.fail) throw new Error('SwaggerHub API timed out');
+    if (job.unchanged) return { skipped: true, reason: 'unchanged', previousJobId: 'earlier' };
+    return { summary: { score: 90 }, gate: { passed: true } };
+  },
+}));
+
+// Latest job ID per API version, as the intake handler records it
+const mockLatestJobs = new Map();
+jest.mock('../src/services/idempotency-service', () => ({
+  IdempotencyService: class {
+    async isLatestJob(job) {
+      const latest = mockLatestJobs.get(`${job.owner}/${job.apiName}/${job.version}`);
+      return !latest || latest === job.jobId;
+    }
+  },
+}));
+
+const { handler } = require('../src/worker');
+const { InMemoryQueue } = require('../src/services/queue-service');
+
+function record(messageId, job) {
+  return { messageId, body: JSON.stringify({ owner: 'contoso', apiName: 'pets', version: '1.0.0', ...job }), attributes: { ApproximateReceiveCount: '1' } };
+}
+
+describe('worker', () => {
+  beforeEach(() => {
+    runs.length = 0;
+    mockLatestJobs.clear();
+  });
+
+  it('runs the pipeline for every job in the batch', async () => {
+    const response = await handler({ Records: [record('m-1', { jobId: 'a' }), record('m-2', { jobId: 'b', unchanged: true })] }, {});
+
+    expect(response).toEqual({ batchItemFailures: [] });
+    expect(runs).toEqual(['a', 'b']);
+  });
+
+  it('reports failed and unreadable jobs as batch item failures', async () => {
+    const response = await handler({
+      Records: [record('m-1', { jobId: 'a', fail: true }), { messageId: 'm-2', body: 'not json' }, record('m-3', { jobId: 'c' })],
+    }, {});
+
+    expect(response).toEqual({ batchItemFailures: [{ itemIdentifier: 'm-1' }, { itemIdentifier: 'm-2' }] });
+    expect(runs).toEqual(['a', 'c']);
+  });
+
+  it('dead-letters a job that keeps failing', async () => {
+    const queue = new InMemoryQueue({ maxReceiveCount: 3 });
+    await queue.send({ jobId: 'a', owner: 'contoso', apiName: 'pets', version: '1.0.0', fail: true });
+
+    expect(await queue.drain(handler)).toEqual({ processed: 0, failed: 3, deadLettered: 1 });
+    expect(runs).toEqual(['a', 'a', 'a']);
+  });
+
+  describe('debounce', () => {
+    it('skips a job superseded by a newer webhook for the same API version', async () => {
+      mockLatestJobs.set('contoso/pets/1.0.0', 'b');
+      const response = await handler({ Records: [record('m-1', { jobId: 'a' }), record('m-2', { jobId: 'b' })] }, {});
+
+      expect(response).toEqual({ batchItemFailures: [] });
+      expect(runs).toEqual(['b']);
+    });
+
+    it('does not debounce other versions or forced jobs', async () => {
+      mockLatestJobs.set('contoso/pets/1.0.0', 'b');
+      await handler({
+        Records: [
+          record('m-1', { jobId: 'a', version: '2.0.0' }),
+          record('m-2', { jobId: 'c', force: true }),
+          record('m-3', { jobId: 'd', refreshDebtBaseline: true }),
+        ],
+      }, {});
+
+      expect(runs).toEqual(['a', 'c', 'd']);
+    });
+  });
+});